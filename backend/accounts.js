@@ -0,0 +1,174 @@
+import crypto from "crypto";
+
+/* ================================
+   Accounts and sessions
+   ================================
+   Email + password, or passwordless via an emailed magic link (which also
+   creates the account on first use). Sessions are random bearer tokens;
+   only their SHA-256 is stored, same for magic-link tokens.
+
+   Functions return a result object, or { status, error } for the route to send.
+*/
+const DAY = 24 * 60 * 60 * 1000;
+export const SESSION_TTL_MS = 30 * DAY;
+export const LINK_TTL_MS = 15 * 60 * 1000;
+const LINK_RESEND_MS = 60 * 1000;
+const MIN_PASSWORD = 8;
+
+const USERS = "users";
+const SESSIONS = "sessions";
+const LINKS = "login-links";
+
+export function normalizeEmail(email) {
+  const e = String(email || "").trim().toLowerCase();
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(e) && e.length <= 254 ? e : null;
+}
+
+const sha256 = (s) => crypto.createHash("sha256").update(String(s)).digest("hex");
+const newToken = () => crypto.randomBytes(32).toString("base64url");
+
+function scrypt(password, salt) {
+  return new Promise((resolve, reject) =>
+    crypto.scrypt(password, salt, 32, (err, key) => (err ? reject(err) : resolve(key)))
+  );
+}
+
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const key = await scrypt(password, salt);
+  return `scrypt$${salt.toString("base64")}$${key.toString("base64")}`;
+}
+
+export async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || "").split("$");
+  if (scheme !== "scrypt" || !salt || !hash) return false;
+  const expected = Buffer.from(hash, "base64");
+  const key = await scrypt(password, Buffer.from(salt, "base64"));
+  return key.length === expected.length && crypto.timingSafeEqual(key, expected);
+}
+
+const publicUser = (u) => ({ id: u.id, email: u.email, createdAt: u.createdAt, hasPassword: Boolean(u.passwordHash) });
+
+function dropExpired(map, now) {
+  for (const [k, v] of Object.entries(map)) if (v.expiresAt <= now) delete map[k];
+  return map;
+}
+
+export function createAccounts({ store, mailer, appUrl, sessionTtlMs = SESSION_TTL_MS, linkTtlMs = LINK_TTL_MS }) {
+  const emptyUsers = { byId: {}, byEmail: {} };
+
+  function findByEmail(email) {
+    const users = store.read(USERS, emptyUsers);
+    const id = users.byEmail[email];
+    return id ? users.byId[id] : null;
+  }
+
+  async function createUser(email, passwordHash) {
+    let created = null;
+    await store.update(USERS, emptyUsers, (users) => {
+      if (users.byEmail[email]) return undefined;
+      created = { id: crypto.randomUUID(), email, passwordHash, createdAt: new Date().toISOString() };
+      users.byId[created.id] = created;
+      users.byEmail[email] = created.id;
+      return users;
+    });
+    return created;
+  }
+
+  async function startSession(user) {
+    const token = newToken();
+    const now = Date.now();
+    await store.update(SESSIONS, {}, (sessions) => {
+      dropExpired(sessions, now);
+      sessions[sha256(token)] = { userId: user.id, createdAt: now, expiresAt: now + sessionTtlMs };
+      return sessions;
+    });
+    return { token, user: publicUser(user), expiresAt: new Date(now + sessionTtlMs).toISOString() };
+  }
+
+  async function register({ email, password }) {
+    const e = normalizeEmail(email);
+    if (!e) return { status: 400, error: "Enter a valid email address" };
+    if (String(password || "").length < MIN_PASSWORD) {
+      return { status: 400, error: `Password must be at least ${MIN_PASSWORD} characters` };
+    }
+    const user = await createUser(e, await hashPassword(String(password)));
+    if (!user) return { status: 409, error: "An account with that email already exists" };
+    return startSession(user);
+  }
+
+  async function login({ email, password }) {
+    const e = normalizeEmail(email);
+    const user = e ? findByEmail(e) : null;
+    // Same answer for unknown email, no password set, or wrong password
+    if (!user?.passwordHash || !(await verifyPassword(String(password || ""), user.passwordHash))) {
+      return { status: 401, error: "Wrong email or password" };
+    }
+    return startSession(user);
+  }
+
+  // Always reports success so the endpoint cannot be used to probe for accounts.
+  // With no mailer (see mailerFromEnv) links are off and password sign-in still works
+  async function requestMagicLink({ email }) {
+    if (!mailer) return { status: 503, error: "Sign-in links are not available on this server" };
+    const e = normalizeEmail(email);
+    if (!e) return { status: 400, error: "Enter a valid email address" };
+
+    const token = newToken();
+    const now = Date.now();
+    let throttled = false;
+    await store.update(LINKS, {}, (links) => {
+      dropExpired(links, now);
+      throttled = Object.values(links).some((l) => l.email === e && now - l.createdAt < LINK_RESEND_MS);
+      if (throttled) return links;
+      links[sha256(token)] = { email: e, createdAt: now, expiresAt: now + linkTtlMs };
+      return links;
+    });
+
+    if (!throttled) {
+      const url = new URL(appUrl);
+      url.searchParams.set("login", token);
+      const minutes = Math.round(linkTtlMs / 60000);
+      await mailer.send({
+        to: e,
+        subject: "Your NextWatch sign-in link",
+        text: `Open this link to sign in to NextWatch:\n\n${url}\n\nIt works once and expires in ${minutes} minutes. If you did not ask for it, ignore this email.`
+      });
+    }
+    return { sent: true };
+  }
+
+  async function redeemMagicLink({ token }) {
+    const key = sha256(token || "");
+    const now = Date.now();
+    let link = null;
+    await store.update(LINKS, {}, (links) => {
+      dropExpired(links, now);
+      link = links[key] || null;
+      delete links[key];
+      return links;
+    });
+    if (!link) return { status: 401, error: "This sign-in link is invalid or has expired" };
+
+    const user = findByEmail(link.email) || (await createUser(link.email, null)) || findByEmail(link.email);
+    return startSession(user);
+  }
+
+  // User for a bearer token, or null
+  function authenticate(token) {
+    if (!token) return null;
+    const s = store.read(SESSIONS, {})[sha256(token)];
+    if (!s || s.expiresAt <= Date.now()) return null;
+    const u = store.read(USERS, emptyUsers).byId[s.userId];
+    return u ? publicUser(u) : null;
+  }
+
+  async function logout(token) {
+    await store.update(SESSIONS, {}, (sessions) => {
+      delete sessions[sha256(token || "")];
+      return sessions;
+    });
+  }
+
+  return { register, login, requestMagicLink, redeemMagicLink, authenticate, logout };
+}
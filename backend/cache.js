@@ -0,0 +1,159 @@
+import fs from "fs";
+import path from "path";
+
+/* ================================
+   Cache subsystem
+   ================================
+   Named namespaces, each an LRU with a TTL and a size cap. Same get/set
+   shape as the old TTLCache (get returns null on a miss), plus hit/miss
+   counters for /api/admin/cache.
+
+   Set CACHE_DIR to persist namespaces as JSON files: they are loaded at
+   startup (expired entries skipped) and flushed periodically and on
+   SIGTERM, so a redeploy with a mounted disk starts warm.
+*/
+export class LruTtlCache {
+  constructor({ name, ttlMs, maxEntries = 5000 }) {
+    this.name = name;
+    this.ms = ttlMs;
+    this.maxEntries = maxEntries;
+    this.map = new Map();
+    this.dirty = false;
+    this.counts = { hits: 0, misses: 0, sets: 0, evictions: 0, expired: 0 };
+  }
+
+  get(k) {
+    const v = this.map.get(k);
+    if (!v) {
+      this.counts.misses++;
+      return null;
+    }
+    if (Date.now() > v.exp) {
+      this.map.delete(k);
+      this.counts.expired++;
+      this.counts.misses++;
+      this.dirty = true;
+      return null;
+    }
+    // Map keeps insertion order, re-inserting marks it most recently used
+    this.map.delete(k);
+    this.map.set(k, v);
+    this.counts.hits++;
+    return v.val;
+  }
+
+  set(k, val) {
+    this.map.delete(k);
+    this.map.set(k, { val, exp: Date.now() + this.ms });
+    this.counts.sets++;
+    this.dirty = true;
+    while (this.map.size > this.maxEntries) {
+      this.map.delete(this.map.keys().next().value);
+      this.counts.evictions++;
+    }
+  }
+
+  // Drop expired entries without waiting for a read
+  prune() {
+    const now = Date.now();
+    for (const [k, v] of this.map) {
+      if (now > v.exp) {
+        this.map.delete(k);
+        this.counts.expired++;
+        this.dirty = true;
+      }
+    }
+  }
+
+  clear() {
+    this.map.clear();
+    this.dirty = true;
+  }
+
+  stats() {
+    const lookups = this.counts.hits + this.counts.misses;
+    return {
+      ...this.counts,
+      hitRate: lookups ? Number((this.counts.hits / lookups).toFixed(3)) : null,
+      entries: this.map.size,
+      maxEntries: this.maxEntries,
+      ttlMs: this.ms
+    };
+  }
+
+  toJSON() {
+    return { name: this.name, savedAt: Date.now(), entries: Array.from(this.map.entries()) };
+  }
+
+  load(snapshot) {
+    const now = Date.now();
+    for (const [k, v] of snapshot?.entries || []) {
+      if (v && v.exp > now) this.map.set(k, v);
+    }
+    while (this.map.size > this.maxEntries) this.map.delete(this.map.keys().next().value);
+  }
+}
+
+export function createCacheRegistry({ dir = null, flushMs = 60 * 1000 } = {}) {
+  const namespaces = new Map();
+
+  function fileFor(name) {
+    return path.join(dir, `${name}.json`);
+  }
+
+  function namespace(name, { ttlMs, maxEntries }) {
+    if (namespaces.has(name)) return namespaces.get(name);
+    const c = new LruTtlCache({ name, ttlMs, maxEntries });
+    if (dir) {
+      try {
+        c.load(JSON.parse(fs.readFileSync(fileFor(name), "utf8")));
+      } catch (err) {
+        if (err.code !== "ENOENT") console.warn(`Cache ${name}: could not load snapshot (${err.message})`);
+      }
+    }
+    namespaces.set(name, c);
+    return c;
+  }
+
+  function flush() {
+    if (!dir) return;
+    fs.mkdirSync(dir, { recursive: true });
+    for (const c of namespaces.values()) {
+      c.prune();
+      if (!c.dirty) continue;
+      const file = fileFor(c.name);
+      const tmp = `${file}.tmp`;
+      try {
+        fs.writeFileSync(tmp, JSON.stringify(c));
+        fs.renameSync(tmp, file);
+        c.dirty = false;
+      } catch (err) {
+        console.warn(`Cache ${c.name}: could not save snapshot (${err.message})`);
+      }
+    }
+  }
+
+  function stats() {
+    const out = {};
+    for (const [name, c] of namespaces) out[name] = c.stats();
+    return { persistent: Boolean(dir), namespaces: out };
+  }
+
+  let timer = null;
+  if (dir) {
+    timer = setInterval(flush, flushMs);
+    timer.unref?.();
+    for (const sig of ["SIGTERM", "SIGINT"]) {
+      process.once(sig, () => {
+        flush();
+        process.exit(0);
+      });
+    }
+  } else {
+    // Memory only: still sweep expired entries now and then
+    timer = setInterval(() => namespaces.forEach((c) => c.prune()), flushMs);
+    timer.unref?.();
+  }
+
+  return { namespace, flush, stats };
+}
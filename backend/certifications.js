@@ -0,0 +1,200 @@
+/* ================================
+   Certification ladders per region
+   ================================
+   Each ladder is ordered from most to least permissive audience and
+   `age` is the youngest kids max age that unlocks that rating.
+   Regions without a ladder still get the generic TV check below.
+*/
+const LADDERS = {
+  GB: {
+    name: "United Kingdom (BBFC)",
+    // Deliberately conservative around 12A / 12, matches the original GB rules
+    movie: [
+      { cert: "U", age: 0 },
+      { cert: "PG", age: 8 },
+      { cert: "12A", age: 12 },
+      { cert: "12", age: 14 },
+      { cert: "15", age: 15 },
+      { cert: "18", age: 17 },
+      { cert: "R18", age: 18 }
+    ],
+    tv: [
+      { cert: "U", age: 0 },
+      { cert: "PG", age: 8 },
+      { cert: "12", age: 14 },
+      { cert: "15", age: 15 },
+      { cert: "18", age: 17 }
+    ]
+  },
+  US: {
+    name: "United States (MPA / TV Parental Guidelines)",
+    movie: [
+      { cert: "G", age: 0 },
+      { cert: "PG", age: 8 },
+      { cert: "PG-13", age: 13 },
+      { cert: "R", age: 17 },
+      { cert: "NC-17", age: 18 }
+    ],
+    tv: [
+      { cert: "TV-Y", age: 0 },
+      { cert: "TV-G", age: 0 },
+      { cert: "TV-Y7", age: 7 },
+      { cert: "TV-PG", age: 10 },
+      { cert: "TV-14", age: 14 },
+      { cert: "TV-MA", age: 17 }
+    ]
+  },
+  DE: {
+    name: "Germany (FSK)",
+    movie: [
+      { cert: "0", age: 0 },
+      { cert: "6", age: 6 },
+      { cert: "12", age: 12 },
+      { cert: "16", age: 16 },
+      { cert: "18", age: 18 }
+    ],
+    tv: [
+      { cert: "0", age: 0 },
+      { cert: "6", age: 6 },
+      { cert: "12", age: 12 },
+      { cert: "16", age: 16 },
+      { cert: "18", age: 18 }
+    ]
+  },
+  AU: {
+    name: "Australia (ACB)",
+    movie: [
+      { cert: "G", age: 0 },
+      { cert: "PG", age: 8 },
+      { cert: "M", age: 13 },
+      { cert: "MA15+", age: 15 },
+      { cert: "R18+", age: 18 },
+      { cert: "X18+", age: 18 }
+    ],
+    tv: [
+      { cert: "P", age: 0 },
+      { cert: "C", age: 0 },
+      { cert: "G", age: 0 },
+      { cert: "PG", age: 8 },
+      { cert: "M", age: 13 },
+      { cert: "MA15+", age: 15 },
+      { cert: "AV15+", age: 15 },
+      { cert: "R18+", age: 18 }
+    ]
+  },
+  IE: {
+    name: "Ireland (IFCO)",
+    movie: [
+      { cert: "G", age: 0 },
+      { cert: "PG", age: 8 },
+      { cert: "12A", age: 12 },
+      { cert: "15A", age: 15 },
+      { cert: "16", age: 16 },
+      { cert: "18", age: 18 }
+    ]
+  },
+  FR: {
+    name: "France (CNC / CSA)",
+    movie: [
+      { cert: "U", age: 0 },
+      { cert: "10", age: 10 },
+      { cert: "12", age: 12 },
+      { cert: "16", age: 16 },
+      { cert: "18", age: 18 }
+    ],
+    // "TP" is tous publics; "NR" (not rated) is no rating at all and stays unknown
+    tv: [
+      { cert: "TP", age: 0 },
+      { cert: "10", age: 10 },
+      { cert: "12", age: 12 },
+      { cert: "16", age: 16 },
+      { cert: "18", age: 18 }
+    ]
+  },
+  NL: {
+    name: "Netherlands (Kijkwijzer)",
+    movie: [
+      { cert: "AL", age: 0 },
+      { cert: "6", age: 6 },
+      { cert: "9", age: 9 },
+      { cert: "12", age: 12 },
+      { cert: "14", age: 14 },
+      { cert: "16", age: 16 },
+      { cert: "18", age: 18 }
+    ],
+    tv: [
+      { cert: "AL", age: 0 },
+      { cert: "6", age: 6 },
+      { cert: "9", age: 9 },
+      { cert: "12", age: 12 },
+      { cert: "14", age: 14 },
+      { cert: "16", age: 16 },
+      { cert: "18", age: 18 }
+    ]
+  }
+};
+
+export const DEFAULT_REGION = "GB";
+
+export function normalizeRegion(region) {
+  const r = String(region || "").trim().toUpperCase();
+  return /^[A-Z]{2}$/.test(r) ? r : DEFAULT_REGION;
+}
+
+function ladderFor(region, mediaType) {
+  const l = LADDERS[normalizeRegion(region)];
+  if (!l) return null;
+  return mediaType === "tv" ? l.tv || null : l.movie;
+}
+
+function findRung(ladder, cert) {
+  const c = String(cert || "").trim().toUpperCase();
+  return ladder.findIndex((x) => x.cert.toUpperCase() === c);
+}
+
+// A kids age as a number, or null when there is none; 0 is an age, the youngest rung
+export function ageOrNull(value) {
+  return value == null || value === "" || !Number.isFinite(Number(value)) ? null : Number(value);
+}
+
+/**
+ * Highest certification a child of maxAge may watch in this region, or null when unknown.
+ */
+export function maxCertFromAge(region, mediaType, maxAge) {
+  const a = ageOrNull(maxAge);
+  if (a == null) return null;
+  const ladder = ladderFor(region, mediaType);
+  if (!ladder) return null;
+  let best = null;
+  for (const rung of ladder) if (rung.age <= a) best = rung.cert;
+  return best;
+}
+
+// Unknown or unrated certs pass, same as the original GB rules
+export function certAllowed(region, mediaType, cert, maxCert) {
+  if (!maxCert || !cert) return true;
+  const ladder = ladderFor(region, mediaType);
+  if (!ladder) return true;
+  const a = findRung(ladder, cert);
+  const b = findRung(ladder, maxCert);
+  if (a === -1 || b === -1) return true;
+  return a <= b;
+}
+
+// Fallback for regions without a TV ladder: block anything that reads as adult-only
+function genericTvAllowedForKids(rating) {
+  if (!rating) return true;
+  const r = String(rating).toUpperCase();
+  const bad = ["TV-MA", "NC-17", "R", "18", "MA15+", "M"];
+  return !bad.some((x) => r.includes(x));
+}
+
+/**
+ * Kids check for one title: cert is the region's rating (or null), maxAge the kids max age.
+ */
+export function allowedForKids(region, mediaType, cert, maxAge) {
+  const ladder = ladderFor(region, mediaType);
+  if (!ladder) return mediaType === "tv" ? genericTvAllowedForKids(cert) : true;
+  const maxCert = maxCertFromAge(region, mediaType, ageOrNull(maxAge) ?? 11);
+  return certAllowed(region, mediaType, cert, maxCert);
+}
@@ -0,0 +1,94 @@
+import { providerTiers } from "./providers.js";
+
+/* ================================
+   Title details
+   ================================
+   One TMDB call per title (details + append_to_response) shaped into what
+   the detail panel shows. The raw response covers every region, so it is
+   cached once and the region-specific parts (certification, providers)
+   are picked out per request.
+*/
+export const IMAGE_BASE = "https://image.tmdb.org/t/p";
+
+export const TITLE_APPEND = {
+  movie: "credits,videos,keywords,release_dates,watch/providers",
+  tv: "credits,videos,keywords,content_ratings,watch/providers"
+};
+
+const image = (size, p) => (p ? `${IMAGE_BASE}/${size}${p}` : null);
+
+/**
+ * Certification for one region from release_dates (movie) or content_ratings (tv) results.
+ */
+export function certificationFrom(mediaType, results, region) {
+  const entry = (results || []).find((x) => x.iso_3166_1 === region);
+  if (mediaType === "tv") return entry?.rating ? String(entry.rating).trim() : null;
+  const certs = (entry?.release_dates || []).map((r) => (r.certification || "").trim()).filter(Boolean);
+  return certs[0] || null;
+}
+
+// YouTube / Vimeo trailers and teasers, official ones first
+function trailersFrom(videos) {
+  const urls = { YouTube: (k) => `https://www.youtube.com/watch?v=${k}`, Vimeo: (k) => `https://vimeo.com/${k}` };
+  const rank = (v) => (v.official ? 0 : 2) + (v.type === "Trailer" ? 0 : 1);
+  return (videos?.results || [])
+    .filter((v) => urls[v.site] && (v.type === "Trailer" || v.type === "Teaser"))
+    .sort((a, b) => rank(a) - rank(b))
+    .slice(0, 5)
+    .map((v) => ({ name: v.name, site: v.site, key: v.key, type: v.type, official: Boolean(v.official), url: urls[v.site](v.key) }));
+}
+
+/**
+ * Detail payload for a raw TMDB response fetched with TITLE_APPEND[mediaType].
+ */
+export function buildTitleDetails(mediaType, data, region) {
+  const isTv = mediaType === "tv";
+  const credits = data.credits || {};
+
+  const people = isTv
+    ? { creators: (data.created_by || []).map((p) => ({ id: p.id, name: p.name })) }
+    : { directors: (credits.crew || []).filter((c) => c.job === "Director").map((p) => ({ id: p.id, name: p.name })) };
+
+  const length = isTv
+    ? {
+        seasons: data.number_of_seasons ?? null,
+        episodes: data.number_of_episodes ?? null,
+        episode_runtime: (data.episode_run_time || [])[0] ?? null,
+        in_production: Boolean(data.in_production),
+        last_air_date: data.last_air_date || null
+      }
+    : { runtime: data.runtime || null };
+
+  const releaseDate = (isTv ? data.first_air_date : data.release_date) || "";
+
+  return {
+    id: data.id,
+    media_type: mediaType,
+    title: (isTv ? data.name : data.title) || "Untitled",
+    original_title: (isTv ? data.original_name : data.original_title) || null,
+    original_language: data.original_language || null,
+    tagline: data.tagline || "",
+    overview: data.overview || "",
+    release_date: releaseDate,
+    status: data.status || null,
+    genres: (data.genres || []).map((g) => ({ id: g.id, name: g.name })),
+    genre_ids: (data.genres || []).map((g) => g.id),
+    vote_average: data.vote_average ?? null,
+    vote_count: data.vote_count ?? 0,
+    poster_path: image("w500", data.poster_path),
+    backdrop_path: image("w1280", data.backdrop_path),
+    homepage: data.homepage || null,
+    ...length,
+    ...people,
+    cast: (credits.cast || [])
+      .slice()
+      .sort((a, b) => (a.order ?? 999) - (b.order ?? 999))
+      .slice(0, 10)
+      .map((c) => ({ id: c.id, name: c.name, character: c.character || "", profile_path: image("w185", c.profile_path) })),
+    trailers: trailersFrom(data.videos),
+    keywords: ((isTv ? data.keywords?.results : data.keywords?.keywords) || []).map((k) => ({ id: k.id, name: k.name })),
+    certification: certificationFrom(mediaType, (isTv ? data.content_ratings : data.release_dates)?.results, region),
+    providers: providerTiers(data["watch/providers"]?.results?.[region]),
+    region
+  };
+}
@@ -0,0 +1,80 @@
+import { IMAGE_BASE } from "./details.js";
+
+/* ================================
+   TV seasons and episodes
+   ================================
+   The season list comes from the show's details (the same cached response
+   as the detail panel). Episodes are fetched with
+   append_to_response=season/1,season/2,... and TMDB allows 20 appends per
+   call, so a show costs one extra call per 20 seasons.
+   Specials (season 0) are listed but never count towards progress.
+*/
+export const SEASON_APPEND_MAX = 20;
+
+const dateOnly = (d) => (typeof d === "string" && /^\d{4}-\d{2}-\d{2}/.test(d) ? d.slice(0, 10) : null);
+const aired = (airDate, today) => Boolean(airDate) && airDate <= today;
+
+// Season numbers in groups that fit one append_to_response
+export function seasonBatches(seasonNumbers) {
+  const out = [];
+  for (let i = 0; i < seasonNumbers.length; i += SEASON_APPEND_MAX) out.push(seasonNumbers.slice(i, i + SEASON_APPEND_MAX));
+  return out;
+}
+
+function episodeRef(ep) {
+  if (!ep) return null;
+  return {
+    season_number: ep.season_number,
+    episode_number: ep.episode_number,
+    name: ep.name || "",
+    air_date: dateOnly(ep.air_date)
+  };
+}
+
+/**
+ * Season and episode lists for one show.
+ * show: raw /tv/:id details, seasonData: { [seasonNumber]: raw season response }.
+ */
+export function buildSeasons(show, seasonData, today = new Date().toISOString().slice(0, 10)) {
+  const seasons = (show.seasons || [])
+    .slice()
+    .sort((a, b) => a.season_number - b.season_number)
+    .map((s) => {
+      const raw = seasonData[s.season_number];
+      const episodes = (raw?.episodes || [])
+        .slice()
+        .sort((a, b) => a.episode_number - b.episode_number)
+        .map((ep) => {
+          const airDate = dateOnly(ep.air_date);
+          return {
+            episode_number: ep.episode_number,
+            name: ep.name || `Episode ${ep.episode_number}`,
+            air_date: airDate,
+            aired: aired(airDate, today),
+            runtime: ep.runtime || null,
+            still_path: ep.still_path ? `${IMAGE_BASE}/w300${ep.still_path}` : null
+          };
+        });
+      return {
+        season_number: s.season_number,
+        name: s.name || `Season ${s.season_number}`,
+        special: s.season_number === 0,
+        air_date: dateOnly(s.air_date),
+        episode_count: episodes.length || s.episode_count || 0,
+        aired_count: episodes.filter((e) => e.aired).length,
+        poster_path: s.poster_path ? `${IMAGE_BASE}/w185${s.poster_path}` : null,
+        episodes
+      };
+    });
+
+  return {
+    id: show.id,
+    media_type: "tv",
+    title: show.name || "Untitled",
+    in_production: Boolean(show.in_production),
+    status: show.status || null,
+    last_episode_to_air: episodeRef(show.last_episode_to_air),
+    next_episode_to_air: episodeRef(show.next_episode_to_air),
+    seasons
+  };
+}
@@ -0,0 +1,402 @@
+/* ================================
+   Stand-in TMDB catalogue
+   ================================
+   A small made-up library served by tools/tmdb-catalog.js, so the eval
+   corpus and the tests have fixtures to replay without a TMDB key. The
+   titles, people and ratings are invented, chosen so every case in
+   prompts.json has both titles that fit and titles that break the case's
+   constraints (a 15-rated horror next to the kids films, a 1980 thriller
+   next to the pre-1980 ones, a series on Prime next to the Netflix ones).
+
+   movie(id, title, release date, genre ids, language, runtime, certifications, providers, keywords, people, overview)
+   tv(id, name, first air date, genre ids, language, episode runtime, seasons, certifications, providers, keywords, people, overview)
+
+   certifications  "GB:U US:G DE:0"
+   providers       { GB: "Netflix, Apple TV$" } where a name alone is subscription,
+                   "$" rent and buy, "*" free, "~" free with ads
+   people          "Director or creator | Cast, Cast"
+*/
+export const PROVIDERS = {
+  "Apple TV": 2,
+  "Google Play Movies": 3,
+  Netflix: 8,
+  "Amazon Prime Video": 9,
+  Hulu: 15,
+  "BBC iPlayer": 38,
+  "Now TV": 39,
+  "Channel 4": 103,
+  Crunchyroll: 283,
+  "Pluto TV": 300,
+  "Disney Plus": 337,
+  "Paramount Plus": 531,
+  ZDF: 537,
+  Max: 1899
+};
+
+const movie = (id, title, date, genres, lang, runtime, certs, providers, keywords, people, overview) => ({
+  media_type: "movie", id, title, date, genres, lang, runtime, certs, providers, keywords, people, overview
+});
+const tv = (id, title, date, genres, lang, runtime, seasons, certs, providers, keywords, people, overview) => ({
+  media_type: "tv", id, title, date, genres, lang, runtime, seasons, certs, providers, keywords, people, overview
+});
+
+export const TITLES = [
+  // Animated and family films
+  movie(5001, "Pip and the Paper Moon", "2019-07-12", [16, 10751, 12], "en", 88, "GB:U US:G DE:0",
+    { GB: "Disney Plus", US: "Disney Plus", DE: "Disney Plus" }, ["friendship", "moon", "origami"], "Ada Quill | Mo Harlow, Tess Avery",
+    "A paper boy folds himself a ladder to the moon to bring back his sister's lost kite."),
+  movie(5002, "The Lighthouse Mice", "2016-03-04", [16, 10751, 35], "en", 84, "GB:U US:G DE:0",
+    { GB: "Netflix, BBC iPlayer*", US: "Netflix", DE: "Netflix" }, ["mouse", "lighthouse", "sea"], "Ben Okafor | Lila Strand, Mo Harlow",
+    "Three mice keep an old lighthouse burning through the stormiest night of the year."),
+  movie(5003, "Dragon Hiccups", "2021-11-19", [16, 10751, 14], "en", 95, "GB:PG US:PG DE:6",
+    { GB: "Disney Plus", US: "Disney Plus", DE: "Disney Plus" }, ["dragon", "friendship"], "Ada Quill | Tess Avery, Rufus Pell",
+    "A young dragon who cannot stop hiccuping sparks must learn to breathe fire before the winter festival."),
+  movie(5004, "Robo Pals", "2012-06-22", [16, 10751, 878], "en", 91, "GB:U US:G DE:0",
+    { GB: "Amazon Prime Video", US: "Amazon Prime Video, Hulu", DE: "Amazon Prime Video" }, ["robot", "friendship"], "Ben Okafor | Rufus Pell",
+    "A lonely cleaning robot builds itself a friend out of spare parts."),
+  movie(5005, "Snowball Rescue", "2008-12-05", [16, 10751, 12], "en", 89, "GB:U US:G DE:0",
+    { GB: "Now TV, Apple TV$", US: "Max, Apple TV$", DE: "Netflix" }, ["snow", "penguin", "rescue"], "Cora Lind | Lila Strand",
+    "Two penguin chicks drift away on an ice floe and have to find their way home."),
+  movie(5006, "Jungle Drumbeat", "2001-05-18", [16, 10751, 10402], "en", 92, "GB:U US:G DE:0",
+    { GB: "Disney Plus", US: "Disney Plus" }, ["jungle", "music", "drum"], "Cora Lind | Mo Harlow",
+    "A gorilla who hears music in everything starts the loudest band the jungle has ever known."),
+  movie(5007, "Castle of Lost Socks", "2023-02-10", [16, 10751, 14, 35], "en", 97, "GB:PG US:PG DE:6",
+    { GB: "Netflix", US: "Netflix", DE: "Netflix" }, ["magic", "castle"], "Ada Quill | Tess Avery",
+    "Every missing sock ends up in a floating castle, and one of them wants to go home."),
+  movie(5008, "Monster Sleepover", "2018-10-19", [16, 10751, 35], "en", 86, "GB:U US:PG DE:6",
+    { GB: "Disney Plus", US: "Disney Plus", DE: "Disney Plus" }, ["monster", "halloween", "sleepover"], "Ben Okafor | Rufus Pell, Lila Strand",
+    "The monsters under the bed throw a sleepover and learn that children are not so scary after all."),
+  movie(5009, "Zombie Picnic", "2020-08-14", [16, 10751, 35], "en", 86, "GB:U US:PG DE:6",
+    { GB: "Disney Plus", US: "Disney Plus" }, ["zombie", "picnic"], "Cora Lind | Mo Harlow",
+    "A very polite zombie tries to make friends at the village picnic."),
+  movie(5010, "The Brave Little Kite", "1994-04-01", [16, 10751], "en", 78, "GB:U US:G DE:0",
+    { GB: "Disney Plus", US: "Disney Plus", DE: "Disney Plus" }, ["kite", "wind"], "Hal Brenner | Tess Avery",
+    "A patched-up kite sets out across the hills to find the girl who flew it."),
+  movie(5011, "Starlight Ponies", "1997-09-26", [16, 10751, 14], "en", 80, "GB:U US:G DE:0",
+    { GB: "Amazon Prime Video", US: "Amazon Prime Video" }, ["horse", "magic"], "Hal Brenner | Lila Strand",
+    "Ponies who pull the stars across the sky lose one over a sleeping town."),
+  movie(5012, "Tiny Titans of the Tide", "2022-04-08", [16, 10751, 12], "fr", 82, "GB:U US:PG DE:0",
+    { GB: "BBC iPlayer*, Netflix", US: "Netflix", DE: "ZDF*" }, ["sea", "crab"], "Julie Marceau | Anaïs Roche",
+    "Hermit crabs go looking for a shell big enough for the whole family."),
+  movie(5013, "Grumpy Gnome Grows Up", "2024-03-22", [16, 10751, 35], "en", 94, "GB:PG US:PG DE:6",
+    { GB: "Now TV", US: "Paramount Plus" }, ["gnome", "garden"], "Ada Quill | Rufus Pell",
+    "A garden gnome who has been grumpy for three hundred years is asked to babysit."),
+  movie(5014, "Mecha Samurai Akira", "2017-08-04", [16, 28, 878], "ja", 118, "GB:15 US:R DE:16",
+    { GB: "Crunchyroll, Netflix", US: "Crunchyroll" }, ["anime", "mecha", "cyberpunk", "gore"], "Kenji Arata | Yui Mori",
+    "In a drowned Tokyo a retired pilot climbs back into the war machine that killed his brother."),
+  movie(5015, "Neon Alley", "2020-01-31", [16, 80, 53], "en", 104, "GB:18 US:R DE:18",
+    { GB: "Netflix", US: "Max" }, ["adult animation", "drug use", "heist"], "Vince Dorado | Sam Keel",
+    "An animated noir about two couriers who steal from the wrong gang."),
+  movie(5016, "The Dreamless", "2015-05-15", [16, 18, 14], "en", 99, "GB:15 US:R DE:16",
+    { GB: "Amazon Prime Video", US: "Amazon Prime Video" }, ["adult animation", "grief", "dream"], "Vince Dorado | Nora Vale",
+    "A painter who can no longer dream walks into other people's dreams to finish her last work."),
+  movie(5017, "Spirited Lanterns", "2003-07-19", [16, 14, 10751], "ja", 121, "GB:PG US:PG DE:6",
+    { GB: "Netflix", US: "Max", DE: "Netflix" }, ["anime", "spirit", "festival"], "Kenji Arata | Yui Mori",
+    "A girl follows the lanterns of a summer festival into a town of spirits."),
+  movie(5018, "Fox Family Holiday", "2014-12-12", [10751, 35], "en", 101, "GB:PG US:PG DE:6",
+    { GB: "Disney Plus", US: "Disney Plus" }, ["christmas", "family holiday"], "Gwen Tallis | Mo Harlow, Nora Vale",
+    "The Fox family swap houses with strangers for Christmas and regret it within the hour."),
+  movie(5019, "Backyard Astronauts", "2011-07-01", [10751, 12, 878], "en", 98, "GB:PG US:PG DE:6",
+    { GB: "Netflix", US: "Netflix" }, ["space", "rocket", "summer"], "Gwen Tallis | Rufus Pell",
+    "Four friends build a rocket in the garden shed and are surprised when it works."),
+  movie(5020, "Camp Wildwood", "2017-06-30", [10751, 35], "en", 96, "GB:PG US:PG-13 DE:12",
+    { GB: "Amazon Prime Video", US: "Hulu" }, ["summer camp"], "Gwen Tallis | Sam Keel",
+    "A rival camp's pranks go too far in the last week of summer."),
+  movie(5021, "Treasure of Pelican Bay", "1999-07-16", [10751, 12], "en", 103, "GB:U US:G DE:0",
+    { GB: "Disney Plus", US: "Disney Plus, Hulu" }, ["treasure", "pirate"], "Hal Brenner | Lila Strand",
+    "Three cousins find a pirate map in their grandfather's boathouse."),
+  movie(5022, "The Dog Who Knew Too Much", "2019-02-08", [10751, 35], "en", 90, "GB:PG US:PG DE:6",
+    { GB: "Netflix", US: "Amazon Prime Video" }, ["dog", "detective"], "Gwen Tallis | Tess Avery",
+    "A beagle witnesses a bank robbery and has to convince his family to listen."),
+
+  // Horror
+  movie(5030, "Night of the Hollow", "2016-10-28", [27, 53], "en", 98, "GB:18 US:R DE:18",
+    { GB: "Amazon Prime Video", US: "Amazon Prime Video" }, ["gore", "zombie", "splatter"], "Rex Dunmore | Sam Keel",
+    "A village empties overnight, and what comes back from the hollow is hungry."),
+  movie(5031, "The Attic Door", "2021-09-10", [27], "en", 94, "GB:15 US:R DE:16",
+    { GB: "Netflix", US: "Netflix" }, ["jump scare", "haunted house"], "Rex Dunmore | Nora Vale",
+    "A family moves into a house where the attic door will not stay shut."),
+  movie(5032, "Hive", "2013-03-15", [27, 878], "en", 101, "GB:18 US:R DE:18",
+    { GB: "Now TV", US: "Max" }, ["spider", "body horror"], "Rex Dunmore | Sam Keel",
+    "A research station finds out what has been nesting under the ice."),
+  movie(5033, "Deadwater Lake", "1979-06-01", [27, 53], "en", 92, "GB:18 US:R DE:18",
+    { GB: "Apple TV$", US: "Apple TV$" }, ["gore", "lake"], "Walt Crane | Edie Munro",
+    "Campers at a drained reservoir start disappearing one by one."),
+
+  // Thrillers, old and new
+  movie(5040, "The Fourth Witness", "1958-02-14", [53, 9648, 80], "en", 108, "GB:PG US:NR DE:12",
+    { GB: "BBC iPlayer*, Apple TV$", US: "Apple TV$" }, ["courtroom", "witness"], "Walt Crane | Edie Munro, Lionel Asher",
+    "A juror becomes convinced the fourth witness is lying, and that she is next."),
+  movie(5041, "Midnight Train to Vienna", "1963-11-08", [53, 9648], "en", 112, "GB:PG US:NR DE:12",
+    { GB: "Channel 4*", US: "Pluto TV~" }, ["train", "spy"], "Walt Crane | Lionel Asher",
+    "A diplomat's wife vanishes between two stations on the night train."),
+  movie(5042, "Cold Harbour", "1974-04-19", [53, 80], "en", 105, "GB:15 US:R DE:16",
+    { GB: "Apple TV$", US: "Max" }, ["conspiracy", "dock"], "Otto Rask | Lionel Asher",
+    "A dock inspector follows a missing cargo into a city-wide cover-up."),
+  movie(5043, "The Parallax Hour", "1976-09-24", [53, 18], "en", 118, "GB:15 US:R DE:16",
+    { GB: "Amazon Prime Video", US: "Amazon Prime Video" }, ["conspiracy", "journalist"], "Otto Rask | Edie Munro",
+    "A reporter has one hour to prove an assassination was staged."),
+  movie(5044, "Shadow on the Stairs", "1948-01-09", [53, 9648], "en", 87, "GB:U DE:12",
+    { GB: "BBC iPlayer*" }, ["boarding house", "murder"], "Walt Crane | Edie Munro",
+    "Lodgers in a London boarding house suspect each other after a death on the stairs."),
+  movie(5045, "Signal Lost", "1980-03-07", [53], "en", 99, "GB:15 US:R DE:16",
+    { GB: "Apple TV$", US: "Apple TV$" }, ["radio", "kidnapping"], "Otto Rask | Lionel Asher",
+    "A radio ham overhears a kidnapping and nobody believes him."),
+  movie(5046, "Ninety Seconds", "2019-05-03", [53, 28], "en", 106, "GB:15 US:R DE:16",
+    { GB: "Netflix", US: "Netflix" }, ["bomb", "countdown"], "Dana Whitlock | Sam Keel",
+    "A bomb technician has ninety seconds to decide whom to trust."),
+  movie(5047, "Glass Tower", "2010-10-15", [53, 80], "en", 115, "GB:15 US:R DE:16",
+    { GB: "Now TV", US: "Max" }, ["skyscraper", "hostage"], "Dana Whitlock | Nora Vale",
+    "A cleaner is the only one left free when a bank's tower is taken over."),
+
+  // Korean titles
+  movie(5050, "The Ferryman's Debt", "2019-05-30", [53, 80, 18], "ko", 131, "GB:15 US:R DE:16",
+    { GB: "Netflix", US: "Hulu" }, ["revenge", "loan shark"], "Park Jae-won | Kim Ha-neul",
+    "A ferry owner in debt to the wrong people plans one last crossing."),
+  movie(5051, "Seoul Nocturne", "2016-11-23", [53, 9648], "ko", 117, "GB:15 US:R DE:16",
+    { GB: "Amazon Prime Video", US: "Amazon Prime Video" }, ["serial killer", "detective"], "Park Jae-won | Lee Min-seo",
+    "A night-shift detective realises the murders follow the last bus route."),
+  movie(5052, "Typhoon Line", "2022-08-10", [28, 53], "ko", 121, "GB:15 US:R DE:16",
+    { GB: "Netflix", US: "Netflix" }, ["storm", "train"], "Choi Dong-hyun | Kim Ha-neul",
+    "Passengers on a high-speed train race a typhoon to Busan."),
+
+  // 1993-1995
+  movie(5060, "Paper Crowns", "1994-09-16", [35, 18], "en", 102, "GB:12 US:PG-13 DE:12",
+    { GB: "Amazon Prime Video", US: "Paramount Plus" }, ["small town", "pageant"], "Hal Brenner | Nora Vale",
+    "A washed-up pageant coach takes on the least likely contestant in Ohio."),
+  movie(5061, "The Last Ferry Home", "1994-11-04", [18, 10749], "en", 118, "GB:12 US:PG-13 DE:12",
+    { GB: "Netflix", US: "Netflix" }, ["island", "first love"], "Gwen Tallis | Lionel Asher",
+    "Two strangers miss the last ferry off an island and spend the night talking."),
+  movie(5062, "Iron Lotus", "1994-02-25", [28, 80], "cn", 99, "GB:18 US:R DE:18",
+    { GB: "Apple TV$", US: "Apple TV$" }, ["martial arts", "triad"], "Wong Kar-lun | Tony Lam",
+    "A cook with a past is dragged back into the triad wars of Kowloon."),
+  movie(5063, "Quiet Harbour", "1994-06-15", [18], "fr", 110, "GB:12 US:NR DE:12",
+    { GB: "BBC iPlayer*" }, ["fishing village", "family"], "Julie Marceau | Anaïs Roche",
+    "A fisherman's daughter returns to the village she swore she would never see again."),
+  movie(5064, "Cobalt Summer", "1995-07-07", [35], "en", 95, "GB:12 US:PG-13 DE:12",
+    { GB: "Netflix", US: "Hulu" }, ["summer", "road trip"], "Hal Brenner | Sam Keel",
+    "Two brothers drive their grandmother's blue convertible across the country."),
+  movie(5065, "Telegraph Hill", "1993-03-12", [9648, 53], "en", 107, "GB:15 US:R DE:16",
+    { GB: "Now TV", US: "Max" }, ["san francisco", "blackmail"], "Otto Rask | Edie Munro",
+    "A locksmith opens one safe too many on Telegraph Hill."),
+
+  // Comedies
+  movie(5070, "Hotel Bellhop", "1996-05-24", [35], "en", 94, "GB:PG US:PG DE:6",
+    { GB: "Netflix", US: "Netflix" }, ["hotel", "slapstick"], "Ray Sutter | Mo Harlow",
+    "A bellhop covers for his guests' secrets during the busiest weekend of the year."),
+  movie(5071, "Two Left Feet", "1998-02-13", [35, 10749], "en", 101, "GB:12 US:PG-13 DE:12",
+    { GB: "Amazon Prime Video", US: "Amazon Prime Video" }, ["dance", "wedding"], "Ray Sutter | Nora Vale",
+    "The worst dancer in Chicago has six weeks to learn the tango for his sister's wedding."),
+  movie(5072, "Career Day", "1991-10-04", [35], "en", 88, "GB:PG US:PG DE:6",
+    { GB: "Now TV", US: "Paramount Plus" }, ["school", "parents"], "Ray Sutter | Sam Keel",
+    "A dad with no job has to present at his son's career day."),
+  movie(5073, "Sofa King Weekend", "1999-08-20", [35], "en", 85, "GB:15 US:R DE:12",
+    { GB: "Channel 4*", US: "Pluto TV~" }, ["stoner", "road trip"], "Ray Sutter | Rufus Pell",
+    "Two roommates try to return a sofa to a store that closed in 1987."),
+  movie(5074, "Mister Mayor", "1993-06-18", [35, 18], "en", 110, "GB:PG US:PG-13 DE:6",
+    { GB: "Apple TV$", US: "Apple TV$" }, ["politics", "small town"], "Ray Sutter | Lionel Asher",
+    "A diner owner becomes mayor by accident and refuses to give the job back."),
+  movie(5075, "Office Olympics", "2006-03-31", [35], "en", 89, "GB:12 US:PG-13 DE:12",
+    { GB: "Netflix", US: "Netflix" }, ["office", "competition"], "Ray Sutter | Mo Harlow",
+    "Bored accountants turn the quarterly audit into a sporting event."),
+  movie(5076, "The Best Man's Speech", "2013-09-06", [35, 10749], "en", 97, "GB:15 US:R DE:12",
+    { GB: "Amazon Prime Video", US: "Hulu" }, ["wedding", "speech"], "Gwen Tallis | Sam Keel",
+    "A best man loses his speech the night before the wedding and rewrites it drunk."),
+  movie(5077, "Road Trip to Nowhere", "2018-07-27", [35, 12], "en", 84, "GB:15 US:R DE:12",
+    { GB: "Netflix", US: "Netflix" }, ["road trip", "friendship"], "Dana Whitlock | Rufus Pell",
+    "Three friends set off to scatter ashes and forget which town they were going to."),
+  movie(5078, "Goat Yoga", "2022-05-13", [35], "en", 79, "GB:12 US:PG-13 DE:6",
+    { GB: "Now TV", US: "Max" }, ["yoga", "farm"], "Dana Whitlock | Tess Avery",
+    "A failing farm bets everything on goat yoga retreats."),
+  movie(5079, "Inflatable", "2009-04-17", [35], "en", 92, "GB:12 US:PG-13 DE:6",
+    { GB: "Amazon Prime Video", US: "Amazon Prime Video" }, ["bouncy castle", "business"], "Ray Sutter | Mo Harlow",
+    "Two brothers fight over the family bouncy castle empire."),
+
+  // Romance
+  movie(5080, "Letters from Lisbon", "2017-02-10", [10749, 18], "en", 104, "GB:12 US:PG-13 DE:6",
+    { GB: "Netflix", US: "Netflix" }, ["letters", "lisbon"], "Gwen Tallis | Nora Vale, Lionel Asher",
+    "A translator falls for the writer of the letters she is paid to translate."),
+  movie(5081, "Cafe Amour", "2021-02-12", [10749, 35], "en", 99, "GB:12 US:PG-13 DE:6",
+    { GB: "Netflix", US: "Netflix" }, ["cafe", "cosy"], "Gwen Tallis | Tess Avery",
+    "Two rival cafes on the same street share a single, very confused regular."),
+  movie(5082, "Second Spring", "2012-04-20", [10749], "en", 108, "GB:12 US:PG-13 DE:6",
+    { GB: "Amazon Prime Video, Apple TV$", US: "Amazon Prime Video" }, ["widow", "garden"], "Cora Lind | Edie Munro",
+    "A widow and a widower compete at the village flower show."),
+  movie(5083, "Rain on Hudson", "2019-11-01", [10749, 35], "en", 96, "GB:12 US:PG-13 DE:6",
+    { GB: "Apple TV$", US: "Apple TV$" }, ["new york", "rain"], "Cora Lind | Sam Keel",
+    "Two commuters share an umbrella every rainy day for a year."),
+  movie(5084, "Snowed In With You", "2020-12-04", [10749, 35], "en", 92, "GB:PG US:PG DE:0",
+    { GB: "Netflix", US: "Netflix" }, ["christmas", "snow", "cosy"], "Cora Lind | Nora Vale",
+    "A blizzard traps a food critic in the inn she gave one star."),
+
+  // Action
+  movie(5090, "Redline Protocol", "2018-03-16", [28, 53], "en", 112, "GB:15 US:R DE:16",
+    { GB: "Amazon Prime Video", US: "Amazon Prime Video" }, ["car chase", "spy"], "Dana Whitlock | Sam Keel",
+    "A getaway driver is hired by the agency that framed her."),
+  movie(5091, "Steel Coast", "2015-06-05", [28, 12], "en", 118, "GB:12 US:PG-13 DE:12",
+    { GB: "Netflix", US: "Netflix" }, ["pirate", "navy"], "Dana Whitlock | Lionel Asher",
+    "A coastguard crew takes on modern pirates off the coast of Somalia."),
+  movie(5092, "Ghost Squadron", "2021-09-24", [28, 10752], "en", 124, "GB:15 US:R DE:16",
+    { GB: "Now TV", US: "Max" }, ["pilot", "world war ii"], "Otto Rask | Sam Keel",
+    "Night fighter pilots fly one impossible mission over the Channel."),
+  movie(5093, "Apex Runner", "2012-08-10", [28, 878], "en", 109, "GB:12 US:PG-13 DE:12",
+    { GB: "Amazon Prime Video", US: "Amazon Prime Video, Hulu" }, ["parkour", "future"], "Dana Whitlock | Rufus Pell",
+    "In a walled city a courier outruns drones to deliver a cure."),
+  movie(5094, "Kill Switch Nine", "2023-04-14", [28], "en", 101, "GB:18 US:R DE:18",
+    { GB: "Netflix", US: "Netflix, Apple TV$" }, ["assassin", "revenge"], "Dana Whitlock | Nora Vale",
+    "A retired assassin finds her name on the list she wrote."),
+  movie(5095, "Harbour Heist", "2009-11-20", [28, 80], "en", 113, "GB:12 US:PG-13 DE:12",
+    { GB: "Amazon Prime Video", US: "Hulu" }, ["heist", "harbour"], "Otto Rask | Lionel Asher",
+    "A crew plans to steal a container ship in the middle of the harbour."),
+
+  // Mysteries
+  movie(5100, "Murder at Marlow Manor", "2022-10-07", [9648, 35, 80], "en", 105, "GB:12 US:PG-13 DE:12",
+    { GB: "Netflix", US: "Netflix" }, ["whodunit", "country house", "cosy"], "Cora Lind | Edie Munro, Lionel Asher",
+    "A crossword setter solves the murder at her aunt's birthday weekend."),
+  movie(5101, "The Vicar's Last Sermon", "2019-09-13", [9648], "en", 98, "GB:12 US:PG-13 DE:12",
+    { GB: "BBC iPlayer*", US: "Hulu" }, ["village", "cosy", "whodunit"], "Cora Lind | Edie Munro",
+    "The whole congregation had a reason to rewrite the vicar's final sermon."),
+  movie(5102, "Le Jardin Secret", "2018-05-23", [9648, 18], "fr", 112, "GB:12 US:NR DE:12",
+    { GB: "Netflix", US: "Netflix" }, ["garden", "secret", "slow burn"], "Julie Marceau | Anaïs Roche",
+    "A gardener uncovers what the family buried under the roses."),
+  movie(5103, "Fjord Silence", "2016-01-29", [9648, 53], "no", 110, "GB:15 US:R DE:12",
+    { GB: "Amazon Prime Video", US: "Amazon Prime Video" }, ["slow burn", "fjord", "missing person"], "Ingrid Dahl | Lars Berg",
+    "A missing ferryman is found, alive and silent, on the far side of the fjord."),
+
+  // Musicals
+  movie(5110, "Broadway Bound", "2019-12-20", [10402, 35], "en", 122, "GB:PG US:PG DE:0",
+    { GB: "Disney Plus", US: "Disney Plus" }, ["broadway", "musical"], "Lena Ford | Tess Avery, Mo Harlow",
+    "A theatre cleaner gets one night to sing the lead."),
+  movie(5111, "Monsoon Melody", "2015-06-26", [10402, 10749, 18], "hi", 158, "GB:12A US:NR DE:6",
+    { GB: "Netflix", US: "Netflix" }, ["bollywood", "musical", "monsoon"], "Raj Mehra | Priya Kapoor",
+    "A wedding singer and a rain-soaked stranger fall in love over one monsoon season."),
+  movie(5112, "Dil Ki Dhun", "2021-10-15", [10402, 10749], "hi", 149, "GB:12A US:NR DE:6",
+    { GB: "Amazon Prime Video", US: "Amazon Prime Video" }, ["bollywood", "musical"], "Raj Mehra | Arjun Das",
+    "A tabla player and a pop star are forced to record one song together."),
+  movie(5113, "Starlight Ballroom", "1957-04-12", [10402, 10749], "en", 104, "GB:U US:NR DE:0",
+    { GB: "BBC iPlayer*", US: "Apple TV$" }, ["dance", "musical"], "Lena Ford | Edie Munro",
+    "A ballroom on its last night brings two old partners back to the floor."),
+  movie(5114, "Rhythm Street", "2023-06-09", [10402, 18], "en", 111, "GB:12A US:PG-13 DE:6",
+    { GB: "Now TV", US: "Max" }, ["street dance", "musical"], "Lena Ford | Sam Keel",
+    "A dance crew fights to keep their community centre open."),
+  movie(5115, "Kaadhal Beats", "2018-02-09", [10402, 10749], "ta", 152, "GB:12A US:NR DE:6",
+    { GB: "Amazon Prime Video", US: "Amazon Prime Video" }, ["musical", "college"], "Karthik Raman | Meera Iyer",
+    "Two rival college bands end up writing the same love song."),
+  movie(5116, "Encore!", "2011-11-11", [10402, 35], "en", 96, "GB:PG US:PG DE:0",
+    { GB: "Netflix", US: "Hulu" }, ["choir", "musical"], "Lena Ford | Mo Harlow",
+    "A disbanded school choir reunites for one last competition."),
+
+  // Short film and dramas
+  movie(5120, "The Red Balloon Again", "2014-05-16", [10751, 18], "fr", 38, "GB:U US:NR DE:0",
+    { GB: "BBC iPlayer*", US: "Pluto TV~" }, ["balloon", "short film"], "Julie Marceau | Anaïs Roche",
+    "A balloon follows a boy through Paris on his first day at a new school."),
+  movie(5130, "The Long Way Back", "2020-10-02", [18], "en", 128, "GB:12 US:PG-13 DE:12",
+    { GB: "Netflix", US: "Netflix" }, ["addiction", "family"], "Gwen Tallis | Lionel Asher",
+    "A father walks the length of the country to win back his son."),
+  movie(5131, "Grand Design", "2016-09-09", [18, 36], "en", 140, "GB:12 US:PG-13 DE:12",
+    { GB: "Amazon Prime Video", US: "Amazon Prime Video" }, ["architect", "biography"], "Otto Rask | Edie Munro",
+    "The architect of a great cathedral fights the church that hired her."),
+  movie(5132, "Everest North", "2015-03-27", [12, 18], "en", 121, "GB:12 US:PG-13 DE:12",
+    { GB: "Disney Plus", US: "Disney Plus" }, ["mountain", "survival"], "Dana Whitlock | Rufus Pell",
+    "A climbing team is stranded on the north face after a storm."),
+
+  // Series
+  tv(7001, "Orbital Drift", "2018-02-01", [10765, 18], "en", 52, 2, "GB:15 US:TV-MA DE:16",
+    { GB: "Netflix", US: "Netflix" }, ["space station", "survival"], "Mira Solace | Nora Vale",
+    "The crew of a failing space station drifts further from Earth every episode."),
+  tv(7002, "The Colony Protocol", "2021-04-15", [10765, 10759], "en", 58, 3, "GB:15 US:TV-14 DE:16",
+    { GB: "Amazon Prime Video", US: "Amazon Prime Video" }, ["colony", "alien"], "Mira Solace | Sam Keel",
+    "Settlers on a new planet find they were not the first to arrive."),
+  tv(7004, "Event Horizon High", "2016-09-12", [10765, 35], "en", 24, 4, "GB:12 US:TV-PG DE:12",
+    { GB: "Disney Plus", US: "Hulu" }, ["school", "time travel"], "Jess Arlo | Tess Avery",
+    "A high school sits on a tear in time, which makes detention unpredictable."),
+  tv(7005, "Signal From Titan", "2012-01-10", [10765, 9648], "en", 48, 3, "GB:15 US:TV-14 DE:16",
+    { GB: "Now TV", US: "Max" }, ["space", "first contact"], "Mira Solace | Lionel Asher",
+    "A radio telescope picks up a message that predicts the news."),
+  tv(7006, "Chrome Saints", "2015-10-05", [10765, 80], "en", 55, 2, "GB:18 US:TV-MA DE:18",
+    { GB: "Netflix", US: "Netflix" }, ["cyberpunk", "gang"], "Vince Dorado | Sam Keel",
+    "Augmented street gangs fight over the last clean water in the city."),
+  tv(7010, "Brickhouse Lane", "2008-01-14", [35], "en", 24, 6, "GB:12 US:TV-PG DE:12",
+    { GB: "Channel 4*, Netflix", US: "Hulu" }, ["sitcom", "neighbours"], "Jess Arlo | Mo Harlow",
+    "Neighbours on a tiny street cannot keep out of each other's business."),
+  tv(7011, "The Coastguard", "2008-09-03", [18, 80], "en", 50, 5, "GB:15 US:TV-14 DE:16",
+    { GB: "BBC iPlayer*", US: "Pluto TV~" }, ["coast", "smuggling"], "Otto Rask | Lionel Asher",
+    "A coastguard station on the Cornish coast is the last line against smugglers."),
+  tv(7012, "Hill Street Vets", "2008-04-20", [18], "en", 45, 4, "GB:PG US:TV-PG DE:6",
+    { GB: "Now TV", US: "Paramount Plus" }, ["vet", "animals"], "Jess Arlo | Tess Avery",
+    "A city vet practice treats everything from hamsters to police horses."),
+  tv(7013, "Moonbase Zero", "2009-02-02", [10765], "en", 47, 2, "GB:12 US:TV-14 DE:12",
+    { GB: "Amazon Prime Video", US: "Amazon Prime Video" }, ["moon", "base"], "Mira Solace | Rufus Pell",
+    "The first lunar base loses contact with Earth on its first birthday."),
+  tv(7014, "Pioneers", "2007-06-06", [37, 18], "en", 52, 3, "GB:12 US:TV-14 DE:12",
+    { GB: "Apple TV$", US: "Max" }, ["frontier", "family"], "Walt Crane | Lionel Asher",
+    "Three families push west along the Oregon trail."),
+  tv(7020, "Dockside", "2019-03-18", [80, 18], "en", 58, 3, "GB:15 US:TV-MA DE:16",
+    { GB: "Netflix", US: "Netflix" }, ["police", "drugs", "port"], "Otto Rask | Sam Keel",
+    "Detectives at Europe's busiest port follow one shipment through a city."),
+  tv(7021, "The Inspector's Ledger", "2014-01-05", [80, 9648], "en", 90, 4, "GB:12 US:TV-14 DE:12",
+    { GB: "BBC iPlayer*", US: "Hulu" }, ["detective", "whodunit"], "Cora Lind | Edie Munro",
+    "A retired inspector reopens the cases in his old notebook."),
+  tv(7022, "Vice Row", "2022-05-02", [80, 18], "en", 55, 2, "GB:18 US:TV-MA DE:18",
+    { GB: "Now TV", US: "Max" }, ["police corruption", "drugs"], "Otto Rask | Nora Vale",
+    "An internal affairs officer goes undercover in her own precinct."),
+  tv(7023, "Cartel Sun", "2017-09-01", [80, 18], "es", 50, 3, "GB:18 US:TV-MA DE:18",
+    { GB: "Netflix", US: "Netflix" }, ["cartel", "drugs"], "Diego Ferro | Lucía Ortega",
+    "A pilot flies for a cartel to pay for her daughter's treatment."),
+  tv(7030, "Little Hollow Mysteries", "2020-06-10", [9648, 80, 35], "en", 45, 3, "GB:12 US:TV-PG DE:12",
+    { GB: "BBC iPlayer*", US: "Hulu" }, ["cosy", "village", "whodunit"], "Cora Lind | Edie Munro",
+    "A village librarian keeps solving murders nobody asked her to solve."),
+  tv(7031, "Blaue Stunde", "2018-03-03", [9648, 80], "de", 88, 4, "GB:15 US:TV-14 DE:12",
+    { GB: "Amazon Prime Video", US: "Amazon Prime Video", DE: "ZDF*" }, ["detective", "berlin"], "Jana Roth | Felix Brandt",
+    "A Berlin detective only works the cases that come in at dusk."),
+  tv(7032, "La Villa Escondida", "2021-01-22", [9648, 18], "es", 50, 2, "GB:15 US:TV-MA DE:16",
+    { GB: "Netflix", US: "Netflix" }, ["slow burn", "inheritance"], "Diego Ferro | Lucía Ortega",
+    "Five heirs must live in a hidden villa for a year to inherit it."),
+  tv(7040, "The Ninth Floor", "2023-02-14", [9648, 18], "en", 42, 1, "GB:15 US:TV-14 DE:12",
+    { GB: "BBC iPlayer*", US: "Hulu" }, ["miniseries", "hotel"], "Jess Arlo | Nora Vale",
+    "Guests on the ninth floor of a hotel all claim to have heard the same scream."),
+  tv(7041, "Short Fuse", "2021-08-06", [35], "en", 28, 1, "GB:15 US:TV-MA DE:12",
+    { GB: "Channel 4*", US: "Hulu" }, ["miniseries", "office"], "Jess Arlo | Rufus Pell",
+    "A fireworks factory has one week to fill its biggest ever order."),
+  tv(7042, "Blackwater Files", "2020-11-02", [80, 18], "en", 60, 1, "GB:15 US:TV-MA DE:16",
+    { GB: "Netflix", US: "Netflix" }, ["miniseries", "true crime"], "Otto Rask | Sam Keel",
+    "A journalist reopens a murder case that sent the wrong man to prison."),
+  tv(7043, "Tide Tables", "2022-03-01", [18], "en", 44, 1, "GB:12 US:TV-PG DE:12",
+    { GB: "BBC iPlayer*", US: "Pluto TV~" }, ["miniseries", "island"], "Cora Lind | Edie Munro",
+    "An island community waits for the tide to turn on the night of a storm."),
+  tv(7044, "Weekend Warriors", "2019-04-05", [35], "en", 25, 4, "GB:12 US:TV-14 DE:12",
+    { GB: "Netflix", US: "Netflix" }, ["sitcom", "football"], "Jess Arlo | Mo Harlow",
+    "The worst Sunday league football team in England refuses to quit."),
+  tv(7050, "Winter Hostage", "2021-12-10", [80, 9648, 18], "ko", 62, 1, "GB:15 US:TV-MA DE:16",
+    { GB: "Netflix", US: "Netflix" }, ["hostage", "snow"], "Park Jae-won | Kim Ha-neul",
+    "Snowed in at a mountain resort, a negotiator realises the hostage-taker is one of the guests."),
+
+  // Kids series
+  tv(7060, "Bubble Town", "2017-01-09", [16, 10751, 10762], "en", 11, 3, "GB:U US:TV-Y DE:0",
+    { GB: "BBC iPlayer*, Disney Plus", US: "Disney Plus", DE: "Disney Plus" }, ["preschool", "bubbles"], "Ada Quill | Lila Strand",
+    "Everyone in Bubble Town floats to work, until the wind changes."),
+  tv(7061, "Captain Compass", "2020-03-02", [16, 10762, 10759], "en", 22, 2, "GB:U US:TV-Y7 DE:6",
+    { GB: "Netflix", US: "Netflix" }, ["pirate", "map"], "Ben Okafor | Rufus Pell",
+    "A ship's compass who cannot point north leads a crew of kids to adventure."),
+  tv(7062, "The Treehouse Detectives", "2019-09-16", [10751, 10762, 9648], "en", 24, 2, "GB:PG US:TV-G DE:6",
+    { GB: "Disney Plus", US: "Disney Plus" }, ["detective", "treehouse"], "Gwen Tallis | Tess Avery",
+    "Four neighbours solve the small mysteries of their street from a treehouse."),
+  tv(7063, "Robot Rangers Academy", "2022-01-17", [16, 10751, 10765], "en", 23, 2, "GB:PG US:TV-Y7 DE:6",
+    { GB: "Disney Plus", US: "Disney Plus", DE: "Disney Plus" }, ["robot", "school"], "Ben Okafor | Mo Harlow",
+    "Young robots train to become rangers on a space station school."),
+  tv(7064, "Dino Dig", "2015-05-04", [16, 10751, 10762], "en", 12, 4, "GB:U US:TV-Y DE:0",
+    { GB: "Netflix, BBC iPlayer*", US: "Netflix", DE: "Netflix" }, ["dinosaur", "preschool"], "Ada Quill | Lila Strand",
+    "A young palaeontologist digs up a new dinosaur friend every morning."),
+  tv(7065, "Teen Spies", "2018-06-11", [10759, 18], "en", 44, 3, "GB:12 US:TV-14 DE:12",
+    { GB: "Amazon Prime Video", US: "Amazon Prime Video" }, ["spy", "high school"], "Jess Arlo | Sam Keel",
+    "A spy agency recruits from the worst-behaved class in school."),
+  tv(7066, "Suburban Chaos", "2010-09-26", [16, 35], "en", 22, 8, "GB:15 US:TV-MA DE:16",
+    { GB: "Now TV", US: "Hulu" }, ["adult animation", "suburbs"], "Vince Dorado | Rufus Pell",
+    "An animated family lives in the most dysfunctional cul-de-sac in America."),
+  tv(7070, "Crown Street", "2016-11-04", [18, 36], "en", 58, 6, "GB:12 US:TV-14 DE:12",
+    { GB: "Netflix", US: "Netflix" }, ["royalty", "period drama"], "Otto Rask | Edie Munro",
+    "The staff of a London townhouse serve three generations of one powerful family."),
+  tv(7071, "Kitchen Rules", "2021-02-08", [35, 18], "en", 30, 2, "GB:15 US:TV-MA DE:12",
+    { GB: "Disney Plus", US: "Hulu" }, ["restaurant", "chef"], "Jess Arlo | Sam Keel",
+    "A chef inherits a failing sandwich shop and her brother's staff.")
+];
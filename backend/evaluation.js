@@ -0,0 +1,240 @@
+import { allowedForKids, normalizeRegion } from "./certifications.js";
+import { GENRE, itemHasGenre } from "./genres.js";
+import { RELAXED } from "./explain.js";
+import { AVAILABILITY, matchesProvider, normalizeAvailability, providersIn } from "./providers.js";
+
+/* ================================
+   Offline evaluation
+   ================================
+   Scores recommend responses for a corpus of prompts (see eval/prompts.json
+   and tools/eval.js). Each case states the constraints every result must
+   meet; a result that breaks one is a violation. Provider misses on results
+   the pipeline marked as relaxed count as fallback usage instead, since
+   relaxing is the documented behaviour.
+
+   expect: {
+     mediaType        "movie" | "tv"
+     kidsMaxAge       certification must be allowed for this age in the case's region
+     yearExact        release year equals this
+     yearMin/yearMax  release year within the range
+     animationOnly    every result has the Animation genre
+     runtimeMax       movie length or episode length at most this many minutes (unknown passes)
+     maxSeasons       series have at most this many seasons
+     languages        original language is one of these ISO 639-1 codes
+     excludeLanguages original language is none of these
+     providerInclude  names or ids, one must offer the title in the case's availability tiers
+     providerExclude  names or ids, none may offer it
+     minResults       fewer results count as empty (default 1)
+   }
+*/
+export const CONSTRAINTS = ["mediaType", "kidsMaxAge", "yearExact", "yearRange", "animationOnly", "runtimeMax", "maxSeasons", "language", "providerInclude", "providerExclude"];
+
+const yearOf = (r) => Number(String(r.release_date || r.first_air_date || "").slice(0, 4)) || null;
+const keyOf = (r) => `${r.media_type}:${r.id}`;
+const hasRelaxed = (r, code) => (r.signals || []).some((s) => s.kind === "relaxed" && s.code === code);
+
+/**
+ * Constraint problems for one result: [{ constraint, detail, relaxed }].
+ * relaxed is true when the pipeline said it loosened that constraint for this result.
+ */
+export function checkResult(result, expect = {}, { region = "GB", availability = "any" } = {}) {
+  const out = [];
+  const add = (constraint, detail, relaxed = false) => out.push({ constraint, detail, relaxed });
+  const y = yearOf(result);
+
+  if (expect.mediaType && result.media_type !== expect.mediaType) add("mediaType", `is ${result.media_type}`);
+
+  if (expect.kidsMaxAge != null && !allowedForKids(normalizeRegion(region), result.media_type, result.certification, expect.kidsMaxAge)) {
+    add("kidsMaxAge", `rated ${result.certification || "unrated"} for age ${expect.kidsMaxAge}`);
+  }
+
+  if (expect.yearExact && y !== Number(expect.yearExact)) add("yearExact", `from ${y || "unknown year"}`);
+  if ((expect.yearMin && (!y || y < expect.yearMin)) || (expect.yearMax && (!y || y > expect.yearMax))) {
+    add("yearRange", `from ${y || "unknown year"}`);
+  }
+
+  if (expect.animationOnly && !itemHasGenre(result, GENRE.ANIMATION)) add("animationOnly", "not animated");
+
+  const minutes = result.media_type === "tv" ? result.episode_runtime : result.runtime;
+  if (expect.runtimeMax && minutes > expect.runtimeMax) add("runtimeMax", `${minutes} min`);
+  if (expect.maxSeasons && result.seasons > expect.maxSeasons) add("maxSeasons", `${result.seasons} seasons`);
+
+  const lang = result.original_language;
+  if (lang && ((expect.languages && !expect.languages.includes(lang)) || expect.excludeLanguages?.includes(lang))) {
+    add("language", `made in ${lang}`);
+  }
+
+  const watchable = providersIn(result.providers, AVAILABILITY[normalizeAvailability(availability)]);
+  const relaxed = hasRelaxed(result, RELAXED.providers);
+  const include = expect.providerInclude || [];
+  const exclude = expect.providerExclude || [];
+  if (include.length && !watchable.some((p) => include.some((x) => matchesProvider(p, x)))) {
+    add("providerInclude", `not on ${include.join(", ")}`, relaxed);
+  }
+  const excluded = watchable.filter((p) => exclude.some((x) => matchesProvider(p, x)));
+  if (excluded.length) add("providerExclude", `on ${excluded.map((p) => p.name).join(", ")}`, relaxed);
+
+  return out;
+}
+
+function decade(r) {
+  const y = yearOf(r);
+  return y ? Math.floor(y / 10) * 10 : null;
+}
+
+// Mean pairwise genre distance (1 - Jaccard) within one list; 0 for fewer than two results
+export function intraListDiversity(results) {
+  const sets = results.map((r) => new Set(r.genre_ids || []));
+  let sum = 0;
+  let pairs = 0;
+  for (let i = 0; i < sets.length; i++) {
+    for (let j = i + 1; j < sets.length; j++) {
+      const union = new Set([...sets[i], ...sets[j]]).size;
+      const shared = [...sets[i]].filter((g) => sets[j].has(g)).length;
+      sum += union ? 1 - shared / union : 0;
+      pairs++;
+    }
+  }
+  return pairs ? sum / pairs : 0;
+}
+
+/**
+ * Score one case. response is what recommend() returned, or null when it threw (error set).
+ */
+export function evaluateCase(testCase, response, error = null) {
+  const expect = testCase.expect || {};
+  const request = testCase.request || {};
+  // The "Try a different vibe" placeholder is not a title, it counts as an empty list
+  const all = response?.results || [];
+  const results = all.filter((r) => Number.isInteger(Number(r.id)));
+  const ctx = { region: response?.region || request.region || "GB", availability: response?.availability || request.availability || "any" };
+
+  const violations = [];
+  const relaxed = [];
+  for (const r of results) {
+    for (const p of checkResult(r, expect, ctx)) {
+      (p.relaxed ? relaxed : violations).push({ id: r.id, media_type: r.media_type, title: r.title, ...p });
+    }
+  }
+
+  return {
+    id: testCase.id,
+    prompt: request.prompt,
+    error: error ? error.message || String(error) : null,
+    count: results.length,
+    empty: results.length < (expect.minResults ?? 1),
+    keys: results.map(keyOf),
+    violations,
+    relaxed,
+    fallback: {
+      offlineRanker: response?.diagnostics?.ranker === "offline",
+      placeholder: all.length > results.length,
+      popular: results.some((r) => hasRelaxed(r, RELAXED.popular)),
+      providersRelaxed: results.some((r) => hasRelaxed(r, RELAXED.providers)),
+      closestMatch: results.some((r) => hasRelaxed(r, RELAXED.closest))
+    },
+    diversity: {
+      genres: intraListDiversity(results),
+      decades: new Set(results.map(decade).filter(Boolean)).size,
+      mediaTypes: new Set(results.map((r) => r.media_type)).size
+    }
+  };
+}
+
+const rate = (n, d) => (d ? n / d : 0);
+const mean = (xs) => (xs.length ? xs.reduce((a, b) => a + b, 0) / xs.length : 0);
+
+/**
+ * Corpus totals: empty and fallback rates, violations per constraint, diversity, and
+ * how often the same titles come back for different prompts.
+ */
+export function summarize(cases, { fixtureMisses = 0 } = {}) {
+  const scored = cases.filter((c) => !c.error);
+  const keys = cases.flatMap((c) => c.keys);
+  const perTitle = new Map();
+  for (const k of keys) perTitle.set(k, (perTitle.get(k) || 0) + 1);
+
+  const byConstraint = Object.fromEntries(CONSTRAINTS.map((k) => [k, 0]));
+  for (const c of cases) for (const v of c.violations) byConstraint[v.constraint]++;
+
+  const fallbackRate = (k) => rate(scored.filter((c) => c.fallback[k]).length, scored.length);
+  // The offline ranker is a choice (--llm offline, or a case whose model returns nothing), not a degraded result
+  const degraded = scored.filter((c) => Object.entries(c.fallback).some(([k, on]) => on && k !== "offlineRanker"));
+
+  return {
+    cases: cases.length,
+    errors: cases.filter((c) => c.error).length,
+    results: keys.length,
+    emptyRate: rate(scored.filter((c) => c.empty).length, scored.length),
+    violations: cases.reduce((n, c) => n + c.violations.length, 0),
+    casesWithViolations: cases.filter((c) => c.violations.length).length,
+    byConstraint,
+    relaxedResults: cases.reduce((n, c) => n + c.relaxed.length, 0),
+    fallback: {
+      offlineRanker: fallbackRate("offlineRanker"),
+      popular: fallbackRate("popular"),
+      providersRelaxed: fallbackRate("providersRelaxed"),
+      closestMatch: fallbackRate("closestMatch"),
+      placeholder: fallbackRate("placeholder"),
+      any: rate(degraded.length, scored.length)
+    },
+    diversity: {
+      genres: mean(scored.filter((c) => c.count > 1).map((c) => c.diversity.genres)),
+      decades: mean(scored.filter((c) => c.count).map((c) => c.diversity.decades)),
+      uniqueTitles: rate(perTitle.size, keys.length),
+      mostRepeated: Array.from(perTitle.entries())
+        .filter(([, n]) => n > 1)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 5)
+        .map(([key, n]) => ({ key, cases: n }))
+    },
+    fixtureMisses
+  };
+}
+
+const pct = (x) => `${(x * 100).toFixed(1)}%`;
+
+// How much of the corpus may come back empty or through a fallback before the run fails
+export const DEFAULT_GATES = { maxEmptyRate: 0.1, maxFallbackRate: 0.25 };
+
+/**
+ * Reasons the run fails, empty when it passes. replay: fixtures were the only source,
+ * so a missing one means the cases did not run against the data they were written for.
+ */
+export function gateFailures(summary, { maxEmptyRate = DEFAULT_GATES.maxEmptyRate, maxFallbackRate = DEFAULT_GATES.maxFallbackRate, replay = false } = {}) {
+  const out = [];
+  if (summary.errors) out.push(`${summary.errors} cases threw`);
+  if (summary.violations) out.push(`${summary.violations} constraint violations`);
+  if (replay && summary.fixtureMisses) out.push(`${summary.fixtureMisses} TMDB fixtures missing (npm run fixtures:record)`);
+  if (summary.emptyRate > maxEmptyRate) out.push(`empty rate ${pct(summary.emptyRate)} above ${pct(maxEmptyRate)}`);
+  if (summary.fallback.any > maxFallbackRate) out.push(`fallback rate ${pct(summary.fallback.any)} above ${pct(maxFallbackRate)}`);
+  return out;
+}
+
+// Plain text report for the terminal
+export function formatReport(cases, summary) {
+  const lines = [];
+  for (const c of cases) {
+    const flags = Object.entries(c.fallback).filter(([, on]) => on).map(([k]) => k);
+    const status = c.error ? "ERROR" : c.violations.length ? "FAIL" : c.empty ? "EMPTY" : "ok";
+    lines.push(`${status.padEnd(5)} ${c.id.padEnd(28)} ${String(c.count).padStart(2)} results${flags.length ? `  fallback: ${flags.join(", ")}` : ""}`);
+    if (c.error) lines.push(`      ${c.error}`);
+    for (const v of c.violations) lines.push(`      ✗ ${v.constraint}: ${v.title} (${v.media_type}:${v.id}) ${v.detail}`);
+  }
+
+  const s = summary;
+  lines.push(
+    "",
+    `Cases: ${s.cases} (${s.errors} errors), results: ${s.results}, empty: ${pct(s.emptyRate)}`,
+    `Violations: ${s.violations} in ${s.casesWithViolations} cases  ${Object.entries(s.byConstraint)
+      .filter(([, n]) => n)
+      .map(([k, n]) => `${k} ${n}`)
+      .join(", ")}`.trimEnd(),
+    `Relaxed provider results: ${s.relaxedResults}`,
+    `Fallbacks: ${pct(s.fallback.any)} of cases degraded; offline ranker ${pct(s.fallback.offlineRanker)}, popular ${pct(s.fallback.popular)}, providers relaxed ${pct(s.fallback.providersRelaxed)}, closest match ${pct(s.fallback.closestMatch)}, placeholder ${pct(s.fallback.placeholder)}`,
+    `Diversity: genre distance ${s.diversity.genres.toFixed(2)}, decades per list ${s.diversity.decades.toFixed(1)}, unique titles ${pct(s.diversity.uniqueTitles)}`,
+    ...(s.diversity.mostRepeated.length ? [`Most repeated: ${s.diversity.mostRepeated.map((x) => `${x.key} ×${x.cases}`).join(", ")}`] : []),
+    ...(s.fixtureMisses ? [`TMDB fixture misses: ${s.fixtureMisses} (record again with npm run fixtures:record)`] : [])
+  );
+  return lines.join("\n");
+}
@@ -0,0 +1,163 @@
+import { genreName, itemHasGenre } from "./genres.js";
+import { languageName } from "./languages.js";
+import { matchesProvider } from "./providers.js";
+import { closestLoved, MOOD_GENRES } from "./ranker.js";
+import { fitsRuntime, formatRuntime, hasRuntimeLimits } from "./runtime.js";
+import { warningLabel } from "./warnings.js";
+
+/* ================================
+   Match signals
+   ================================
+   Why a result was picked, as { kind, code, params, text } chips computed
+   from the intent and the title's own TMDB data, never taken from the
+   model's reason. The UI words a chip from code and params in its own
+   language (signal.<code> in docs/i18n.js); text is the English wording.
+     genre     asked-for genres the title has
+     keyword   asked-for themes found in the title's keywords
+     actor     the asked-for actor is in the cast
+     era       release year inside the asked-for range
+     runtime   length (or episode length, seasons) within the asked-for limits
+     language  made in one of the asked-for original languages
+     media     series or movie, when the prompt asked for one
+     mood      genres that suit the mood slider
+     taste     shares genres with a title the user liked
+     kids      rating within the kids age limit
+     warning   content warnings checked against the title's keywords, or that it has none to check
+     provider  on one of the chosen services
+     relaxed   a constraint loosened to fill the list
+*/
+export const SIGNAL_KINDS = ["genre", "keyword", "actor", "era", "runtime", "language", "media", "mood", "taste", "kids", "warning", "provider", "relaxed"];
+
+// Codes of the relaxed signals the pipeline adds, evaluation.js counts them as fallbacks
+export const RELAXED = {
+  popular: "relaxed.popular",
+  providers: "relaxed.providers",
+  closest: "relaxed.closest"
+};
+
+const RELAXED_TEXT = {
+  [RELAXED.popular]: "Nothing matched closely, showing what's popular",
+  [RELAXED.providers]: "Provider filter relaxed",
+  [RELAXED.closest]: "Closest match available"
+};
+
+const signal = (kind, code, params, text) => ({ kind, code, params, text });
+
+const yearOf = (c) => Number(String(c.release_date || c.first_air_date || "").slice(0, 4)) || null;
+
+// Keyword names from a raw details response (movies and series nest them differently)
+export function keywordNames(details) {
+  return (details?.keywords?.keywords || details?.keywords?.results || []).map((k) => String(k.name || "").toLowerCase());
+}
+
+function eraSignal(intent, year) {
+  if (intent.yearExact) return signal("era", "era.exact", { year }, `From ${year}`);
+  const { yearMin: min, yearMax: max } = intent;
+  if (min && max) return signal("era", "era.between", { year, min, max }, `${year}, within ${min}–${max}`);
+  return min ? signal("era", "era.after", { year, min }, `${year}, after ${min}`) : signal("era", "era.before", { year, max }, `${year}, before ${max}`);
+}
+
+// One chip for length and seasons; params hold minutes, the UI formats them
+function runtimeSignal(intent, mediaType, length) {
+  const tv = mediaType === "tv";
+  const minutes = (tv ? length.episode_runtime : length.runtime) || null;
+  const limited = minutes && (intent.runtimeMin || intent.runtimeMax);
+  const seasons = tv && intent.maxSeasons && length.seasons ? length.seasons : null;
+  if (!limited && !seasons) return null;
+
+  const params = { tv, minutes: limited ? minutes : null, under: null, over: null, seasons };
+  const parts = [];
+  if (limited) {
+    if (intent.runtimeMax) params.under = intent.runtimeMax;
+    else params.over = intent.runtimeMin;
+    const limit = params.under ? `under ${formatRuntime(params.under)}` : `over ${formatRuntime(params.over)}`;
+    parts.push(tv ? `${formatRuntime(minutes)} episodes, ${limit}` : `${formatRuntime(minutes)}, ${limit}`);
+  }
+  if (seasons) parts.push(seasons === 1 ? "1 season" : `${seasons} seasons`);
+  return signal("runtime", "runtime", params, parts.join(" · "));
+}
+
+/**
+ * Signals for one result.
+ *   details      raw title details with keywords and credits, needed for keyword and actor checks
+ *   length       runtimeOf() for the title
+ *   watchable    providers in the counted tiers (providersIn), include the user's chosen services
+ *   relaxed      RELAXED codes for constraints that were loosened for this result
+ */
+export function matchSignals(
+  c,
+  { intent = {}, mood = 3, taste = null, details = null, length = null, certification = null, kidsMaxAge = null, watchable = [], include = [], relaxed = [] } = {}
+) {
+  const out = [];
+
+  const genres = (intent.withGenres || []).filter((g) => itemHasGenre(c, g) && genreName(g));
+  if (genres.length) out.push(signal("genre", "genre", { genres }, genres.map(genreName).join(" + ")));
+
+  if (details) {
+    const names = keywordNames(details);
+    const themes = (intent.themeKeywords || [])
+      .map((t) => String(t).toLowerCase().trim())
+      .filter((t) => t && names.some((n) => n.includes(t) || t.includes(n)));
+    if (themes.length) out.push(signal("keyword", "theme", { themes: themes.join(", ") }, `Theme: ${themes.join(", ")}`));
+
+    const actor = String(intent.actorName || "").toLowerCase().trim();
+    const billed = (details.credits?.cast || []).find((p) => actor && String(p.name || "").toLowerCase() === actor);
+    if (billed) out.push(signal("actor", "actor", { name: billed.name }, `Stars ${billed.name}`));
+  }
+
+  const y = yearOf(c);
+  if (y && (intent.yearMin || intent.yearMax || intent.yearExact)) {
+    const min = Number(intent.yearExact || intent.yearMin || 0);
+    const max = Number(intent.yearExact || intent.yearMax || 9999);
+    if (y >= min && y <= max) out.push(eraSignal(intent, y));
+  }
+
+  if (length && hasRuntimeLimits(intent) && fitsRuntime(c.media_type, length, intent)) {
+    const runtime = runtimeSignal(intent, c.media_type, length);
+    if (runtime) out.push(runtime);
+  }
+
+  const language = c.original_language || details?.original_language;
+  if (language && intent.originalLanguages?.includes(language)) {
+    out.push(
+      language === "en"
+        ? signal("language", "language.en", {}, "English-language original")
+        : signal("language", "language", { language }, `In ${languageName(language)}, as asked`)
+    );
+  }
+
+  if (intent.mediaType && intent.mediaType !== "any" && c.media_type === intent.mediaType) {
+    out.push(c.media_type === "tv" ? signal("media", "media.tv", {}, "Series, as asked") : signal("media", "media.movie", {}, "Movie, as asked"));
+  }
+
+  const m = Number(mood || 3);
+  if (m <= 2 && MOOD_GENRES.calm.some((g) => itemHasGenre(c, g))) out.push(signal("mood", "mood.calm", {}, "Easygoing, fits a chill mood"));
+  if (m >= 4 && MOOD_GENRES.intense.some((g) => itemHasGenre(c, g))) out.push(signal("mood", "mood.intense", {}, "High energy, fits your mood"));
+
+  const loved = taste ? closestLoved(c, taste) : null;
+  if (loved) out.push(signal("taste", "taste", { title: loved.title || loved.name }, `Like ${loved.title || loved.name}, which you liked`));
+
+  if (kidsMaxAge != null && certification) {
+    out.push(signal("kids", "kids", { cert: certification, age: kidsMaxAge }, `Rated ${certification}, OK for age ${kidsMaxAge}`));
+  }
+
+  // Only results that passed get here, so keywords present means none of them matched
+  if (intent.contentWarnings?.length) {
+    const warnings = intent.contentWarnings;
+    const labels = warnings.map(warningLabel).join(", ");
+    out.push(
+      keywordNames(details).length
+        ? signal("warning", "warning.clear", { warnings }, `No ${labels} in its TMDB keywords`)
+        : signal("warning", "warning.unchecked", { warnings }, `Not checked for ${labels}: TMDB has no keywords for it`)
+    );
+  }
+
+  const on = watchable.filter((p) => include.some((x) => matchesProvider(p, x)));
+  if (on.length) {
+    const providers = on.map((p) => p.name).join(", ");
+    out.push(signal("provider", "provider", { providers }, `On ${providers}`));
+  }
+
+  for (const code of relaxed) out.push(signal("relaxed", code, {}, RELAXED_TEXT[code]));
+  return out;
+}
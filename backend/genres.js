@@ -0,0 +1,80 @@
+/* ================================
+   Genre IDs (TMDB)
+   ================================ */
+export const GENRE = {
+  ANIMATION: 16,
+  FAMILY: 10751,
+  COMEDY: 35,
+  DRAMA: 18,
+  ACTION: 28,
+  ADVENTURE: 12,
+  THRILLER: 53,
+  CRIME: 80,
+  MYSTERY: 9648,
+  HORROR: 27,
+  ROMANCE: 10749,
+  FANTASY: 14,
+  SCIFI: 878,
+  WAR: 10752,
+  HISTORY: 36,
+  MUSIC: 10402,
+  DOCUMENTARY: 99,
+  WESTERN: 37
+};
+
+// TV uses combined genres for a few of the movie ones
+export const TV_GENRE = {
+  ACTION_ADVENTURE: 10759,
+  KIDS: 10762,
+  SCIFI_FANTASY: 10765,
+  WAR_POLITICS: 10768
+};
+
+const MOVIE_TO_TV = {
+  [GENRE.ACTION]: TV_GENRE.ACTION_ADVENTURE,
+  [GENRE.ADVENTURE]: TV_GENRE.ACTION_ADVENTURE,
+  [GENRE.SCIFI]: TV_GENRE.SCIFI_FANTASY,
+  [GENRE.FANTASY]: TV_GENRE.SCIFI_FANTASY,
+  [GENRE.WAR]: TV_GENRE.WAR_POLITICS
+};
+
+export const GENRE_NAMES = {
+  16: "Animation",
+  10751: "Family",
+  35: "Comedy",
+  18: "Drama",
+  28: "Action",
+  12: "Adventure",
+  53: "Thriller",
+  80: "Crime",
+  9648: "Mystery",
+  27: "Horror",
+  10749: "Romance",
+  14: "Fantasy",
+  878: "Sci-Fi",
+  10752: "War",
+  36: "History",
+  10402: "Music",
+  99: "Documentary",
+  37: "Western",
+  10759: "Action & Adventure",
+  10762: "Kids",
+  10765: "Sci-Fi & Fantasy",
+  10768: "War & Politics"
+};
+
+export function genreName(id) {
+  return GENRE_NAMES[id] || null;
+}
+
+// Movie genre id -> the id TMDB uses for series (same id when there is no split)
+export function tvGenreId(id) {
+  return MOVIE_TO_TV[id] || id;
+}
+
+// Does the item carry this (movie) genre, allowing for the TV combined genres
+export function itemHasGenre(item, genreId) {
+  const ids = item?.genre_ids || [];
+  if (ids.includes(genreId)) return true;
+  return item?.media_type === "tv" && ids.includes(tvGenreId(genreId));
+}
@@ -0,0 +1,119 @@
+import { buildTasteProfile } from "./ranker.js";
+
+/* ================================
+   Group watch
+   ================================
+   A recommend request with `participants` ranks for everyone at once:
+   histories are merged for candidate gathering, any one person's dislikes
+   are excluded, the youngest kids age applies to all, and the group's
+   subscriptions are pooled. Each result then reports a per-person fit and
+   picks are reordered so nobody is left with something they will hate.
+*/
+export const MAX_PARTICIPANTS = 8;
+
+const list = (v, max) => (Array.isArray(v) ? v.filter((x) => x && x.id != null).slice(0, max) : []);
+const itemKey = (x) => `${x.media_type || "movie"}:${x.id}`;
+
+function unionBy(lists) {
+  const seen = new Set();
+  const out = [];
+  for (const l of lists) {
+    for (const x of l) {
+      const k = itemKey(x);
+      if (seen.has(k)) continue;
+      seen.add(k);
+      out.push(x);
+    }
+  }
+  return out;
+}
+
+/**
+ * Clean participant profiles: { name, number, liked, disliked, watched, kidsMaxAge, subscriptions }.
+ * Names default to "Person N" (number is then N, for the UI to word, otherwise null) and are made unique.
+ */
+export function normalizeParticipants(raw) {
+  if (!Array.isArray(raw)) return [];
+  const names = new Set();
+  return raw.slice(0, MAX_PARTICIPANTS).map((p, i) => {
+    const given = String(p?.name || "").trim().slice(0, 40);
+    const base = given || `Person ${i + 1}`;
+    let name = base;
+    for (let n = 2; names.has(name.toLowerCase()); n++) name = `${base} (${n})`;
+    names.add(name.toLowerCase());
+
+    const age = Number(p?.kidsMaxAge);
+    return {
+      name,
+      number: given ? null : i + 1,
+      liked: list(p?.liked, 120),
+      disliked: list(p?.disliked, 250),
+      watched: list(p?.watched, 200),
+      kidsMaxAge: p?.kidsMaxAge != null && Number.isFinite(age) && age >= 0 ? Math.min(18, Math.round(age)) : null,
+      subscriptions: (Array.isArray(p?.subscriptions) ? p.subscriptions : []).map(String).filter(Boolean).slice(0, 30)
+    };
+  });
+}
+
+/**
+ * One combined profile: union of histories and subscriptions, strictest (youngest) kids age or null.
+ */
+export function mergeGroup(participants) {
+  const ages = participants.map((p) => p.kidsMaxAge).filter((a) => a != null);
+  return {
+    liked: unionBy(participants.map((p) => p.liked)),
+    disliked: unionBy(participants.map((p) => p.disliked)),
+    watched: unionBy(participants.map((p) => p.watched)),
+    kidsMaxAge: ages.length ? Math.min(...ages) : null,
+    subscriptions: Array.from(new Map(participants.flatMap((p) => p.subscriptions).map((s) => [s.toLowerCase(), s])).values())
+  };
+}
+
+// Code for the UI to word (group.fit.<code> in docs/i18n.js) and the English label
+function fitLabel(score, hasHistory) {
+  if (!hasHistory) return ["noHistory", "No history yet"];
+  if (score >= 75) return ["great", "Great fit"];
+  if (score >= 55) return ["good", "Good fit"];
+  if (score >= 40) return ["mixed", "Mixed"];
+  return ["low", "Not their thing"];
+}
+
+/**
+ * How well candidate c suits each participant: [{ name, number, score 0-100, code, label, seen }].
+ */
+export function groupFit(c, participants, tastes = participants.map((p) => buildTasteProfile(p))) {
+  const key = itemKey(c);
+  const ids = c.genre_ids || [];
+  return participants.map((p, i) => {
+    const taste = tastes[i];
+    const hasHistory = Object.keys(taste.genres).length > 0;
+    const who = { name: p.name, number: p.number ?? null };
+    if (p.disliked.some((d) => itemKey(d) === key)) return { ...who, score: 0, code: "disliked", label: "Disliked", seen: false };
+
+    const fit = ids.length ? ids.reduce((sum, g) => sum + (taste.genres[g] || 0), 0) / ids.length : 0;
+    const score = Math.round(Math.max(0, Math.min(100, 50 + fit * 50)));
+    const [code, label] = fitLabel(score, hasHistory);
+    return { ...who, score, code, label, seen: taste.seen.has(key) };
+  });
+}
+
+/**
+ * Reorder picks for the group: the least happy person counts most, the picker's own
+ * order still breaks near-ties. Picks whose candidate is unknown keep their place at the end.
+ */
+export function rankForGroup(picks, candidates, participants) {
+  const tastes = participants.map((p) => buildTasteProfile(p));
+  const byId = new Map(candidates.map((c) => [String(c.id), c]));
+
+  return picks
+    .map((p, i) => {
+      const c = byId.get(String(p.id));
+      if (!c) return { p, i, score: -Infinity };
+      const fits = groupFit(c, participants, tastes).map((f) => f.score);
+      const min = Math.min(...fits);
+      const mean = fits.reduce((a, b) => a + b, 0) / fits.length;
+      return { p, i, score: min * 0.6 + mean * 0.4 - i * 1.5 };
+    })
+    .sort((a, b) => b.score - a.score || a.i - b.i)
+    .map((x) => x.p);
+}
@@ -0,0 +1,103 @@
+import { IMAGE_BASE } from "./details.js";
+
+/* ================================
+   History import matching
+   ================================
+   The browser parses Letterboxd, IMDb and Trakt exports into plain rows
+   and sends them here in batches. Each row is matched to a TMDB title by
+   the strongest id it carries: a TMDB id (Trakt), an IMDb id (IMDb, Trakt)
+   through /find, or title and year through search. Search hits are only
+   accepted when the title and year agree; anything else comes back
+   unmatched with the closest candidates for the review screen.
+*/
+export const MAX_IMPORT_BATCH = 50;
+export const MAX_CANDIDATES = 3;
+
+const MEDIA = ["movie", "tv"];
+
+/**
+ * Clean one incoming row: { title, year, mediaType, imdbId, tmdbId }, or null when it
+ * carries nothing to match on.
+ */
+export function normalizeImportRow(raw) {
+  const title = String(raw?.title || "").trim().slice(0, 200);
+  const year = Number(raw?.year);
+  const imdbId = /^tt\d{5,10}$/.test(String(raw?.imdbId || "")) ? String(raw.imdbId) : null;
+  const tmdbId = Number(raw?.tmdbId);
+  const mediaType = MEDIA.includes(raw?.mediaType) ? raw.mediaType : null;
+  const row = {
+    title,
+    year: Number.isInteger(year) && year > 1870 && year < 2100 ? year : null,
+    mediaType,
+    imdbId,
+    // A TMDB id means nothing without knowing which list it is from
+    tmdbId: mediaType && Number.isInteger(tmdbId) && tmdbId > 0 ? tmdbId : null
+  };
+  return row.title || row.imdbId || row.tmdbId ? row : null;
+}
+
+// Cache key for a row's match, the same film from diary and ratings exports resolves once
+export function importRowKey(row) {
+  if (row.tmdbId) return `tmdb:${row.mediaType}:${row.tmdbId}`;
+  if (row.imdbId) return `imdb:${row.imdbId}`;
+  return `title:${row.mediaType || "any"}:${normalizeTitle(row.title)}:${row.year || ""}`;
+}
+
+// Lowercase, accents, punctuation and a leading article removed
+export function normalizeTitle(t) {
+  return String(t || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/&/g, "and")
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim()
+    .replace(/^(the|a|an) /, "");
+}
+
+const yearOf = (c) => Number(String(c.release_date || c.first_air_date || "").slice(0, 4)) || null;
+
+// The shape the frontend stores in its lists
+export function importItem(c, mediaType = c.media_type) {
+  return {
+    id: c.id,
+    title: c.title || c.name || "Untitled",
+    media_type: mediaType,
+    release_date: c.release_date || c.first_air_date || "",
+    poster_path: c.poster_path ? `${IMAGE_BASE}/w500${c.poster_path}` : null,
+    genre_ids: c.genre_ids || (c.genres || []).map((g) => g.id),
+    vote_average: c.vote_average ?? null
+  };
+}
+
+/**
+ * How well a search hit fits the row, 0..1. Exact title (either the local or the original one)
+ * and year count most, a year off by one is common between regions' release dates.
+ */
+export function matchScore(row, c) {
+  const want = normalizeTitle(row.title);
+  const names = [c.title, c.name, c.original_title, c.original_name].filter(Boolean).map(normalizeTitle);
+  let score = names.includes(want) ? 0.6 : names.some((n) => n && (n.startsWith(want) || want.startsWith(n))) ? 0.3 : 0;
+  const y = yearOf(c);
+  if (row.year && y) score += y === row.year ? 0.4 : Math.abs(y - row.year) === 1 ? 0.25 : 0;
+  else if (!row.year) score += 0.2;
+  return score;
+}
+
+/**
+ * Pick the best search hit: { status: "matched", item, confidence } when it is good enough
+ * and clearly ahead of the next one, else { status: "unmatched", candidates }.
+ */
+export function bestMatch(row, hits) {
+  const scored = hits
+    .filter((c) => MEDIA.includes(c.media_type))
+    .map((c) => ({ c, score: matchScore(row, c) }))
+    // TMDB's own order (popularity) breaks ties
+    .sort((a, b) => b.score - a.score);
+
+  const [top, next] = scored;
+  if (top && top.score >= 0.8 && (!next || next.score < top.score || (next.c.popularity || 0) * 4 < (top.c.popularity || 0))) {
+    return { status: "matched", item: importItem(top.c), confidence: Math.round(top.score * 100) / 100 };
+  }
+  return { status: "unmatched", candidates: scored.slice(0, MAX_CANDIDATES).map((s) => importItem(s.c)) };
+}
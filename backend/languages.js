@@ -0,0 +1,125 @@
+/* ================================
+   Original languages
+   ================================
+   Titles are filtered on TMDB's original_language (ISO 639-1), the
+   language a film was made in, not the audio track a service offers.
+   "Not dubbed" and "no subtitles" therefore both mean an original
+   language: the asked-for one, or English.
+
+   intent.originalLanguages   any of these (empty = no preference)
+   intent.excludeLanguages    none of these
+
+   Discover takes the wanted languages as with_original_language; TMDB
+   has no exclusion parameter, so exclusions and everything that did not
+   come from discover are checked on the candidate itself.
+*/
+export const MAX_LANGUAGES = 5;
+
+// Codes the UI offers and the prompt parser knows, with the words that name them
+export const LANGUAGES = {
+  en: { name: "English", words: ["english", "hollywood", "british", "american"] },
+  ko: { name: "Korean", words: ["korean", "k-drama", "kdrama", "k drama"] },
+  ja: { name: "Japanese", words: ["japanese", "anime", "j-drama", "jdrama"] },
+  zh: { name: "Chinese", words: ["chinese", "mandarin", "c-drama", "cdrama"] },
+  cn: { name: "Cantonese", words: ["cantonese", "hong kong"] },
+  hi: { name: "Hindi", words: ["hindi", "bollywood"] },
+  ta: { name: "Tamil", words: ["tamil", "kollywood"] },
+  te: { name: "Telugu", words: ["telugu", "tollywood"] },
+  fr: { name: "French", words: ["french"] },
+  es: { name: "Spanish", words: ["spanish"] },
+  it: { name: "Italian", words: ["italian"] },
+  de: { name: "German", words: ["german"] },
+  pt: { name: "Portuguese", words: ["portuguese", "brazilian"] },
+  sv: { name: "Swedish", words: ["swedish"] },
+  da: { name: "Danish", words: ["danish"] },
+  no: { name: "Norwegian", words: ["norwegian"] },
+  fi: { name: "Finnish", words: ["finnish"] },
+  nl: { name: "Dutch", words: ["dutch", "flemish"] },
+  pl: { name: "Polish", words: ["polish"] },
+  ru: { name: "Russian", words: ["russian"] },
+  tr: { name: "Turkish", words: ["turkish"] },
+  th: { name: "Thai", words: ["thai"] },
+  fa: { name: "Persian", words: ["persian", "iranian", "farsi"] },
+  ar: { name: "Arabic", words: ["arabic"] }
+};
+
+const BY_WORD = Object.entries(LANGUAGES).flatMap(([code, l]) => l.words.map((w) => [w, code]));
+const ESCAPE = (w) => w.replace(/[-]/g, "[- ]?");
+
+export const languageName = (code) => LANGUAGES[code]?.name || String(code || "").toUpperCase();
+
+// Codes or names ("ko", "Korean") to unique known codes
+export function normalizeLanguages(list) {
+  const out = [];
+  for (const raw of Array.isArray(list) ? list : []) {
+    const v = String(raw || "").trim().toLowerCase();
+    const code = LANGUAGES[v] ? v : Object.keys(LANGUAGES).find((k) => LANGUAGES[k].name.toLowerCase() === v);
+    if (code && !out.includes(code)) out.push(code);
+  }
+  return out.slice(0, MAX_LANGUAGES);
+}
+
+/**
+ * Language wishes in a prompt: "Korean thrillers", "anime but not dubbed",
+ * "nothing with subtitles", "no Bollywood", "international cinema".
+ */
+export function parseLanguages(text) {
+  const lower = String(text || "").toLowerCase();
+  const want = [];
+  const avoid = [];
+  for (const [word, code] of BY_WORD) {
+    const m = new RegExp(`(\\b(?:no|not|without|except|avoid|skip)\\s+(?:\\w+\\s+)?)?\\b${ESCAPE(word)}\\b`).exec(lower);
+    if (!m) continue;
+    // "british comedy" or "american horror" say more about style than language; only an exclusion counts
+    if (code === "en" && !m[1]) continue;
+    (m[1] ? avoid : want).push(code);
+  }
+  if (/\b(no|without|nothing with|hate|don't want|dont want)\s+subtitles?\b|\benglish[\s-](only|language)\b|\bin english\b/.test(lower)) {
+    if (!want.length) want.push("en");
+  }
+  if (/\b(foreign|international|world cinema|non[\s-]english)\b/.test(lower) && !want.length) avoid.push("en");
+  return {
+    originalLanguages: normalizeLanguages(want.filter((c) => !avoid.includes(c))),
+    excludeLanguages: normalizeLanguages(avoid)
+  };
+}
+
+/**
+ * The prompt's wishes combined with the user's standing setting
+ * ({ include, exclude, englishOnly }): a language named in the prompt wins over
+ * the setting's preferred ones, exclusions from both always apply.
+ */
+export function mergeLanguages(intent, settings = {}) {
+  const exclude = normalizeLanguages([...(intent.excludeLanguages || []), ...(settings?.exclude || [])]);
+  let include = normalizeLanguages(intent.originalLanguages);
+  if (!include.length) include = settings?.englishOnly ? ["en"] : normalizeLanguages(settings?.include);
+  return { originalLanguages: include.filter((c) => !exclude.includes(c)), excludeLanguages: exclude };
+}
+
+/**
+ * The UI locale ("es", "pt-BR") as TMDB's language param, for titles and overviews.
+ * null for English and anything malformed, TMDB then answers in its default.
+ */
+export function tmdbLanguage(locale) {
+  const m = /^([a-z]{2})(?:[-_]([a-z]{2}))?$/i.exec(String(locale || "").trim());
+  if (!m || m[1].toLowerCase() === "en") return null;
+  return m[2] ? `${m[1].toLowerCase()}-${m[2].toUpperCase()}` : m[1].toLowerCase();
+}
+
+// "Spanish" for "es", for telling the model which language to write in
+export function localeName(locale) {
+  try {
+    return new Intl.DisplayNames(["en"], { type: "language" }).of(locale) || locale;
+  } catch {
+    return locale;
+  }
+}
+
+export const hasLanguageLimits = (intent) => Boolean(intent?.originalLanguages?.length || intent?.excludeLanguages?.length);
+
+// false when the title's known original language breaks the intent's limits
+export function fitsLanguage(language, intent) {
+  if (!language) return true;
+  if (intent.excludeLanguages?.includes(language)) return false;
+  return !intent.originalLanguages?.length || intent.originalLanguages.includes(language);
+}
@@ -0,0 +1,150 @@
+import OpenAI from "openai";
+import { validate } from "./schema.js";
+
+/* ================================
+   LLM adapter
+   ================================
+   One place for model calls, so the backend can target OpenAI or any
+   OpenAI-compatible endpoint (Ollama, llama.cpp, LM Studio, vLLM...).
+
+   LLM_BASE_URL  unset = OpenAI, else the compatible server's /v1 URL
+   LLM_MODEL     defaults to gpt-4.1-mini
+   LLM_API_KEY   falls back to OPENAI_API_KEY, local servers may need none
+   LLM_API       "responses" | "chat", defaults to responses on OpenAI, chat elsewhere
+*/
+export const DEFAULT_MODEL = "gpt-4.1-mini";
+
+// Pull the first JSON object out of model text (tolerates ```json fences and chatter)
+export function extractJson(text) {
+  const t = String(text || "").trim();
+  try {
+    return JSON.parse(t);
+  } catch {}
+  const fenced = /```(?:json)?\s*([\s\S]*?)```/i.exec(t);
+  if (fenced) {
+    try {
+      return JSON.parse(fenced[1]);
+    } catch {}
+  }
+  const a = t.indexOf("{");
+  const b = t.lastIndexOf("}");
+  if (a !== -1 && b > a) {
+    try {
+      return JSON.parse(t.slice(a, b + 1));
+    } catch {}
+  }
+  throw new Error("Model output is not JSON");
+}
+
+function responsesText(resp) {
+  if (typeof resp?.output_text === "string" && resp.output_text) return resp.output_text;
+  for (const item of resp?.output || []) {
+    for (const c of item?.content || []) {
+      if (typeof c?.text === "string") return c.text;
+    }
+  }
+  return "";
+}
+
+export function createLlmClient({ apiKey = "", baseUrl = "", model = DEFAULT_MODEL, api = "" } = {}) {
+  const provider = baseUrl ? "compatible" : "openai";
+  const mode = api || (provider === "openai" ? "responses" : "chat");
+  const enabled = provider === "compatible" || Boolean(apiKey);
+
+  const client = enabled
+    ? new OpenAI({ apiKey: apiKey || "not-needed", ...(baseUrl ? { baseURL: baseUrl } : {}) })
+    : null;
+
+  async function complete({ system, user }) {
+    if (!client) throw new Error("LLM not configured");
+
+    if (mode === "chat") {
+      const resp = await client.chat.completions.create({
+        model,
+        messages: [
+          { role: "system", content: system },
+          { role: "user", content: user }
+        ],
+        ...(provider === "openai" ? { response_format: { type: "json_object" } } : {})
+      });
+      return resp?.choices?.[0]?.message?.content || "";
+    }
+
+    const resp = await client.responses.create({
+      model,
+      input: [
+        { role: "system", content: system },
+        { role: "user", content: user }
+      ]
+    });
+    return responsesText(resp);
+  }
+
+  /**
+   * Ask for JSON matching schema. Field-level problems are repaired or dropped by validate();
+   * if the output cannot be parsed, misses a required field, or had fields dropped, retry once
+   * with the problems listed and keep whichever attempt was cleaner.
+   * Returns { data, ok, attempts, rejected, repaired, error }.
+   */
+  async function generateJson({ name, schema, system, user }) {
+    const report = { name, provider, model, attempts: 0, ok: false, data: null, rejected: [], repaired: [], error: null };
+    let best = null;
+    let feedback = "";
+
+    for (let attempt = 1; attempt <= 2; attempt++) {
+      report.attempts = attempt;
+      let text = "";
+      try {
+        text = await complete({ system, user: feedback ? `${user}\n\n${feedback}` : user });
+      } catch (err) {
+        report.error = err?.message || String(err);
+        break;
+      }
+
+      let parsed;
+      try {
+        parsed = extractJson(text);
+      } catch (err) {
+        report.error = err.message;
+        feedback = "Your previous reply was not valid JSON. Reply with ONLY the JSON object.";
+        continue;
+      }
+
+      const v = validate(schema, parsed);
+      const dropped = v.issues.filter((i) => i.action === "dropped");
+      if (!best || (v.ok && !best.ok) || (v.ok === best.ok && dropped.length < best.dropped.length)) {
+        best = { ...v, dropped };
+      }
+      if (v.ok && !dropped.length) break;
+
+      feedback =
+        "Your previous reply had invalid fields: " +
+        dropped.map((i) => `${i.path} (${i.reason})`).join("; ") +
+        ". Reply again with ONLY the corrected JSON object.";
+    }
+
+    if (best) {
+      report.ok = best.ok;
+      report.data = best.value;
+      report.rejected = best.dropped.map(({ path, reason }) => ({ path, reason }));
+      report.repaired = best.issues.filter((i) => i.action === "repaired").map(({ path, reason }) => ({ path, reason }));
+      if (best.ok) report.error = null;
+    }
+
+    if (report.rejected.length || report.error) {
+      console.warn(`LLM ${name}: rejected ${JSON.stringify(report.rejected)}${report.error ? ` error: ${report.error}` : ""}`);
+    }
+    return report;
+  }
+
+  return { enabled, provider, model, api: mode, complete, generateJson };
+}
+
+export function llmClientFromEnv(env = process.env) {
+  return createLlmClient({
+    apiKey: env.LLM_API_KEY || env.OPENAI_API_KEY || "",
+    baseUrl: env.LLM_BASE_URL || "",
+    model: env.LLM_MODEL || DEFAULT_MODEL,
+    api: env.LLM_API || ""
+  });
+}
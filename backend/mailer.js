@@ -0,0 +1,74 @@
+import fetch from "node-fetch";
+
+/* ================================
+   Outgoing mail
+   ================================
+   MAIL_MODE     "log" prints messages to the console, sign-in links included,
+                 "webhook" POSTs { from, to, subject, text } as JSON to MAIL_WEBHOOK_URL.
+                 Unset means "log" only while APP_URL is on localhost; anywhere
+                 else (or with no APP_URL at all) sign-in links are turned off
+                 with a warning, the rest of the server runs as usual.
+   MAIL_FROM     sender address, defaults to NextWatch <no-reply@nextwatch.net>
+
+   The webhook shape is what tools/mail-standin.js accepts, and is easy to put
+   in front of a transactional mail provider.
+*/
+export const DEFAULT_FROM = "NextWatch <no-reply@nextwatch.net>";
+export const MAIL_MODES = ["log", "webhook"];
+
+export function createMailer({ mode, webhookUrl = "", from = DEFAULT_FROM } = {}) {
+  if (!MAIL_MODES.includes(mode)) throw new Error(`MAIL_MODE must be one of ${MAIL_MODES.join(", ")}, got ${mode || "nothing"}`);
+  if (mode === "webhook" && !webhookUrl) throw new Error("MAIL_WEBHOOK_URL is required when MAIL_MODE=webhook");
+
+  async function send({ to, subject, text }) {
+    const message = { from, to, subject, text };
+
+    if (mode === "webhook") {
+      const r = await fetch(webhookUrl, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(message)
+      });
+      if (!r.ok) throw new Error(`Mail webhook error ${r.status}`);
+      return;
+    }
+
+    console.log(`✉️  To: ${to}\n   Subject: ${subject}\n\n${text.replace(/^/gm, "   ")}\n`);
+  }
+
+  return { mode, send };
+}
+
+export function isLocalUrl(url) {
+  try {
+    const host = new URL(url).hostname;
+    return ["localhost", "127.0.0.1", "[::1]"].includes(host) || host.endsWith(".localhost");
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * The mailer, or null when sign-in links cannot be sent safely: no APP_URL for them to
+ * point at, no MAIL_MODE outside localhost, or a broken mail setting. Never throws, mail
+ * is optional and must not take the recommender down with it.
+ */
+export function mailerFromEnv(env = process.env, { appUrl = env.APP_URL || "" } = {}) {
+  const off = (why) => {
+    console.warn(`⚠️ Sign-in links are turned off: ${why}`);
+    return null;
+  };
+  if (!appUrl) return off("APP_URL is not set");
+  const local = isLocalUrl(appUrl);
+  if (!env.MAIL_MODE && !local) return off(`MAIL_MODE is not set and APP_URL (${appUrl}) is not local, set MAIL_MODE=webhook`);
+  if (env.MAIL_MODE === "log" && !local) console.warn("⚠️ MAIL_MODE=log: sign-in links are printed to the server log, not emailed");
+  try {
+    return createMailer({
+      mode: env.MAIL_MODE || "log",
+      webhookUrl: env.MAIL_WEBHOOK_URL || "",
+      from: env.MAIL_FROM || DEFAULT_FROM
+    });
+  } catch (err) {
+    return off(err.message);
+  }
+}
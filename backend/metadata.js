@@ -0,0 +1,168 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { fileURLToPath } from "url";
+import fetch from "node-fetch";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+/* ================================
+   Metadata client (TMDB)
+   ================================
+   Every TMDB call goes through here so the backend can run against:
+   - live:   the real API (default)
+   - record: the real API, saving each response to the fixtures dir
+   - replay: fixtures only, no key and no network needed
+
+   Select with TMDB_MODE. TMDB_BASE_URL points the client at a stand-in
+   server (see tools/tmdb-standin.js), TMDB_FIXTURES_DIR moves the fixtures.
+
+   withLanguage() gives a client that asks for titles and overviews in
+   another language; its cache entries are kept apart from the English ones.
+*/
+export const TMDB_BASE_URL = "https://api.themoviedb.org/3";
+export const DEFAULT_FIXTURES_DIR = path.join(__dirname, "fixtures", "tmdb");
+
+const MODES = ["live", "record", "replay"];
+// What TMDB answers in when no language is sent
+export const DEFAULT_LANGUAGE = "en-US";
+
+// api_key never goes into fixture names or files
+function canonicalParams(params = {}) {
+  return Object.keys(params)
+    .filter((k) => k !== "api_key" && params[k] !== undefined && params[k] !== null && params[k] !== "")
+    .sort()
+    .map((k) => `${k}=${String(params[k])}`)
+    .join("&");
+}
+
+export function fixtureName(pathname, params = {}) {
+  const canon = `${pathname}?${canonicalParams(params)}`;
+  const hash = crypto.createHash("sha1").update(canon).digest("hex").slice(0, 12);
+  const slug = pathname.replace(/^\/+/, "").replace(/[^a-z0-9]+/gi, "_").slice(0, 60);
+  return `${slug}__${hash}.json`;
+}
+
+export function readFixture(dir, pathname, params) {
+  const file = path.join(dir, fixtureName(pathname, params));
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+function writeFixture(dir, pathname, params, status, body) {
+  fs.mkdirSync(dir, { recursive: true });
+  const file = path.join(dir, fixtureName(pathname, params));
+  const request = { path: pathname, params: Object.fromEntries(new URLSearchParams(canonicalParams(params))) };
+  fs.writeFileSync(file, JSON.stringify({ request, status, body }, null, 2));
+}
+
+export function createMetadataClient({
+  mode = "live",
+  apiKey = "",
+  baseUrl = TMDB_BASE_URL,
+  fixturesDir = DEFAULT_FIXTURES_DIR,
+  strict = false
+} = {}) {
+  if (!MODES.includes(mode)) {
+    console.warn(`⚠️ Unknown TMDB_MODE "${mode}", using live`);
+    mode = "live";
+  }
+
+  // Replay lookups with no fixture, so a stale fixture set shows up in evaluation reports
+  let misses = 0;
+
+  // Resolve to { status, body } from network or fixtures
+  async function load(pathname, params) {
+    if (mode === "replay") {
+      const fx = readFixture(fixturesDir, pathname, params);
+      if (fx) return { status: fx.status, body: fx.body };
+      misses++;
+      const name = fixtureName(pathname, params);
+      if (strict) throw new Error(`TMDB fixture missing: ${name} (${pathname}?${canonicalParams(params)})`);
+      console.warn(`TMDB fixture missing: ${name}`);
+      return { status: 404, body: null, missing: true };
+    }
+
+    const qs = new URLSearchParams({ api_key: apiKey, ...stringify(params) });
+    const url = `${baseUrl}${pathname}?${qs}`;
+    const r = await fetch(url);
+    const body = r.ok ? await r.json() : await r.text().catch(() => "");
+
+    // 5xx is transient, do not bake it into fixtures
+    if (mode === "record" && r.status < 500) writeFixture(fixturesDir, pathname, params, r.status, body);
+    return { status: r.status, body };
+  }
+
+  /**
+   * GET a TMDB path as JSON.
+   * 5xx soft-fails to { results: [] }, other errors throw unless softFail is set (then null).
+   */
+  async function get(pathname, params = {}, { cache = null, cacheKey = null, softFail = false } = {}) {
+    if (cache && cacheKey) {
+      const hit = cache.get(cacheKey);
+      if (hit) return hit;
+    }
+
+    const { status, body, missing } = await load(pathname, params);
+    const label = `${pathname}?${canonicalParams(params)}`;
+
+    if (status < 200 || status >= 300) {
+      if (softFail) return null;
+      if (status >= 500 || missing) {
+        if (!missing) console.warn(`TMDB soft-fail ${status}: ${label}`);
+        return { results: [] };
+      }
+      // 401, 403, 404, etc should be visible
+      throw new Error(`TMDB error ${status}: ${label} ${typeof body === "string" ? body : ""}`);
+    }
+
+    if (cache && cacheKey) cache.set(cacheKey, body);
+    return body;
+  }
+
+  const client = {
+    mode,
+    fixturesDir,
+    // replay needs no key
+    ready: mode === "replay" || Boolean(apiKey),
+    language: null,
+    get,
+    withLanguage,
+    stats: () => ({ mode, misses })
+  };
+
+  // The same client with TMDB's language param on every call, null or en-US is this client
+  function withLanguage(language) {
+    if (!language || language === DEFAULT_LANGUAGE) return client;
+    return {
+      ...client,
+      language,
+      get: (pathname, params = {}, opts = {}) =>
+        get(pathname, { language, ...params }, opts.cacheKey ? { ...opts, cacheKey: `${opts.cacheKey}|${language}` } : opts)
+    };
+  }
+
+  return client;
+}
+
+function stringify(params) {
+  const out = {};
+  for (const [k, v] of Object.entries(params || {})) {
+    if (v === undefined || v === null || v === "") continue;
+    out[k] = String(v);
+  }
+  return out;
+}
+
+export function metadataClientFromEnv(env = process.env) {
+  return createMetadataClient({
+    mode: (env.TMDB_MODE || "live").toLowerCase(),
+    apiKey: env.TMDB_API_KEY || "",
+    baseUrl: env.TMDB_BASE_URL || TMDB_BASE_URL,
+    fixturesDir: env.TMDB_FIXTURES_DIR || DEFAULT_FIXTURES_DIR,
+    strict: env.TMDB_REPLAY_STRICT === "1"
+  });
+}
@@ -0,0 +1,131 @@
+import { buildTasteProfile } from "./ranker.js";
+
+/* ================================
+   More like this
+   ================================
+   Candidates for one seed title come from four TMDB sources: recommendations,
+   similar, discover on the seed's keywords and the credits of its main
+   people (director or creators, top billed cast). A candidate found by
+   several sources ranks higher, the user's taste nudges the order, and each
+   source that found it becomes part of the reason: { code, params, text } for
+   the UI to word (reason.<code> in docs/i18n.js), text in English.
+*/
+export const MAX_SEED_KEYWORDS = 4;
+export const MAX_SEED_PEOPLE = 4;
+
+// Extra weight per source, keyword and people hits also say why
+const SOURCE_WEIGHT = { recommendations: 3, similar: 2, keywords: 1.5, person: 2 };
+
+/**
+ * What the seed offers to match on, from a raw /movie|tv/:id response with
+ * credits and keywords appended.
+ */
+export function seedProfile(mediaType, data) {
+  const isTv = mediaType === "tv";
+  const credits = data.credits || {};
+  const makers = isTv
+    ? (data.created_by || []).map((p) => ({ id: p.id, name: p.name, role: "creator" }))
+    : (credits.crew || []).filter((c) => c.job === "Director").map((p) => ({ id: p.id, name: p.name, role: "director" }));
+  const cast = (credits.cast || [])
+    .slice()
+    .sort((a, b) => (a.order ?? 999) - (b.order ?? 999))
+    .slice(0, 3)
+    .map((p) => ({ id: p.id, name: p.name, role: "cast" }));
+
+  const people = [];
+  for (const p of [...makers.slice(0, 2), ...cast]) {
+    if (p.id && !people.some((x) => x.id === p.id)) people.push(p);
+  }
+
+  return {
+    id: data.id,
+    media_type: mediaType,
+    title: (isTv ? data.name : data.title) || "Untitled",
+    genre_ids: (data.genres || []).map((g) => g.id),
+    keywords: ((isTv ? data.keywords?.results : data.keywords?.keywords) || [])
+      .slice(0, MAX_SEED_KEYWORDS)
+      .map((k) => ({ id: k.id, name: k.name })),
+    people: people.slice(0, MAX_SEED_PEOPLE)
+  };
+}
+
+// Titles a person is known for, in the seed's media type, from /person/:id/combined_credits
+export function creditsFor(person, data, mediaType) {
+  const list = person.role === "cast" ? data?.cast || [] : (data?.crew || []).filter((c) => ["Director", "Creator", "Executive Producer"].includes(c.job));
+  return list.filter((c) => c.media_type === mediaType);
+}
+
+/**
+ * Merge source lists into one candidate map.
+ * sources: [{ kind: "recommendations" | "similar" | "keywords" | "person", person?, items }]
+ */
+export function collectHits(seed, sources) {
+  const hits = new Map();
+  for (const { kind, person, items } of sources) {
+    for (const raw of items || []) {
+      const c = { ...raw, media_type: raw.media_type || seed.media_type };
+      if (c.media_type !== seed.media_type || String(c.id) === String(seed.id)) continue;
+      const k = `${c.media_type}:${c.id}`;
+      const hit = hits.get(k) || { c, kinds: new Set(), people: [] };
+      hit.kinds.add(kind);
+      if (person && !hit.people.some((p) => p.id === person.id)) hit.people.push(person);
+      hits.set(k, hit);
+    }
+  }
+  return hits;
+}
+
+const reason = (code, params, text) => ({ code, params, text });
+
+// What a result with no reason of its own says
+export const similarReason = (seed) => reason("similar", { title: seed.title }, `Similar to ${seed.title}`);
+
+function personReason(p) {
+  const { name } = p;
+  if (p.role === "director") return reason("director", { name }, `Also directed by ${name}`);
+  if (p.role === "creator") return reason("creator", { name }, `Also from ${name}`);
+  return reason("cast", { name }, `Also stars ${name}`);
+}
+
+function reasonsFor(seed, hit) {
+  const out = [];
+  const title = seed.title;
+  for (const p of hit.people) out.push(personReason(p));
+  if (hit.kinds.has("keywords") && seed.keywords.length) {
+    const themes = seed.keywords.slice(0, 2).map((k) => k.name);
+    out.push(reason("themes", { title, themes }, `Shares themes with ${title}: ${themes.join(", ")}`));
+  }
+  if (hit.kinds.has("recommendations")) out.push(reason("fans", { title }, `Often enjoyed by fans of ${title}`));
+  else if (hit.kinds.has("similar")) out.push(similarReason(seed));
+  const shared = (hit.c.genre_ids || []).filter((g) => seed.genre_ids.includes(g)).length;
+  if (!out.length && shared) {
+    const tv = seed.media_type === "tv";
+    out.push(reason(tv ? "sameKind.tv" : "sameKind.movie", { title }, `Same kind of ${tv ? "series" : "film"} as ${title}`));
+  }
+  return out;
+}
+
+/**
+ * Score and order the hits. Disliked and already watched titles are dropped;
+ * liked / disliked / watched genres move the rest up or down.
+ */
+export function rankMoreLike(seed, hits, { liked = [], disliked = [], watched = [] } = {}) {
+  const taste = buildTasteProfile({ liked, disliked, watched });
+  const dislikedKeys = new Set(disliked.map((d) => `${d.media_type || "movie"}:${d.id}`));
+
+  return Array.from(hits.values())
+    .filter(({ c }) => !dislikedKeys.has(`${c.media_type}:${c.id}`) && !taste.seen.has(`${c.media_type}:${c.id}`))
+    .map((hit) => {
+      const { c } = hit;
+      const ids = c.genre_ids || [];
+      let score = 0;
+      for (const kind of hit.kinds) score += kind === "person" ? 0 : SOURCE_WEIGHT[kind];
+      score += Math.min(hit.people.length, 2) * SOURCE_WEIGHT.person;
+      score += ids.filter((g) => seed.genre_ids.includes(g)).length * 0.5;
+      if (ids.length) score += ids.reduce((s, g) => s + (taste.genres[g] || 0), 0) / ids.length;
+      // Quality only breaks ties, thin vote counts count for less
+      score += ((c.vote_average || 0) * Math.min(1, (c.vote_count || 0) / 200)) / 5;
+      return { c, score, reasons: reasonsFor(seed, hit) };
+    })
+    .sort((a, b) => b.score - a.score);
+}
@@ -0,0 +1,62 @@
+import { keywordNames } from "./explain.js";
+import { ageOrNull } from "./certifications.js";
+import { matchesProvider } from "./providers.js";
+
+/* ================================
+   Kid profiles
+   ================================
+   A request with `kidsProfile` comes from a child's profile in the
+   frontend, where leaving it needs the parent's PIN. Whatever the prompt,
+   a follow-up or the model says, such a request:
+   - runs in kids mode with the profile's age as the rating limit,
+   - only returns titles on the profile's allowed services, never relaxed,
+   - drops titles whose keywords, title or overview mention a blocked word,
+   - gets no unchecked "closest match" titles when nothing else is left.
+
+   kidsProfile: { name, maxAge, providers: [names or ids], blockedKeywords: [words] }
+*/
+export const DEFAULT_KIDS_AGE = 11;
+export const MAX_BLOCKED_KEYWORDS = 30;
+
+const strings = (v, max) =>
+  Array.from(new Set((Array.isArray(v) ? v : []).map((x) => String(x || "").trim()).filter(Boolean))).slice(0, max);
+
+// A clean profile, or null when the request has none
+export function normalizeKidsProfile(raw) {
+  if (!raw || typeof raw !== "object") return null;
+  const age = Number(raw.maxAge);
+  return {
+    name: String(raw.name || "").trim().slice(0, 40),
+    maxAge: raw.maxAge != null && raw.maxAge !== "" && Number.isFinite(age) && age >= 0 ? Math.min(17, Math.round(age)) : DEFAULT_KIDS_AGE,
+    providers: strings(raw.providers, 30),
+    blockedKeywords: strings(raw.blockedKeywords, MAX_BLOCKED_KEYWORDS).map((w) => w.toLowerCase().slice(0, 40))
+  };
+}
+
+// Kids mode on, and the stricter of the profile's age and anything the prompt asked for
+export function applyKidsProfile(intent, profile) {
+  intent.kidsMode = true;
+  intent.kidsMaxAge = Math.min(ageOrNull(intent.kidsMaxAge) ?? 18, profile.maxAge);
+  return intent;
+}
+
+// false when the profile limits services and none of them offers the title
+export function onAllowedServices(profile, watchable) {
+  if (!profile?.providers.length) return true;
+  return watchable.some((p) => profile.providers.some((x) => matchesProvider(p, x)));
+}
+
+const escapeRegex = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * The first blocked word the title mentions, or null. Keywords match on a part ("zombie"
+ * blocks "zombie apocalypse"), title and overview on a word start ("war" does not block "award").
+ */
+export function blockedWord(profile, c, details = null) {
+  if (!profile?.blockedKeywords.length) return null;
+  const keywords = keywordNames(details);
+  const text = `${c.title || c.name || ""} ${c.overview || ""}`.toLowerCase();
+  return (
+    profile.blockedKeywords.find((w) => keywords.some((k) => k.includes(w)) || new RegExp(`\\b${escapeRegex(w)}`).test(text)) || null
+  );
+}
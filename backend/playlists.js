@@ -0,0 +1,119 @@
+import crypto from "crypto";
+
+/* ================================
+   Shared playlists
+   ================================
+   A published playlist is a read-only snapshot under a short random id.
+   Publishing returns an edit key; whoever holds it (the frontend keeps it
+   on the playlist, so it syncs with the account) can update or unpublish.
+   Only the edit key's SHA-256 is stored.
+
+   Functions return a result object, or { status, error } for the route to send.
+*/
+export const MAX_SHARED_ITEMS = 200;
+const MAX_NAME = 80;
+const ID_ALPHABET = "abcdefghijkmnpqrstuvwxyzABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const ID_LENGTH = 8;
+const POSTER_PREFIX = "https://image.tmdb.org/t/p/";
+
+const sha256 = (s) => crypto.createHash("sha256").update(String(s)).digest("hex");
+
+function newId() {
+  const bytes = crypto.randomBytes(ID_LENGTH);
+  return Array.from(bytes, (b) => ID_ALPHABET[b % ID_ALPHABET.length]).join("");
+}
+
+export const validShareId = (id) => new RegExp(`^[${ID_ALPHABET}]{${ID_LENGTH}}$`).test(String(id || ""));
+
+// Keep only what the shared page shows; posters must be TMDB images
+function cleanItem(item) {
+  const id = Number(item?.id);
+  const mediaType = item?.media_type === "tv" ? "tv" : item?.media_type === "movie" ? "movie" : null;
+  if (!Number.isInteger(id) || id <= 0 || !mediaType) return null;
+  const poster = typeof item.poster_path === "string" && item.poster_path.startsWith(POSTER_PREFIX) ? item.poster_path : null;
+  return {
+    id,
+    media_type: mediaType,
+    title: String(item.title || "Untitled").slice(0, 300),
+    release_date: typeof item.release_date === "string" ? item.release_date.slice(0, 10) : "",
+    poster_path: poster
+  };
+}
+
+export function cleanPlaylist(body) {
+  const name = String(body?.name || "").trim().slice(0, MAX_NAME);
+  if (!name) return { status: 400, error: "Playlist name is required" };
+  if (!Array.isArray(body?.items)) return { status: 400, error: "items must be an array" };
+
+  const seen = new Set();
+  const items = [];
+  for (const raw of body.items) {
+    const it = cleanItem(raw);
+    if (!it || seen.has(`${it.media_type}:${it.id}`)) continue;
+    seen.add(`${it.media_type}:${it.id}`);
+    items.push(it);
+    if (items.length >= MAX_SHARED_ITEMS) break;
+  }
+  return { name, items };
+}
+
+// null when the key may edit this playlist, else the error to send
+function checkKey(doc, editKey) {
+  if (!doc || doc.removed) return { status: 404, error: "Shared playlist not found" };
+  if (doc.editKeyHash !== sha256(editKey || "")) return { status: 403, error: "Wrong edit key" };
+  return null;
+}
+
+export function createSharedPlaylists({ store }) {
+  const docName = (id) => `shared/${id}`;
+
+  async function publish(body, ownerId = null) {
+    const clean = cleanPlaylist(body);
+    if (clean.error) return clean;
+
+    let id = newId();
+    while (store.read(docName(id))) id = newId();
+    const editKey = crypto.randomBytes(24).toString("base64url");
+    const now = new Date().toISOString();
+
+    store.write(docName(id), { id, ...clean, ownerId, editKeyHash: sha256(editKey), createdAt: now, updatedAt: now });
+    return { id, editKey };
+  }
+
+  async function update(id, body) {
+    if (!validShareId(id)) return { status: 404, error: "Shared playlist not found" };
+    const clean = cleanPlaylist(body);
+    if (clean.error) return clean;
+
+    let out = null;
+    await store.update(docName(id), null, (doc) => {
+      out = checkKey(doc, body?.editKey);
+      if (out) return undefined;
+      out = { id, updatedAt: new Date().toISOString() };
+      return { ...doc, ...clean, updatedAt: out.updatedAt };
+    });
+    return out;
+  }
+
+  async function unpublish(id, editKey) {
+    if (!validShareId(id)) return { status: 404, error: "Shared playlist not found" };
+    let out = null;
+    await store.update(docName(id), null, (doc) => {
+      out = checkKey(doc, editKey);
+      if (out) return undefined;
+      out = { id, removed: true };
+      // Keep the id taken so an old link never shows someone else's list
+      return { id, removed: true, editKeyHash: doc.editKeyHash, updatedAt: new Date().toISOString() };
+    });
+    return out;
+  }
+
+  // Public view: no owner or key fields
+  function get(id) {
+    const doc = validShareId(id) ? store.read(docName(id)) : null;
+    if (!doc || doc.removed) return null;
+    return { id: doc.id, name: doc.name, items: doc.items, createdAt: doc.createdAt, updatedAt: doc.updatedAt };
+  }
+
+  return { publish, update, unpublish, get };
+}
@@ -0,0 +1,59 @@
+/* ================================
+   Where to watch
+   ================================
+   TMDB lists availability per region in tiers: flatrate (subscription),
+   free, ads (free with ads), rent and buy. Everything here works on the
+   shape providerTiers() returns.
+*/
+export const PROVIDER_TIERS = ["flatrate", "free", "ads", "rent", "buy"];
+
+// Which tiers count for the recommend "availability" filter
+export const AVAILABILITY = {
+  any: PROVIDER_TIERS,
+  subscription: ["flatrate"],
+  subscription_or_free: ["flatrate", "free", "ads"]
+};
+
+const LOGO_BASE = "https://image.tmdb.org/t/p/w92";
+
+export function normalizeAvailability(value) {
+  const v = String(value || "").trim().toLowerCase().replace(/[\s-]+/g, "_");
+  return AVAILABILITY[v] ? v : "any";
+}
+
+export const emptyProviders = () => providerTiers(null);
+
+/**
+ * One region's entry from /watch/providers as { link, flatrate, free, ads, rent, buy },
+ * each a list of { id, name, logo } in TMDB's display order.
+ */
+export function providerTiers(regionData) {
+  const out = { link: regionData?.link || null };
+  for (const tier of PROVIDER_TIERS) {
+    out[tier] = (regionData?.[tier] || [])
+      .slice()
+      .sort((a, b) => (a.display_priority ?? 99) - (b.display_priority ?? 99))
+      .map((p) => ({ id: p.provider_id, name: p.provider_name, logo: p.logo_path ? `${LOGO_BASE}${p.logo_path}` : null }));
+  }
+  return out;
+}
+
+// Providers in the given tiers, each listed once
+export function providersIn(tiers, tierNames = PROVIDER_TIERS) {
+  const seen = new Set();
+  const out = [];
+  for (const tier of tierNames) {
+    for (const p of tiers?.[tier] || []) {
+      if (seen.has(p.id)) continue;
+      seen.add(p.id);
+      out.push(p);
+    }
+  }
+  return out;
+}
+
+// Filter entries are provider names (case-insensitive) or TMDB provider ids
+export function matchesProvider(provider, wanted) {
+  const w = String(wanted).trim().toLowerCase();
+  return w === String(provider.name || "").toLowerCase() || w === String(provider.id);
+}
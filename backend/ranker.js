@@ -0,0 +1,349 @@
+import { GENRE, genreName, itemHasGenre } from "./genres.js";
+import { parseLanguages } from "./languages.js";
+import { parseRuntime } from "./runtime.js";
+import { parseWarnings } from "./warnings.js";
+
+/* ================================
+   Offline ranker
+   ================================
+   Deterministic stand-in for the two OpenAI calls:
+   - parsePrompt() reads genres, years, length, languages, content warnings, media type, kids cues and actor names
+   - buildTasteProfile() turns liked / disliked / watched into genre weights
+   - rankCandidates() scores the pool and writes a reason per pick, as { code, params, text } parts
+     the UI words (reason.<code> in docs/i18n.js) and English text
+   Used when OPENAI_API_KEY is missing or the model output is unusable.
+*/
+
+const GENRE_CUES = [
+  [GENRE.COMEDY, ["comedy", "comedies", "funny", "laugh", "hilarious", "sitcom", "silly"]],
+  [GENRE.HORROR, ["horror", "scary", "spooky", "creepy", "slasher", "haunted", "zombie"]],
+  [GENRE.THRILLER, ["thriller", "suspense", "tense", "edge of my seat"]],
+  [GENRE.CRIME, ["crime", "heist", "gangster", "detective", "mafia", "cop"]],
+  [GENRE.MYSTERY, ["mystery", "whodunit", "twist"]],
+  [GENRE.ROMANCE, ["romance", "romantic", "rom-com", "romcom", "love story", "date night"]],
+  [GENRE.ACTION, ["action", "explosions", "fight", "martial arts"]],
+  [GENRE.ADVENTURE, ["adventure", "quest", "journey", "treasure"]],
+  [GENRE.SCIFI, ["sci-fi", "scifi", "science fiction", "space", "alien", "robot", "future", "dystopia"]],
+  [GENRE.FANTASY, ["fantasy", "magic", "wizard", "dragon", "fairy tale"]],
+  [GENRE.ANIMATION, ["animated", "animation", "cartoon", "anime", "pixar"]],
+  [GENRE.FAMILY, ["family", "wholesome"]],
+  [GENRE.DRAMA, ["drama", "emotional", "tearjerker", "moving"]],
+  [GENRE.DOCUMENTARY, ["documentary", "documentaries", "docuseries", "true story"]],
+  [GENRE.WAR, ["war", "ww2", "wwii", "soldier"]],
+  [GENRE.HISTORY, ["history", "historical", "period piece"]],
+  [GENRE.MUSIC, ["musical", "music", "band", "concert"]],
+  [GENRE.WESTERN, ["western", "cowboy"]]
+];
+
+const NEGATIONS = ["no", "not", "without", "nothing", "avoid", "never", "non", "less"];
+
+const TV_CUES = ["series", "show", "shows", "tv", "episodes", "season", "binge", "sitcom", "docuseries"];
+const MOVIE_CUES = ["movie", "movies", "film", "films", "cinema", "flick"];
+const KIDS_CUES = ["kid", "kids", "child", "children", "toddler", "toddlers", "family-friendly", "little ones"];
+const NICHE_CUES = ["hidden gem", "underrated", "obscure", "niche", "indie", "lesser known", "cult"];
+
+// Mood slider (1 chill .. 5 chaos) nudges these genres up or down
+export const MOOD_GENRES = {
+  calm: [GENRE.COMEDY, GENRE.FAMILY, GENRE.ROMANCE, GENRE.ANIMATION, GENRE.MUSIC],
+  intense: [GENRE.ACTION, GENRE.THRILLER, GENRE.ADVENTURE, GENRE.SCIFI, GENRE.HORROR, GENRE.CRIME],
+  heavy: [GENRE.HORROR, GENRE.WAR, GENRE.THRILLER]
+};
+
+function words(text) {
+  return String(text || "")
+    .toLowerCase()
+    .split(/[^a-z0-9'+-]+/)
+    .filter(Boolean);
+}
+
+// "not too scary", "no horror", "without romance": cue preceded by a negation within 3 words
+function cueIndex(lower, cue) {
+  const re = new RegExp(`(^|[^a-z])${cue.replace(/[.*+?^${}()|[\]\\-]/g, "\\$&")}([^a-z]|$)`);
+  const m = re.exec(lower);
+  return m ? m.index + m[1].length : -1;
+}
+
+function isNegated(lower, idx) {
+  const before = words(lower.slice(Math.max(0, idx - 30), idx)).slice(-3);
+  return before.some((w) => NEGATIONS.includes(w));
+}
+
+function parseYears(lower, now = new Date()) {
+  const out = { yearMin: null, yearMax: null, yearExact: null };
+
+  // 1990s, 90s, '90s
+  const decade = /(?:^|[^0-9])(?:(19|20)(\d)0|'?(\d)0)'?s\b/.exec(lower);
+  if (decade) {
+    const start = decade[1] ? Number(`${decade[1]}${decade[2]}0`) : Number(decade[3]) >= 3 ? 1900 + Number(decade[3]) * 10 : 2000 + Number(decade[3]) * 10;
+    out.yearMin = start;
+    out.yearMax = start + 9;
+  }
+
+  // "from 1990 to 1995", "between 1990 and 1995"
+  const range = /\b(?:from|between)\s+((?:19|20)\d{2})\s*(?:to|and|-|–)\s*((?:19|20)\d{2})\b/.exec(lower);
+  if (range) {
+    out.yearMin = Math.min(Number(range[1]), Number(range[2]));
+    out.yearMax = Math.max(Number(range[1]), Number(range[2]));
+  }
+
+  // "before 1980" leaves 1980 out, "up to 1980" keeps it
+  const before = !range && /\b(before|pre|older than|up to)\s+((?:19|20)\d{2})\b/.exec(lower);
+  if (before) out.yearMax = Number(before[2]) - (before[1] === "up to" ? 0 : 1);
+
+  // "after 2015" starts in 2016, "since 2015" and "from 2015 onwards" in 2015; a bare "from 1994" is that year
+  const after = !range && /\b(after|since|from|newer than|post)\s+((?:19|20)\d{2})\b(\s*(?:on|onwards?|and later|or later|\+))?/.exec(lower);
+  const bareFrom = after && after[1] === "from" && !after[3];
+  if (after && !bareFrom) out.yearMin = Number(after[2]) + (["after", "newer than", "post"].includes(after[1]) ? 1 : 0);
+
+  if (!decade && !range && !before && (!after || bareFrom)) {
+    const exact = /\b((?:19|20)\d{2})\b/.exec(lower);
+    if (exact) out.yearExact = Number(exact[1]);
+  }
+
+  if (!out.yearMin && !out.yearMax && !out.yearExact) {
+    if (/\b(new|recent|latest|this year)\b/.test(lower)) out.yearMin = now.getFullYear() - 3;
+    // "old" but not the age in "my 6 year old"
+    else if (/\b(classic|oldie|retro|vintage)\b|(?<!\b(?:years?|yrs?)[- ]?)\bold\b/.test(lower)) out.yearMax = 1995;
+  }
+
+  return out;
+}
+
+function parseKidsAge(lower) {
+  const range = /\bages?\s*(\d{1,2})\s*(?:-|–|to)\s*(\d{1,2})\b/.exec(lower);
+  if (range) return Math.max(Number(range[1]), Number(range[2]));
+  const single = /\b(?:age|aged)\s*(\d{1,2})\b/.exec(lower) || /\b(\d{1,2})\s*(?:-|\s)?(?:year|yr)s?[- ]?olds?\b/.exec(lower);
+  if (single) return Number(single[1]);
+  return null;
+}
+
+// Capitalised name after "with", "starring" etc. Needs the original casing.
+function parseActor(prompt) {
+  const m = /\b(?:starring|featuring|with|actor|actress)\s+([A-Z][\w'’.-]+(?:\s+(?:de |van |von |del )?[A-Z][\w'’.-]+){1,2})/.exec(
+    String(prompt || "")
+  );
+  return m ? m[1].trim() : null;
+}
+
+/**
+ * Intent from the raw prompt, same shape the LLM returns.
+ */
+export function parsePrompt(prompt, now = new Date()) {
+  const lower = String(prompt || "").toLowerCase();
+  const tokens = words(lower);
+
+  const withGenres = [];
+  const withoutGenres = [];
+  for (const [gid, cues] of GENRE_CUES) {
+    for (const cue of cues) {
+      const idx = cueIndex(lower, cue);
+      if (idx === -1) continue;
+      const bucket = isNegated(lower, idx) ? withoutGenres : withGenres;
+      if (!bucket.includes(gid)) bucket.push(gid);
+      break;
+    }
+  }
+
+  const tvHit = TV_CUES.some((c) => tokens.includes(c));
+  const movieHit = MOVIE_CUES.some((c) => tokens.includes(c));
+  const mediaType = tvHit && !movieHit ? "tv" : movieHit && !tvHit ? "movie" : "any";
+
+  const kidsAge = parseKidsAge(lower);
+  const kidsMode = KIDS_CUES.some((c) => cueIndex(lower, c) !== -1) || (kidsAge !== null && kidsAge < 16);
+
+  const actorName = parseActor(prompt);
+
+  return {
+    mediaType,
+    searchHint: prompt,
+    searchQueries: [prompt],
+    kidsMode,
+    kidsMaxAge: kidsMode ? kidsAge ?? 11 : null,
+    nicheMode: NICHE_CUES.some((c) => lower.includes(c)),
+    ...parseYears(lower, now),
+    ...parseRuntime(lower),
+    ...parseLanguages(lower),
+    ...parseWarnings(lower),
+    actorName,
+    withGenres: withGenres.filter((g) => !withoutGenres.includes(g)),
+    withoutGenres,
+    themeKeywords: [],
+    providerInclude: [],
+    providerExclude: []
+  };
+}
+
+/**
+ * Genre weights in [-1, 1] from the user's history.
+ * Watched ratings count by how far they sit from the middle of the 1-10 scale.
+ */
+export function buildTasteProfile({ liked = [], disliked = [], watched = [] } = {}) {
+  const raw = {};
+  const add = (item, w) => {
+    for (const gid of item?.genre_ids || []) raw[gid] = (raw[gid] || 0) + w;
+  };
+
+  for (const l of liked.slice(0, 120)) add(l, 1);
+  for (const d of disliked.slice(0, 250)) add(d, -1.2);
+  for (const w of watched.slice(0, 200)) {
+    const r = w?.rating == null ? NaN : Number(w.rating);
+    add(w, Number.isFinite(r) ? (r - 5.5) / 4.5 : 0.3);
+  }
+
+  const max = Math.max(1, ...Object.values(raw).map((v) => Math.abs(v)));
+  const genres = {};
+  for (const [gid, v] of Object.entries(raw)) genres[gid] = v / max;
+
+  const seen = new Set([...watched].map((w) => `${w?.media_type}:${w?.id}`));
+  const lovedTitles = [
+    ...liked,
+    ...watched.filter((w) => Number(w?.rating) >= 8)
+  ].filter((x) => (x?.genre_ids || []).length);
+
+  return { genres, seen, lovedTitles };
+}
+
+function quality(c) {
+  const votes = c.vote_count || 0;
+  const rating = c.vote_average || 0;
+  // shrink thin ratings towards 6
+  const shrunk = (rating * votes + 6 * 50) / (votes + 50);
+  return shrunk + Math.min(1.5, Math.log10(votes + 1) / 3);
+}
+
+function yearOf(c) {
+  const d = c.release_date || c.first_air_date || "";
+  return d.length >= 4 ? Number(d.slice(0, 4)) : null;
+}
+
+function tieBreak(str) {
+  let h = 0;
+  for (let i = 0; i < str.length; i++) h = (h * 31 + str.charCodeAt(i)) >>> 0;
+  return (h % 1000) / 100000;
+}
+
+// The liked (or highly rated) title sharing the most genres with c, at least two, or null
+export function closestLoved(c, taste) {
+  const ids = c.genre_ids || [];
+  let best = null;
+  let bestShared = 1;
+  for (const l of taste.lovedTitles) {
+    if (String(l.id) === String(c.id)) continue;
+    const shared = (l.genre_ids || []).filter((g) => ids.includes(g)).length;
+    if (shared > bestShared) {
+      best = l;
+      bestShared = shared;
+    }
+  }
+  return best;
+}
+
+const reasonPart = (kind, code, params, text) => ({ kind, code, params, text });
+
+/**
+ * Score one candidate. Returns { score, signals } where signals feed the reason.
+ */
+export function scoreOffline(c, { intent = {}, mood = 3, taste = null, refreshToken = "" } = {}) {
+  const signals = [];
+  let score = quality(c);
+
+  const wanted = (intent.withGenres || []).filter((g) => itemHasGenre(c, g));
+  score += wanted.length * 2.5;
+  if ((intent.withGenres || []).length && !wanted.length) score -= 3;
+  if (wanted.length) signals.push(reasonPart("genre", "genre", { genres: wanted }, `${wanted.map(genreName).filter(Boolean).join(" + ")} as asked`));
+
+  const avoided = (intent.withoutGenres || []).filter((g) => itemHasGenre(c, g));
+  score -= avoided.length * 5;
+
+  const y = yearOf(c);
+  if (y && (intent.yearMin || intent.yearMax || intent.yearExact)) {
+    const min = Number(intent.yearExact || intent.yearMin || 0);
+    const max = Number(intent.yearExact || intent.yearMax || 9999);
+    if (y >= min && y <= max) {
+      score += 1.5;
+      if (intent.yearExact) signals.push(reasonPart("era", "era.exact", { year: y }, `From ${y}`));
+      else if (min && max < 9999) signals.push(reasonPart("era", "era.between", { min, max }, `From ${min}–${max}`));
+      else if (min) signals.push(reasonPart("era", "era.after", { year: min }, `After ${min}`));
+      else signals.push(reasonPart("era", "era.before", { year: max }, `Before ${max}`));
+    } else {
+      score -= Math.min(4, Math.abs(y < min ? min - y : y - max) / 3);
+    }
+  }
+
+  if (intent.mediaType && intent.mediaType !== "any" && c.media_type !== intent.mediaType) score -= 4;
+
+  const m = Number(mood || 3);
+  if (m <= 2) {
+    if (MOOD_GENRES.calm.some((g) => itemHasGenre(c, g))) {
+      score += 1;
+      signals.push(reasonPart("mood", "mood.calm", {}, "Easygoing pick for a chill mood"));
+    }
+    if (MOOD_GENRES.heavy.some((g) => itemHasGenre(c, g))) score -= 1.5;
+  } else if (m >= 4) {
+    if (MOOD_GENRES.intense.some((g) => itemHasGenre(c, g))) {
+      score += 1;
+      signals.push(reasonPart("mood", "mood.intense", {}, "High energy to match your mood"));
+    }
+  }
+
+  if (taste) {
+    const ids = c.genre_ids || [];
+    if (ids.length) {
+      const fit = ids.reduce((sum, g) => sum + (taste.genres[g] || 0), 0) / ids.length;
+      score += fit * 3;
+      if (fit > 0.25) {
+        const loved = closestLoved(c, taste);
+        const title = loved?.title || loved?.name;
+        if (title) signals.push(reasonPart("taste", "taste.title", { title }, `Similar to ${title} which you liked`));
+        else signals.push(reasonPart("taste", "taste.genres", {}, "Fits genres you usually rate highly"));
+      }
+    }
+    if (taste.seen.has(`${c.media_type}:${c.id}`)) score -= 20;
+  }
+
+  if ((c.vote_average || 0) >= 7.5 && (c.vote_count || 0) >= 200) {
+    const rating = Number(Number(c.vote_average).toFixed(1));
+    signals.push(reasonPart("quality", "quality", { rating }, `Highly rated (${rating.toFixed(1)}/10)`));
+  }
+
+  score += tieBreak(`${c.media_type}:${c.id}|${refreshToken}`);
+  return { score, signals };
+}
+
+// The two strongest signals, or the popular-pick note when there are none
+function reasonsFrom(signals) {
+  if (!signals.length) return [{ code: "popular", params: {}, text: "Popular pick close to your vibe" }];
+  const order = ["genre", "taste", "era", "mood", "quality"];
+  const top = [...signals].sort((a, b) => order.indexOf(a.kind) - order.indexOf(b.kind)).slice(0, 2);
+  return top.map(({ code, params, text }) => ({ code, params, text }));
+}
+
+/**
+ * Rank the pool and return picks in the { id, reason } shape the AI pick step uses,
+ * plus the reason's parts for the UI to word.
+ * Lightly spreads genres so six near-identical titles do not crowd the top.
+ */
+export function rankCandidates(candidates, { intent = {}, mood = 3, liked = [], disliked = [], watched = [], refreshToken = "", limit = 12 } = {}) {
+  const taste = buildTasteProfile({ liked, disliked, watched });
+
+  const scored = candidates
+    .map((c) => ({ c, ...scoreOffline(c, { intent, mood, taste, refreshToken }) }))
+    .sort((a, b) => b.score - a.score);
+
+  const out = [];
+  const lead = {};
+  for (const s of scored) {
+    if (out.length >= limit) break;
+    const g = (s.c.genre_ids || [])[0];
+    const penalty = g ? (lead[g] || 0) * 0.8 : 0;
+    out.push({ ...s, adjusted: s.score - penalty });
+    if (g) lead[g] = (lead[g] || 0) + 1;
+  }
+
+  return out
+    .sort((a, b) => b.adjusted - a.adjusted)
+    .map((s) => {
+      const reasons = reasonsFrom(s.signals);
+      return { id: s.c.id, reason: reasons.map((r) => r.text).join(". ") + ".", reasons, score: Number(s.score.toFixed(3)) };
+    });
+}
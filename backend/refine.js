@@ -0,0 +1,269 @@
+import crypto from "crypto";
+import { GENRE, genreName } from "./genres.js";
+import { parsePrompt } from "./ranker.js";
+import { languageName } from "./languages.js";
+import { warningLabel } from "./warnings.js";
+import { formatRuntime } from "./runtime.js";
+
+/* ================================
+   Refinement sessions
+   ================================
+   Every recommend response carries a session token holding the intent it
+   ran with, the titles it showed and the follow-ups so far. The token is
+   HMAC-signed, so the server keeps no state and a restart only costs the
+   tokens signed with a random secret (set SESSION_SECRET to keep them).
+
+   A follow-up ("less scary", "more like the second one", "only series",
+   "something older") is applied to the stored intent instead of starting
+   over, and titles already shown are left out of the next round.
+*/
+export const SESSION_TTL_MS = 2 * 60 * 60 * 1000;
+export const MAX_FOLLOW_UP = 300;
+const MAX_TURNS = 10;
+const MAX_SHOWN = 120;
+
+const sha = (secret, s) => crypto.createHmac("sha256", secret).update(s).digest("base64url");
+
+export function createSessionTokens({ secret = crypto.randomBytes(32).toString("hex"), ttlMs = SESSION_TTL_MS } = {}) {
+  function sign(state) {
+    const payload = Buffer.from(JSON.stringify({ ...state, exp: Date.now() + ttlMs })).toString("base64url");
+    return `${payload}.${sha(secret, payload)}`;
+  }
+
+  // { state }, or { error: "invalid" } for a malformed or tampered token, { error: "expired" } for an old one
+  function check(token) {
+    const [payload, mac] = String(token || "").split(".");
+    if (!payload || !mac) return { error: "invalid" };
+    const expected = Buffer.from(sha(secret, payload));
+    const given = Buffer.from(mac);
+    if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return { error: "invalid" };
+    try {
+      const state = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+      return state.exp > Date.now() ? { state } : { error: "expired" };
+    } catch {
+      return { error: "invalid" };
+    }
+  }
+
+  // The session state, or null when check() finds anything wrong
+  const verify = (token) => check(token).state || null;
+
+  return { sign, verify, check };
+}
+
+export function sessionTokensFromEnv(env = process.env) {
+  return createSessionTokens({ secret: env.SESSION_SECRET || undefined });
+}
+
+const yearOf = (x) => Number(String(x?.release_date || x?.first_air_date || "").slice(0, 4)) || null;
+
+// What a session remembers about one shown title
+export function shownSummary(r) {
+  return {
+    id: r.id,
+    media_type: r.media_type,
+    title: String(r.title || r.name || "").slice(0, 120),
+    genre_ids: (r.genre_ids || []).slice(0, 6),
+    year: yearOf(r),
+    // Movie length or episode length, what "shorter" moves from
+    minutes: r.runtime || r.episode_runtime || null
+  };
+}
+
+/**
+ * State for the next token: the intent used, every title shown so far (as media:id keys)
+ * and the latest round, which "the second one" refers to.
+ */
+export function nextSessionState(prev, { prompt, intent, results, message = null }) {
+  const real = results.filter((r) => Number.isInteger(Number(r.id)));
+  const keys = [...(prev?.shown || []), ...real.map((r) => `${r.media_type}:${r.id}`)];
+  return {
+    prompt: prev?.prompt || prompt,
+    intent,
+    shown: Array.from(new Set(keys)).slice(-MAX_SHOWN),
+    last: real.length ? real.map(shownSummary) : prev?.last || [],
+    turns: message ? [...(prev?.turns || []), message].slice(-MAX_TURNS) : prev?.turns || []
+  };
+}
+
+const ORDINALS = { first: 1, "1st": 1, second: 2, "2nd": 2, third: 3, "3rd": 3, fourth: 4, "4th": 4, fifth: 5, "5th": 5, sixth: 6, "6th": 6 };
+
+// "the second one", "#3", "number 2", "the last one", or a shown title by name
+export function referencedTitle(message, last = []) {
+  const lower = String(message || "").toLowerCase();
+  const ordinal = /\b(first|second|third|fourth|fifth|sixth|1st|2nd|3rd|4th|5th|6th)\b/.exec(lower);
+  const numbered = /(?:#|\bnumber\s+|\bno\.\s*)(\d)\b/.exec(lower);
+  const n = ordinal ? ORDINALS[ordinal[1]] : numbered ? Number(numbered[1]) : /\blast (one|pick)\b/.test(lower) ? last.length : null;
+  if (n && last[n - 1]) return last[n - 1];
+  return last.find((x) => x.title.length >= 3 && lower.includes(x.title.toLowerCase())) || null;
+}
+
+// Tone words parsePrompt does not know: genres to add and genres to drop
+const TONE_RULES = [
+  [["scarier", "creepier", "more scary"], [GENRE.HORROR], []],
+  [["funnier", "more funny", "sillier"], [GENRE.COMEDY], []],
+  [["lighter", "less dark", "less heavy", "happier", "cheerier", "less intense"], [], [GENRE.HORROR, GENRE.WAR, GENRE.THRILLER]],
+  [["darker", "more intense", "grittier"], [GENRE.THRILLER], [GENRE.COMEDY, GENRE.FAMILY]]
+];
+
+// A change note: code and params for the UI to word (change.<code> in docs/i18n.js), text in English
+const note = (code, params, text) => ({ code, params, text });
+
+const addTo = (list, ids) => Array.from(new Set([...(list || []), ...ids]));
+const dropFrom = (list, ids) => (list || []).filter((g) => !ids.includes(g));
+const median = (xs) => xs.slice().sort((a, b) => a - b)[Math.floor(xs.length / 2)];
+
+// The years an intent asks for: one year, a range, an open end, or none
+function yearsNote({ yearMin: min, yearMax: max, yearExact: year }) {
+  if (year) return note("year", { year }, `From ${year}`);
+  if (min && max) return note("years", { min, max }, `${min}–${max}`);
+  if (min) return note("since", { year: min }, `${min} onwards`);
+  return max ? note("upTo", { year: max }, `Up to ${max}`) : note("anyYear", {}, "Any year");
+}
+
+const runtimeNote = (code, minutes) => note(code, { minutes }, `${code === "runtimeMax" ? "Up to" : "At least"} ${formatRuntime(minutes)}`);
+
+const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+const newIn = (next, prev) => (next || []).filter((x) => !(prev || []).includes(x));
+
+/**
+ * A note per difference between two intents ({ code, params, text }), in a fixed order.
+ * Built from the intents themselves, so whatever changed them (applyFollowUp, the model,
+ * standing settings) the notes say what the next round really runs with. The message
+ * words the note for a follow-up that only changed the search queries.
+ */
+export function describeChanges(prev = {}, next = {}, message = "") {
+  const changes = [];
+  if (!same(prev.mediaType, next.mediaType)) {
+    const media = { tv: ["tvOnly", "Series only"], movie: ["moviesOnly", "Movies only"] }[next.mediaType] || ["anyMedia", "Movies and series"];
+    changes.push(note(media[0], {}, media[1]));
+  }
+
+  const genreText = (genre) => genreName(genre) || "of that genre";
+  for (const genre of newIn(next.withGenres, prev.withGenres)) changes.push(note("moreGenre", { genre }, `More ${genreText(genre)}`));
+  for (const genre of newIn(next.withoutGenres, prev.withoutGenres)) changes.push(note("noGenre", { genre }, `No ${genreText(genre)}`));
+
+  if (["yearMin", "yearMax", "yearExact"].some((k) => !same(prev[k], next[k]))) changes.push(yearsNote(next));
+
+  if (!same(prev.runtimeMax, next.runtimeMax) && next.runtimeMax) changes.push(runtimeNote("runtimeMax", next.runtimeMax));
+  if (!same(prev.runtimeMin, next.runtimeMin) && next.runtimeMin) changes.push(runtimeNote("runtimeMin", next.runtimeMin));
+  const lengthChanged = !same(prev.runtimeMax, next.runtimeMax) || !same(prev.runtimeMin, next.runtimeMin);
+  if (lengthChanged && !next.runtimeMax && !next.runtimeMin) changes.push(note("anyLength", {}, "Any length"));
+  if (!same(prev.maxSeasons, next.maxSeasons) && next.maxSeasons) {
+    changes.push(note("seasons", { count: next.maxSeasons }, next.maxSeasons === 1 ? "One season" : `Up to ${next.maxSeasons} seasons`));
+  }
+
+  for (const language of newIn(next.originalLanguages, prev.originalLanguages)) {
+    changes.push(note("language", { language }, `In ${languageName(language)}`));
+  }
+  for (const language of newIn(next.excludeLanguages, prev.excludeLanguages)) {
+    changes.push(note("noLanguage", { language }, `Nothing in ${languageName(language)}`));
+  }
+  if (prev.originalLanguages?.length && !next.originalLanguages?.length) changes.push(note("anyLanguage", {}, "Any language"));
+
+  for (const warning of newIn(next.contentWarnings, prev.contentWarnings)) changes.push(note("warning", { warning }, `No ${warningLabel(warning)}`));
+
+  if (next.kidsMode && !prev.kidsMode) changes.push(note("kids", {}, "Kid friendly"));
+  if (next.nicheMode && !prev.nicheMode) changes.push(note("niche", {}, "Hidden gems"));
+  else if (prev.nicheMode && !next.nicheMode) changes.push(note("popular", {}, "Better known titles"));
+  if (!same(prev.actorName, next.actorName) && next.actorName) changes.push(note("actor", { name: next.actorName }, `With ${next.actorName}`));
+  if (!same(prev.similarTo, next.similarTo) && next.similarTo) {
+    changes.push(note("similar", { title: next.similarTo.title }, `More like ${next.similarTo.title}`));
+  }
+
+  const query = String(message || "").trim();
+  if (!changes.length && query && !same(prev.searchQueries, next.searchQueries)) {
+    changes.push(note("search", { query }, `Searching for “${query}”`));
+  }
+  return changes;
+}
+
+/**
+ * Apply a follow-up to an intent. Returns { intent, changes, similarTo }: the new intent,
+ * a note per change for the UI (see describeChanges), and the shown title the user
+ * pointed at (or null).
+ */
+export function applyFollowUp(prevIntent, message, last = [], now = new Date()) {
+  const intent = structuredClone(prevIntent || {});
+  const lower = String(message || "").toLowerCase();
+  const parsed = parsePrompt(message, now);
+
+  if (parsed.mediaType !== "any") intent.mediaType = parsed.mediaType;
+  else if (/\b(either|movies or series|series or movies|anything)\b/.test(lower)) intent.mediaType = "any";
+
+  let withGenres = dropFrom(addTo(intent.withGenres, parsed.withGenres), parsed.withoutGenres);
+  let withoutGenres = dropFrom(addTo(intent.withoutGenres, parsed.withoutGenres), parsed.withGenres);
+  let toneHit = false;
+  for (const [cues, add, drop] of TONE_RULES) {
+    if (!cues.some((c) => lower.includes(c))) continue;
+    toneHit = true;
+    withGenres = dropFrom(addTo(withGenres, add), drop);
+    withoutGenres = dropFrom(addTo(withoutGenres, drop), add);
+  }
+  intent.withGenres = withGenres;
+  intent.withoutGenres = withoutGenres;
+
+  // Explicit years win; "older" / "newer" move relative to what was just shown
+  const years = last.map((x) => x.year).filter(Boolean);
+  const pivot = years.length ? median(years) : now.getFullYear() - 5;
+  if (parsed.yearMin || parsed.yearMax || parsed.yearExact) {
+    intent.yearMin = parsed.yearMin;
+    intent.yearMax = parsed.yearMax;
+    intent.yearExact = parsed.yearExact;
+  } else if (/\b(older|earlier|classic|classics|vintage)\b/.test(lower)) {
+    intent.yearMax = Math.min(intent.yearMax || Infinity, pivot - 1);
+    if (intent.yearMin && intent.yearMin > intent.yearMax) intent.yearMin = null;
+    intent.yearExact = null;
+  } else if (/\b(newer|recent|more recent|latest|modern)\b/.test(lower)) {
+    intent.yearMin = Math.max(intent.yearMin || 0, Math.min(pivot + 1, now.getFullYear()));
+    if (intent.yearMax && intent.yearMax < intent.yearMin) intent.yearMax = null;
+    intent.yearExact = null;
+  }
+
+  // Same for length: explicit limits win, "shorter" goes below what was just shown
+  const lengths = last.map((x) => x.minutes).filter(Boolean);
+  if (parsed.runtimeMin || parsed.runtimeMax) {
+    intent.runtimeMin = parsed.runtimeMin;
+    intent.runtimeMax = parsed.runtimeMax;
+  } else if (/\b(shorter|quicker)\b/.test(lower)) {
+    const below = (lengths.length ? median(lengths) : 120) - 10;
+    intent.runtimeMax = Math.max(20, Math.min(intent.runtimeMax || Infinity, below));
+    if (intent.runtimeMin && intent.runtimeMin > intent.runtimeMax) intent.runtimeMin = null;
+  } else if (/\blonger\b/.test(lower)) {
+    intent.runtimeMin = lengths.length ? median(lengths) + 10 : 120;
+    intent.runtimeMax = null;
+  }
+  if (parsed.maxSeasons) intent.maxSeasons = parsed.maxSeasons;
+
+  if (parsed.originalLanguages.length || parsed.excludeLanguages.length) {
+    intent.originalLanguages = parsed.originalLanguages.length
+      ? parsed.originalLanguages
+      : (intent.originalLanguages || []).filter((c) => !parsed.excludeLanguages.includes(c));
+    intent.excludeLanguages = Array.from(new Set([...(intent.excludeLanguages || []), ...parsed.excludeLanguages])).filter(
+      (c) => !parsed.originalLanguages.includes(c)
+    );
+  } else if (/\b(any language|other languages|subtitles are fine|subtitles ok)\b/.test(lower)) {
+    intent.originalLanguages = [];
+  }
+
+  intent.contentWarnings = Array.from(new Set([...(intent.contentWarnings || []), ...parsed.contentWarnings]));
+
+  if (parsed.kidsMode && !intent.kidsMode) {
+    intent.kidsMode = true;
+    intent.kidsMaxAge = parsed.kidsMaxAge;
+  }
+  if (parsed.nicheMode) intent.nicheMode = true;
+  else if (/\b(popular|mainstream|well known|well-known)\b/.test(lower)) intent.nicheMode = false;
+  if (parsed.actorName) intent.actorName = parsed.actorName;
+
+  const similarTo = referencedTitle(message, last);
+  if (similarTo) intent.similarTo = { id: similarTo.id, media_type: similarTo.media_type, title: similarTo.title };
+
+  // Nothing recognised: the words still steer the search
+  if (!toneHit && !describeChanges(prevIntent, intent).length) {
+    const query = `${intent.searchHint || ""} ${message}`.trim();
+    intent.searchQueries = [query, ...(intent.searchQueries || [])].slice(0, 6);
+  }
+
+  return { intent, changes: describeChanges(prevIntent, intent, message), similarTo };
+}
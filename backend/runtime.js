@@ -0,0 +1,92 @@
+/* ================================
+   Runtime
+   ================================
+   runtimeMin / runtimeMax (minutes) limit a movie's length or a series'
+   episode length, maxSeasons limits how many seasons a series has.
+   Discover filters on with_runtime (episode runtime for series); titles
+   from search, trending or recommendations are checked against their
+   details instead. A title whose length TMDB does not know is kept.
+*/
+export const MAX_RUNTIME = 600;
+
+const NUMBER_WORDS = { a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, ninety: 90, thirty: 30, forty: 40, sixty: 60 };
+const AMOUNT = "(\\d+(?:\\.\\d+)?|a|an|one|two|three|four|five|six|thirty|forty|sixty|ninety)\\s*(?:-\\s*)?(h|hr|hrs|hour|hours|m|min|mins|minute|minutes)\\b";
+
+const MAX_CUES = "under|less than|shorter than|no more than|no longer than|at most|max(?:imum)?|below|within|up to|i have|i've got|i only have|only have|got";
+const MIN_CUES = "over|more than|longer than|at least";
+
+function minutes(amount, unit) {
+  const n = NUMBER_WORDS[amount] ?? Number(amount);
+  if (!Number.isFinite(n) || n <= 0) return null;
+  const m = /^h/.test(unit) ? n * 60 : n;
+  return Math.min(MAX_RUNTIME, Math.round(m));
+}
+
+/**
+ * Length limits in a prompt: "under 90 minutes", "I have 45 mins", "over 2.5 hours",
+ * "half-hour episodes", "a miniseries", "no more than 3 seasons".
+ */
+export function parseRuntime(text) {
+  const lower = String(text || "").toLowerCase().replace(/half[\s-]an?[\s-]hour|half[\s-]hour/g, "30 minutes");
+  const out = { runtimeMin: null, runtimeMax: null, maxSeasons: null };
+
+  const max = new RegExp(`\\b(?:${MAX_CUES})\\s+(?:only\\s+|about\\s+)?${AMOUNT}`).exec(lower);
+  const min = new RegExp(`(?<!no )\\b(?:${MIN_CUES})\\s+${AMOUNT}`).exec(lower);
+  // "30 minute episodes", "an hour long": about that long, with some slack
+  const about = new RegExp(`${AMOUNT}\\s*(?:long|episodes?|shows?|movies?|films?)`).exec(lower);
+  if (max) out.runtimeMax = minutes(max[1], max[2]);
+  if (min) out.runtimeMin = minutes(min[1], min[2]);
+  if (!max && !min && about) {
+    const m = minutes(about[1], about[2]);
+    if (m) out.runtimeMax = Math.round(m * 1.15);
+  }
+  if (!out.runtimeMax && /\b(short|quick)\s+(movie|movies|film|films|watch)\b/.test(lower)) out.runtimeMax = 95;
+  if (!out.runtimeMin && /\b(long|epic)\s+(movie|movies|film|films)\b/.test(lower)) out.runtimeMin = 140;
+  if (out.runtimeMin && out.runtimeMax && out.runtimeMin > out.runtimeMax) out.runtimeMin = null;
+
+  const seasons = /\b(?:under|fewer than|less than|no more than|at most|max(?:imum)?|up to)\s+(\d+|one|two|three|four|five|six)\s+seasons?\b/.exec(lower);
+  if (seasons) {
+    const n = NUMBER_WORDS[seasons[1]] ?? Number(seasons[1]);
+    out.maxSeasons = /fewer|less|under/.test(seasons[0]) ? Math.max(1, n - 1) : n;
+  } else if (/\b(mini[\s-]?series|limited series|one season|single season)\b/.test(lower)) {
+    out.maxSeasons = 1;
+  } else if (/\bshort (tv )?(series|shows?)\b/.test(lower)) {
+    out.maxSeasons = 2;
+  }
+  return out;
+}
+
+export const hasRuntimeLimits = (intent) => Boolean(intent?.runtimeMin || intent?.runtimeMax || intent?.maxSeasons);
+
+// { runtime, episode_runtime, seasons } from raw TMDB details, nulls when unknown
+export function runtimeOf(mediaType, details) {
+  if (!details) return { runtime: null, episode_runtime: null, seasons: null };
+  if (mediaType === "tv") {
+    const ep = (details.episode_run_time || []).filter((n) => n > 0);
+    const last = details.last_episode_to_air?.runtime;
+    return {
+      runtime: null,
+      episode_runtime: ep.length ? Math.round(ep.reduce((a, b) => a + b, 0) / ep.length) : last || null,
+      seasons: details.number_of_seasons || null
+    };
+  }
+  return { runtime: details.runtime || null, episode_runtime: null, seasons: null };
+}
+
+// false when a known length breaks the intent's limits, true otherwise
+export function fitsRuntime(mediaType, length, intent) {
+  const minutes = mediaType === "tv" ? length.episode_runtime : length.runtime;
+  if (minutes) {
+    if (intent.runtimeMax && minutes > intent.runtimeMax) return false;
+    if (intent.runtimeMin && minutes < intent.runtimeMin) return false;
+  }
+  if (mediaType === "tv" && intent.maxSeasons && length.seasons && length.seasons > intent.maxSeasons) return false;
+  return true;
+}
+
+// "1h 35m", "45m"
+export function formatRuntime(m) {
+  if (!m) return "";
+  const h = Math.floor(m / 60);
+  return h ? `${h}h${m % 60 ? ` ${m % 60}m` : ""}` : `${m}m`;
+}
@@ -0,0 +1,106 @@
+/* ================================
+   Request scheduler
+   ================================
+   Bounded concurrency for TMDB work inside one request, with a call
+   budget and an overall deadline. Tasks that cannot start (budget spent,
+   deadline passed) or are still running at the deadline resolve to their
+   fallback instead of throwing, so callers keep whatever they gathered.
+*/
+export const DEFAULT_LIMITS = {
+  concurrency: 6,
+  budget: 60,
+  deadlineMs: 7000
+};
+
+const TIMED_OUT = Symbol("timed out");
+
+export function limitsFromEnv(env = process.env) {
+  const num = (v, d) => (Number.isFinite(Number(v)) && Number(v) > 0 ? Number(v) : d);
+  return {
+    concurrency: num(env.TMDB_CONCURRENCY, DEFAULT_LIMITS.concurrency),
+    budget: num(env.TMDB_CALL_BUDGET, DEFAULT_LIMITS.budget),
+    deadlineMs: num(env.GATHER_DEADLINE_MS, DEFAULT_LIMITS.deadlineMs)
+  };
+}
+
+export function createScheduler({ concurrency, budget, deadlineMs } = DEFAULT_LIMITS) {
+  const startedAt = Date.now();
+  const deadline = startedAt + deadlineMs;
+  const queue = [];
+  let active = 0;
+  const stats = { started: 0, completed: 0, failed: 0, skipped: 0, timedOut: 0 };
+
+  const expired = () => Date.now() >= deadline;
+  const remaining = () => Math.max(0, deadline - Date.now());
+
+  function pump() {
+    while (active < concurrency && queue.length) {
+      const job = queue.shift();
+      if (expired() || stats.started >= budget) {
+        stats.skipped++;
+        job.resolve(job.fallback);
+        continue;
+      }
+      start(job);
+    }
+  }
+
+  function start(job) {
+    active++;
+    stats.started++;
+
+    let timer = null;
+    const timeout = new Promise((resolve) => {
+      timer = setTimeout(() => resolve(TIMED_OUT), remaining());
+      timer.unref?.();
+    });
+
+    Promise.race([Promise.resolve().then(job.fn), timeout])
+      .then((value) => {
+        if (value === TIMED_OUT) {
+          stats.timedOut++;
+          job.resolve(job.fallback);
+        } else {
+          stats.completed++;
+          job.resolve(value);
+        }
+      })
+      .catch((err) => {
+        stats.failed++;
+        console.warn(`Scheduled task failed${job.label ? ` (${job.label})` : ""}: ${err?.message || err}`);
+        job.resolve(job.fallback);
+      })
+      .finally(() => {
+        clearTimeout(timer);
+        active--;
+        pump();
+      });
+  }
+
+  /**
+   * Queue fn. Lower priority numbers start first, FIFO within a priority.
+   * Resolves to fn's value, or fallback when skipped, timed out or failed.
+   */
+  function run(fn, { priority = 1, fallback = null, label = "" } = {}) {
+    return new Promise((resolve) => {
+      const job = { fn, priority, fallback, label, resolve };
+      const at = queue.findIndex((j) => j.priority > priority);
+      if (at === -1) queue.push(job);
+      else queue.splice(at, 0, job);
+      pump();
+    });
+  }
+
+  return {
+    run,
+    expired,
+    remaining,
+    stats: () => ({
+      ...stats,
+      budget,
+      concurrency,
+      deadlineMs,
+      elapsedMs: Date.now() - startedAt
+    })
+  };
+}
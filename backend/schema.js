@@ -0,0 +1,174 @@
+import { WARNING_IDS } from "./warnings.js";
+
+/* ================================
+   JSON schemas for model output
+   ================================
+   A small JSON-Schema subset (type, enum, items, properties, required,
+   minimum/maximum, maxItems) is enough for the two LLM contracts.
+   validate() repairs what it safely can (numeric strings, comma lists,
+   "true"/"false", over-long arrays) and drops the rest, reporting both.
+*/
+
+const GENRE_ID = { type: "integer", minimum: 1 };
+const YEAR = { type: ["integer", "null"], minimum: 1870, maximum: 2100 };
+// Minutes, a movie's length or a series' episode length
+const RUNTIME = { type: ["integer", "null"], minimum: 1, maximum: 600 };
+// ISO 639-1 codes (see languages.js)
+const LANGUAGES = { type: "array", items: { type: "string" }, maxItems: 5 };
+// Category ids from warnings.js
+const WARNINGS = { type: "array", items: { type: "string", enum: WARNING_IDS }, maxItems: WARNING_IDS.length };
+
+export const INTENT_SCHEMA = {
+  type: "object",
+  required: ["mediaType", "searchQueries"],
+  properties: {
+    mediaType: { type: "string", enum: ["movie", "tv", "any"] },
+    searchHint: { type: "string" },
+    searchQueries: { type: "array", items: { type: "string" }, minItems: 1, maxItems: 6 },
+    kidsMode: { type: "boolean" },
+    kidsMaxAge: { type: ["integer", "null"], minimum: 0, maximum: 18 },
+    nicheMode: { type: "boolean" },
+    yearMin: YEAR,
+    yearMax: YEAR,
+    yearExact: YEAR,
+    runtimeMin: RUNTIME,
+    runtimeMax: RUNTIME,
+    maxSeasons: { type: ["integer", "null"], minimum: 1, maximum: 50 },
+    originalLanguages: LANGUAGES,
+    excludeLanguages: LANGUAGES,
+    contentWarnings: WARNINGS,
+    actorName: { type: ["string", "null"] },
+    withGenres: { type: "array", items: GENRE_ID, maxItems: 5 },
+    withoutGenres: { type: "array", items: GENRE_ID, maxItems: 7 },
+    themeKeywords: { type: "array", items: { type: "string" }, maxItems: 3 },
+    providerInclude: { type: "array", items: { type: "string" } },
+    providerExclude: { type: "array", items: { type: "string" } }
+  }
+};
+
+export const PICKS_SCHEMA = {
+  type: "object",
+  required: ["picks"],
+  properties: {
+    picks: {
+      type: "array",
+      maxItems: 25,
+      items: {
+        type: "object",
+        required: ["id"],
+        properties: {
+          id: { type: "integer", minimum: 1 },
+          reason: { type: "string" }
+        }
+      }
+    }
+  }
+};
+
+function typeOf(v) {
+  if (v === null) return "null";
+  if (Array.isArray(v)) return "array";
+  if (typeof v === "number") return Number.isInteger(v) ? "integer" : "number";
+  return typeof v;
+}
+
+function typeOk(types, actual) {
+  return types.includes(actual) || (actual === "integer" && types.includes("number"));
+}
+
+// Best-effort coercion into one of the allowed types, undefined if none fits
+function coerce(types, v) {
+  if (typeof v === "string") {
+    const t = v.trim();
+    if ((types.includes("integer") || types.includes("number")) && t !== "" && Number.isFinite(Number(t))) {
+      const n = Number(t);
+      if (types.includes("number") || Number.isInteger(n)) return n;
+    }
+    if (types.includes("boolean") && /^(true|false)$/i.test(t)) return t.toLowerCase() === "true";
+    if (types.includes("null") && /^(null|none|)$/i.test(t)) return null;
+    if (types.includes("array") && t.includes(",")) return t.split(",").map((x) => x.trim()).filter(Boolean);
+    if (types.includes("array") && t) return [t];
+  }
+  if (typeof v === "number" && types.includes("integer") && Math.abs(v - Math.round(v)) < 1e-9) return Math.round(v);
+  if (typeof v === "number" && types.includes("string")) return String(v);
+  return undefined;
+}
+
+/**
+ * Validate value against schema.
+ * Returns { value, ok, issues } where issues is [{ path, reason, action: "repaired" | "dropped" }].
+ * Dropped object properties are omitted so callers can fill them from their own defaults.
+ */
+export function validate(schema, value, path = "$") {
+  const issues = [];
+  const out = check(schema, value, path, issues);
+  // Only a missing or broken top-level required field makes the whole output unusable
+  const fatal = out === undefined || issues.some((i) => i.action === "dropped" && i.required);
+  return { value: out, ok: !fatal, issues };
+}
+
+function check(schema, value, path, issues) {
+  const types = schema.type ? [].concat(schema.type) : null;
+  let v = value;
+
+  if (types && !typeOk(types, typeOf(v))) {
+    const fixed = coerce(types, v);
+    if (fixed === undefined || !typeOk(types, typeOf(fixed))) {
+      issues.push({ path, reason: `expected ${types.join("|")}, got ${typeOf(v)}`, action: "dropped" });
+      return undefined;
+    }
+    issues.push({ path, reason: `coerced ${typeOf(v)} to ${typeOf(fixed)}`, action: "repaired" });
+    v = fixed;
+  }
+
+  if (schema.enum && !schema.enum.includes(v)) {
+    issues.push({ path, reason: `not one of ${schema.enum.join(", ")}`, action: "dropped" });
+    return undefined;
+  }
+
+  if (typeof v === "number") {
+    if ((schema.minimum !== undefined && v < schema.minimum) || (schema.maximum !== undefined && v > schema.maximum)) {
+      issues.push({ path, reason: `out of range ${schema.minimum ?? ""}..${schema.maximum ?? ""}`, action: "dropped" });
+      return undefined;
+    }
+  }
+
+  if (typeOf(v) === "array" && schema.items) {
+    let arr = v;
+    if (schema.maxItems !== undefined && arr.length > schema.maxItems) {
+      issues.push({ path, reason: `truncated ${arr.length} items to ${schema.maxItems}`, action: "repaired" });
+      arr = arr.slice(0, schema.maxItems);
+    }
+    const kept = [];
+    arr.forEach((item, i) => {
+      const r = check(schema.items, item, `${path}[${i}]`, issues);
+      if (r !== undefined) kept.push(r);
+    });
+    if (schema.minItems !== undefined && kept.length < schema.minItems) {
+      issues.push({ path, reason: `needs at least ${schema.minItems} items`, action: "dropped" });
+      return undefined;
+    }
+    return kept;
+  }
+
+  if (typeOf(v) === "object" && schema.properties) {
+    const obj = {};
+    const required = schema.required || [];
+    for (const [key, sub] of Object.entries(schema.properties)) {
+      if (!(key in v)) {
+        if (required.includes(key)) issues.push({ path: `${path}.${key}`, reason: "missing", action: "dropped" });
+        continue;
+      }
+      const r = check(sub, v[key], `${path}.${key}`, issues);
+      if (r !== undefined) obj[key] = r;
+    }
+    if (required.some((key) => !(key in obj))) {
+      // nested objects without their required keys are dropped whole, the root is reported as fatal
+      if (path !== "$") return undefined;
+      issues.push({ path, reason: "required fields missing or invalid", action: "dropped", required: true });
+    }
+    return obj;
+  }
+
+  return v;
+}
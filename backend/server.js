@@ -1,10 +1,43 @@
 import express from "express";
 import dotenv from "dotenv";
 import cors from "cors";
-import fetch from "node-fetch";
+import crypto from "crypto";
 import path from "path";
 import { fileURLToPath } from "url";
-import OpenAI from "openai";
+import { metadataClientFromEnv } from "./metadata.js";
+import { GENRE, tvGenreId } from "./genres.js";
+import { buildTasteProfile, parsePrompt, rankCandidates } from "./ranker.js";
+import { llmClientFromEnv } from "./llm.js";
+import { INTENT_SCHEMA, PICKS_SCHEMA } from "./schema.js";
+import { ageOrNull, allowedForKids, maxCertFromAge, normalizeRegion } from "./certifications.js";
+import { createScheduler, limitsFromEnv } from "./scheduler.js";
+import { createCacheRegistry } from "./cache.js";
+import { createJsonStore, DEFAULT_DATA_DIR } from "./store.js";
+import { mailerFromEnv } from "./mailer.js";
+import { createAccounts } from "./accounts.js";
+import { changesSince, emptySyncDoc, mergeChanges, validateChanges } from "./sync.js";
+import { createSharedPlaylists, MAX_SHARED_ITEMS } from "./playlists.js";
+import { buildTitleDetails, certificationFrom, TITLE_APPEND } from "./details.js";
+import { buildSeasons, seasonBatches } from "./episodes.js";
+import { applyFollowUp, describeChanges, MAX_FOLLOW_UP, nextSessionState, sessionTokensFromEnv } from "./refine.js";
+import { keywordNames, matchSignals, RELAXED } from "./explain.js";
+import { fitsLanguage, hasLanguageLimits, localeName, mergeLanguages, tmdbLanguage } from "./languages.js";
+import { applyKidsProfile, blockedWord, normalizeKidsProfile, onAllowedServices } from "./parental.js";
+import { fitsRuntime, hasRuntimeLimits, MAX_RUNTIME, runtimeOf } from "./runtime.js";
+import {
+  MAX_WARNING_LOOKUPS,
+  mergeWarnings,
+  normalizeWarnings,
+  parseWarnings,
+  warningHits,
+  warningKeywordNames,
+  WARNING_IDS,
+  warningLabel
+} from "./warnings.js";
+import { bestMatch, importItem, importRowKey, MAX_IMPORT_BATCH, normalizeImportRow } from "./importer.js";
+import { collectHits, creditsFor, rankMoreLike, seedProfile, similarReason } from "./morelike.js";
+import { groupFit, mergeGroup, normalizeParticipants, rankForGroup } from "./group.js";
+import { AVAILABILITY, emptyProviders, matchesProvider, normalizeAvailability, providersIn, providerTiers } from "./providers.js";
 
 // ESM dirname/filename
 const __filename = fileURLToPath(import.meta.url);
@@ -14,41 +47,58 @@ const __dirname = path.dirname(__filename);
 dotenv.config({ path: path.join(__dirname, ".env") });
 
 // Fail fast locally, but do not crash Render if you are still setting env vars
-if (!process.env.OPENAI_API_KEY) console.warn("⚠️ OPENAI_API_KEY missing");
-if (!process.env.TMDB_API_KEY) console.warn("⚠️ TMDB_API_KEY missing");
+if (!process.env.OPENAI_API_KEY && !process.env.LLM_BASE_URL) console.warn("⚠️ OPENAI_API_KEY missing");
+if (!process.env.TMDB_API_KEY && process.env.TMDB_MODE !== "replay") console.warn("⚠️ TMDB_API_KEY missing");
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 // CORS for GitHub Pages + anywhere else
 app.use(cors({ origin: true }));
-app.use(express.json());
+app.use(express.json({ limit: "1mb" }));
 
-const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+// OpenAI or an OpenAI-compatible endpoint, see llm.js
+const llm = llmClientFromEnv();
+if (llm.provider !== "openai") console.log(`LLM: ${llm.model} via ${process.env.LLM_BASE_URL} (${llm.api})`);
+
+// TMDB live / record / replay, see metadata.js
+const tmdb = metadataClientFromEnv();
+if (tmdb.mode !== "live") console.log(`TMDB metadata in ${tmdb.mode} mode (${tmdb.fixturesDir})`);
 
 /* ================================
-   Tiny TTL cache (speeds up TMDB)
+   Caches (speed up TMDB), see cache.js
    ================================ */
-class TTLCache {
-  constructor(ms) {
-    this.ms = ms;
-    this.map = new Map();
-  }
-  get(k) {
-    const v = this.map.get(k);
-    if (!v) return null;
-    if (Date.now() > v.exp) {
-      this.map.delete(k);
-      return null;
-    }
-    return v.val;
-  }
-  set(k, val) {
-    this.map.set(k, { val, exp: Date.now() + this.ms });
-  }
-}
-const cache2h = new TTLCache(2 * 60 * 60 * 1000);
-const cache10m = new TTLCache(10 * 60 * 1000);
+const HOUR = 60 * 60 * 1000;
+const caches = createCacheRegistry({ dir: process.env.CACHE_DIR || null });
+const cache = {
+  lists: caches.namespace("lists", { ttlMs: 10 * 60 * 1000, maxEntries: 200 }),
+  certifications: caches.namespace("certifications", { ttlMs: 24 * HOUR, maxEntries: 20000 }),
+  providers: caches.namespace("providers", { ttlMs: 6 * HOUR, maxEntries: 20000 }),
+  persons: caches.namespace("persons", { ttlMs: 7 * 24 * HOUR, maxEntries: 5000 }),
+  keywords: caches.namespace("keywords", { ttlMs: 7 * 24 * HOUR, maxEntries: 5000 }),
+  similar: caches.namespace("similar", { ttlMs: 24 * HOUR, maxEntries: 5000 }),
+  details: caches.namespace("details", { ttlMs: 12 * HOUR, maxEntries: 2000 }),
+  seasons: caches.namespace("seasons", { ttlMs: 12 * HOUR, maxEntries: 1000 }),
+  matches: caches.namespace("matches", { ttlMs: 7 * 24 * HOUR, maxEntries: 20000 })
+};
+
+/* ================================
+   Accounts + synced lists, see accounts.js and sync.js
+   ================================
+   DATA_DIR  where accounts and lists are stored (backend/data by default)
+   APP_URL   frontend address used in magic links and shared playlist links;
+             anything but localhost needs MAIL_MODE set, see mailer.js. Only
+             development falls back to localhost, a deploy without it gets no
+             sign-in links and no server-made share URLs.
+*/
+const DEVELOPMENT = !process.env.RENDER && process.env.NODE_ENV !== "production";
+const APP_URL = process.env.APP_URL || (DEVELOPMENT ? `http://localhost:${PORT}/` : "");
+const store = createJsonStore({ dir: process.env.DATA_DIR || DEFAULT_DATA_DIR });
+const accounts = createAccounts({ store, mailer: mailerFromEnv(process.env, { appUrl: APP_URL }), appUrl: APP_URL });
+const sharedPlaylists = createSharedPlaylists({ store });
+
+// Signed recommend sessions for follow-ups, see refine.js (SESSION_SECRET keeps them valid across restarts)
+const sessions = sessionTokensFromEnv();
 
 /* ================================
    Helpers
@@ -63,30 +113,6 @@ function hashToInt(str = "") {
   return h % 100000;
 }
 
-async function tmdbJson(url, { cache = null, cacheKey = null } = {}) {
-  if (cache && cacheKey) {
-    const hit = cache.get(cacheKey);
-    if (hit) return hit;
-  }
-
-  const r = await fetch(url);
-
-  if (!r.ok) {
-    const status = r.status;
-    if (status >= 500) {
-      console.warn(`TMDB soft-fail ${status}: ${url}`);
-      return { results: [] };
-    }
-    // 401, 403, 404, etc should be visible
-    const txt = await r.text().catch(() => "");
-    throw new Error(`TMDB error ${status}: ${url} ${txt}`);
-  }
-
-  const data = await r.json();
-  if (cache && cacheKey) cache.set(cacheKey, data);
-  return data;
-}
-
 function uniqByKey(items, keyFn) {
   const seen = new Set();
   const out = [];
@@ -109,9 +135,8 @@ function scoreCandidate(c) {
 /* ================================
    Fallback pools so you NEVER return 0
    ================================ */
-async function trendingFallback(tmdbKey, mediaType = "any", page = 1) {
-  const url = `https://api.themoviedb.org/3/trending/all/day?api_key=${tmdbKey}&page=${page}`;
-  const data = await tmdbJson(url, { cache: cache10m, cacheKey: `trend:${page}` });
+async function trendingFallback(tmdb, mediaType = "any", page = 1) {
+  const data = await tmdb.get("/trending/all/day", { page }, { cache: cache.lists, cacheKey: `trend:${page}` });
 
   let items = (data.results || [])
     .filter((x) => !x.adult)
@@ -123,21 +148,23 @@ async function trendingFallback(tmdbKey, mediaType = "any", page = 1) {
   return items;
 }
 
-async function popularFallback(tmdbKey, mediaType = "any", page = 1) {
+async function popularFallback(tmdb, mediaType = "any", page = 1) {
   const out = [];
 
   if (mediaType !== "tv") {
-    const m = await tmdbJson(
-      `https://api.themoviedb.org/3/movie/popular?api_key=${tmdbKey}&page=${page}&include_adult=false`,
-      { cache: cache10m, cacheKey: `pop:movie:${page}` }
+    const m = await tmdb.get(
+      "/movie/popular",
+      { page, include_adult: false },
+      { cache: cache.lists, cacheKey: `pop:movie:${page}` }
     );
     out.push(...(m.results || []).map((r) => ({ ...r, media_type: "movie" })));
   }
 
   if (mediaType !== "movie") {
-    const t = await tmdbJson(
-      `https://api.themoviedb.org/3/tv/popular?api_key=${tmdbKey}&page=${page}&include_adult=false`,
-      { cache: cache10m, cacheKey: `pop:tv:${page}` }
+    const t = await tmdb.get(
+      "/tv/popular",
+      { page, include_adult: false },
+      { cache: cache.lists, cacheKey: `pop:tv:${page}` }
     );
     out.push(...(t.results || []).map((r) => ({ ...r, media_type: "tv" })));
   }
@@ -146,141 +173,219 @@ async function popularFallback(tmdbKey, mediaType = "any", page = 1) {
 }
 
 /* ================================
-   Genre IDs (TMDB)
-   ================================ */
-const GENRE = {
-  ANIMATION: 16,
-  FAMILY: 10751,
-  COMEDY: 35,
-  DRAMA: 18,
-  ACTION: 28,
-  ADVENTURE: 12,
-  THRILLER: 53,
-  CRIME: 80,
-  MYSTERY: 9648,
-  HORROR: 27,
-  ROMANCE: 10749,
-  FANTASY: 14,
-  SCIFI: 878,
-  WAR: 10752,
-  HISTORY: 36,
-  MUSIC: 10402,
-  DOCUMENTARY: 99
-};
-
-/* ================================
-   Kids helpers (GB)
+   Kids helpers (ladders per region live in certifications.js)
    ================================ */
-function gbMaxCertFromAge(maxAge) {
-  if (!maxAge || Number.isNaN(Number(maxAge))) return null;
-  const a = Number(maxAge);
-  if (a <= 7) return "U";
-  if (a <= 11) return "PG";
-  if (a <= 13) return "12A";
-  if (a <= 14) return "12";
-  if (a <= 16) return "15";
-  return "18";
-}
-
-const GB_CERT_ORDER = ["U", "PG", "12A", "12", "15", "18"];
-function gbCertAllowed(cert, maxCert) {
-  if (!maxCert) return true;
-  if (!cert) return true;
-  const a = GB_CERT_ORDER.indexOf(cert);
-  const b = GB_CERT_ORDER.indexOf(maxCert);
-  if (a === -1 || b === -1) return true;
-  return a <= b;
-}
-
-function tvAllowedForKids(rating) {
-  if (!rating) return true;
-  const r = String(rating).toUpperCase();
-  const bad = ["TV-MA", "NC-17", "R", "18", "MA15+", "M"];
-  return !bad.some((x) => r.includes(x));
-}
-
 const KIDS_WITH_GENRES = "16,10751";
 const KIDS_WITHOUT_GENRES = "27,53,80,9648,10752";
 
-async function getMovieCertification(tmdbKey, id, region = "GB") {
+// Raw release data is cached once per title and shared by every region,
+// the per-region answer is cached as "" when there is no rating
+async function getMovieCertification(tmdb, id, region = "GB") {
   const ck = `cert:movie:${region}:${id}`;
-  const cached = cache2h.get(ck);
-  if (cached !== null) return cached;
+  const cached = cache.certifications.get(ck);
+  if (cached !== null) return cached || null;
 
-  const url = `https://api.themoviedb.org/3/movie/${id}/release_dates?api_key=${tmdbKey}`;
-  const data = await tmdbJson(url, { cache: cache2h, cacheKey: ck });
-  const entry = (data.results || []).find((x) => x.iso_3166_1 === region);
-  if (!entry) return null;
-  const certs = (entry.release_dates || [])
-    .map((r) => (r.certification || "").trim())
-    .filter(Boolean);
-  return certs[0] || null;
+  const data = await tmdb.get(`/movie/${id}/release_dates`, {}, { cache: cache.certifications, cacheKey: `rd:movie:${id}` });
+  const cert = certificationFrom("movie", data.results, region) || "";
+  cache.certifications.set(ck, cert);
+  return cert || null;
 }
 
-async function getTvContentRating(tmdbKey, id, region = "GB") {
+async function getTvContentRating(tmdb, id, region = "GB") {
   const ck = `cert:tv:${region}:${id}`;
-  const cached = cache2h.get(ck);
-  if (cached !== null) return cached;
+  const cached = cache.certifications.get(ck);
+  if (cached !== null) return cached || null;
 
-  const url = `https://api.themoviedb.org/3/tv/${id}/content_ratings?api_key=${tmdbKey}`;
-  const data = await tmdbJson(url, { cache: cache2h, cacheKey: ck });
-  const entry = (data.results || []).find((x) => x.iso_3166_1 === region);
-  return entry?.rating ? String(entry.rating).trim() : null;
+  const data = await tmdb.get(`/tv/${id}/content_ratings`, {}, { cache: cache.certifications, cacheKey: `cr:tv:${id}` });
+  const rating = certificationFrom("tv", data.results, region) || "";
+  cache.certifications.set(ck, rating);
+  return rating || null;
 }
 
 /* ================================
-   Providers (cached)
+   Providers (cached), tiers see providers.js
    ================================ */
-async function getWatchProviders(tmdbKey, mediaType, id, region = "GB") {
-  const ck = `prov:${mediaType}:${region}:${id}`;
-  const hit = cache2h.get(ck);
+async function getWatchProviders(tmdb, mediaType, id, region = "GB") {
+  const ck = `tiers:${mediaType}:${region}:${id}`;
+  const hit = cache.providers.get(ck);
   if (hit) return hit;
 
-  const url = `https://api.themoviedb.org/3/${mediaType}/${id}/watch/providers?api_key=${tmdbKey}`;
-  const res = await fetch(url);
-  if (!res.ok) return [];
-  const data = await res.json();
-  const regionData = data?.results?.[region];
-  const providers = regionData?.flatrate ? regionData.flatrate.map((p) => p.provider_name) : [];
-  cache2h.set(ck, providers);
+  const data = await tmdb.get(`/${mediaType}/${id}/watch/providers`, {}, { softFail: true });
+  if (!data) return emptyProviders();
+  const providers = providerTiers(data?.results?.[region]);
+  cache.providers.set(ck, providers);
   return providers;
 }
 
+// Availability tiers must offer something (unless "any"), an include list needs a match, an exclude list must not match
+function passesProviderRules(providers, { tiers, availability, include = [], exclude = [] }) {
+  const watchable = providersIn(providers, tiers);
+  if (availability !== "any" && !watchable.length) return false;
+  if (include.length && !watchable.some((p) => include.some((x) => matchesProvider(p, x)))) return false;
+  if (exclude.length && watchable.some((p) => exclude.some((x) => matchesProvider(p, x)))) return false;
+  return true;
+}
+
+/* ================================
+   Title details, see details.js
+   ================================ */
+// Raw details with everything in TITLE_APPEND, cached once per title; null when TMDB has no such title.
+// Shared by the detail panel, seasons, more-like seeds and match signals.
+async function getTitleRaw(tmdb, mediaType, id) {
+  const data = await tmdb.get(
+    `/${mediaType}/${id}`,
+    // Videos follow the language param, English trailers are kept as a fallback
+    { append_to_response: TITLE_APPEND[mediaType], include_video_language: tmdb.language ? `${tmdb.language.slice(0, 2)},en` : null },
+    { cache: cache.details, cacheKey: `details:${mediaType}:${id}`, softFail: true }
+  );
+  if (!data?.id) return null;
+
+  // The same response answers later certification lookups for any region
+  const ratings = mediaType === "tv" ? data.content_ratings : data.release_dates;
+  if (ratings) cache.certifications.set(mediaType === "tv" ? `cr:tv:${id}` : `rd:movie:${id}`, ratings);
+  return data;
+}
+
+// Resolves to the detail payload, or null when TMDB has no such title
+async function getTitleDetails(tmdb, mediaType, id, region = "GB") {
+  const data = await getTitleRaw(tmdb, mediaType, id);
+  return data ? buildTitleDetails(mediaType, data, region) : null;
+}
+
+// What a result card needs about one title, fetched on the request's scheduler: details in the request's language (when asked),
+// certification (kids only, read from the details response when there is one) and providers, at the same time.
+// Null when the scheduler gave up on any of them (budget, deadline or error), the caller drops the title.
+const GAVE_UP = Symbol("gave up");
+
+async function resultLookups(scheduler, meta, item, { region, details = true, certification = false }) {
+  const key = `${item.media_type}:${item.id}`;
+  const run = (label, fn) => scheduler.run(fn, { priority: 1, fallback: GAVE_UP, label: `${label} ${key}` });
+  const rating = () =>
+    item.media_type === "movie" ? getMovieCertification(tmdb, item.id, region) : getTvContentRating(tmdb, item.id, region);
+
+  const [about, providers] = await Promise.all([
+    details || certification
+      ? run("details", async () => {
+          const data = details ? await getTitleRaw(meta, item.media_type, item.id) : null;
+          return { data, certification: certification ? await rating() : null };
+        })
+      : { data: null, certification: null },
+    run("providers", () => getWatchProviders(tmdb, item.media_type, item.id, region))
+  ]);
+  if (about === GAVE_UP || providers === GAVE_UP) return null;
+  return { details: about.data, certification: about.certification, providers };
+}
+
+// Season and episode lists for a show (see episodes.js), or null when TMDB has no such show.
+// The show itself comes from the detail panel's cached response.
+async function getTvSeasons(tmdb, id) {
+  const show = await getTitleRaw(tmdb, "tv", id);
+  if (!show) return null;
+
+  const numbers = (show.seasons || []).map((s) => s.season_number).filter(Number.isInteger);
+  const batches = await Promise.all(
+    seasonBatches(numbers).map((batch) =>
+      tmdb.get(
+        `/tv/${id}`,
+        { append_to_response: batch.map((n) => `season/${n}`).join(",") },
+        { cache: cache.seasons, cacheKey: `seasons:${id}:${batch[0]}-${batch[batch.length - 1]}`, softFail: true }
+      )
+    )
+  );
+
+  const seasonData = {};
+  for (const data of batches) {
+    for (const n of numbers) if (data?.[`season/${n}`]) seasonData[n] = data[`season/${n}`];
+  }
+  return buildSeasons(show, seasonData);
+}
+
+/* ================================
+   History import matching, see importer.js
+   ================================ */
+// { status: "matched", item, confidence } or { status: "unmatched", candidates } for one clean row
+async function matchImportRow(tmdb, row) {
+  const key = importRowKey(row);
+  const hit = cache.matches.get(key);
+  if (hit) return hit;
+
+  let out = null;
+  if (row.tmdbId) {
+    const data = await tmdb.get(`/${row.mediaType}/${row.tmdbId}`, {}, { softFail: true });
+    if (data?.id) out = { status: "matched", item: importItem(data, row.mediaType), confidence: 1 };
+  }
+  if (!out && row.imdbId) {
+    const data = await tmdb.get(`/find/${row.imdbId}`, { external_source: "imdb_id" }, { softFail: true });
+    const found = [
+      ...(data?.movie_results || []).map((c) => ({ ...c, media_type: "movie" })),
+      ...(data?.tv_results || []).map((c) => ({ ...c, media_type: "tv" }))
+    ];
+    const pick = found.find((c) => !row.mediaType || c.media_type === row.mediaType) || found[0];
+    if (pick) out = { status: "matched", item: importItem(pick), confidence: 1 };
+  }
+  if (!out && row.title) {
+    const search = (year) => {
+      if (row.mediaType === "movie") return searchMovie(tmdb, row.title, 1, year);
+      return row.mediaType === "tv" ? searchTv(tmdb, row.title, 1) : searchMulti(tmdb, row.title, 1);
+    };
+    out = bestMatch(row, await search(row.year));
+    // TMDB filters movie search on the primary release year, which can differ from the export's
+    if (out.status !== "matched" && row.year && row.mediaType === "movie") {
+      const wider = bestMatch(row, await search(null));
+      if (wider.status === "matched" || !out.candidates.length) out = wider;
+    }
+  }
+  out ||= { status: "unmatched", candidates: [] };
+
+  // Only matches are kept, an unmatched row may resolve once TMDB adds the title
+  if (out.status === "matched") cache.matches.set(key, out);
+  return out;
+}
+
 /* ================================
    Person + keyword resolution
    ================================ */
-async function resolvePersonId(tmdbKey, name) {
+async function resolvePersonId(tmdb, name) {
   if (!name) return null;
-  const safe = encodeURIComponent(name);
-  const url = `https://api.themoviedb.org/3/search/person?api_key=${tmdbKey}&query=${safe}&page=1&include_adult=false`;
-  const data = await tmdbJson(url, { cache: cache2h, cacheKey: `person:${name.toLowerCase()}` });
+  const data = await tmdb.get(
+    "/search/person",
+    { query: name, page: 1, include_adult: false },
+    { cache: cache.persons, cacheKey: `person:${name.toLowerCase()}` }
+  );
   const best = (data.results || [])[0];
   return best?.id || null;
 }
 
-async function resolveKeywordId(tmdbKey, keyword) {
+// exact: only a keyword with exactly that name (content warnings), not the closest one
+async function resolveKeywordId(tmdb, keyword, { exact = false } = {}) {
   if (!keyword) return null;
-  const safe = encodeURIComponent(keyword);
-  const url = `https://api.themoviedb.org/3/search/keyword?api_key=${tmdbKey}&query=${safe}&page=1`;
-  const data = await tmdbJson(url, { cache: cache2h, cacheKey: `kw:${keyword.toLowerCase()}` });
-  const best = (data.results || [])[0];
+  const data = await tmdb.get(
+    "/search/keyword",
+    { query: keyword, page: 1 },
+    { cache: cache.keywords, cacheKey: `kw:${keyword.toLowerCase()}` }
+  );
+  const results = data.results || [];
+  const best = exact ? results.find((k) => String(k.name || "").toLowerCase() === keyword.toLowerCase()) : results[0];
   return best?.id || null;
 }
 
 /* ================================
    Expand dislikes -> similar titles
    ================================ */
-async function expandSimilarExcludes(tmdbKey, disliked) {
+// Runs behind candidate gathering on a shared scheduler (priority 2), so a long dislike list never delays the pool
+async function expandSimilarExcludes(tmdb, disliked, scheduler = createScheduler(limitsFromEnv())) {
   const out = new Set();
-  for (const d of (disliked || []).slice(0, 25)) {
-    const id = d?.id;
-    const mt = d?.media_type;
-    if (!id || (mt !== "movie" && mt !== "tv")) continue;
-    try {
-      const url = `https://api.themoviedb.org/3/${mt}/${id}/similar?api_key=${tmdbKey}&page=1`;
-      const data = await tmdbJson(url, { cache: cache2h, cacheKey: `sim:${mt}:${id}` });
-      for (const r of (data.results || []).slice(0, 12)) out.add(String(r.id));
-    } catch {}
+  const lookups = (disliked || [])
+    .slice(0, 25)
+    .filter((d) => d?.id && (d.media_type === "movie" || d.media_type === "tv"))
+    .map((d) =>
+      scheduler.run(
+        () => tmdb.get(`/${d.media_type}/${d.id}/similar`, { page: 1 }, { cache: cache.similar, cacheKey: `sim:${d.media_type}:${d.id}` }),
+        { priority: 2, label: `similar ${d.media_type}:${d.id}` }
+      )
+    );
+  for (const data of await Promise.all(lookups)) {
+    for (const r of (data?.results || []).slice(0, 12)) out.add(String(r.id));
   }
   return out;
 }
@@ -288,32 +393,34 @@ async function expandSimilarExcludes(tmdbKey, disliked) {
 /* ================================
    Search engines
    ================================ */
-async function searchMulti(tmdbKey, query, page) {
-  const safe = encodeURIComponent(query);
-  const url = `https://api.themoviedb.org/3/search/multi?api_key=${tmdbKey}&query=${safe}&include_adult=false&page=${page}`;
-  const data = await tmdbJson(url);
+async function searchMulti(tmdb, query, page) {
+  const data = await tmdb.get("/search/multi", { query, include_adult: false, page });
   return data.results || [];
 }
 
-async function searchMovie(tmdbKey, query, page, year) {
-  const safe = encodeURIComponent(query);
-  const yearPart = year ? `&year=${encodeURIComponent(year)}` : "";
-  const url = `https://api.themoviedb.org/3/search/movie?api_key=${tmdbKey}&query=${safe}&include_adult=false&page=${page}${yearPart}`;
-  const data = await tmdbJson(url);
+async function searchMovie(tmdb, query, page, year) {
+  const data = await tmdb.get("/search/movie", { query, include_adult: false, page, year: year || null });
   return (data.results || []).map((r) => ({ ...r, media_type: "movie" }));
 }
 
-async function searchTv(tmdbKey, query, page) {
-  const safe = encodeURIComponent(query);
-  const url = `https://api.themoviedb.org/3/search/tv?api_key=${tmdbKey}&query=${safe}&include_adult=false&page=${page}`;
-  const data = await tmdbJson(url);
+async function searchTv(tmdb, query, page) {
+  const data = await tmdb.get("/search/tv", { query, include_adult: false, page });
   return (data.results || []).map((r) => ({ ...r, media_type: "tv" }));
 }
 
 /* ================================
    Discover
    ================================ */
-async function discoverMovie(tmdbKey, opts) {
+function kidsGenreParams(kids, withGenres, withoutGenres) {
+  const withG = withGenres?.length ? withGenres.join(",") : kids ? KIDS_WITH_GENRES : null;
+  const without = [...(kids ? KIDS_WITHOUT_GENRES.split(",") : []), ...(withoutGenres || []).map(String)];
+  return {
+    with_genres: withG,
+    without_genres: without.length ? Array.from(new Set(without)).join(",") : null
+  };
+}
+
+async function discoverMovie(tmdb, opts) {
   const {
     page,
     region,
@@ -325,79 +432,65 @@ async function discoverMovie(tmdbKey, opts) {
     withGenres,
     withoutGenres,
     withCastId,
-    withKeywords
+    withKeywords,
+    withoutKeywords,
+    runtimeMin,
+    runtimeMax,
+    languages
   } = opts;
 
-  const certPart =
-    kids && maxCert
-      ? `&certification_country=${region}&certification.lte=${encodeURIComponent(maxCert)}`
-      : "";
+  const certParams =
+    kids && maxCert ? { certification_country: region, "certification.lte": maxCert } : {};
 
-  const kidsGenres = kids
-    ? `&with_genres=${KIDS_WITH_GENRES}&without_genres=${KIDS_WITHOUT_GENRES}`
-    : "";
-
-  const yearPart =
+  const yearParams =
     yearMin || yearMax
-      ? `&primary_release_date.gte=${encodeURIComponent(yearMin || "1900-01-01")}&primary_release_date.lte=${encodeURIComponent(yearMax || "2100-12-31")}`
-      : "";
-
-  const sortBy = niche ? "popularity.asc" : "popularity.desc";
-
-  const gPart = withGenres?.length ? `&with_genres=${encodeURIComponent(withGenres.join(","))}` : "";
-  const ngPart = withoutGenres?.length ? `&without_genres=${encodeURIComponent(withoutGenres.join(","))}` : "";
-  const castPart = withCastId ? `&with_cast=${encodeURIComponent(String(withCastId))}` : "";
-  const kwPart = withKeywords?.length ? `&with_keywords=${encodeURIComponent(withKeywords.join(","))}` : "";
-
-  const url =
-    `https://api.themoviedb.org/3/discover/movie?api_key=${tmdbKey}` +
-    `&include_adult=false&page=${page}` +
-    `&sort_by=${sortBy}` +
-    `&vote_count.gte=${niche ? 15 : 60}` +
-    yearPart +
-    certPart +
-    kidsGenres +
-    gPart +
-    ngPart +
-    castPart +
-    kwPart;
-
-  const data = await tmdbJson(url);
+      ? { "primary_release_date.gte": yearMin || "1900-01-01", "primary_release_date.lte": yearMax || "2100-12-31" }
+      : {};
+
+  const data = await tmdb.get("/discover/movie", {
+    include_adult: false,
+    page,
+    sort_by: niche ? "popularity.asc" : "popularity.desc",
+    "vote_count.gte": niche ? 15 : 60,
+    ...yearParams,
+    ...certParams,
+    ...kidsGenreParams(kids, withGenres, withoutGenres),
+    with_cast: withCastId || null,
+    with_keywords: withKeywords?.length ? withKeywords.join(",") : null,
+    without_keywords: withoutKeywords?.length ? withoutKeywords.join(",") : null,
+    "with_runtime.gte": runtimeMin || null,
+    "with_runtime.lte": runtimeMax || null,
+    with_original_language: languages?.length ? languages.join("|") : null
+  });
   return (data.results || []).map((r) => ({ ...r, media_type: "movie" }));
 }
 
-async function discoverTv(tmdbKey, opts) {
-  const { page, kids, yearMin, yearMax, niche, withGenres, withoutGenres, withPersonId, withKeywords } = opts;
+async function discoverTv(tmdb, opts) {
+  const { page, kids, yearMin, yearMax, niche, withPersonId, withKeywords, withoutKeywords, runtimeMin, runtimeMax, languages } = opts;
+  // TV splits a few genres differently (Action & Adventure, Sci-Fi & Fantasy...)
+  const withGenres = opts.withGenres?.length ? Array.from(new Set(opts.withGenres.map(tvGenreId))) : opts.withGenres;
+  const withoutGenres = opts.withoutGenres?.length ? Array.from(new Set(opts.withoutGenres.map(tvGenreId))) : opts.withoutGenres;
 
-  const kidsGenres = kids
-    ? `&with_genres=${KIDS_WITH_GENRES}&without_genres=${KIDS_WITHOUT_GENRES}`
-    : "";
-
-  const yearPart =
+  const yearParams =
     yearMin || yearMax
-      ? `&first_air_date.gte=${encodeURIComponent(yearMin || "1900-01-01")}&first_air_date.lte=${encodeURIComponent(yearMax || "2100-12-31")}`
-      : "";
-
-  const sortBy = niche ? "popularity.asc" : "popularity.desc";
-
-  const gPart = withGenres?.length ? `&with_genres=${encodeURIComponent(withGenres.join(","))}` : "";
-  const ngPart = withoutGenres?.length ? `&without_genres=${encodeURIComponent(withoutGenres.join(","))}` : "";
-  const personPart = withPersonId ? `&with_people=${encodeURIComponent(String(withPersonId))}` : "";
-  const kwPart = withKeywords?.length ? `&with_keywords=${encodeURIComponent(withKeywords.join(","))}` : "";
-
-  const url =
-    `https://api.themoviedb.org/3/discover/tv?api_key=${tmdbKey}` +
-    `&include_adult=false&page=${page}` +
-    `&sort_by=${sortBy}` +
-    `&vote_count.gte=${niche ? 10 : 40}` +
-    yearPart +
-    kidsGenres +
-    gPart +
-    ngPart +
-    personPart +
-    kwPart;
-
-  const data = await tmdbJson(url);
+      ? { "first_air_date.gte": yearMin || "1900-01-01", "first_air_date.lte": yearMax || "2100-12-31" }
+      : {};
+
+  const data = await tmdb.get("/discover/tv", {
+    include_adult: false,
+    page,
+    sort_by: niche ? "popularity.asc" : "popularity.desc",
+    "vote_count.gte": niche ? 10 : 40,
+    ...yearParams,
+    ...kidsGenreParams(kids, withGenres, withoutGenres),
+    with_people: withPersonId || null,
+    with_keywords: withKeywords?.length ? withKeywords.join(",") : null,
+    without_keywords: withoutKeywords?.length ? withoutKeywords.join(",") : null,
+    // Episode runtime for series
+    "with_runtime.gte": runtimeMin || null,
+    "with_runtime.lte": runtimeMax || null,
+    with_original_language: languages?.length ? languages.join("|") : null
+  });
   return (data.results || []).map((r) => ({ ...r, media_type: "tv" }));
 }
 
@@ -413,6 +506,17 @@ function hasGenre(item, genreId) {
   return ids.includes(genreId);
 }
 
+// What the client sees about an LLM call: which fields were rejected or repaired, not the raw output
+function summarizeLlmReport(report) {
+  return {
+    ok: report.ok,
+    attempts: report.attempts,
+    rejected: report.rejected,
+    repaired: report.repaired,
+    error: report.error
+  };
+}
+
 function moodToHints(mood) {
   const m = clamp(Number(mood || 3), 1, 5);
   if (m <= 2) return { prefer: ["warm", "comfort", "gentle pacing"], avoid: ["relentless", "stressful"] };
@@ -424,26 +528,45 @@ function moodToHints(mood) {
 /* ================================
    Candidate gathering
    ================================ */
-async function buildCandidates(tmdbKey, intent, region, refreshToken, mood, liked = [], disliked = [], watched = []) {
+/**
+ * Gather the candidate pool. Every TMDB call goes through the scheduler, so the
+ * pool is whatever arrived before the request's call budget or deadline ran out.
+ */
+async function buildCandidates(
+  tmdb,
+  intent,
+  region,
+  refreshToken,
+  mood,
+  liked = [],
+  disliked = [],
+  watched = [],
+  { scheduler = createScheduler(limitsFromEnv()) } = {}
+) {
   const seed = hashToInt(`${(intent.searchQueries || []).join("|")}|${refreshToken}|${mood}`);
   const pageStart = (seed % 10) + 1;
 
   const mediaType = intent.mediaType || "any";
   const kids = Boolean(intent.kidsMode);
-  const gbMaxCert = kids ? gbMaxCertFromAge(intent.kidsMaxAge) : null;
+  const maxCert = kids ? maxCertFromAge(region, "movie", intent.kidsMaxAge) : null;
   const niche = Boolean(intent.nicheMode);
 
   const yearMin = intent.yearMin ? `${intent.yearMin}-01-01` : null;
   const yearMax = intent.yearMax ? `${intent.yearMax}-12-31` : null;
 
+  // Person and keyword ids feed discover, so they go first
   const actorName = intent.actorName || null;
-  const actorId = actorName ? await resolvePersonId(tmdbKey, actorName) : null;
-
-  const keywordIds = [];
-  for (const kw of (intent.themeKeywords || []).slice(0, 3)) {
-    const kid = await resolveKeywordId(tmdbKey, kw);
-    if (kid) keywordIds.push(kid);
-  }
+  const themes = (intent.themeKeywords || []).slice(0, 3);
+  const [actorId, ...kwIds] = await Promise.all([
+    actorName ? scheduler.run(() => resolvePersonId(tmdb, actorName), { priority: 0, label: "person" }) : null,
+    ...themes.map((kw) => scheduler.run(() => resolveKeywordId(tmdb, kw), { priority: 0, label: "keyword" })),
+    // Content warnings (see warnings.js); results are checked again, so a capped list only narrows discover less
+    ...warningKeywordNames(intent.contentWarnings)
+      .slice(0, MAX_WARNING_LOOKUPS)
+      .map((kw) => scheduler.run(() => resolveKeywordId(tmdb, kw, { exact: true }), { priority: 0, fallback: null, label: "warning keyword" }))
+  ]);
+  const keywordIds = kwIds.slice(0, themes.length).filter(Boolean);
+  const warningKeywordIds = Array.from(new Set(kwIds.slice(themes.length).filter(Boolean)));
 
   const withGenres = Array.isArray(intent.withGenres) ? intent.withGenres.slice(0, 5) : [];
   const withoutGenres = Array.isArray(intent.withoutGenres) ? intent.withoutGenres.slice(0, 7) : [];
@@ -469,56 +592,84 @@ async function buildCandidates(tmdbKey, intent, region, refreshToken, mood, like
       ? intent.searchQueries.slice(0, 5)
       : [intent.searchHint || intent.rawPrompt || ""];
 
-  let pool = [];
-
-  for (const q of queries) {
-    if (!q || !String(q).trim()) continue;
-
-    for (let i = 0; i < 3; i++) {
-      const page = clamp(pageStart + i, 1, 20);
-      if (mediaType === "movie") pool.push(...(await searchMovie(tmdbKey, q, page, intent.yearExact || null)));
-      else if (mediaType === "tv") pool.push(...(await searchTv(tmdbKey, q, page)));
-      else pool.push(...(await searchMulti(tmdbKey, q, page)));
+  // Breadth first: page 1 of every search and discover before deeper pages,
+  // so a budget or deadline cut still leaves a varied pool
+  const tasks = [];
+  const add = (fn, label) => tasks.push(scheduler.run(fn, { priority: 1, fallback: [], label }));
+  const liveQueries = queries.filter((q) => q && String(q).trim());
+
+  // "More like the second one" (refine.js): TMDB's recommendations for that title come first
+  const similarTo = intent.similarTo;
+  if (similarTo?.id && (similarTo.media_type === "movie" || similarTo.media_type === "tv")) {
+    for (const page of [1, 2]) {
+      add(async () => {
+        const data = await tmdb.get(`/${similarTo.media_type}/${similarTo.id}/recommendations`, { page }, { cache: cache.lists });
+        return (data.results || []).map((r) => ({ ...r, media_type: r.media_type || similarTo.media_type }));
+      }, "recommendations");
     }
   }
 
   for (let i = 0; i < 5; i++) {
+    if (i < 3) {
+      const page = clamp(pageStart + i, 1, 20);
+      for (const q of liveQueries) {
+        if (mediaType === "movie") add(() => searchMovie(tmdb, q, page, intent.yearExact || null), "search movie");
+        else if (mediaType === "tv") add(() => searchTv(tmdb, q, page), "search tv");
+        else add(() => searchMulti(tmdb, q, page), "search multi");
+      }
+    }
+
     const page = clamp(((seed + i * 7) % 20) + 1, 1, 20);
 
     if (mediaType !== "tv") {
-      pool.push(
-        ...(await discoverMovie(tmdbKey, {
-          page,
-          region,
-          kids,
-          maxCert: gbMaxCert,
-          yearMin,
-          yearMax,
-          niche,
-          withGenres,
-          withoutGenres: avoidGenresMerged,
-          withCastId: actorId || null,
-          withKeywords: keywordIds
-        }))
+      add(
+        () =>
+          discoverMovie(tmdb, {
+            page,
+            region,
+            kids,
+            maxCert,
+            yearMin,
+            yearMax,
+            niche,
+            withGenres,
+            withoutGenres: avoidGenresMerged,
+            withCastId: actorId || null,
+            withKeywords: keywordIds,
+            withoutKeywords: warningKeywordIds,
+            runtimeMin: intent.runtimeMin || null,
+            runtimeMax: intent.runtimeMax || null,
+            languages: intent.originalLanguages
+          }),
+        "discover movie"
       );
     }
     if (mediaType !== "movie") {
-      pool.push(
-        ...(await discoverTv(tmdbKey, {
-          page,
-          kids,
-          yearMin,
-          yearMax,
-          niche,
-          withGenres,
-          withoutGenres: avoidGenresMerged,
-          withPersonId: actorId || null,
-          withKeywords: keywordIds
-        }))
+      add(
+        () =>
+          discoverTv(tmdb, {
+            page,
+            kids,
+            yearMin,
+            yearMax,
+            niche,
+            withGenres,
+            withoutGenres: avoidGenresMerged,
+            withPersonId: actorId || null,
+            withKeywords: keywordIds,
+            withoutKeywords: warningKeywordIds,
+            runtimeMin: intent.runtimeMin || null,
+            runtimeMax: intent.runtimeMax || null,
+            languages: intent.originalLanguages
+          }),
+        "discover tv"
       );
     }
   }
 
+  // Settled in task order, so the pool does not depend on which call came back first
+  let pool = (await Promise.all(tasks)).flat();
+
   pool = pool
     .map((c) => {
       const mt = c.media_type || (c.title ? "movie" : c.name ? "tv" : null);
@@ -537,6 +688,8 @@ async function buildCandidates(tmdbKey, intent, region, refreshToken, mood, like
     if (withGenres.includes(GENRE.ANIMATION)) {
       if (!hasGenre(c, GENRE.ANIMATION)) return false;
     }
+    // Search and recommendations ignore languages, discover cannot exclude them
+    if (!fitsLanguage(c.original_language, intent)) return false;
     return true;
   });
 
@@ -549,309 +702,871 @@ async function buildCandidates(tmdbKey, intent, region, refreshToken, mood, like
    ================================ */
 app.get("/api/health", (req, res) => res.json({ ok: true }));
 
-app.post("/api/recommend", async (req, res) => {
+// Admin endpoints need ADMIN_TOKEN set on the server, sent as "Authorization: Bearer <token>"
+function requireAdmin(req, res, next) {
+  const token = process.env.ADMIN_TOKEN;
+  if (!token) return res.status(404).json({ error: "Admin endpoints disabled" });
+  // Compared as digests: timingSafeEqual needs equal lengths, and the length must not leak either
+  const digest = (s) => crypto.createHash("sha256").update(s).digest();
+  const sent = String(req.get("authorization") || "").replace(/^Bearer\s+/i, "");
+  if (!crypto.timingSafeEqual(digest(sent), digest(token))) return res.status(401).json({ error: "Unauthorized" });
+  next();
+}
+
+app.get("/api/admin/cache", requireAdmin, (req, res) => res.json(caches.stats()));
+
+const bearer = (req) => String(req.get("authorization") || "").replace(/^Bearer\s+/i, "");
+
+// Signed-in routes: "Authorization: Bearer <session token>" from login / register / magic link
+function requireUser(req, res, next) {
+  const user = accounts.authenticate(bearer(req));
+  if (!user) return res.status(401).json({ error: "Sign in required" });
+  req.user = user;
+  next();
+}
+
+// Wraps an accounts.js call: { status, error } goes out as an error, anything else as JSON
+function accountRoute(fn, okStatus = 200) {
+  return async (req, res) => {
+    try {
+      const out = await fn(req);
+      if (out?.error) return res.status(out.status || 400).json({ error: out.error });
+      res.status(okStatus).json(out);
+    } catch (err) {
+      console.error(`Error in ${req.path}:`, err);
+      res.status(500).json({ error: "Server error" });
+    }
+  };
+}
+
+app.post("/api/auth/register", accountRoute((req) => accounts.register(req.body || {}), 201));
+app.post("/api/auth/login", accountRoute((req) => accounts.login(req.body || {})));
+app.post("/api/auth/magic-link", accountRoute((req) => accounts.requestMagicLink(req.body || {}), 202));
+app.post("/api/auth/magic-link/verify", accountRoute((req) => accounts.redeemMagicLink(req.body || {})));
+app.post("/api/auth/logout", accountRoute(async (req) => {
+  await accounts.logout(bearer(req));
+  return { ok: true };
+}));
+app.get("/api/auth/me", requireUser, (req, res) => res.json({ user: req.user }));
+
+/**
+ * Sync: push local changes and pull everything newer than `since` in one round trip.
+ *   body  { since: <rev from the last sync>, changes: { [collection]: { [key]: { v, t } } } }
+ *   reply { rev, changes, reset } where reset means the device should drop its copy and take changes as the full state
+ */
+function syncRoute(getBody) {
+  return accountRoute(async (req) => {
+    const { since: rawSince, changes: rawChanges } = getBody(req);
+    const checked = validateChanges(rawChanges);
+    if (checked.error) return { status: 400, error: checked.error };
+
+    let since = Math.max(0, Number(rawSince) || 0);
+    let rejected = {};
+    const doc = await store.update(`sync/${req.user.id}`, emptySyncDoc(), (d) => {
+      const before = d.rev;
+      rejected = mergeChanges(d, checked.changes);
+      return d.rev === before ? undefined : d;
+    });
+
+    // The device has seen revisions this server never issued (data restored from an older copy)
+    const reset = since > doc.rev;
+    if (reset) since = 0;
+
+    const changes = changesSince(doc, since);
+    for (const [coll, records] of Object.entries(rejected)) Object.assign((changes[coll] ||= {}), records);
+    return { rev: doc.rev, changes, reset };
+  });
+}
+
+// Seasons with their episodes, for episode-level progress on a series
+app.get("/api/title/tv/:id/seasons", async (req, res) => {
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id) || id <= 0) return res.status(400).json({ error: "Expected /api/title/tv/<id>/seasons" });
+  if (!tmdb.ready) return res.status(500).json({ error: "TMDB_API_KEY missing on server" });
+
+  try {
+    const seasons = await getTvSeasons(tmdb.withLanguage(tmdbLanguage(req.query.locale)), id);
+    if (!seasons) return res.status(404).json({ error: "Series not found" });
+    res.json(seasons);
+  } catch (err) {
+    console.error("Error in /api/title/tv/:id/seasons:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Everything the detail panel shows for one title
+app.get("/api/title/:mediaType/:id", async (req, res) => {
+  const { mediaType } = req.params;
+  const id = Number(req.params.id);
+  if (!TITLE_APPEND[mediaType] || !Number.isInteger(id) || id <= 0) {
+    return res.status(400).json({ error: "Expected /api/title/movie|tv/<id>" });
+  }
+  if (!tmdb.ready) return res.status(500).json({ error: "TMDB_API_KEY missing on server" });
+
+  try {
+    const details = await getTitleDetails(tmdb.withLanguage(tmdbLanguage(req.query.locale)), mediaType, id, normalizeRegion(req.query.region));
+    if (!details) return res.status(404).json({ error: "Title not found" });
+    res.json(details);
+  } catch (err) {
+    console.error("Error in /api/title:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+/* Shared playlists: publish returns { id, editKey, url }, keep editKey to update or unpublish */
+function sharedUrl(id) {
+  if (!APP_URL) return null;
+  const url = new URL(APP_URL);
+  url.searchParams.set("list", id);
+  return url.toString();
+}
+
+app.post(
+  "/api/playlists/shared",
+  accountRoute(async (req) => {
+    const owner = accounts.authenticate(bearer(req));
+    const out = await sharedPlaylists.publish(req.body || {}, owner?.id || null);
+    return out.error ? out : { ...out, url: sharedUrl(out.id) };
+  }, 201)
+);
+app.put("/api/playlists/shared/:id", accountRoute((req) => sharedPlaylists.update(req.params.id, req.body || {})));
+app.delete("/api/playlists/shared/:id", accountRoute((req) => sharedPlaylists.unpublish(req.params.id, req.body?.editKey)));
+
+// Read-only view with where-to-watch for the viewer's region
+app.get("/api/playlists/shared/:id", async (req, res) => {
+  const list = sharedPlaylists.get(req.params.id);
+  if (!list) return res.status(404).json({ error: "Shared playlist not found" });
+
+  const region = normalizeRegion(req.query.region);
+  const scheduler = createScheduler({ ...limitsFromEnv(), budget: MAX_SHARED_ITEMS });
+  const items = await Promise.all(
+    list.items.map(async (it) => ({
+      ...it,
+      providers: tmdb.ready
+        ? await scheduler.run(() => getWatchProviders(tmdb, it.media_type, it.id, region), { fallback: emptyProviders(), label: "shared providers" })
+        : emptyProviders()
+    }))
+  );
+  res.json({ ...list, url: sharedUrl(list.id), region, items });
+});
+
+// Match parsed export rows (see importer.js) to TMDB titles, in input order
+app.post("/api/import/match", async (req, res) => {
+  const rows = req.body?.rows;
+  if (!Array.isArray(rows) || !rows.length) return res.status(400).json({ error: "Expected { rows: [...] }" });
+  if (rows.length > MAX_IMPORT_BATCH) return res.status(400).json({ error: `At most ${MAX_IMPORT_BATCH} rows per request` });
+  if (!tmdb.ready) return res.status(500).json({ error: "TMDB_API_KEY missing on server" });
+
+  // Rows the deadline cuts off come back as "failed" so the client can send them again
+  const scheduler = createScheduler({ ...limitsFromEnv(), budget: MAX_IMPORT_BATCH, deadlineMs: 25000 });
+  const matches = await Promise.all(
+    rows.map(async (raw, index) => {
+      const row = normalizeImportRow(raw);
+      if (!row) return { index, status: "invalid" };
+      const out = await scheduler.run(() => matchImportRow(tmdb, row), { fallback: { status: "failed" }, label: "import match" });
+      return { index, ...out };
+    })
+  );
+  res.json({ matches, diagnostics: { gather: scheduler.stats() } });
+});
+
+app.get("/api/sync", requireUser, syncRoute((req) => ({ since: req.query.since, changes: null })));
+app.post("/api/sync", requireUser, syncRoute((req) => req.body || {}));
+
+/**
+ * The whole recommend pipeline. emit(event, data) reports progress as it goes:
+ *   stage  { stage: "intent" | "candidates" | "picks", ... }
+ *   result { index, result } each time a pick passes validation
+ * Returns the same payload /api/recommend sends, with a session token; sending that
+ * back as body.session with body.message refines those results (see refine.js).
+ */
+async function recommend(body, emit = () => {}) {
   const {
-    prompt,
     mood = 3,
     localHour = null,
-    liked = [],
-    disliked = [],
-    watched = [],
+    liked: ownLiked = [],
+    disliked: ownDisliked = [],
+    watched: ownWatched = [],
+    participants: rawParticipants = [],
+    inProgress: rawInProgress = [],
+    minutes = null,
+    languages = null,
+    contentWarnings = [],
     excludeIds = [],
-    region = "GB",
+    region: rawRegion = "GB",
     refreshToken = "",
     providerInclude = [],
-    providerExclude = []
-  } = req.body;
-
-  if (!prompt || !prompt.trim()) return res.status(400).json({ error: "Missing prompt" });
-
-  const tmdbKey = process.env.TMDB_API_KEY;
-  if (!tmdbKey) return res.status(500).json({ error: "TMDB_API_KEY missing on server" });
-
-  try {
-    // 1) Intent extraction
-    let intent = {
-      mediaType: "any",
-      searchHint: prompt,
-      searchQueries: [prompt],
-      kidsMode: false,
-      kidsMaxAge: null,
-      nicheMode: false,
-      yearMin: null,
-      yearMax: null,
-      yearExact: null,
-      actorName: null,
-      withGenres: [],
-      withoutGenres: [],
-      themeKeywords: [],
-      providerInclude: [],
-      providerExclude: []
-    };
+    providerExclude = [],
+    availability: rawAvailability = "any",
+    locale = null,
+    kidsProfile: rawKidsProfile = null
+  } = body;
+
+  // A child's profile (see parental.js) holds on every request, follow-ups included
+  const kidsProfile = normalizeKidsProfile(rawKidsProfile);
+
+  // Titles and overviews from TMDB, and the model's reasons, come back in the UI's language.
+  // Ratings and providers do not depend on it and keep using the shared client.
+  const language = tmdbLanguage(locale);
+  const meta = tmdb.withLanguage(language);
+
+  // A follow-up carries the session of the results it refines instead of a new prompt
+  const session = body.session ? sessions.verify(body.session) : null;
+  const followUp = session ? String(body.message).trim().slice(0, MAX_FOLLOW_UP) : null;
+  const prompt = session ? session.prompt : body.prompt;
+
+  const region = normalizeRegion(rawRegion);
+  // "subscription" / "subscription_or_free" narrow which tiers count as watchable, see providers.js
+  const availability = normalizeAvailability(rawAvailability);
+  const tiers = AVAILABILITY[availability];
+
+  // Group watch (see group.js): everyone's history counts, one person's dislike is a veto
+  const participants = normalizeParticipants(rawParticipants);
+  const group = participants.length ? mergeGroup(participants) : null;
+  const disliked = group ? group.disliked : ownDisliked;
+  // Series the user is partway through count towards taste but are never suggested as new
+  const inProgress = (Array.isArray(rawInProgress) ? rawInProgress : [])
+    .filter((x) => x && x.id != null)
+    .slice(0, 100)
+    .map((x) => ({ ...x, media_type: "tv" }));
+  const inProgressSet = new Set(inProgress.map((x) => `tv:${x.id}`));
+  const watched = [...(group ? group.watched : ownWatched), ...inProgress];
+  let liked = group ? group.liked : ownLiked;
+
+  const diagnostics = { llm: { enabled: llm.enabled, provider: llm.provider, model: llm.model } };
+
+  // 1) Intent extraction (local parse is the fallback when the model is unavailable),
+  // or for a follow-up the session's intent with the change applied
+  let intent;
+  let refinement = null;
+  if (session) {
+    const step = applyFollowUp(session.intent, followUp, session.last);
+    intent = step.intent;
+    // The title pointed at counts as a like for this round
+    if (step.similarTo) liked = [step.similarTo, ...liked];
+  } else {
+    intent = parsePrompt(prompt);
+  }
 
-    if (process.env.OPENAI_API_KEY) {
-      const intentResp = await openai.responses.create({
-        model: "gpt-4.1-mini",
-        input: [
-          {
-            role: "system",
-            content:
-              "Return ONLY JSON with keys:\n" +
-              "mediaType ('movie'|'tv'|'any'),\n" +
-              "searchHint (string),\n" +
-              "searchQueries (array of 3-6 short queries),\n" +
-              "kidsMode (boolean), kidsMaxAge (number|null),\n" +
-              "nicheMode (boolean),\n" +
-              "yearMin (number|null), yearMax (number|null), yearExact (number|null),\n" +
-              "actorName (string|null),\n" +
-              "withGenres (array of TMDB genre ids),\n" +
-              "withoutGenres (array of TMDB genre ids),\n" +
-              "themeKeywords (array of 1-3 keywords),\n" +
-              "providerInclude (array of provider names), providerExclude (array of provider names).\n\n" +
-              "Rules:\n" +
-              "- If user asks for cartoons or animated include genre 16 in withGenres.\n" +
-              "- searchQueries must be specific."
-          },
-          { role: "user", content: JSON.stringify({ prompt, mood, localHour }) }
-        ]
-      });
+  if (session && llm.enabled) {
+    const report = await llm.generateJson({
+      name: "refine",
+      schema: INTENT_SCHEMA,
+      system:
+        "You update a movie/TV search intent after a follow-up message.\n" +
+        "Return ONLY the full updated intent JSON with the same keys as previousIntent.\n" +
+        "Rules:\n" +
+        "- Change only what the follow-up asks for, keep everything else.\n" +
+        "- 'less X' removes or avoids X, 'more X' adds it, 'older' / 'newer' move yearMin / yearMax relative to the shown titles.",
+      user: JSON.stringify({
+        originalPrompt: prompt,
+        previousFollowUps: session.turns,
+        previousIntent: session.intent,
+        shown: session.last.map((x, i) => ({ n: i + 1, title: x.title, year: x.year, media_type: x.media_type })),
+        followUp
+      })
+    });
+    diagnostics.intent = summarizeLlmReport(report);
+    if (report.data) intent = { ...intent, ...report.data };
+  } else if (llm.enabled) {
+    const report = await llm.generateJson({
+      name: "intent",
+      schema: INTENT_SCHEMA,
+      system:
+        "Return ONLY JSON with keys:\n" +
+        "mediaType ('movie'|'tv'|'any'),\n" +
+        "searchHint (string),\n" +
+        "searchQueries (array of 3-6 short queries),\n" +
+        "kidsMode (boolean), kidsMaxAge (number|null),\n" +
+        "nicheMode (boolean),\n" +
+        "yearMin (number|null), yearMax (number|null), yearExact (number|null),\n" +
+        "runtimeMin (minutes|null), runtimeMax (minutes|null): a movie's length or a series' episode length,\n" +
+        "maxSeasons (number|null),\n" +
+        "originalLanguages (array of ISO 639-1 codes the title must be made in), excludeLanguages (array of ISO 639-1 codes),\n" +
+        `contentWarnings (array of ${WARNING_IDS.join(", ")}): themes the user does not want to see,\n` +
+        "actorName (string|null),\n" +
+        "withGenres (array of TMDB genre ids),\n" +
+        "withoutGenres (array of TMDB genre ids),\n" +
+        "themeKeywords (array of 1-3 keywords),\n" +
+        "providerInclude (array of provider names), providerExclude (array of provider names).\n\n" +
+        "Rules:\n" +
+        "- If user asks for cartoons or animated include genre 16 in withGenres.\n" +
+        "- 'not dubbed' or 'no subtitles' mean the original language: the asked-for one, or en.\n" +
+        "- contentWarnings only for themes the user asks to avoid, never for ones they ask for.\n" +
+        "- searchQueries must be specific.",
+      user: JSON.stringify({ prompt, mood, localHour })
+    });
+    diagnostics.intent = summarizeLlmReport(report);
 
-      try {
-        intent = JSON.parse(intentResp.output[0].content[0].text);
-      } catch {}
-    }
+    // Fields the model got wrong fall back to the local parse instead of silently vanishing
+    if (report.data) intent = { ...intent, ...report.data };
+  }
 
-    intent.rawPrompt = prompt;
+  intent.rawPrompt = prompt;
 
-    if (!["movie", "tv", "any"].includes(intent.mediaType)) intent.mediaType = "any";
-    if (!intent.searchHint || !String(intent.searchHint).trim()) intent.searchHint = prompt;
-    if (!Array.isArray(intent.searchQueries) || intent.searchQueries.length < 1) intent.searchQueries = [intent.searchHint];
-    if (!Array.isArray(intent.withGenres)) intent.withGenres = [];
-    if (!Array.isArray(intent.withoutGenres)) intent.withoutGenres = [];
-    if (!Array.isArray(intent.themeKeywords)) intent.themeKeywords = [];
+  if (!["movie", "tv", "any"].includes(intent.mediaType)) intent.mediaType = "any";
+  if (!intent.searchHint || !String(intent.searchHint).trim()) intent.searchHint = prompt;
+  if (!Array.isArray(intent.searchQueries) || intent.searchQueries.length < 1) intent.searchQueries = [intent.searchHint];
+  if (!Array.isArray(intent.withGenres)) intent.withGenres = [];
+  if (!Array.isArray(intent.withoutGenres)) intent.withoutGenres = [];
+  if (!Array.isArray(intent.themeKeywords)) intent.themeKeywords = [];
 
-    // kids safety net
-    const pLower = prompt.toLowerCase();
-    if ((pLower.includes("kid") || pLower.includes("child") || pLower.includes("children")) && !intent.kidsMode) {
-      intent.kidsMode = true;
-      if (!intent.kidsMaxAge) intent.kidsMaxAge = 11;
-    }
+  // kids safety net
+  const pLower = prompt.toLowerCase();
+  if ((pLower.includes("kid") || pLower.includes("child") || pLower.includes("children")) && !intent.kidsMode) {
+    intent.kidsMode = true;
+    if (ageOrNull(intent.kidsMaxAge) == null) intent.kidsMaxAge = 11;
+  }
+  // The youngest person in the group sets the rating limit for everyone
+  if (group?.kidsMaxAge != null) {
+    intent.kidsMode = true;
+    intent.kidsMaxAge = Math.min(ageOrNull(intent.kidsMaxAge) ?? 18, group.kidsMaxAge);
+  }
+  // Last, so neither the prompt nor the model can turn it off
+  if (kidsProfile) applyKidsProfile(intent, kidsProfile);
+  // "I have N minutes" caps a movie's or an episode's length, on top of anything the prompt said.
+  // A follow-up that asks for a length of its own replaces the cap for the rest of the session (runtimeAsked).
+  const available = Math.round(Number(minutes));
+  const lengthMoved = (k) => (intent[k] ?? null) !== (session.intent[k] ?? null);
+  if (session && (session.intent.runtimeAsked || lengthMoved("runtimeMax") || lengthMoved("runtimeMin"))) {
+    intent.runtimeAsked = true;
+  } else if (minutes != null && minutes !== "" && available > 0) {
+    intent.runtimeMax = Math.min(Number(intent.runtimeMax) || MAX_RUNTIME, available);
+  }
+  // Standing language setting ({ include, exclude, englishOnly }), see languages.js
+  Object.assign(intent, mergeLanguages(intent, languages));
+  // Content warnings from the model, the prompt itself and the standing setting all count (see warnings.js)
+  intent.contentWarnings = mergeWarnings(intent.contentWarnings || [], parseWarnings(prompt).contentWarnings, normalizeWarnings(contentWarnings));
+  // Notes from what the round really runs with, after the model and the standing settings had their say
+  if (session) refinement = { message: followUp, changes: describeChanges(session.intent, intent, followUp) };
+  emit("stage", { stage: "intent", intent });
+
+  // Merge provider filters from UI + intent, a group can watch on any service one of them has
+  const mergedInclude = Array.from(
+    new Set([...(providerInclude || []), ...(intent.providerInclude || []), ...(group?.subscriptions || []), ...(kidsProfile?.providers || [])])
+  );
+  const mergedExclude = Array.from(new Set([...(providerExclude || []), ...(intent.providerExclude || [])]));
+
+  // 2) + 3) Exclusions and candidates, gathered together under one call budget and deadline (the lookups in 5) share it)
+  const scheduler = createScheduler(limitsFromEnv());
+  const [similarExclude, pool] = await Promise.all([
+    expandSimilarExcludes(tmdb, disliked, scheduler),
+    buildCandidates(meta, intent, region, refreshToken, mood, liked, disliked, watched, { scheduler })
+  ]);
+  diagnostics.gather = scheduler.stats();
+
+  const dislikedSet = new Set((disliked || []).map((d) => String(d.id)));
+  const excludeSet = new Set((excludeIds || []).map((id) => String(id)));
+  for (const id of similarExclude) excludeSet.add(String(id));
+  // A follow-up never shows the same titles again
+  const shownSet = new Set(session?.shown || []);
+
+  let candidates = pool.filter(
+    (c) =>
+      !dislikedSet.has(String(c.id)) &&
+      !excludeSet.has(String(c.id)) &&
+      !inProgressSet.has(`${c.media_type}:${c.id}`) &&
+      !shownSet.has(`${c.media_type}:${c.id}`)
+  );
+
+  // 3b) HARD fallback so candidates is never empty
+  let fellBack = false;
+  if (!candidates.length) {
+    fellBack = true;
+    const [trend, pop] = await Promise.all([
+      trendingFallback(meta, intent.mediaType || "any", 1),
+      popularFallback(meta, intent.mediaType || "any", 1)
+    ]);
+    candidates = uniqByKey([...trend, ...pop], (c) => `${c.media_type}:${c.id}`).filter(
+      (c) => !shownSet.has(`${c.media_type}:${c.id}`)
+    );
+  }
 
-    // Merge provider filters from UI + intent
-    const mergedInclude = Array.from(new Set([...(providerInclude || []), ...(intent.providerInclude || [])]));
-    const mergedExclude = Array.from(new Set([...(providerExclude || []), ...(intent.providerExclude || [])]));
-
-    // 2) Exclusions
-    const dislikedSet = new Set((disliked || []).map((d) => String(d.id)));
-    const excludeSet = new Set((excludeIds || []).map((id) => String(id)));
-    const similarExclude = await expandSimilarExcludes(tmdbKey, disliked);
-    for (const id of similarExclude) excludeSet.add(String(id));
-
-    // 3) Candidates
-    let candidates = await buildCandidates(tmdbKey, intent, region, refreshToken, mood, liked, disliked, watched);
-    candidates = candidates.filter((c) => !dislikedSet.has(String(c.id)) && !excludeSet.has(String(c.id)));
-
-    // 3b) HARD fallback so candidates is never empty
-    if (!candidates.length) {
-      const trend = await trendingFallback(tmdbKey, intent.mediaType || "any", 1);
-      const pop = await popularFallback(tmdbKey, intent.mediaType || "any", 1);
-      candidates = uniqByKey([...trend, ...pop], (c) => `${c.media_type}:${c.id}`);
-    }
+  emit("stage", { stage: "candidates", count: candidates.length });
+
+  // Stream each accepted result once, in final order
+  const emitted = new Set();
+  const emitResult = (result) => {
+    const k = `${result.media_type}:${result.id}`;
+    if (emitted.has(k)) return;
+    emit("result", { index: emitted.size, result });
+    emitted.add(k);
+  };
+
+  // still empty, return ultra fallback
+  if (!candidates.length) {
+    const fallback = {
+      id: "fallback-1",
+      title: "Try a different vibe",
+      overview: "The server could not reach TMDB right now. Try again in a moment.",
+      media_type: "movie",
+      vote_average: null,
+      release_date: "",
+      poster_path: null,
+      providers: emptyProviders(),
+      reason: "Temporary fallback."
+    };
+    emitResult(fallback);
+    return {
+      results: [fallback],
+      intent,
+      region,
+      availability,
+      providerInclude: mergedInclude,
+      providerExclude: mergedExclude,
+      ...(refinement ? { refinement } : {}),
+      session: sessions.sign(nextSessionState(session, { prompt, intent, results: [], message: followUp })),
+      diagnostics
+    };
+  }
 
-    // still empty, return ultra fallback
-    if (!candidates.length) {
-      return res.json({
-        results: [
-          {
-            id: "fallback-1",
-            title: "Try a different vibe",
-            overview: "The server could not reach TMDB right now. Try again in a moment.",
-            media_type: "movie",
-            vote_average: null,
-            release_date: "",
-            poster_path: null,
-            providers: [],
-            reason: "Temporary fallback."
-          }
-        ],
+  // 4) Pick IDs + reasons via AI, but only if a model is configured
+  let picks = [];
+  const moodHints = moodToHints(mood);
+
+  if (llm.enabled) {
+    const report = await llm.generateJson({
+      name: "picks",
+      schema: PICKS_SCHEMA,
+      system:
+        "Return ONLY JSON: { picks: [ { id: <tmdb id>, reason: <short reason> } ... ] }\n" +
+        "Rules:\n" +
+        "- picks must be unique\n" +
+        "- 1st pick best match\n" +
+        `- Prefer: ${moodHints.prefer.join(", ")}.\n` +
+        (moodHints.avoid.length ? `- Avoid: ${moodHints.avoid.join(", ")}.\n` : "") +
+        (language ? `- Write every reason in ${localeName(language)}.\n` : "") +
+        (kidsProfile?.blockedKeywords.length ? `- A child is watching: skip anything about ${kidsProfile.blockedKeywords.join(", ")}.\n` : "") +
+        (intent.contentWarnings.length ? `- Never pick anything with ${intent.contentWarnings.map(warningLabel).join(", ")}.\n` : "") +
+        (group ? "- Group watch: every pick must suit ALL participants, skip anything one of them would dislike.\n" : ""),
+      user: JSON.stringify({
+        vibe: prompt,
+        ...(session ? { followUps: [...session.turns, followUp] } : {}),
+        mood,
+        localHour,
+        region,
         intent,
-        providerInclude: mergedInclude,
-        providerExclude: mergedExclude
-      });
-    }
-
-    // 4) Pick IDs + reasons via AI, but only if OpenAI is available
-    let picks = [];
-    const moodHints = moodToHints(mood);
-
-    if (process.env.OPENAI_API_KEY) {
-      const pickResp = await openai.responses.create({
-        model: "gpt-4.1-mini",
-        input: [
-          {
-            role: "system",
-            content:
-              "Return ONLY JSON: { picks: [ { id: <tmdb id>, reason: <short reason> } ... ] }\n" +
-              "Rules:\n" +
-              "- picks must be unique\n" +
-              "- 1st pick best match\n" +
-              `- Prefer: ${moodHints.prefer.join(", ")}.\n` +
-              (moodHints.avoid.length ? `- Avoid: ${moodHints.avoid.join(", ")}.\n` : "")
-          },
-          {
-            role: "user",
-            content: JSON.stringify({
-              vibe: prompt,
-              mood,
-              localHour,
-              region,
-              intent,
-              liked: (liked || []).slice(0, 40),
-              disliked: (disliked || []).slice(0, 60),
-              watched: (watched || []).slice(0, 60),
-              candidates: candidates.slice(0, 220).map((c) => ({
-                id: c.id,
-                media_type: c.media_type,
-                title: c.title || c.name,
-                overview: c.overview,
-                genre_ids: c.genre_ids || [],
-                vote_average: c.vote_average,
-                vote_count: c.vote_count,
-                release_date: c.release_date || c.first_air_date
+        liked: (liked || []).slice(0, 40),
+        disliked: (disliked || []).slice(0, 60),
+        watched: (watched || []).slice(0, 60),
+        ...(inProgress.length ? { inProgress: inProgress.slice(0, 30).map((x) => x.title || x.name) } : {}),
+        ...(group
+          ? {
+              participants: participants.map((p) => ({
+                name: p.name,
+                liked: p.liked.slice(0, 15).map((x) => x.title || x.name),
+                disliked: p.disliked.slice(0, 15).map((x) => x.title || x.name)
               }))
-            })
-          }
-        ]
-      });
-
-      try {
-        const parsed = JSON.parse(pickResp.output[0].content[0].text);
-        picks = Array.isArray(parsed?.picks) ? parsed.picks : [];
-      } catch {
-        picks = [];
-      }
-    }
+            }
+          : {}),
+        candidates: candidates.slice(0, 220).map((c) => ({
+          id: c.id,
+          media_type: c.media_type,
+          title: c.title || c.name,
+          overview: c.overview,
+          genre_ids: c.genre_ids || [],
+          vote_average: c.vote_average,
+          vote_count: c.vote_count,
+          release_date: c.release_date || c.first_air_date
+        }))
+      })
+    });
+    diagnostics.picks = summarizeLlmReport(report);
+    picks = report.ok ? report.data.picks : [];
+  }
 
-    if (!picks.length) {
-      picks = candidates.slice(0, 12).map((c) => ({ id: c.id, reason: "Good match for your vibe." }));
-    }
+  // Offline ranker when the model is missing or returned nothing usable
+  if (!picks.length) {
+    picks = rankCandidates(candidates, { intent, mood, liked, disliked, watched, refreshToken, limit: group ? 20 : 12 });
+    diagnostics.ranker = "offline";
+  }
+  if (group) picks = rankForGroup(picks, candidates, participants);
 
-    const seen = new Set();
-    picks = picks.filter((p) => {
-      const k = String(p.id);
-      if (seen.has(k)) return false;
-      seen.add(k);
-      return true;
-    });
+  const seen = new Set();
+  picks = picks.filter((p) => {
+    const k = String(p.id);
+    if (seen.has(k)) return false;
+    seen.add(k);
+    return true;
+  });
+  emit("stage", { stage: "picks", count: picks.length, ranker: diagnostics.ranker || "llm" });
 
-    // 5) Build results with providers and kid checks
-    const kids = Boolean(intent.kidsMode);
-    const gbMaxCert = kids ? gbMaxCertFromAge(intent.kidsMaxAge) : null;
-
-    const needsAnimation = (intent.withGenres || []).includes(GENRE.ANIMATION);
-    const yearExact = intent.yearExact ? Number(intent.yearExact) : null;
-
-    async function buildResults({ enforceProviders }) {
-      const out = [];
-      const maxToTry = 25;
-
-      for (let i = 0; i < picks.length && out.length < 6 && i < maxToTry; i++) {
-        const pid = String(picks[i].id);
-        const cand = candidates.find((c) => String(c.id) === pid);
-        if (!cand) continue;
-
-        if (yearExact) {
-          const y = yearOf(cand);
-          if (y && y !== yearExact) continue;
-        }
-        if (needsAnimation && !hasGenre(cand, GENRE.ANIMATION)) continue;
-
-        if (kids) {
-          if (cand.media_type === "movie") {
-            const cert = await getMovieCertification(tmdbKey, cand.id, region);
-            if (gbMaxCert && cert && !gbCertAllowed(cert, gbMaxCert)) continue;
-          } else {
-            const rating = await getTvContentRating(tmdbKey, cand.id, region);
-            if (!tvAllowedForKids(rating)) continue;
-          }
-        }
-
-        const providers = await getWatchProviders(tmdbKey, cand.media_type, cand.id, region);
-
-        if (enforceProviders) {
-          if (mergedInclude.length) {
-            const ok = providers.some((p) =>
-              mergedInclude.some((x) => String(x).toLowerCase() === String(p).toLowerCase())
-            );
-            if (!ok) continue;
-          }
-          if (mergedExclude.length) {
-            const bad = providers.some((p) =>
-              mergedExclude.some((x) => String(x).toLowerCase() === String(p).toLowerCase())
-            );
-            if (bad) continue;
-          }
-        }
+  // 5) Build results with providers and kid checks
+  const kids = Boolean(intent.kidsMode);
+  const kidsMaxAge = kids ? ageOrNull(intent.kidsMaxAge) ?? 11 : null;
+
+  const needsAnimation = (intent.withGenres || []).includes(GENRE.ANIMATION);
+  const yearExact = intent.yearExact ? Number(intent.yearExact) : null;
+
+  // Match signals (see explain.js)
+  const taste = buildTasteProfile({ liked, disliked, watched });
+  const runtimeLimits = hasRuntimeLimits(intent);
+  const languageLimits = hasLanguageLimits(intent);
+
+  // Lookups for a pick run once, the relaxed pass reuses the first pass's
+  const lookups = new Map();
+  const lookupsFor = (cand) => {
+    const key = `${cand.media_type}:${cand.id}`;
+    if (!lookups.has(key)) lookups.set(key, resultLookups(scheduler, meta, cand, { region, certification: kids }));
+    return lookups.get(key);
+  };
+
+  async function buildResults({ enforceProviders, onResult = null }) {
+    const out = [];
+    const maxToTry = 25;
+
+    // Picks the candidate pool alone can rule out, no lookups needed
+    const kept = [];
+    for (const pick of picks.slice(0, maxToTry)) {
+      const cand = candidates.find((c) => String(c.id) === String(pick.id));
+      if (!cand) continue;
+      if (yearExact) {
+        const y = yearOf(cand);
+        if (y && y !== yearExact) continue;
+      }
+      if (needsAnimation && !hasGenre(cand, GENRE.ANIMATION)) continue;
+      kept.push({ pick, cand });
+    }
 
-        out.push({
+    // A batch at a time, just enough to fill the results, in pick order
+    for (let at = 0; at < kept.length && out.length < 6; ) {
+      const batch = kept.slice(at, at + 6);
+      at += batch.length;
+      const found = await Promise.all(batch.map(({ cand }) => lookupsFor(cand)));
+
+      for (let b = 0; b < batch.length && out.length < 6; b++) {
+        const { pick, cand } = batch[b];
+        // The scheduler gave up on this title, never wait for it
+        if (!found[b]) continue;
+        const { details, certification, providers } = found[b];
+
+        if (kids && !allowedForKids(region, cand.media_type, certification, kidsMaxAge)) continue;
+        // Details give the runtime for the card and the length check (see runtime.js), and keywords / cast for signals
+        if (blockedWord(kidsProfile, cand, details)) continue;
+        if (warningHits(intent.contentWarnings, keywordNames(details)).length) continue;
+        const length = runtimeOf(cand.media_type, details);
+        if (runtimeLimits && !fitsRuntime(cand.media_type, length, intent)) continue;
+        const language = cand.original_language || details?.original_language || null;
+        if (languageLimits && !fitsLanguage(language, intent)) continue;
+
+        const watchable = providersIn(providers, tiers);
+        // A kid profile's services are a hard limit, the relaxed pass keeps them
+        if (!onAllowedServices(kidsProfile, watchable)) continue;
+        const passes = passesProviderRules(providers, { tiers, availability, include: mergedInclude, exclude: mergedExclude });
+        if (enforceProviders && !passes) continue;
+
+        const relaxedNotes = [
+          ...(fellBack ? [RELAXED.popular] : []),
+          ...(passes ? [] : [RELAXED.providers])
+        ];
+
+        const result = {
           id: cand.id,
           title: cand.title || cand.name,
           overview: cand.overview,
           media_type: cand.media_type,
+          genre_ids: cand.genre_ids || [],
           vote_average: cand.vote_average,
           release_date: cand.release_date || cand.first_air_date,
           poster_path: cand.poster_path ? `https://image.tmdb.org/t/p/w500${cand.poster_path}` : null,
+          ...length,
+          original_language: language,
           providers,
-          reason: picks[i].reason || "Matches your vibe."
-        });
+          certification,
+          reason: pick.reason || "Matches your vibe.",
+          // The offline ranker's reason in parts for the UI to word; the model writes its own in the UI's language
+          ...(pick.reasons ? { reasons: pick.reasons } : pick.reason ? {} : { reasons: [{ code: "vibe", params: {}, text: "Matches your vibe" }] }),
+          signals: matchSignals(cand, {
+            intent,
+            mood,
+            taste,
+            details,
+            length,
+            certification,
+            kidsMaxAge,
+            watchable,
+            include: mergedInclude,
+            relaxed: relaxedNotes
+          }),
+          ...(group ? { groupFit: groupFit(cand, participants) } : {})
+        };
+        out.push(result);
+        if (onResult) onResult(result);
       }
-
-      return out;
     }
 
-    // First pass, enforce provider filters
-    let results = await buildResults({ enforceProviders: true });
-
-    // If provider filters cause empties, relax them so user still gets suggestions
-    if (results.length < 3) {
-      const relaxed = await buildResults({ enforceProviders: false });
-      results = uniqByKey(
-        [
-          ...results,
-          ...relaxed.map((r) => ({
-            ...r,
-            reason: r.reason.includes("Provider filter relaxed")
-              ? r.reason
-              : `${r.reason} (Provider filter relaxed)`
-          }))
-        ],
-        (x) => `${x.media_type}:${x.id}`
-      ).slice(0, 6);
-    }
+    return out;
+  }
 
-    // Final hard fallback if still somehow empty
-    if (!results.length) {
-      const backup = candidates.slice(0, 6).map((c) => ({
-        id: c.id,
-        title: c.title || c.name,
-        overview: c.overview,
-        media_type: c.media_type,
-        vote_average: c.vote_average,
-        release_date: c.release_date || c.first_air_date,
-        poster_path: c.poster_path ? `https://image.tmdb.org/t/p/w500${c.poster_path}` : null,
-        providers: [],
-        reason: "Closest match available."
-      }));
-      results = backup;
-    }
+  // First pass, enforce provider filters
+  let results = await buildResults({ enforceProviders: true, onResult: emitResult });
 
-    res.json({ results, intent, providerInclude: mergedInclude, providerExclude: mergedExclude });
+  // If provider filters cause empties, relax them so user still gets suggestions.
+  // Each relaxed result carries a relaxed signal, the UI words it (see explain.js)
+  if (results.length < 3) {
+    const relaxed = await buildResults({ enforceProviders: false });
+    results = uniqByKey([...results, ...relaxed], (x) => `${x.media_type}:${x.id}`).slice(0, 6);
+    results.forEach(emitResult);
+  }
+
+  // Final hard fallback if still somehow empty; these are unchecked, so never for kids or content warnings
+  if (!results.length && !kids && !intent.contentWarnings.length) {
+    const backup = candidates.slice(0, 6).map((c) => ({
+      id: c.id,
+      title: c.title || c.name,
+      overview: c.overview,
+      media_type: c.media_type,
+      genre_ids: c.genre_ids || [],
+      vote_average: c.vote_average,
+      release_date: c.release_date || c.first_air_date,
+      poster_path: c.poster_path ? `https://image.tmdb.org/t/p/w500${c.poster_path}` : null,
+      original_language: c.original_language || null,
+      providers: emptyProviders(),
+      // No reason of its own, the closest-match signal says why it is here
+      reason: "",
+      signals: matchSignals(c, { intent, mood, taste, relaxed: [RELAXED.closest] })
+    }));
+    results = backup;
+    results.forEach(emitResult);
+  }
+
+  return {
+    results,
+    intent,
+    region,
+    availability,
+    providerInclude: mergedInclude,
+    providerExclude: mergedExclude,
+    ...(group ? { participants: participants.map((p) => p.name) } : {}),
+    ...(refinement ? { refinement } : {}),
+    session: sessions.sign(nextSessionState(session, { prompt, intent, results, message: followUp })),
+    diagnostics
+  };
+}
+
+function recommendRequestError(body) {
+  if (body?.session != null) {
+    if (!body.message || !String(body.message).trim()) return { status: 400, error: "Missing follow-up message" };
+    const { error } = sessions.check(body.session);
+    // A forged or garbled token is the client's mistake, only a genuine one can expire
+    if (error === "invalid") return { status: 400, error: "Invalid session, start a new search" };
+    if (error === "expired") return { status: 410, error: "This session has expired, start a new search" };
+  } else if (!body?.prompt || !String(body.prompt).trim()) {
+    return { status: 400, error: "Missing prompt" };
+  }
+  if (!tmdb.ready) return { status: 500, error: "TMDB_API_KEY missing on server" };
+  return null;
+}
+
+app.post("/api/recommend", async (req, res) => {
+  const bad = recommendRequestError(req.body);
+  if (bad) return res.status(bad.status).json({ error: bad.error });
+
+  try {
+    res.json(await recommend(req.body));
   } catch (err) {
     console.error("Error in /api/recommend:", err);
     res.status(500).json({ error: "Server error" });
   }
 });
 
+// Same pipeline over Server-Sent Events: stage and result events, then done (full payload) or error
+app.post("/api/recommend/stream", async (req, res) => {
+  const bad = recommendRequestError(req.body);
+  if (bad) return res.status(bad.status).json({ error: bad.error });
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no"
+  });
+
+  let closed = false;
+  res.on("close", () => (closed = true));
+  const send = (event, data) => {
+    if (!closed) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  // Keep Render's proxy from dropping a quiet connection
+  const ping = setInterval(() => !closed && res.write(": ping\n\n"), 15000);
+
+  try {
+    send("done", await recommend(req.body, send));
+  } catch (err) {
+    console.error("Error in /api/recommend/stream:", err);
+    send("error", { error: "Server error" });
+  } finally {
+    clearInterval(ping);
+    res.end();
+  }
+});
+
+/* ================================
+   More like this, see morelike.js
+   ================================ */
+const MORE_LIKE_RESULTS = 8;
+
+/**
+ * Titles like one seed title, with the same history, region, availability and
+ * provider fields as a recommend body, plus kidsMaxAge for a rating limit,
+ * kidsProfile (see parental.js) and the standing contentWarnings (see warnings.js).
+ * Resolves to null when TMDB has no such title.
+ */
+async function moreLike(mediaType, id, body = {}) {
+  const {
+    liked = [],
+    disliked = [],
+    watched = [],
+    region: rawRegion = "GB",
+    providerInclude = [],
+    providerExclude = [],
+    availability: rawAvailability = "any",
+    kidsMaxAge: rawKidsAge = null,
+    locale = null,
+    kidsProfile: rawKidsProfile = null,
+    contentWarnings: rawWarnings = []
+  } = body;
+
+  const meta = tmdb.withLanguage(tmdbLanguage(locale));
+  const kidsProfile = normalizeKidsProfile(rawKidsProfile);
+  const warnings = normalizeWarnings(rawWarnings);
+
+  const region = normalizeRegion(rawRegion);
+  const availability = normalizeAvailability(rawAvailability);
+  const tiers = AVAILABILITY[availability];
+  const askedAge = ageOrNull(rawKidsAge);
+  const kidsMaxAge = kidsProfile ? Math.min(askedAge ?? 18, kidsProfile.maxAge) : askedAge;
+
+  const data = await getTitleRaw(meta, mediaType, id);
+  if (!data) return null;
+  const seed = seedProfile(mediaType, data);
+
+  // Every source is optional: whatever arrives within the request's budget is ranked
+  const scheduler = createScheduler(limitsFromEnv());
+  const run = (label, fn) => scheduler.run(fn, { priority: 1, fallback: null, label });
+  const [recs, similar, byKeywords, ...byPeople] = await Promise.all([
+    run("recommendations", () =>
+      meta.get(`/${mediaType}/${id}/recommendations`, { page: 1 }, { cache: cache.similar, cacheKey: `recs:${mediaType}:${id}` })
+    ),
+    run("similar", () => meta.get(`/${mediaType}/${id}/similar`, { page: 1 }, { cache: cache.similar, cacheKey: `sim:${mediaType}:${id}` })),
+    seed.keywords.length
+      ? run("discover keywords", () =>
+          meta.get(
+            `/discover/${mediaType}`,
+            { include_adult: false, sort_by: "vote_count.desc", with_keywords: seed.keywords.map((k) => k.id).join("|") },
+            { cache: cache.lists }
+          )
+        )
+      : null,
+    ...seed.people.map((p) =>
+      run(`credits ${p.id}`, () => meta.get(`/person/${p.id}/combined_credits`, {}, { cache: cache.similar, cacheKey: `credits:${p.id}` }))
+    )
+  ]);
+
+  const hits = collectHits(seed, [
+    { kind: "recommendations", items: recs?.results },
+    { kind: "similar", items: similar?.results },
+    { kind: "keywords", items: byKeywords?.results },
+    ...seed.people.map((person, i) => ({ kind: "person", person, items: creditsFor(person, byPeople[i], mediaType) }))
+  ]);
+  const ranked = rankMoreLike(seed, hits, { liked, disliked, watched });
+
+  const kids = kidsMaxAge != null;
+  const taste = buildTasteProfile({ liked, disliked, watched });
+  // Hits carry no keywords, blocked words and content warnings need the details
+  const needsDetails = Boolean(kidsProfile?.blockedKeywords.length || warnings.length);
+  const lookups = new Map();
+  const lookupsFor = (c) => {
+    const key = `${c.media_type}:${c.id}`;
+    if (!lookups.has(key)) lookups.set(key, resultLookups(scheduler, meta, c, { region, details: needsDetails, certification: kids }));
+    return lookups.get(key);
+  };
+
+  async function buildResults(enforceProviders) {
+    const out = [];
+    const tried = ranked.slice(0, 30);
+    for (let at = 0; at < tried.length && out.length < MORE_LIKE_RESULTS; ) {
+      const batch = tried.slice(at, at + MORE_LIKE_RESULTS);
+      at += batch.length;
+      const found = await Promise.all(batch.map(({ c }) => lookupsFor(c)));
+
+      for (let b = 0; b < batch.length && out.length < MORE_LIKE_RESULTS; b++) {
+        const { c } = batch[b];
+        if (!found[b]) continue;
+        const { details, certification, providers } = found[b];
+        if (blockedWord(kidsProfile, c, details)) continue;
+        if (warningHits(warnings, keywordNames(details)).length) continue;
+        if (kids && !allowedForKids(region, c.media_type, certification, kidsMaxAge)) continue;
+        const watchable = providersIn(providers, tiers);
+        if (!onAllowedServices(kidsProfile, watchable)) continue;
+        const passes = passesProviderRules(providers, { tiers, availability, include: providerInclude, exclude: providerExclude });
+        if (enforceProviders && !passes) continue;
+
+        const reasons = batch[b].reasons.length ? batch[b].reasons : [similarReason(seed)];
+        out.push({
+          id: c.id,
+          title: c.title || c.name,
+          overview: c.overview,
+          media_type: c.media_type,
+          genre_ids: c.genre_ids || [],
+          vote_average: c.vote_average,
+          release_date: c.release_date || c.first_air_date,
+          poster_path: c.poster_path ? `https://image.tmdb.org/t/p/w500${c.poster_path}` : null,
+          providers,
+          certification,
+          reason: reasons.map((r) => r.text).join(" · "),
+          reasons,
+          // Checked the same way as recommend's results (see explain.js); the standing warnings are the only intent here
+          signals: matchSignals(c, {
+            intent: { contentWarnings: warnings },
+            taste,
+            details,
+            certification,
+            kidsMaxAge,
+            watchable,
+            include: providerInclude,
+            relaxed: passes ? [] : [RELAXED.providers]
+          })
+        });
+      }
+    }
+    return out;
+  }
+
+  // Same as recommend: relax provider filters rather than come back nearly empty
+  let results = await buildResults(true);
+  if (results.length < 3 && (providerInclude.length || providerExclude.length || availability !== "any")) {
+    const relaxed = await buildResults(false);
+    results = uniqByKey([...results, ...relaxed], (x) => `${x.media_type}:${x.id}`).slice(0, MORE_LIKE_RESULTS);
+  }
+
+  return {
+    seed: { id: seed.id, media_type: seed.media_type, title: seed.title },
+    results,
+    region,
+    availability,
+    diagnostics: { gather: scheduler.stats() }
+  };
+}
+
+app.post("/api/more-like/:mediaType/:id", async (req, res) => {
+  const { mediaType } = req.params;
+  const id = Number(req.params.id);
+  if (!TITLE_APPEND[mediaType] || !Number.isInteger(id) || id <= 0) {
+    return res.status(400).json({ error: "Expected /api/more-like/movie|tv/<id>" });
+  }
+  if (!tmdb.ready) return res.status(500).json({ error: "TMDB_API_KEY missing on server" });
+
+  try {
+    const out = await moreLike(mediaType, id, req.body || {});
+    if (!out) return res.status(404).json({ error: "Title not found" });
+    res.json(out);
+  } catch (err) {
+    console.error("Error in /api/more-like:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
 /* ================================
    Optional: serve frontend on Render root
    Works with /docs or /frontend
@@ -883,6 +1598,25 @@ app.get("/", (req, res) => {
   });
 });
 
-app.listen(PORT, () => {
-  console.log(`Server running at http://localhost:${PORT}`);
-});
+// Only listen when run directly, so tests can import the pipeline
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+  app.listen(PORT, () => {
+    console.log(`Server running at http://localhost:${PORT}`);
+  });
+}
+
+export {
+  app,
+  tmdb,
+  recommend,
+  buildCandidates,
+  expandSimilarExcludes,
+  getMovieCertification,
+  getTvContentRating,
+  getWatchProviders,
+  getTitleDetails,
+  getTvSeasons,
+  moreLike,
+  trendingFallback,
+  popularFallback
+};
@@ -0,0 +1,67 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+/* ================================
+   JSON document store
+   ================================
+   Small named JSON documents on disk (DATA_DIR, backend/data by default),
+   kept in memory after the first read. Writes are atomic (tmp + rename)
+   and serialised per document, so concurrent requests cannot interleave.
+   Enough for accounts and synced lists at this scale, swap for a database
+   behind the same read/update shape when it is not.
+*/
+export const DEFAULT_DATA_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "data");
+
+const SAFE_NAME = /^[a-z0-9][a-z0-9._-]*(\/[a-z0-9][a-z0-9._-]*)*$/i;
+
+export function createJsonStore({ dir = DEFAULT_DATA_DIR } = {}) {
+  const docs = new Map();
+  const queues = new Map();
+
+  function fileFor(name) {
+    if (!SAFE_NAME.test(name) || name.includes("..")) throw new Error(`Bad document name: ${name}`);
+    return path.join(dir, `${name}.json`);
+  }
+
+  function read(name, fallback = null) {
+    if (docs.has(name)) return structuredClone(docs.get(name));
+    let value;
+    try {
+      value = JSON.parse(fs.readFileSync(fileFor(name), "utf8"));
+    } catch (err) {
+      // Missing documents are not cached, lookups of unknown ids must not grow memory
+      if (err.code === "ENOENT") return structuredClone(fallback);
+      throw err;
+    }
+    docs.set(name, value);
+    return structuredClone(value);
+  }
+
+  function write(name, value) {
+    const file = fileFor(name);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(value));
+    fs.renameSync(tmp, file);
+    docs.set(name, structuredClone(value));
+  }
+
+  /**
+   * Read-modify-write one document. fn gets a copy of the current value (or fallback)
+   * and returns the new value, or undefined to leave it unchanged. Resolves to fn's result.
+   */
+  function update(name, fallback, fn) {
+    const prev = queues.get(name) || Promise.resolve();
+    const next = prev.then(async () => {
+      const current = read(name, fallback);
+      const value = await fn(current);
+      if (value !== undefined) write(name, value);
+      return value === undefined ? current : value;
+    });
+    queues.set(name, next.catch(() => {}));
+    return next;
+  }
+
+  return { dir, read, write, update };
+}
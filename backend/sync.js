@@ -0,0 +1,84 @@
+/* ================================
+   List sync
+   ================================
+   Each user has one document of collections (liked, disliked, watch later,
+   watched, series progress, playlists, settings), each a map of key -> record:
+
+     { v: value | null, t: last change (ms), r: server revision }
+
+   v = null is a deletion, kept so other devices learn about it. A push
+   merges per key and the newer t wins (ties keep the server copy), so
+   devices that were offline can replay their changes in any order.
+   Every accepted change gets the next revision, and a device pulls
+   everything above the revision it last saw.
+*/
+export const SYNC_COLLECTIONS = ["liked", "disliked", "watchlater", "watched", "progress", "playlists", "settings"];
+
+const MAX_KEY = 200;
+const MAX_VALUE_BYTES = 64 * 1024;
+const MAX_RECORDS = 5000;
+// Device clocks drift: a change cannot claim to be from the future
+const FUTURE_SLACK_MS = 5 * 60 * 1000;
+
+export const emptySyncDoc = () => ({ rev: 0, collections: {} });
+
+/**
+ * Check a push payload: { [collection]: { [key]: { v, t } } }.
+ * Returns { changes } with only well-formed records, or { error }.
+ */
+export function validateChanges(changes) {
+  if (changes == null) return { changes: {} };
+  if (typeof changes !== "object" || Array.isArray(changes)) return { error: "changes must be an object" };
+
+  const out = {};
+  let count = 0;
+  for (const [coll, records] of Object.entries(changes)) {
+    if (!SYNC_COLLECTIONS.includes(coll)) return { error: `Unknown collection: ${coll}` };
+    if (!records || typeof records !== "object") continue;
+    out[coll] = {};
+    for (const [key, rec] of Object.entries(records)) {
+      if (++count > MAX_RECORDS) return { error: `At most ${MAX_RECORDS} records per sync` };
+      if (!key || key.length > MAX_KEY || !rec || typeof rec !== "object") continue;
+      const t = Number(rec.t);
+      if (!Number.isFinite(t) || t < 0) continue;
+      const v = rec.v === undefined ? null : rec.v;
+      if (v !== null && JSON.stringify(v).length > MAX_VALUE_BYTES) continue;
+      out[coll][key] = { v, t };
+    }
+  }
+  return { changes: out };
+}
+
+/**
+ * Merge validated changes into doc (mutated). Returns the server copy of every
+ * record that beat the pushed one, so the device can take it even if it is older
+ * than the revision the device asked from.
+ */
+export function mergeChanges(doc, changes, now = Date.now()) {
+  const rejected = {};
+  for (const [coll, records] of Object.entries(changes)) {
+    const target = (doc.collections[coll] ||= {});
+    for (const [key, rec] of Object.entries(records)) {
+      const t = Math.min(rec.t, now + FUTURE_SLACK_MS);
+      const cur = target[key];
+      if (cur && cur.t >= t) {
+        if (JSON.stringify(cur.v) !== JSON.stringify(rec.v)) (rejected[coll] ||= {})[key] = { v: cur.v, t: cur.t };
+        continue;
+      }
+      doc.rev += 1;
+      target[key] = { v: rec.v, t, r: doc.rev };
+    }
+  }
+  return rejected;
+}
+
+// Records changed after revision `since`, without the revision numbers
+export function changesSince(doc, since = 0) {
+  const out = {};
+  for (const [coll, records] of Object.entries(doc.collections)) {
+    for (const [key, rec] of Object.entries(records)) {
+      if (rec.r > since) (out[coll] ||= {})[key] = { v: rec.v, t: rec.t };
+    }
+  }
+  return out;
+}
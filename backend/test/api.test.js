@@ -0,0 +1,49 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { loadServer } from "./helpers.js";
+import { createSessionTokens } from "../refine.js";
+
+process.env.ADMIN_TOKEN = "admin-secret";
+process.env.SESSION_SECRET = "session-secret";
+// A production deploy that has not set APP_URL or MAIL_MODE yet
+process.env.NODE_ENV = "production";
+process.env.APP_URL = "";
+process.env.MAIL_MODE = "";
+const { app } = await loadServer();
+
+const server = await new Promise((resolve) => {
+  const srv = app.listen(0, "127.0.0.1", () => resolve(srv));
+});
+after(() => server.close());
+
+const call = (path, init = {}) => fetch(`http://127.0.0.1:${server.address().port}${path}`, init);
+const bearer = (token) => ({ headers: { authorization: `Bearer ${token}` } });
+
+test("admin endpoints want the exact token", async () => {
+  assert.equal((await call("/api/admin/cache", bearer("admin-secret"))).status, 200);
+  assert.equal((await call("/api/admin/cache", bearer("admin-secreT"))).status, 401);
+  assert.equal((await call("/api/admin/cache", bearer("admin"))).status, 401);
+  assert.equal((await call("/api/admin/cache")).status, 401);
+});
+
+test("a tampered session is a bad request, an old one has expired", async () => {
+  const followUp = (session) =>
+    call("/api/recommend", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ session, message: "older" })
+    });
+  const expired = createSessionTokens({ secret: "session-secret", ttlMs: -1 }).sign({ prompt: "heist" });
+  assert.equal((await followUp(expired)).status, 410);
+  assert.equal((await followUp(`${expired.split(".")[0]}.forged`)).status, 400);
+  assert.equal((await followUp("garbage")).status, 400);
+});
+
+test("with no APP_URL in production the server runs and only sign-in links are off", async () => {
+  const post = (path, body) => call(path, { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify(body) });
+  assert.equal((await call("/api/health")).status, 200);
+  const link = await post("/api/auth/magic-link", { email: "sam@example.com" });
+  assert.equal(link.status, 503);
+  assert.match((await link.json()).error, /not available/);
+  assert.equal((await post("/api/auth/register", { email: "sam@example.com", password: "correct horse battery" })).status, 201);
+});
@@ -0,0 +1,37 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ageOrNull, maxCertFromAge, allowedForKids } from "../certifications.js";
+import { applyKidsProfile, normalizeKidsProfile } from "../parental.js";
+
+test("age 0 is the lowest rung, not unset", () => {
+  assert.equal(ageOrNull(0), 0);
+  assert.equal(ageOrNull("0"), 0);
+  assert.equal(ageOrNull(""), null);
+  assert.equal(ageOrNull("soon"), null);
+  assert.equal(maxCertFromAge("GB", "movie", 0), "U");
+  assert.equal(maxCertFromAge("US", "movie", 0), "G");
+  assert.equal(maxCertFromAge("GB", "movie", null), null);
+});
+
+test("allowedForKids at age 0 only lets the youngest rating through", () => {
+  assert.equal(allowedForKids("GB", "movie", "U", 0), true);
+  assert.equal(allowedForKids("GB", "movie", "PG", 0), false);
+  // No age still means the default of 11
+  assert.equal(allowedForKids("GB", "movie", "PG", null), true);
+  assert.equal(allowedForKids("GB", "movie", "15", null), false);
+});
+
+test("a French series marked NR counts as unrated, not as suitable for every age", () => {
+  assert.equal(maxCertFromAge("FR", "tv", 0), "TP");
+  assert.equal(allowedForKids("FR", "tv", "NR", 0), allowedForKids("FR", "tv", null, 0));
+  assert.equal(allowedForKids("FR", "tv", "TP", 0), true);
+  assert.equal(allowedForKids("FR", "tv", "10", 0), false);
+  assert.equal(allowedForKids("FR", "tv", "16", 9), false);
+});
+
+test("a kid profile of age 0 holds against an older asked-for age", () => {
+  const profile = normalizeKidsProfile({ name: "Baby", maxAge: 0 });
+  assert.equal(profile.maxAge, 0);
+  assert.equal(applyKidsProfile({ kidsMaxAge: 9 }, profile).kidsMaxAge, 0);
+  assert.equal(applyKidsProfile({ kidsMaxAge: 0 }, normalizeKidsProfile({ maxAge: 7 })).kidsMaxAge, 0);
+});
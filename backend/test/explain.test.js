@@ -0,0 +1,92 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { matchSignals, RELAXED, SIGNAL_KINDS } from "../explain.js";
+import { rankCandidates } from "../ranker.js";
+import { collectHits, rankMoreLike } from "../morelike.js";
+import { groupFit, normalizeParticipants } from "../group.js";
+
+const series = { id: 1, media_type: "tv", genre_ids: [35, 18], original_language: "ko", first_air_date: "2001-04-01" };
+
+test("signals carry a code and params for the UI to word, and English text", () => {
+  const signals = matchSignals(series, {
+    intent: { withGenres: [35], yearMin: 1995, yearMax: 2005, originalLanguages: ["ko"], runtimeMax: 50, maxSeasons: 2 },
+    length: { episode_runtime: 45, seasons: 2 },
+    certification: "12",
+    kidsMaxAge: 12
+  });
+  const byCode = Object.fromEntries(signals.map((s) => [s.code, s]));
+  assert.deepEqual(byCode.genre.params, { genres: [35] });
+  assert.deepEqual(byCode["era.between"].params, { year: 2001, min: 1995, max: 2005 });
+  assert.deepEqual(byCode.runtime.params, { tv: true, minutes: 45, under: 50, over: null, seasons: 2 });
+  assert.equal(byCode.runtime.text, "45m episodes, under 50m · 2 seasons");
+  assert.deepEqual(byCode.language.params, { language: "ko" });
+  assert.deepEqual(byCode.kids.params, { cert: "12", age: 12 });
+  for (const s of signals) {
+    assert.ok(SIGNAL_KINDS.includes(s.kind));
+    assert.ok(s.text);
+  }
+});
+
+test("relaxed signals are told apart by code", () => {
+  const signals = matchSignals(series, { relaxed: [RELAXED.providers, RELAXED.popular] });
+  assert.deepEqual(
+    signals.map((s) => [s.kind, s.code]),
+    [
+      ["relaxed", "relaxed.providers"],
+      ["relaxed", "relaxed.popular"]
+    ]
+  );
+  assert.equal(signals[0].text, "Provider filter relaxed");
+});
+
+test("content warning signals say whether there were keywords to check", () => {
+  const intent = { contentWarnings: ["gore"] };
+  const checked = matchSignals(series, { intent, details: { keywords: { results: [{ name: "friendship" }] } } });
+  const unchecked = matchSignals(series, { intent, details: { keywords: { results: [] } } });
+  assert.deepEqual([checked[0].code, checked[0].params], ["warning.clear", { warnings: ["gore"] }]);
+  assert.equal(unchecked[0].code, "warning.unchecked");
+});
+
+test("offline and more-like reasons, group fit and default names come as codes too", () => {
+  const [pick] = rankCandidates([{ ...series, vote_average: 8.1, vote_count: 900 }], { intent: { withGenres: [35] } });
+  assert.deepEqual(
+    pick.reasons.map((r) => [r.code, r.params]),
+    [
+      ["genre", { genres: [35] }],
+      ["quality", { rating: 8.1 }]
+    ]
+  );
+  assert.equal(pick.reason, "Comedy as asked. Highly rated (8.1/10).");
+
+  const seed = { id: 9, media_type: "tv", title: "Seed", genre_ids: [35], keywords: [{ id: 1, name: "office" }], people: [] };
+  const director = { id: 5, name: "Ann", role: "creator" };
+  const hits = collectHits(seed, [
+    { kind: "recommendations", items: [series] },
+    { kind: "keywords", items: [series] },
+    { kind: "person", person: director, items: [series] }
+  ]);
+  assert.deepEqual(
+    rankMoreLike(seed, hits)[0].reasons.map((r) => [r.code, r.params]),
+    [
+      ["creator", { name: "Ann" }],
+      ["themes", { title: "Seed", themes: ["office"] }],
+      ["fans", { title: "Seed" }]
+    ]
+  );
+
+  const participants = normalizeParticipants([{ name: "Alex", disliked: [series] }, {}]);
+  assert.deepEqual(
+    participants.map((p) => [p.name, p.number]),
+    [
+      ["Alex", null],
+      ["Person 2", 2]
+    ]
+  );
+  assert.deepEqual(
+    groupFit(series, participants).map((f) => [f.number, f.code, f.label]),
+    [
+      [null, "disliked", "Disliked"],
+      [2, "noHistory", "No history yet"]
+    ]
+  );
+});
@@ -0,0 +1,32 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+/* ================================
+   Test setup
+   ================================
+   Pipeline tests replay the fixtures in fixtures/tmdb (recorded from the
+   stand-in catalogue, see tools/tmdb-catalog.js) with no model configured,
+   so every run makes the same TMDB calls and gets the same titles.
+   npm run fixtures:record runs the tests once in record mode to capture
+   any call a new test adds.
+*/
+export const REFRESH = "test";
+
+// server.js reads its environment on import, so this must run before it is loaded
+export async function loadServer() {
+  process.env.TMDB_MODE ||= "replay";
+  if (!process.env.DATA_DIR) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "vibe-watch-test-"));
+    process.env.DATA_DIR = dir;
+    process.on("exit", () => fs.rmSync(dir, { recursive: true, force: true }));
+  }
+  // Defined but empty, so backend/.env cannot switch a model on
+  process.env.LLM_BASE_URL = "";
+  process.env.LLM_API_KEY = "";
+  process.env.OPENAI_API_KEY = "";
+  return import("../server.js");
+}
+
+export const realResults = (response) => response.results.filter((r) => Number.isInteger(Number(r.id)));
+export const relaxedOn = (r, code) => (r.signals || []).some((s) => s.kind === "relaxed" && s.code === code);
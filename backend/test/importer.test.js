@@ -0,0 +1,44 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { normalizeImportRow, importRowKey, normalizeTitle, bestMatch } from "../importer.js";
+
+test("normalizeImportRow cleans a row and drops what it cannot use", () => {
+  assert.deepEqual(normalizeImportRow({ title: "  Heat ", year: "1995", mediaType: "movie", imdbId: "tt0113277", tmdbId: "949" }), {
+    title: "Heat",
+    year: 1995,
+    mediaType: "movie",
+    imdbId: "tt0113277",
+    tmdbId: 949
+  });
+  const loose = normalizeImportRow({ title: "Heat", year: "soon", mediaType: "film", imdbId: "0113277", tmdbId: 949 });
+  assert.equal(loose.year, null);
+  assert.equal(loose.mediaType, null);
+  assert.equal(loose.imdbId, null);
+  // A TMDB id needs a media type
+  assert.equal(loose.tmdbId, null);
+});
+
+test("a row with nothing to match on is null", () => {
+  assert.equal(normalizeImportRow({ title: " ", year: 1995 }), null);
+  assert.equal(normalizeImportRow(null), null);
+});
+
+test("rows for the same title share a key", () => {
+  const a = normalizeImportRow({ title: "The Amélie!", year: 2001 });
+  const b = normalizeImportRow({ title: "amelie", year: "2001" });
+  assert.equal(importRowKey(a), importRowKey(b));
+  assert.equal(normalizeTitle("Fast & Furious"), "fast and furious");
+  assert.equal(importRowKey(normalizeImportRow({ imdbId: "tt0113277" })), "imdb:tt0113277");
+});
+
+test("bestMatch takes a clear winner and leaves ties for the user", () => {
+  const row = normalizeImportRow({ title: "Heat", year: 1995 });
+  const hit = (id, title, date, popularity = 10) => ({ id, title, release_date: date, media_type: "movie", popularity });
+  const matched = bestMatch(row, [hit(1, "Heat", "1995-12-15"), hit(2, "Heat", "1986-03-14")]);
+  assert.equal(matched.status, "matched");
+  assert.equal(matched.item.id, 1);
+
+  const tie = bestMatch(normalizeImportRow({ title: "Heat" }), [hit(1, "Heat", "1995-12-15"), hit(2, "Heat", "1986-03-14")]);
+  assert.equal(tie.status, "unmatched");
+  assert.deepEqual(tie.candidates.map((c) => c.id), [1, 2]);
+});
@@ -0,0 +1,48 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createMailer, mailerFromEnv, isLocalUrl } from "../mailer.js";
+
+test("log mode is the default only for a local APP_URL", (t) => {
+  t.mock.method(console, "warn", () => {});
+  assert.equal(mailerFromEnv({}, { appUrl: "http://localhost:3000/" }).mode, "log");
+  assert.equal(mailerFromEnv({}, { appUrl: "http://127.0.0.1:8080/" }).mode, "log");
+  assert.equal(console.warn.mock.callCount(), 0);
+  // Off with a warning instead of logging links or crashing the server
+  assert.equal(mailerFromEnv({}, { appUrl: "https://nextwatch.net/" }), null);
+  assert.equal(mailerFromEnv({ APP_URL: "https://nextwatch.net/" }), null);
+  assert.equal(console.warn.mock.callCount(), 2);
+  assert.match(console.warn.mock.calls[0].arguments[0], /MAIL_MODE is not set/);
+});
+
+test("no APP_URL means no sign-in links, whatever the mode", (t) => {
+  t.mock.method(console, "warn", () => {});
+  assert.equal(mailerFromEnv({}), null);
+  assert.equal(mailerFromEnv({ MAIL_MODE: "log" }, { appUrl: "" }), null);
+  assert.match(console.warn.mock.calls[0].arguments[0], /APP_URL is not set/);
+});
+
+test("a broken mail setting turns links off instead of throwing", (t) => {
+  t.mock.method(console, "warn", () => {});
+  assert.equal(mailerFromEnv({ MAIL_MODE: "webhook" }, { appUrl: "https://nextwatch.net/" }), null);
+  assert.equal(mailerFromEnv({ MAIL_MODE: "smtp" }, { appUrl: "http://localhost:3000/" }), null);
+});
+
+test("an explicit mode is honoured anywhere", (t) => {
+  t.mock.method(console, "warn", () => {});
+  assert.equal(mailerFromEnv({ MAIL_MODE: "log" }, { appUrl: "https://nextwatch.net/" }).mode, "log");
+  assert.equal(console.warn.mock.callCount(), 1);
+  const env = { MAIL_MODE: "webhook", MAIL_WEBHOOK_URL: "http://mail.internal/send" };
+  assert.equal(mailerFromEnv(env, { appUrl: "https://nextwatch.net/" }).mode, "webhook");
+});
+
+test("createMailer wants a known mode and a webhook URL for webhook mode", () => {
+  assert.throws(() => createMailer({}), /MAIL_MODE must be one of/);
+  assert.throws(() => createMailer({ mode: "smtp" }), /MAIL_MODE must be one of/);
+  assert.throws(() => createMailer({ mode: "webhook" }), /MAIL_WEBHOOK_URL/);
+});
+
+test("isLocalUrl", () => {
+  assert.equal(isLocalUrl("http://app.localhost/"), true);
+  assert.equal(isLocalUrl("https://localhost.example.com/"), false);
+  assert.equal(isLocalUrl("not a url"), false);
+});
@@ -0,0 +1,146 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { loadServer, realResults, relaxedOn, REFRESH } from "./helpers.js";
+import { parsePrompt } from "../ranker.js";
+import { allowedForKids } from "../certifications.js";
+import { providersIn, matchesProvider, AVAILABILITY } from "../providers.js";
+import { RELAXED } from "../explain.js";
+
+const { recommend, moreLike, buildCandidates, tmdb } = await loadServer();
+
+const yearOf = (x) => Number(String(x.release_date || x.first_air_date || "").slice(0, 4));
+const offers = (r, name, tiers = AVAILABILITY.any) => providersIn(r.providers, tiers).some((p) => matchesProvider(p, name));
+const titles = (response) => response.results.map((r) => r.title);
+
+test("buildCandidates keeps an exact year and animation for cartoons", async () => {
+  const year = await buildCandidates(tmdb, parsePrompt("a movie from 1994"), "GB", REFRESH, 3);
+  assert.ok(year.length > 0);
+  for (const c of year) assert.equal(yearOf(c), 1994, c.title || c.name);
+
+  const cartoons = await buildCandidates(tmdb, parsePrompt("cartoons for my 6 year old"), "GB", REFRESH, 3);
+  assert.ok(cartoons.length > 0);
+  for (const c of cartoons) assert.ok(c.genre_ids.includes(16), c.title || c.name);
+});
+
+test("a kids prompt only returns titles rated for that age", async () => {
+  const response = await recommend({ prompt: "cartoons for my 6 year old", region: "GB", refreshToken: REFRESH });
+  assert.equal(response.intent.kidsMode, true);
+  assert.equal(response.intent.kidsMaxAge, 6);
+  assert.ok(response.results.length > 0);
+  for (const r of response.results) {
+    assert.ok(allowedForKids("GB", r.media_type, r.certification, 6), `${r.title} (${r.certification})`);
+  }
+});
+
+test("a kid profile's blocked words and services hold", async () => {
+  const open = await recommend({ prompt: "zombie picnic", region: "GB", refreshToken: REFRESH });
+  assert.ok(titles(open).includes("Zombie Picnic"));
+
+  const kidsProfile = { name: "Sam", maxAge: 7, providers: ["Disney Plus"], blockedKeywords: ["zombie"] };
+  const child = await recommend({ prompt: "zombie picnic", region: "GB", refreshToken: REFRESH, kidsProfile });
+  assert.ok(!titles(child).includes("Zombie Picnic"));
+  for (const r of child.results) {
+    assert.ok(offers(r, "Disney Plus"), r.title);
+    assert.ok(allowedForKids("GB", r.media_type, r.certification, 7), `${r.title} (${r.certification})`);
+  }
+});
+
+test("age 0 from a kid profile or a group member caps at the youngest rating", async () => {
+  const profile = await recommend({
+    prompt: "an animated movie",
+    region: "GB",
+    refreshToken: REFRESH,
+    kidsProfile: { name: "Baby", maxAge: 0 }
+  });
+  const group = await recommend({
+    prompt: "an animated movie",
+    region: "GB",
+    refreshToken: REFRESH,
+    participants: [{ name: "Alex" }, { name: "Baby", kidsMaxAge: 0 }]
+  });
+  for (const response of [profile, group]) {
+    assert.equal(response.intent.kidsMaxAge, 0);
+    assert.ok(response.results.length > 0);
+    for (const r of response.results) assert.equal(r.certification, "U", r.title);
+  }
+});
+
+test("provider include and exclude filters hold unless marked relaxed", async () => {
+  const included = await recommend({
+    prompt: "a feel-good comedy",
+    region: "GB",
+    refreshToken: REFRESH,
+    providerInclude: ["Netflix"],
+    availability: "subscription"
+  });
+  assert.ok(realResults(included).length > 0);
+  for (const r of realResults(included)) {
+    if (!relaxedOn(r, RELAXED.providers)) assert.ok(offers(r, "Netflix", AVAILABILITY.subscription), r.title);
+  }
+
+  const excluded = await recommend({
+    prompt: "an action movie",
+    region: "US",
+    refreshToken: REFRESH,
+    providerExclude: ["Amazon Prime Video"]
+  });
+  assert.ok(realResults(excluded).length > 0);
+  for (const r of realResults(excluded)) {
+    if (!relaxedOn(r, RELAXED.providers)) assert.ok(!offers(r, "Amazon Prime Video"), r.title);
+  }
+});
+
+test("a service nothing matches on relaxes the filter and says so", async () => {
+  const response = await recommend({
+    prompt: "a feel-good comedy",
+    region: "GB",
+    refreshToken: REFRESH,
+    providerInclude: ["Crunchyroll"],
+    availability: "subscription"
+  });
+  const relaxed = response.results.filter((r) => relaxedOn(r, RELAXED.providers));
+  assert.ok(relaxed.length > 0);
+  for (const r of relaxed) assert.ok(!offers(r, "Crunchyroll", AVAILABILITY.subscription), r.title);
+});
+
+test("titles whose lookups run out of budget are dropped, never shown unchecked", async (t) => {
+  t.after(() => delete process.env.TMDB_CALL_BUDGET);
+  // Gathering this prompt takes 13 calls, which leaves a few lookups for the results
+  process.env.TMDB_CALL_BUDGET = "20";
+  const response = await recommend({ prompt: "cartoons for my 6 year old", region: "GB", refreshToken: REFRESH });
+  assert.ok(response.results.length > 0 && response.results.length < 6, `${response.results.length} results`);
+  for (const r of response.results) {
+    assert.ok(allowedForKids("GB", r.media_type, r.certification, 6), `${r.title} (${r.certification})`);
+  }
+});
+
+test("a follow-up's own length replaces the minutes cap, and the notes say what the round runs with", async () => {
+  const ask = (extra) => recommend({ region: "GB", refreshToken: REFRESH, minutes: 90, ...extra });
+  const first = await ask({ prompt: "a crime movie" });
+  assert.equal(first.intent.runtimeMax, 90);
+
+  const longer = await ask({ session: first.session, message: "up to 2 hours" });
+  assert.equal(longer.intent.runtimeMax, 120);
+  assert.deepEqual(longer.refinement.changes.map((c) => [c.code, c.params]), [["runtimeMax", { minutes: 120 }]]);
+
+  // Later rounds keep the asked-for length even though the setting still says 90 minutes
+  const funnier = await ask({ session: longer.session, message: "funnier" });
+  assert.equal(funnier.intent.runtimeMax, 120);
+  assert.deepEqual(funnier.refinement.changes.map((c) => c.code), ["moreGenre"]);
+});
+
+test("more like this results carry the same checked signals", async () => {
+  const response = await moreLike("movie", 5012, { region: "GB", kidsMaxAge: 6, providerInclude: ["Disney Plus"], contentWarnings: ["spiders"] });
+  assert.ok(response.results.length > 0);
+  for (const r of response.results) {
+    const codes = r.signals.map((s) => s.code);
+    assert.ok(codes.includes("kids"), r.title);
+    assert.ok(codes.includes("warning.clear") || codes.includes("warning.unchecked"), r.title);
+    assert.ok(codes.includes(relaxedOn(r, RELAXED.providers) ? RELAXED.providers : "provider"), r.title);
+  }
+});
+
+// Last, so it covers every call above. A miss means the fixtures need re-recording: npm run fixtures:record
+test("every TMDB call was replayed from fixtures", { skip: tmdb.mode !== "replay" }, () => {
+  assert.equal(tmdb.stats().misses, 0);
+});
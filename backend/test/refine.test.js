@@ -0,0 +1,100 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createSessionTokens, nextSessionState, referencedTitle, applyFollowUp, describeChanges } from "../refine.js";
+import { parsePrompt } from "../ranker.js";
+
+const NOW = new Date("2026-06-01T12:00:00Z");
+const last = [
+  { id: 1, media_type: "movie", title: "Heat", genre_ids: [80], year: 1995, minutes: 170 },
+  { id: 2, media_type: "movie", title: "Ronin", genre_ids: [28], year: 1998, minutes: 122 },
+  { id: 3, media_type: "movie", title: "Collateral", genre_ids: [80], year: 2004, minutes: 120 }
+];
+
+test("session tokens round-trip and refuse tampering and expiry", () => {
+  const tokens = createSessionTokens({ secret: "s" });
+  const token = tokens.sign({ prompt: "a heist movie" });
+  assert.equal(tokens.verify(token).prompt, "a heist movie");
+
+  const [payload, mac] = token.split(".");
+  const forged = Buffer.from(JSON.stringify({ prompt: "x", exp: Date.now() + 1e6 })).toString("base64url");
+  assert.equal(tokens.verify(`${forged}.${mac}`), null);
+  assert.equal(tokens.verify(payload), null);
+  assert.equal(createSessionTokens({ secret: "other" }).verify(token), null);
+  assert.equal(createSessionTokens({ secret: "s", ttlMs: -1 }).verify(createSessionTokens({ secret: "s", ttlMs: -1 }).sign({})), null);
+});
+
+test("check tells a bad token from an expired one", () => {
+  const tokens = createSessionTokens({ secret: "s" });
+  const stale = createSessionTokens({ secret: "s", ttlMs: -1 });
+  assert.equal(tokens.check(tokens.sign({ prompt: "heist" })).state.prompt, "heist");
+  assert.deepEqual(tokens.check(stale.sign({})), { error: "expired" });
+  assert.deepEqual(tokens.check(`${tokens.sign({}).split(".")[0]}.forged`), { error: "invalid" });
+  assert.deepEqual(tokens.check("garbage"), { error: "invalid" });
+  assert.deepEqual(tokens.check(null), { error: "invalid" });
+});
+
+test("the session remembers everything shown and the latest round", () => {
+  const first = nextSessionState(null, { prompt: "heist", intent: {}, results: last });
+  const second = nextSessionState(first, { prompt: "ignored", intent: {}, results: [{ id: 9, media_type: "tv", title: "Fallback" }, { id: "p1" }], message: "series" });
+  assert.equal(second.prompt, "heist");
+  assert.deepEqual(second.shown, ["movie:1", "movie:2", "movie:3", "tv:9"]);
+  assert.deepEqual(second.last.map((x) => x.id), [9]);
+  assert.deepEqual(second.turns, ["series"]);
+});
+
+test("referencedTitle finds ordinals, numbers and titles", () => {
+  assert.equal(referencedTitle("more like the second one", last).id, 2);
+  assert.equal(referencedTitle("like #3", last).id, 3);
+  assert.equal(referencedTitle("the last one", last).id, 3);
+  assert.equal(referencedTitle("something like heat", last).id, 1);
+  assert.equal(referencedTitle("something else", last), null);
+});
+
+test("applyFollowUp changes only what the message asks for", () => {
+  const intent = parsePrompt("a crime movie", NOW);
+  const step = applyFollowUp(intent, "only series", last, NOW);
+  assert.equal(step.intent.mediaType, "tv");
+  assert.deepEqual(step.changes, [{ code: "tvOnly", params: {}, text: "Series only" }]);
+  assert.deepEqual(step.intent.withGenres, intent.withGenres);
+  assert.equal(intent.mediaType, "movie");
+});
+
+test("older, newer and shorter move from what was shown", () => {
+  const intent = parsePrompt("a crime movie", NOW);
+  const older = applyFollowUp(intent, "something older", last, NOW);
+  assert.equal(older.intent.yearMax, 1997);
+  assert.deepEqual(older.changes.map((c) => [c.code, c.params]), [["upTo", { year: 1997 }]]);
+
+  assert.equal(applyFollowUp(intent, "newer please", last, NOW).intent.yearMin, 1999);
+
+  const shorter = applyFollowUp(intent, "shorter", last, NOW);
+  assert.equal(shorter.intent.runtimeMax, 112);
+});
+
+test("change notes come from the difference between two intents", () => {
+  const prev = parsePrompt("a crime movie", NOW);
+  // What a model might hand back for "series from the 90s, nothing in French"
+  const next = { ...prev, mediaType: "tv", yearMin: 1990, yearMax: 1999, excludeLanguages: ["fr"], searchQueries: ["90s crime series"] };
+  assert.deepEqual(
+    describeChanges(prev, next, "series from the 90s").map((c) => [c.code, c.params]),
+    [
+      ["tvOnly", {}],
+      ["years", { min: 1990, max: 1999 }],
+      ["noLanguage", { language: "fr" }]
+    ]
+  );
+
+  assert.deepEqual(describeChanges(prev, { ...prev }, "hmm"), []);
+  assert.deepEqual(describeChanges(prev, { ...prev, searchQueries: ["hmm"] }, "hmm"), [
+    { code: "search", params: { query: "hmm" }, text: "Searching for “hmm”" }
+  ]);
+  assert.deepEqual(
+    describeChanges({ ...prev, runtimeMax: 90, yearMax: 1990 }, { ...prev, runtimeMax: null, yearMax: null }).map((c) => c.code),
+    ["anyYear", "anyLength"]
+  );
+});
+
+test("pointing at a shown title returns it", () => {
+  const step = applyFollowUp(parsePrompt("a crime movie", NOW), "more like the first one", last, NOW);
+  assert.equal(step.similarTo.id, 1);
+});
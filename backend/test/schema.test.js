@@ -0,0 +1,44 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { validate, INTENT_SCHEMA, PICKS_SCHEMA } from "../schema.js";
+
+test("validate repairs what it safely can", () => {
+  const { value, ok, issues } = validate(INTENT_SCHEMA, {
+    mediaType: "movie",
+    searchQueries: "heist, caper",
+    kidsMode: "true",
+    yearMin: "1994",
+    withGenres: [80, 53, 35, 18, 28, 12]
+  });
+  assert.equal(ok, true);
+  assert.deepEqual(value.searchQueries, ["heist", "caper"]);
+  assert.equal(value.kidsMode, true);
+  assert.equal(value.yearMin, 1994);
+  assert.equal(value.withGenres.length, 5);
+  assert.ok(issues.every((i) => i.action === "repaired"));
+});
+
+test("validate drops bad fields and keeps the rest", () => {
+  const { value, ok, issues } = validate(INTENT_SCHEMA, {
+    mediaType: "movie",
+    searchQueries: ["heist"],
+    kidsMaxAge: 40,
+    contentWarnings: ["gore", "clowns"]
+  });
+  assert.equal(ok, true);
+  assert.ok(!("kidsMaxAge" in value));
+  assert.deepEqual(value.contentWarnings, ["gore"]);
+  assert.ok(issues.some((i) => i.path === "$.kidsMaxAge" && i.action === "dropped"));
+});
+
+test("a missing or broken required field fails validation", () => {
+  assert.equal(validate(INTENT_SCHEMA, { searchQueries: ["heist"] }).ok, false);
+  assert.equal(validate(INTENT_SCHEMA, { mediaType: "film", searchQueries: ["heist"] }).ok, false);
+  assert.equal(validate(PICKS_SCHEMA, "not json").ok, false);
+});
+
+test("picks without an id are dropped, the others kept", () => {
+  const { value, ok } = validate(PICKS_SCHEMA, { picks: [{ id: "12", reason: "Tense" }, { reason: "No id" }] });
+  assert.equal(ok, true);
+  assert.deepEqual(value.picks, [{ id: 12, reason: "Tense" }]);
+});
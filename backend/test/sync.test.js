@@ -0,0 +1,36 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { emptySyncDoc, validateChanges, mergeChanges, changesSince } from "../sync.js";
+
+test("validateChanges rejects unknown collections and skips bad records", () => {
+  assert.match(validateChanges({ passwords: {} }).error, /Unknown collection/);
+  assert.match(validateChanges([]).error, /object/);
+  const { changes } = validateChanges({ liked: { "movie:1": { v: { id: 1 }, t: 5 }, "movie:2": { v: 1, t: -1 }, "": { v: 1, t: 1 } } });
+  assert.deepEqual(changes, { liked: { "movie:1": { v: { id: 1 }, t: 5 } } });
+});
+
+test("the newer change wins and the older one gets the server copy back", () => {
+  const doc = emptySyncDoc();
+  assert.deepEqual(mergeChanges(doc, { liked: { "movie:1": { v: "a", t: 10 } } }, 1000), {});
+  assert.deepEqual(mergeChanges(doc, { liked: { "movie:1": { v: "b", t: 5 } } }, 1000), { liked: { "movie:1": { v: "a", t: 10 } } });
+  // A tie keeps what the server has
+  assert.deepEqual(mergeChanges(doc, { liked: { "movie:1": { v: "c", t: 10 } } }, 1000), { liked: { "movie:1": { v: "a", t: 10 } } });
+  mergeChanges(doc, { liked: { "movie:1": { v: "d", t: 20 } } }, 1000);
+  assert.deepEqual(doc.collections.liked["movie:1"], { v: "d", t: 20, r: 2 });
+});
+
+test("a change cannot claim to be from the future", () => {
+  const doc = emptySyncDoc();
+  const now = 1_000_000;
+  mergeChanges(doc, { settings: { theme: { v: "dark", t: now * 10 } } }, now);
+  assert.ok(doc.collections.settings.theme.t <= now + 5 * 60 * 1000);
+});
+
+test("changesSince returns only records after the revision", () => {
+  const doc = emptySyncDoc();
+  mergeChanges(doc, { liked: { "movie:1": { v: 1, t: 1 } } }, 1000);
+  mergeChanges(doc, { watched: { "tv:2": { v: 2, t: 2 } } }, 1000);
+  assert.deepEqual(changesSince(doc, 0), { liked: { "movie:1": { v: 1, t: 1 } }, watched: { "tv:2": { v: 2, t: 2 } } });
+  assert.deepEqual(changesSince(doc, 1), { watched: { "tv:2": { v: 2, t: 2 } } });
+  assert.deepEqual(changesSince(doc, 2), {});
+});
@@ -0,0 +1,28 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseWarnings, mergeWarnings, warningKeywordNames, warningHits } from "../warnings.js";
+
+test("parseWarnings picks up themes the prompt asks to avoid", () => {
+  assert.deepEqual(parseWarnings("a horror movie with no jump scares").contentWarnings, ["jump-scares"]);
+  assert.deepEqual(parseWarnings("something gore-free").contentWarnings, ["gore"]);
+  assert.deepEqual(parseWarnings("nothing where the dog dies").contentWarnings, ["animal-death"]);
+});
+
+test("naming a theme without a no is a wish, not a warning", () => {
+  assert.deepEqual(parseWarnings("a gory zombie movie").contentWarnings, []);
+  assert.deepEqual(parseWarnings("a film about a horse").contentWarnings, []);
+});
+
+test("warnings merge unique and known only", () => {
+  assert.deepEqual(mergeWarnings(["gore"], ["Gore", "jump-scares", "clowns"]), ["gore", "jump-scares"]);
+});
+
+test("keyword names take the first of every category before the second of any", () => {
+  const names = warningKeywordNames(["jump-scares", "animal-death"]);
+  assert.deepEqual(names.slice(0, 3), ["jump scare", "animal death", "death of pet"]);
+});
+
+test("warningHits matches a title's keyword names", () => {
+  assert.deepEqual(warningHits(["jump-scares", "animal-death"], ["dead dog", "friendship"]), ["animal-death"]);
+  assert.deepEqual(warningHits(["jump-scares"], ["friendship"]), []);
+});
@@ -0,0 +1,106 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import { createLlmStandin } from "./llm-standin.js";
+
+/* ================================
+   Offline evaluation run
+   ================================
+   Runs every prompt in the corpus through recommend() and reports constraint
+   violations, empty results, fallback usage and diversity (see evaluation.js):
+
+     npm run eval                                   replayed TMDB fixtures, stand-in LLM
+     npm run eval -- --llm offline                  no model, offline ranker only
+     npm run eval -- --llm env                      the model configured by LLM_* / OPENAI_API_KEY
+     npm run eval -- --only kids-cartoons-age-6 --json report.json
+     npm run eval -- --max-empty 0.05 --max-fallback 0.2
+
+   TMDB_MODE defaults to replay here, over the fixtures in fixtures/tmdb
+   (recorded from the stand-in catalogue with npm run fixtures:record, or
+   from TMDB with TMDB_MODE=record TMDB_API_KEY=... npm run eval).
+
+   Exits 1 when a result breaks a constraint, a case throws, a replayed
+   fixture is missing, or the empty or fallback rate is above its limit
+   (see DEFAULT_GATES in evaluation.js).
+*/
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const LLM_MODES = ["standin", "offline", "env"];
+
+function parseArgs(argv) {
+  const args = { corpus: path.join(__dirname, "..", "eval", "prompts.json"), llm: "standin", only: null, json: null, gates: {} };
+  for (let i = 0; i < argv.length; i++) {
+    const [flag, value] = [argv[i], argv[i + 1]];
+    if (flag === "--corpus") args.corpus = path.resolve(value);
+    else if (flag === "--llm") args.llm = value;
+    else if (flag === "--only") args.only = value.split(",").map((s) => s.trim());
+    else if (flag === "--json") args.json = path.resolve(value);
+    else if (flag === "--max-empty") args.gates.maxEmptyRate = Number(value);
+    else if (flag === "--max-fallback") args.gates.maxFallbackRate = Number(value);
+    else continue;
+    i++;
+  }
+  if (!LLM_MODES.includes(args.llm)) throw new Error(`--llm must be one of ${LLM_MODES.join(", ")}`);
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const corpus = JSON.parse(fs.readFileSync(args.corpus, "utf8")).filter((c) => !args.only || args.only.includes(c.id));
+  if (!corpus.length) throw new Error("No cases to run");
+
+  // The server reads its environment on import, so everything is set before loading it
+  process.env.TMDB_MODE ||= "replay";
+  process.env.DATA_DIR ||= fs.mkdtempSync(path.join(os.tmpdir(), "vibewatch-eval-"));
+
+  let standin = null;
+  if (args.llm === "standin") {
+    const overrides = Object.fromEntries(corpus.filter((c) => c.llm).map((c) => [c.request.prompt, c.llm]));
+    const { app } = createLlmStandin({ overrides });
+    standin = await new Promise((resolve) => {
+      const srv = app.listen(0, "127.0.0.1", () => resolve(srv));
+    });
+    process.env.LLM_BASE_URL = `http://127.0.0.1:${standin.address().port}/v1`;
+    process.env.LLM_API = "chat";
+    process.env.LLM_MODEL = "standin";
+  } else if (args.llm === "offline") {
+    // Defined but empty, so backend/.env cannot switch a model back on
+    process.env.LLM_BASE_URL = "";
+    process.env.LLM_API_KEY = "";
+    process.env.OPENAI_API_KEY = "";
+  }
+
+  const { recommend, tmdb } = await import("../server.js");
+  const { evaluateCase, formatReport, gateFailures, summarize } = await import("../evaluation.js");
+
+  console.log(`Evaluating ${corpus.length} prompts (TMDB ${tmdb.mode}, LLM ${args.llm})\n`);
+  const cases = [];
+  for (const testCase of corpus) {
+    try {
+      const response = await recommend({ ...testCase.request, refreshToken: `eval:${testCase.id}` });
+      cases.push(evaluateCase(testCase, response));
+    } catch (err) {
+      cases.push(evaluateCase(testCase, null, err));
+    }
+  }
+
+  const summary = summarize(cases, { fixtureMisses: tmdb.stats().misses });
+  console.log(formatReport(cases, summary));
+  if (args.json) {
+    fs.writeFileSync(args.json, JSON.stringify({ summary, cases }, null, 2));
+    console.log(`\nReport written to ${args.json}`);
+  }
+
+  if (standin) standin.close();
+  const failures = gateFailures(summary, { ...args.gates, replay: tmdb.mode === "replay" });
+  if (failures.length) console.log(`\nFAILED: ${failures.join("; ")}`);
+  return failures.length ? 1 : 0;
+}
+
+main().then(
+  (code) => process.exit(code),
+  (err) => {
+    console.error(err.message || err);
+    process.exit(2);
+  }
+);
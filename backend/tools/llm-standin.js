@@ -0,0 +1,94 @@
+import express from "express";
+import path from "path";
+import { fileURLToPath } from "url";
+import { parsePrompt } from "../ranker.js";
+
+/* ================================
+   Local stand-in LLM
+   ================================
+   An OpenAI-compatible /v1/chat/completions that answers without a model,
+   the same way every time:
+
+     node tools/llm-standin.js
+     LLM_BASE_URL=http://localhost:3998/v1 node server.js
+
+   intent   the local parsePrompt() result
+   refine   the previous intent unchanged
+   picks    the candidates in the order they were sent, constraints ignored,
+            so whatever the backend lets through is what a careless model would get
+
+   Overrides per prompt (tools/eval.js passes the corpus' "llm" entries):
+     { intent: { ...fields merged over the parse }, picks: "none" | "reverse" }
+*/
+const PORT = process.env.LLM_STANDIN_PORT || 3998;
+const MAX_PICKS = 12;
+
+function answer(system, user, overrides) {
+  let input = {};
+  try {
+    input = JSON.parse(user);
+  } catch {}
+
+  if (system.includes("picks")) {
+    const o = overrides[input.vibe] || {};
+    if (o.picks === "none") return { picks: [] };
+    const list = (input.candidates || []).slice();
+    if (o.picks === "reverse") list.reverse();
+    return { picks: list.slice(0, MAX_PICKS).map((c) => ({ id: c.id, reason: "Stand-in pick" })) };
+  }
+  if (input.previousIntent) return input.previousIntent;
+
+  const o = overrides[input.prompt] || {};
+  const p = parsePrompt(input.prompt);
+  const { searchHint, searchQueries, mediaType, kidsMode, kidsMaxAge, nicheMode, yearMin, yearMax, yearExact } = p;
+  const { runtimeMin, runtimeMax, maxSeasons, originalLanguages, excludeLanguages, actorName, withGenres, withoutGenres } = p;
+  return {
+    searchHint,
+    searchQueries,
+    mediaType,
+    kidsMode,
+    kidsMaxAge,
+    nicheMode,
+    yearMin,
+    yearMax,
+    yearExact,
+    runtimeMin,
+    runtimeMax,
+    maxSeasons,
+    originalLanguages,
+    excludeLanguages,
+    actorName,
+    withGenres,
+    withoutGenres,
+    ...o.intent
+  };
+}
+
+export function createLlmStandin({ overrides = {} } = {}) {
+  const app = express();
+  app.use(express.json({ limit: "5mb" }));
+  let calls = 0;
+
+  app.post("/v1/chat/completions", (req, res) => {
+    calls++;
+    const messages = req.body?.messages || [];
+    const system = messages.find((m) => m.role === "system")?.content || "";
+    const user = messages.find((m) => m.role === "user")?.content || "";
+    res.json({
+      id: `standin-${calls}`,
+      object: "chat.completion",
+      model: req.body?.model || "standin",
+      choices: [{ index: 0, finish_reason: "stop", message: { role: "assistant", content: JSON.stringify(answer(system, user, overrides)) } }]
+    });
+  });
+
+  app.use((req, res) => res.status(404).json({ error: { message: `Not supported by the stand-in: ${req.method} ${req.path}` } }));
+
+  return { app, calls: () => calls };
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  createLlmStandin().app.listen(PORT, () => {
+    console.log(`LLM stand-in at http://localhost:${PORT}/v1`);
+  });
+}
@@ -0,0 +1,49 @@
+import express from "express";
+
+/* ================================
+   Local stand-in mailer
+   ================================
+   Receives the mail webhook and keeps messages in memory, so magic links
+   can be followed without a real mail provider:
+
+     node tools/mail-standin.js
+     MAIL_MODE=webhook MAIL_WEBHOOK_URL=http://localhost:3998/send node server.js
+
+   GET /messages lists everything received (newest first),
+   GET /messages/latest?to=<email> returns the newest message for one address
+   with any links pulled out of the text.
+*/
+const PORT = process.env.MAIL_STANDIN_PORT || 3998;
+
+const app = express();
+app.use(express.json());
+
+const messages = [];
+
+app.post("/send", (req, res) => {
+  const { from, to, subject, text } = req.body || {};
+  if (!to || !subject) return res.status(400).json({ error: "to and subject are required" });
+
+  const msg = { id: messages.length + 1, receivedAt: new Date().toISOString(), from, to, subject, text: String(text || "") };
+  messages.unshift(msg);
+  console.log(`✉️  #${msg.id} to ${to}: ${subject}`);
+  res.status(202).json({ id: msg.id });
+});
+
+app.get("/messages", (req, res) => res.json(messages));
+
+app.get("/messages/latest", (req, res) => {
+  const to = String(req.query.to || "").toLowerCase();
+  const msg = messages.find((m) => !to || String(m.to).toLowerCase() === to);
+  if (!msg) return res.status(404).json({ error: "No messages" });
+  res.json({ ...msg, links: msg.text.match(/https?:\/\/\S+/g) || [] });
+});
+
+app.delete("/messages", (req, res) => {
+  messages.length = 0;
+  res.status(204).end();
+});
+
+app.listen(PORT, () => {
+  console.log(`Mail stand-in listening at http://localhost:${PORT}/send`);
+});
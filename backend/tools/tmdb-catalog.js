@@ -0,0 +1,338 @@
+import express from "express";
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { spawn } from "child_process";
+import { fileURLToPath } from "url";
+import { certAllowed } from "../certifications.js";
+import { GENRE_NAMES } from "../genres.js";
+import { DEFAULT_FIXTURES_DIR } from "../metadata.js";
+import { PROVIDERS, TITLES } from "../eval/catalog.js";
+
+/* ================================
+   Stand-in TMDB catalogue
+   ================================
+   Answers the TMDB calls the backend makes from the made-up library in
+   eval/catalog.js, so fixtures can be recorded without a TMDB key:
+
+     npm run tmdb:catalog                       serve it at http://localhost:3997/3
+     npm run fixtures:record                    record fixtures/tmdb from it (the eval corpus with and without the stand-in LLM, and npm test)
+
+   Discover honours the filters the backend sends (genres, years, ratings,
+   runtimes, languages, keywords, people). Search matches titles only, like
+   TMDB, so a whole prompt sent as a query finds nothing. Pages past the
+   end start over, so a small catalogue answers every page like a large one.
+
+   To record from the real API instead: TMDB_MODE=record TMDB_API_KEY=...
+   npm run eval.
+*/
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const PORT = process.env.TMDB_CATALOG_PORT || 3997;
+const PAGE_SIZE = 20;
+const TIERS = { "": "flatrate", $: "rent", "*": "free", "~": "ads" };
+
+// Stable made-up ids for keywords and people, from their names
+const idFor = (base, name) => base + (parseInt(crypto.createHash("sha1").update(name).digest("hex").slice(0, 8), 16) % 900000);
+const keywordId = (name) => idFor(100000, name);
+const personId = (name) => idFor(1000000, name);
+
+const yearOf = (t) => Number(t.date.slice(0, 4));
+const seeded = (t, n) => parseInt(crypto.createHash("sha1").update(String(t.id)).digest("hex").slice(0, 8), 16) % n;
+
+function certificationsOf(t) {
+  return Object.fromEntries(t.certs.split(/\s+/).filter(Boolean).map((pair) => pair.split(":")));
+}
+
+function providersOf(t, region) {
+  const out = { link: `https://www.themoviedb.org/${t.media_type}/${t.id}/watch?locale=${region}` };
+  const names = String(t.providers[region] || "").split(",").map((s) => s.trim()).filter(Boolean);
+  if (!names.length) return null;
+  names.forEach((raw, i) => {
+    const mark = /[$*~]$/.test(raw) ? raw.slice(-1) : "";
+    const name = mark ? raw.slice(0, -1).trim() : raw;
+    const entry = { provider_id: PROVIDERS[name], provider_name: name, logo_path: `/standin/provider-${PROVIDERS[name]}.jpg`, display_priority: i };
+    for (const tier of mark === "$" ? ["rent", "buy"] : [TIERS[mark]]) (out[tier] ||= []).push(entry);
+  });
+  return out;
+}
+
+function peopleOf(t) {
+  const [maker, cast = ""] = t.people.split("|").map((s) => s.trim());
+  return { maker, cast: cast.split(",").map((s) => s.trim()).filter(Boolean) };
+}
+
+// The shape TMDB uses in lists (discover, search, trending)
+function listItem(t, withMediaType = false) {
+  const isTv = t.media_type === "tv";
+  return {
+    id: t.id,
+    ...(isTv ? { name: t.title, original_name: t.title, first_air_date: t.date } : { title: t.title, original_title: t.title, release_date: t.date }),
+    ...(withMediaType ? { media_type: t.media_type } : {}),
+    adult: false,
+    overview: t.overview,
+    genre_ids: t.genres,
+    original_language: t.lang,
+    poster_path: `/standin/${t.media_type}-${t.id}.jpg`,
+    backdrop_path: null,
+    vote_average: 5.5 + seeded(t, 35) / 10,
+    vote_count: 80 + seeded(t, 6000),
+    popularity: 10 + seeded(t, 190) + (yearOf(t) - 1940) / 2
+  };
+}
+
+function details(t, append) {
+  const isTv = t.media_type === "tv";
+  const { maker, cast } = peopleOf(t);
+  const certs = certificationsOf(t);
+  const keywords = t.keywords.map((name) => ({ id: keywordId(name), name }));
+  const regions = Object.keys(t.providers);
+  const out = {
+    ...listItem(t),
+    genres: t.genres.map((id) => ({ id, name: GENRE_NAMES[id] || "Other" })),
+    tagline: "",
+    status: isTv ? "Ended" : "Released",
+    homepage: "",
+    ...(isTv
+      ? {
+          episode_run_time: [t.runtime],
+          number_of_seasons: t.seasons,
+          number_of_episodes: t.seasons * 8,
+          in_production: false,
+          last_air_date: `${yearOf(t) + t.seasons - 1}${t.date.slice(4)}`,
+          created_by: [{ id: personId(maker), name: maker }],
+          seasons: Array.from({ length: t.seasons }, (_, i) => ({
+            season_number: i + 1,
+            name: `Season ${i + 1}`,
+            episode_count: 8,
+            air_date: `${yearOf(t) + i}${t.date.slice(4)}`
+          }))
+        }
+      : { runtime: t.runtime, imdb_id: `tt${9000000 + t.id}` })
+  };
+
+  const parts = {
+    credits: () => ({
+      cast: cast.map((name, order) => ({ id: personId(name), name, character: "", order, profile_path: null })),
+      crew: isTv ? [] : [{ id: personId(maker), name: maker, job: "Director" }]
+    }),
+    videos: () => ({ results: [{ site: "YouTube", key: `standin${t.id}`, name: "Official Trailer", type: "Trailer", official: true }] }),
+    keywords: () => (isTv ? { results: keywords } : { keywords }),
+    release_dates: () => ({
+      results: Object.entries(certs).map(([iso, certification]) => ({ iso_3166_1: iso, release_dates: [{ certification, type: 3, release_date: t.date }] }))
+    }),
+    content_ratings: () => ({ results: Object.entries(certs).map(([iso, rating]) => ({ iso_3166_1: iso, rating })) }),
+    "watch/providers": () => ({ results: Object.fromEntries(regions.map((r) => [r, providersOf(t, r)]).filter(([, p]) => p)) })
+  };
+  for (const name of String(append || "").split(",").map((s) => s.trim()).filter(Boolean)) {
+    const season = /^season\/(\d+)$/.exec(name);
+    if (season && isTv) out[name] = seasonOf(t, Number(season[1]));
+    else if (parts[name]) out[name] = parts[name]();
+  }
+  return out;
+}
+
+function seasonOf(t, n) {
+  if (n < 1 || n > t.seasons) return undefined;
+  const year = yearOf(t) + n - 1;
+  return {
+    season_number: n,
+    episodes: Array.from({ length: 8 }, (_, i) => ({
+      season_number: n,
+      episode_number: i + 1,
+      name: `Episode ${i + 1}`,
+      air_date: `${year}-${String(Math.min(12, Number(t.date.slice(5, 7)) + Math.floor(i / 4))).padStart(2, "0")}-${String(1 + i * 3).padStart(2, "0")}`,
+      runtime: t.runtime,
+      still_path: null
+    }))
+  };
+}
+
+// TMDB lists: "a,b" needs all of them, "a|b" any of them
+function matchesList(have, param) {
+  if (!param) return true;
+  const any = String(param).includes("|");
+  const wanted = String(param).split(/[|,]/).map(Number).filter(Boolean);
+  return any ? wanted.some((x) => have.includes(x)) : wanted.every((x) => have.includes(x));
+}
+
+function discover(mediaType, q) {
+  const isTv = mediaType === "tv";
+  const dateFrom = q[isTv ? "first_air_date.gte" : "primary_release_date.gte"];
+  const dateTo = q[isTv ? "first_air_date.lte" : "primary_release_date.lte"];
+  const withoutGenres = String(q.without_genres || "").split(",").map(Number).filter(Boolean);
+  const withoutKeywords = String(q.without_keywords || "").split(/[|,]/).map(Number).filter(Boolean);
+  const person = Number(q.with_cast || q.with_people) || null;
+  const languages = q.with_original_language ? String(q.with_original_language).split("|") : null;
+
+  const list = TITLES.filter((t) => {
+    if (t.media_type !== mediaType) return false;
+    const item = listItem(t);
+    if (q["vote_count.gte"] && item.vote_count < Number(q["vote_count.gte"])) return false;
+    if (dateFrom && t.date < dateFrom) return false;
+    if (dateTo && t.date > dateTo) return false;
+    if (!matchesList(t.genres, q.with_genres)) return false;
+    if (t.genres.some((g) => withoutGenres.includes(g))) return false;
+    const keywordIds = t.keywords.map(keywordId);
+    if (!matchesList(keywordIds, q.with_keywords)) return false;
+    if (keywordIds.some((k) => withoutKeywords.includes(k))) return false;
+    if (q["with_runtime.gte"] && t.runtime < Number(q["with_runtime.gte"])) return false;
+    if (q["with_runtime.lte"] && t.runtime > Number(q["with_runtime.lte"])) return false;
+    if (languages && !languages.includes(t.lang)) return false;
+    if (person) {
+      const { maker, cast } = peopleOf(t);
+      if (![maker, ...cast].some((name) => personId(name) === person)) return false;
+    }
+    // Like TMDB, a rating filter leaves out titles with no rating in that country
+    if (q.certification_country && q["certification.lte"]) {
+      const cert = certificationsOf(t)[q.certification_country];
+      if (!cert || !certAllowed(q.certification_country, mediaType, cert, q["certification.lte"])) return false;
+    }
+    return true;
+  }).map((t) => listItem(t));
+
+  const sort = String(q.sort_by || "popularity.desc");
+  const key = sort.startsWith("vote_count") ? "vote_count" : "popularity";
+  list.sort((a, b) => (sort.endsWith(".asc") ? a[key] - b[key] : b[key] - a[key]));
+  return list;
+}
+
+// Titles whose name holds every word of the query, like TMDB's title search
+function search(types, query, year = null) {
+  const words = String(query || "").toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+  if (!words.length) return [];
+  return TITLES.filter((t) => {
+    if (!types.includes(t.media_type)) return false;
+    if (year && yearOf(t) !== Number(year)) return false;
+    const title = t.title.toLowerCase().split(/[^a-z0-9]+/);
+    return words.every((w) => title.includes(w));
+  })
+    .map((t) => listItem(t, types.length > 1))
+    .sort((a, b) => b.popularity - a.popularity);
+}
+
+// Pages past the end start over; an empty list stays empty
+function page(list, q) {
+  const totalPages = Math.max(1, Math.ceil(list.length / PAGE_SIZE));
+  const n = Math.max(1, Number(q.page) || 1);
+  const p = ((n - 1) % totalPages) + 1;
+  return { page: n, results: list.slice((p - 1) * PAGE_SIZE, p * PAGE_SIZE), total_pages: totalPages, total_results: list.length };
+}
+
+const byKey = (list, key) => list.slice().sort((a, b) => b[key] - a[key]);
+const byPopularity = (list) => byKey(list, "popularity");
+const find = (mediaType, id) => TITLES.find((t) => t.media_type === mediaType && t.id === Number(id));
+
+// Same media type, most shared genres first; similar breaks ties on votes, recommendations on popularity
+function related(t, sortKey, offset) {
+  return byKey(
+    TITLES.filter((x) => x.media_type === t.media_type && x.id !== t.id && x.genres.some((g) => t.genres.includes(g))).map((x) => ({
+      ...listItem(x, true),
+      shared: x.genres.filter((g) => t.genres.includes(g)).length
+    })),
+    sortKey
+  )
+    .sort((a, b) => b.shared - a.shared)
+    .slice(offset, offset + PAGE_SIZE)
+    .map(({ shared, ...x }) => x);
+}
+
+export function createTmdbCatalog() {
+  const app = express();
+  const notFound = (res) => res.status(404).json({ status_code: 34, status_message: "The resource you requested could not be found." });
+
+  app.get("/3/discover/:mediaType", (req, res) => res.json(page(discover(req.params.mediaType, req.query), req.query)));
+  app.get("/3/search/multi", (req, res) => res.json(page(search(["movie", "tv"], req.query.query), req.query)));
+  app.get("/3/search/movie", (req, res) => res.json(page(search(["movie"], req.query.query, req.query.year), req.query)));
+  app.get("/3/search/tv", (req, res) => res.json(page(search(["tv"], req.query.query), req.query)));
+  app.get("/3/search/person", (req, res) => {
+    const q = String(req.query.query || "").toLowerCase();
+    const names = Array.from(new Set(TITLES.flatMap((t) => Object.values(peopleOf(t)).flat()))).filter((n) => n.toLowerCase().includes(q));
+    res.json(page(names.map((name) => ({ id: personId(name), name, known_for_department: "Acting" })), req.query));
+  });
+  app.get("/3/search/keyword", (req, res) => {
+    const q = String(req.query.query || "").toLowerCase();
+    const names = Array.from(new Set(TITLES.flatMap((t) => t.keywords))).filter((n) => n.includes(q));
+    names.sort((a, b) => (a === q ? -1 : b === q ? 1 : a.length - b.length));
+    res.json(page(names.map((name) => ({ id: keywordId(name), name })), req.query));
+  });
+  app.get("/3/trending/all/day", (req, res) => res.json(page(byPopularity(TITLES.map((t) => listItem(t, true))), req.query)));
+  app.get("/3/:mediaType/popular", (req, res) =>
+    res.json(page(byPopularity(TITLES.filter((t) => t.media_type === req.params.mediaType).map((t) => listItem(t))), req.query))
+  );
+  app.get("/3/find/:externalId", (req, res) => {
+    const t = TITLES.find((x) => x.media_type === "movie" && `tt${9000000 + x.id}` === req.params.externalId);
+    res.json({ movie_results: t ? [listItem(t)] : [], tv_results: [], person_results: [] });
+  });
+  app.get("/3/person/:id/combined_credits", (req, res) => {
+    const id = Number(req.params.id);
+    const cast = [];
+    const crew = [];
+    for (const t of TITLES) {
+      const { maker, cast: names } = peopleOf(t);
+      if (names.some((n) => personId(n) === id)) cast.push({ ...listItem(t, true), character: "" });
+      if (personId(maker) === id) crew.push({ ...listItem(t, true), job: t.media_type === "tv" ? "Creator" : "Director" });
+    }
+    res.json({ id, cast, crew });
+  });
+  app.get("/3/:mediaType/:id/:part", (req, res) => {
+    const t = find(req.params.mediaType, req.params.id);
+    if (!t) return notFound(res);
+    const { part } = req.params;
+    if (part === "similar" || part === "recommendations") {
+      const n = Math.max(1, Number(req.query.page) || 1);
+      return res.json({ page: n, results: related(t, part === "similar" ? "vote_count" : "popularity", (n - 1) * PAGE_SIZE), total_pages: 2 });
+    }
+    const body = details(t, part)[part];
+    return body ? res.json({ id: t.id, ...body }) : notFound(res);
+  });
+  app.get("/3/:mediaType/:id/watch/providers", (req, res) => {
+    const t = find(req.params.mediaType, req.params.id);
+    if (!t) return notFound(res);
+    res.json({ id: t.id, ...details(t, "watch/providers")["watch/providers"] });
+  });
+  app.get("/3/:mediaType/:id", (req, res) => {
+    const t = find(req.params.mediaType, req.params.id);
+    if (!t) return notFound(res);
+    res.json(details(t, req.query.append_to_response));
+  });
+  app.use("/3", (req, res) => notFound(res));
+
+  return app;
+}
+
+// Fresh fixtures for everything the eval corpus and the tests ask for
+async function record() {
+  const server = await new Promise((resolve) => {
+    const srv = createTmdbCatalog().listen(0, "127.0.0.1", () => resolve(srv));
+  });
+  const dir = path.resolve(process.env.TMDB_FIXTURES_DIR || DEFAULT_FIXTURES_DIR);
+  fs.rmSync(dir, { recursive: true, force: true });
+
+  const env = {
+    ...process.env,
+    TMDB_MODE: "record",
+    TMDB_API_KEY: "catalog",
+    TMDB_BASE_URL: `http://127.0.0.1:${server.address().port}/3`,
+    TMDB_FIXTURES_DIR: dir
+  };
+  const root = path.join(__dirname, "..");
+  let failed = false;
+  const tests = fs.readdirSync(path.join(root, "test")).filter((f) => f.endsWith(".test.js")).map((f) => `test/${f}`);
+  for (const args of [["tools/eval.js"], ["tools/eval.js", "--llm", "offline"], ["--test", ...tests]]) {
+    console.log(`\n$ node ${args.join(" ")}`);
+    // Not spawnSync: this process has to keep answering the child's calls
+    const status = await new Promise((resolve) => spawn(process.execPath, args, { cwd: root, env, stdio: "inherit" }).on("exit", resolve));
+    failed ||= status !== 0;
+  }
+  server.close();
+  console.log(`\nFixtures written to ${dir} (${fs.readdirSync(dir).length} files)`);
+  return failed ? 1 : 0;
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  if (process.argv.includes("--record")) {
+    record().then((code) => process.exit(code));
+  } else {
+    createTmdbCatalog().listen(PORT, () => console.log(`TMDB stand-in catalogue at http://localhost:${PORT}/3`));
+  }
+}
@@ -0,0 +1,37 @@
+import express from "express";
+import path from "path";
+import { DEFAULT_FIXTURES_DIR, readFixture } from "../metadata.js";
+
+/* ================================
+   Local stand-in TMDB server
+   ================================
+   Serves recorded fixtures over HTTP with the same paths as the real API:
+
+     TMDB_FIXTURES_DIR=... node tools/tmdb-standin.js
+     TMDB_BASE_URL=http://localhost:3999/3 TMDB_API_KEY=x node server.js
+
+   Unknown requests answer 404 with the fixture name that was looked up.
+*/
+const PORT = process.env.TMDB_STANDIN_PORT || 3999;
+const fixturesDir = path.resolve(process.env.TMDB_FIXTURES_DIR || DEFAULT_FIXTURES_DIR);
+
+const app = express();
+
+app.use("/3", (req, res) => {
+  const params = { ...req.query };
+  delete params.api_key;
+
+  const fx = readFixture(fixturesDir, req.path, params);
+  if (!fx) {
+    console.warn(`miss ${req.method} ${req.path}`);
+    return res.status(404).json({ status_message: "No fixture recorded", path: req.path, params });
+  }
+
+  res.status(fx.status || 200);
+  if (typeof fx.body === "string") return res.send(fx.body);
+  res.json(fx.body);
+});
+
+app.listen(PORT, () => {
+  console.log(`TMDB stand-in serving ${fixturesDir} at http://localhost:${PORT}/3`);
+});
@@ -0,0 +1,116 @@
+/* ================================
+   Content warnings
+   ================================
+   Themes someone never wants to see: "no animal deaths", "nothing with
+   sexual assault", "no jump scares". Each category lists the TMDB keywords
+   that tag it, curated by hand. Their ids are looked up by exact name
+   through /search/keyword and cached (resolveKeywordId in server.js), so a
+   keyword TMDB does not have simply resolves to nothing.
+
+   intent.contentWarnings   category ids to keep out, from the prompt (or the
+                            model) plus the user's standing setting
+
+   Discover drops titles carrying any of the ids (without_keywords). Search,
+   trending and recommendations ignore them, so every result is also checked
+   against its own keywords. TMDB's keywords are crowd-sourced: a title
+   without any cannot be checked, is kept, and its card says so.
+*/
+
+export const CONTENT_WARNINGS = {
+  "animal-death": {
+    label: "animal deaths",
+    cues: ["(?:animals?|dogs?|cats?|pets?|horses?) (?:to )?(?:die|dies|dying|deaths?|gets? hurt|getting hurt|cruelty|abuse)", "dead (?:animals?|dogs?|cats?|pets?)"],
+    keywords: ["animal death", "death of pet", "dead dog", "animal cruelty", "animal abuse"]
+  },
+  "sexual-violence": {
+    label: "sexual assault",
+    cues: ["rapes?", "sexual (?:assault|violence|abuse)"],
+    keywords: ["rape", "sexual assault", "sexual abuse", "sexual violence", "rape and revenge"]
+  },
+  "jump-scares": {
+    label: "jump scares",
+    cues: ["jump[\\s-]?scares?"],
+    keywords: ["jump scare"]
+  },
+  "self-harm": {
+    label: "suicide and self-harm",
+    cues: ["suicides?", "self[\\s-]?harm", "self[\\s-]?injury"],
+    keywords: ["suicide", "suicide attempt", "self harm", "self mutilation"]
+  },
+  gore: {
+    label: "gore",
+    cues: ["gore", "gory", "blood(?:y|shed)?", "torture"],
+    keywords: ["gore", "splatter", "torture", "body horror", "dismemberment"]
+  },
+  "child-abuse": {
+    label: "child abuse",
+    cues: ["child(?:ren)? (?:abuse|harm|deaths?|dying)", "(?:kids?|children) (?:to )?(?:die|dies|dying|getting hurt)"],
+    keywords: ["child abuse", "child sexual abuse", "death of child", "child murder"]
+  },
+  "domestic-abuse": {
+    label: "domestic abuse",
+    cues: ["domestic (?:violence|abuse)", "abusive (?:relationships?|partners?|husbands?|wives|wife)"],
+    keywords: ["domestic violence", "domestic abuse", "abusive relationship", "abusive husband"]
+  },
+  drugs: {
+    label: "drug use",
+    cues: ["drugs?", "drug use", "addiction", "overdoses?"],
+    keywords: ["drug addiction", "drug use", "drug abuse", "overdose", "heroin"]
+  },
+  "sex-scenes": {
+    label: "sex scenes",
+    cues: ["sex scenes?", "sexual content", "nudity", "explicit scenes?"],
+    keywords: ["sex scene", "nudity", "female nudity", "male nudity", "explicit sex"]
+  },
+  spiders: {
+    label: "spiders",
+    cues: ["spiders?", "arachnophobia"],
+    keywords: ["spider", "giant spider", "arachnophobia"]
+  }
+};
+
+export const WARNING_IDS = Object.keys(CONTENT_WARNINGS);
+// Keyword lookups per request for discover; the check on each result uses every name
+export const MAX_WARNING_LOOKUPS = 15;
+
+// "no", "nothing with", "I don't want" ... up to three words ... the cue; or "gore-free"
+const NEGATION = "no|not|without|nothing with|nothing where|nothing that has|avoid|skip|don't want|don’t want|dont want|hate|zero|free of";
+const PATTERNS = Object.entries(CONTENT_WARNINGS).map(([id, w]) => {
+  const cue = `(?:${w.cues.join("|")})`;
+  return [id, new RegExp(`\\b(?:${NEGATION})\\s+(?:\\w+\\s+){0,3}?${cue}\\b|\\b${cue}[\\s-]free\\b`)];
+});
+
+export const warningLabel = (id) => CONTENT_WARNINGS[id]?.label || String(id || "");
+
+// Known category ids, unique; anything else is dropped
+export function normalizeWarnings(list) {
+  return Array.from(new Set((Array.isArray(list) ? list : []).map((x) => String(x || "").trim().toLowerCase()))).filter(
+    (id) => CONTENT_WARNINGS[id]
+  );
+}
+
+// Warnings a prompt asks to avoid; naming a theme without a "no" is a wish, not a warning
+export function parseWarnings(text) {
+  const lower = String(text || "").toLowerCase();
+  return { contentWarnings: PATTERNS.filter(([, re]) => re.test(lower)).map(([id]) => id) };
+}
+
+// The prompt's warnings and the standing setting together, both always apply
+export function mergeWarnings(...lists) {
+  return normalizeWarnings(lists.flat());
+}
+
+// Keyword names to resolve for discover, the first of every category before the second of any
+export function warningKeywordNames(ids) {
+  const lists = normalizeWarnings(ids).map((id) => CONTENT_WARNINGS[id].keywords);
+  const out = [];
+  for (let i = 0; lists.some((l) => i < l.length); i++) {
+    for (const l of lists) if (i < l.length) out.push(l[i]);
+  }
+  return out;
+}
+
+// Categories whose keywords a title carries, from its lowercased keyword names (explain.js keywordNames)
+export function warningHits(ids, names) {
+  return normalizeWarnings(ids).filter((id) => CONTENT_WARNINGS[id].keywords.some((k) => names.includes(k)));
+}
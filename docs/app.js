@@ -7,6 +7,7 @@ const resultsSub = document.getElementById("results-sub");
 const btnRefresh = document.getElementById("btn-refresh");
 const btnSurprise = document.getElementById("btn-surprise");
 const moodEl = document.getElementById("mood");
+const minutesEl = document.getElementById("minutes");
 const promptEl = document.getElementById("prompt");
 
 const playlistForm = document.getElementById("playlist-form");
@@ -16,6 +17,10 @@ const playlistItems = document.getElementById("playlist-items");
 const activePlaylistTitle = document.getElementById("active-playlist-title");
 
 const btnDeletePlaylist = document.getElementById("btn-delete-playlist");
+const btnSharePlaylist = document.getElementById("btn-share-playlist");
+
+const sharedCard = document.getElementById("shared-card");
+const sharedItems = document.getElementById("shared-items");
 
 const btnClear = document.getElementById("btn-clear");
 const btnClearLater = document.getElementById("btn-clear-later");
@@ -23,8 +28,44 @@ const btnClearWatched = document.getElementById("btn-clear-watched");
 
 const watchLaterList = document.getElementById("watchlater-list");
 const watchedList = document.getElementById("watched-list");
+const continueList = document.getElementById("continue-list");
 
 const toastEl = document.getElementById("toast");
+const regionEl = document.getElementById("region");
+const availabilityEl = document.getElementById("availability");
+const englishOnlyEl = document.getElementById("english-only");
+const localeEl = document.getElementById("locale");
+
+// Refinement chat under the results
+const refinePanel = document.getElementById("refine-panel");
+const refineLog = document.getElementById("refine-log");
+const refineForm = document.getElementById("refine-form");
+const refineInput = document.getElementById("refine-input");
+
+// Group watch
+const groupEnabledEl = document.getElementById("group-enabled");
+const groupPanel = document.getElementById("group-panel");
+const groupPeople = document.getElementById("group-people");
+
+// Profiles
+const profileEl = document.getElementById("profile");
+const profilesBody = document.getElementById("profiles-body");
+const profilesLock = document.getElementById("profiles-lock");
+const profileListEl = document.getElementById("profile-list");
+const pinForm = document.getElementById("pin-form");
+const parentPinEl = document.getElementById("parent-pin");
+
+// History import
+const importStatusEl = document.getElementById("import-status");
+const importReviewEl = document.getElementById("import-review");
+
+// Account / sync
+const btnAccount = document.getElementById("btn-account");
+const accountModal = document.getElementById("account-modal");
+const accountForm = document.getElementById("account-form");
+const accountEmail = document.getElementById("account-email");
+const accountPassword = document.getElementById("account-password");
+const syncStatusEl = document.getElementById("sync-status");
 
 // Onboarding
 const onboardModal = document.getElementById("onboard-modal");
@@ -39,13 +80,51 @@ const LS_ONBOARDED = "vibewatch_onboarded";
 const LS_WATCHLATER = "vibewatch_watchlater";
 const LS_WATCHED = "vibewatch_watched";
 const LS_PROVIDER_PREFS = "vibewatch_provider_prefs";
+const LS_LANGUAGE_PREFS = "vibewatch_language_prefs";
+const LS_WARNING_PREFS = "vibewatch_warning_prefs";
+const LS_REGION = "vibewatch_region";
+const LS_LOCALE = "vibewatch_locale";
+const LS_AUTH = "vibewatch_auth";
+const LS_SYNC = "vibewatch_sync";
+const LS_SYNC_TOUCHED = "vibewatch_sync_touched";
+const LS_GROUP = "vibewatch_group";
+const LS_PROGRESS = "vibewatch_progress";
+const LS_IMPORT_REVIEW = "vibewatch_import_review";
+const LS_PROFILES = "vibewatch_profiles";
+// Kid profiles before there were profiles, moved into LS_PROFILES by loadProfiles()
+const LS_KIDS = "vibewatch_kids";
+
+// Everything one person saves lives under their profile: the first profile keeps the plain
+// keys, so nothing moves for existing users, every other one adds ":<profile id>".
+// Region, language, onboarding and the profile list itself belong to the browser.
+const DEFAULT_PROFILE = "default";
+const PROFILE_KEYS = [
+  LS_LIKED, LS_DISLIKED, LS_PLAYLISTS, LS_ACTIVE_PLAYLIST, LS_WATCHLATER, LS_WATCHED, LS_PROVIDER_PREFS, LS_LANGUAGE_PREFS,
+  LS_WARNING_PREFS, LS_AUTH, LS_SYNC, LS_SYNC_TOUCHED, LS_GROUP, LS_PROGRESS, LS_IMPORT_REVIEW
+];
+let activeProfileId = currentProfileId();
+
+// Browser-wide keys never read activeProfileId, so loadProfiles() can run while it is being set
+function profileKey(key, id) {
+  if (!PROFILE_KEYS.includes(key)) return key;
+  const owner = id || activeProfileId;
+  return owner === DEFAULT_PROFILE ? key : `${key}:${owner}`;
+}
+
+// Regions the backend has certification ladders for (see backend/certifications.js)
+const REGIONS = ["GB", "US", "DE", "AU", "IE", "FR", "NL"];
 
 let lastItems = [];
 let lastPrompt = "";
 let lastRefreshToken = "";
+let lastSession = null;
 
 // provider filter state
 let providerPrefs = loadJson(LS_PROVIDER_PREFS, { include: [], exclude: [] });
+// original-language filter state, ISO 639-1 codes
+let languagePrefs = loadJson(LS_LANGUAGE_PREFS, { include: [], exclude: [], englishOnly: false });
+// content warnings kept out of every search, category ids from backend/warnings.js
+let warningPrefs = loadJson(LS_WARNING_PREFS, []);
 
 // ===== API base (auto local vs live) =====
 const IS_LOCAL =
@@ -67,14 +146,15 @@ function escapeHtml(str) {
 }
 function loadJson(key, fallback) {
   try {
-    const raw = localStorage.getItem(key);
+    const raw = localStorage.getItem(profileKey(key));
     return raw ? JSON.parse(raw) : fallback;
   } catch {
     return fallback;
   }
 }
 function saveJson(key, value) {
-  localStorage.setItem(key, JSON.stringify(value));
+  localStorage.setItem(profileKey(key), JSON.stringify(value));
+  touchSynced(key);
 }
 function toast(msg) {
   if (!toastEl) return;
@@ -83,7 +163,109 @@ function toast(msg) {
   clearTimeout(toastEl._t);
   toastEl._t = setTimeout(() => (toastEl.hidden = true), 1600);
 }
-function getRegion() { return "GB"; }
+function guessRegion() {
+  const lang = (navigator.languages && navigator.languages[0]) || navigator.language || "";
+  const code = lang.split("-")[1]?.toUpperCase();
+  return REGIONS.includes(code) ? code : "GB";
+}
+function getRegion() {
+  const saved = localStorage.getItem(LS_REGION);
+  return REGIONS.includes(saved) ? saved : guessRegion();
+}
+function setRegion(code) {
+  if (!REGIONS.includes(code)) return;
+  localStorage.setItem(LS_REGION, code);
+  touchSynced(LS_REGION);
+}
+
+// ===== i18n =====
+// Messages come from the catalogs in i18n.js; static markup is tagged with data-i18n*
+// attributes. The locale also goes to the backend, which then asks TMDB for titles and
+// overviews in it and has the reasons written in it. Prompts and refine chips stay English
+// on the wire, the offline parsers only read English.
+const LOCALES = Object.keys(I18N);
+let uiLocale = getLocale();
+
+function guessLocale() {
+  const langs = navigator.languages?.length ? navigator.languages : [navigator.language || ""];
+  return langs.map(l => String(l).split("-")[0].toLowerCase()).find(l => LOCALES.includes(l)) || "en";
+}
+function getLocale() {
+  const saved = localStorage.getItem(LS_LOCALE);
+  return LOCALES.includes(saved) ? saved : guessLocale();
+}
+
+// t("toast.created", { name }) — falls back to English, then to the key itself
+function t(key, vars) {
+  const msg = I18N[uiLocale]?.[key] ?? I18N.en[key] ?? key;
+  return vars ? msg.replace(/\{(\w+)\}/g, (m, k) => (k in vars ? String(vars[k]) : m)) : msg;
+}
+// Counted messages: key_one / key_other with {count}
+function tn(key, count, vars) {
+  const form = new Intl.PluralRules(uiLocale).select(count) === "one" ? "one" : "other";
+  return t(`${key}_${form}`, { count, ...vars });
+}
+function mediaLabel(type) {
+  return t(type === "tv" ? "media.tv" : "media.movie");
+}
+
+function applyI18n() {
+  document.documentElement.lang = uiLocale;
+  document.title = t("app.title");
+  document.querySelectorAll("[data-i18n]").forEach(el => (el.textContent = t(el.dataset.i18n)));
+  document.querySelectorAll("[data-i18n-placeholder]").forEach(el => (el.placeholder = t(el.dataset.i18nPlaceholder)));
+  document.querySelectorAll("[data-i18n-title]").forEach(el => (el.title = t(el.dataset.i18nTitle)));
+  document.querySelectorAll("[data-i18n-aria-label]").forEach(el => el.setAttribute("aria-label", t(el.dataset.i18nAriaLabel)));
+  if (localeEl) localeEl.value = uiLocale;
+}
+
+// Everything rendered from JS is drawn again; the open results keep the language they came in
+function setLocale(code) {
+  if (!LOCALES.includes(code)) return;
+  uiLocale = code;
+  localStorage.setItem(LS_LOCALE, code);
+  seasonsCache.clear();
+  applyI18n();
+  renderPlaylists();
+  renderSharedPlaylist();
+  renderWatchLater();
+  renderWatched();
+  renderContinue();
+  renderImportReview();
+  renderLanguagePills();
+  renderGroup();
+  renderProfiles();
+  renderAccount();
+  if (lastItems.length) renderResults(lastItems);
+}
+
+// ===== Where to watch =====
+// Display order; labels are tier.* in the catalogs
+const TIERS = ["flatrate", "free", "ads", "rent", "buy"];
+
+// Older responses sent a plain list of subscription provider names
+function providerTiersOf(providers) {
+  if (Array.isArray(providers)) return { link: null, flatrate: providers.map(name => ({ name })) };
+  return providers || {};
+}
+
+// One row per availability tier, logos link to the title's where-to-watch page for the region
+function renderProviderTiers(providers, region) {
+  const p = providerTiersOf(providers);
+  const rows = TIERS
+    .filter(tier => p[tier]?.length)
+    .map(tier => {
+      const logos = p[tier].map(x => {
+        const name = escapeHtml(x.name);
+        const inner = x.logo ? `<img class="provider-logo" src="${escapeHtml(x.logo)}" alt="${name}" title="${name}">` : `<span class="pill small">${name}</span>`;
+        return p.link ? `<a href="${escapeHtml(p.link)}" target="_blank" rel="noopener">${inner}</a>` : inner;
+      }).join("");
+      return `<div class="tier-row"><span class="tier-name">${t(`tier.${tier}`)}</span>${logos}</div>`;
+    })
+    .join("");
+  return rows || `<div class="tiny muted">${escapeHtml(t("providers.notListed", { region }))}</div>`;
+}
+
 function getLocalHour() { try { return new Date().getHours(); } catch { return null; } }
 
 function normalizeItem(item) {
@@ -92,7 +274,8 @@ function normalizeItem(item) {
     title: item.title,
     media_type: item.media_type,
     release_date: item.release_date,
-    poster_path: item.poster_path
+    poster_path: item.poster_path,
+    genre_ids: item.genre_ids || []
   };
 }
 function currentExcludeIds() {
@@ -128,8 +311,8 @@ function addToDisliked(item) {
 // ===== Playlists =====
 function loadPlaylists() { return loadJson(LS_PLAYLISTS, []); }
 function savePlaylists(playlists) { saveJson(LS_PLAYLISTS, playlists); }
-function getActivePlaylistName() { return localStorage.getItem(LS_ACTIVE_PLAYLIST) || ""; }
-function setActivePlaylistName(name) { localStorage.setItem(LS_ACTIVE_PLAYLIST, name); }
+function getActivePlaylistName() { return localStorage.getItem(profileKey(LS_ACTIVE_PLAYLIST)) || ""; }
+function setActivePlaylistName(name) { localStorage.setItem(profileKey(LS_ACTIVE_PLAYLIST), name); }
 
 function ensurePlaylist(name) {
   const playlists = loadPlaylists();
@@ -166,7 +349,7 @@ function deleteActivePlaylist() {
   savePlaylists(next);
   setActivePlaylistName(next[0]?.name || "");
   renderPlaylists();
-  toast("Playlist deleted.");
+  toast(t("toast.playlistDeleted"));
 }
 
 function renderPlaylists() {
@@ -179,7 +362,7 @@ function renderPlaylists() {
         const isActive = active && p.name.toLowerCase() === active.toLowerCase();
         return `<button class="pill ${isActive ? "on" : ""}" data-pl="${escapeHtml(p.name)}" type="button">${escapeHtml(p.name)}</button>`;
       }).join("")
-    : `<div class="tiny muted">No playlists yet. Create one above.</div>`;
+    : `<div class="tiny muted">${t("playlists.none")}</div>`;
 
   renderPlaylistItems();
 }
@@ -191,15 +374,15 @@ function renderPlaylistItems() {
   const pl = playlists.find(p => p.name.toLowerCase() === active.toLowerCase());
 
   if (!active || !pl) {
-    activePlaylistTitle.textContent = "Select a playlist";
-    playlistItems.innerHTML = `<div class="tiny muted">Click a playlist chip to view it.</div>`;
+    activePlaylistTitle.textContent = t("playlists.select");
+    playlistItems.innerHTML = `<div class="tiny muted">${t("playlists.pick")}</div>`;
     return;
   }
 
   activePlaylistTitle.textContent = pl.name;
 
   if (!pl.items.length) {
-    playlistItems.innerHTML = `<div class="tiny muted">Empty playlist. Add from recommendations.</div>`;
+    playlistItems.innerHTML = `<div class="tiny muted">${t("playlists.emptyList")}</div>`;
     return;
   }
 
@@ -208,18 +391,126 @@ function renderPlaylistItems() {
     const year = i.release_date ? i.release_date.slice(0, 4) : "—";
     const poster = i.poster_path ? `<img class="mini-poster" src="${i.poster_path}" alt="">` : "";
     return `
-      <div class="mini-item">
+      <div class="mini-item js-detail" data-type="${i.media_type}" data-id="${i.id}">
         ${poster}
         <div style="flex:1">
           <div class="mini-title">${title}</div>
-          <div class="mini-meta">${year} • ${i.media_type}</div>
+          <div class="mini-meta">${year} • ${mediaLabel(i.media_type)}</div>
         </div>
+        ${moreLikeButton(i)}
         <button class="btn-small js-pl-remove" data-id="${i.id}" type="button">✕</button>
       </div>
     `;
   }).join("");
 }
 
+// ===== Shared playlists =====
+// Publishing keeps { id, editKey } on the playlist, so re-sharing updates the same link
+// (from any device once the playlist has synced)
+let sharedList = null;
+
+function sharedLink(id) {
+  return `${location.origin}${location.pathname}?list=${encodeURIComponent(id)}`;
+}
+
+async function shareActivePlaylist() {
+  const playlists = loadPlaylists();
+  const active = getActivePlaylistName();
+  const pl = playlists.find(p => p.name.toLowerCase() === active.toLowerCase());
+  if (!pl) return toast(t("toast.selectPlaylist"));
+  if (!pl.items.length) return toast(t("share.addFirst"));
+
+  const body = { name: pl.name, items: pl.items, editKey: pl.share?.editKey };
+  let share = pl.share;
+  try {
+    if (share?.id) await authFetch(`/api/playlists/shared/${share.id}`, { method: "PUT", body });
+    else share = await authFetch("/api/playlists/shared", { method: "POST", body });
+  } catch (err) {
+    // Unpublished elsewhere or the key no longer matches: publish a fresh link
+    if (!share?.id || (err.status !== 404 && err.status !== 403)) return toast(err.message);
+    share = await authFetch("/api/playlists/shared", { method: "POST", body }).catch(() => null);
+    if (!share) return toast(t("share.failed"));
+  }
+
+  pl.share = { id: share.id, editKey: share.editKey };
+  savePlaylists(playlists);
+
+  const link = sharedLink(share.id);
+  try {
+    await navigator.clipboard.writeText(link);
+    toast(t("share.copied"));
+  } catch {
+    prompt(t("share.copyPrompt"), link);
+  }
+}
+
+async function openSharedPlaylist(id) {
+  if (!sharedCard || !sharedItems) return;
+  sharedCard.hidden = false;
+  sharedItems.innerHTML = `<p class='muted'>${t("shared.loading")}</p>`;
+
+  try {
+    const res = await fetch(`${API_BASE}/api/playlists/shared/${encodeURIComponent(id)}?region=${getRegion()}`);
+    if (res.status === 404) throw new Error(t("shared.gone"));
+    if (!res.ok) throw new Error(t("errors.server", { status: res.status }));
+    sharedList = await res.json();
+  } catch (err) {
+    sharedList = null;
+    sharedItems.innerHTML = `<p class='muted'>${escapeHtml(err.message)}</p>`;
+    return;
+  }
+  renderSharedPlaylist();
+}
+
+function renderSharedPlaylist() {
+  if (!sharedList || !sharedItems) return;
+  const title = document.getElementById("shared-title");
+  const sub = document.getElementById("shared-sub");
+  if (title) title.textContent = t("shared.heading", { name: sharedList.name });
+  if (sub) sub.textContent = t("shared.sub", { count: sharedList.items.length, region: sharedList.region });
+
+  sharedItems.innerHTML = sharedList.items.length
+    ? sharedList.items.map(i => {
+        const title = escapeHtml(i.title || "Untitled");
+        const year = i.release_date ? i.release_date.slice(0, 4) : "—";
+        const poster = i.poster_path ? `<img class="mini-poster" src="${i.poster_path}" alt="">` : "";
+        return `
+          <div class="mini-item js-detail" data-type="${i.media_type}" data-id="${i.id}">
+            ${poster}
+            <div style="flex:1">
+              <div class="mini-title">${title}</div>
+              <div class="mini-meta">${year} • ${mediaLabel(i.media_type)}</div>
+              <div class="result-providers">${renderProviderTiers(i.providers, sharedList.region)}</div>
+            </div>
+          </div>
+        `;
+      }).join("")
+    : `<div class="tiny muted">${t("shared.empty")}</div>`;
+}
+
+// Copies the shared list into a new playlist of our own (renamed if the name is taken)
+function importSharedPlaylist() {
+  if (!sharedList) return;
+  const playlists = loadPlaylists();
+  let name = sharedList.name;
+  for (let n = 2; playlists.some(p => p.name.toLowerCase() === name.toLowerCase()); n++) name = `${sharedList.name} (${n})`;
+
+  playlists.unshift({ name, items: sharedList.items.map(normalizeItem) });
+  savePlaylists(playlists);
+  setActivePlaylistName(name);
+  renderPlaylists();
+  toast(t("toast.importedPlaylist", { name }));
+}
+
+function closeSharedPlaylist() {
+  sharedList = null;
+  if (sharedCard) sharedCard.hidden = true;
+  const params = new URLSearchParams(location.search);
+  params.delete("list");
+  const query = params.toString();
+  history.replaceState(null, "", `${location.pathname}${query ? `?${query}` : ""}${location.hash}`);
+}
+
 // ===== Watch later / watched =====
 function loadWatchLater() { return loadJson(LS_WATCHLATER, []); }
 function saveWatchLater(list) { saveJson(LS_WATCHLATER, list); }
@@ -234,23 +525,28 @@ function addWatchLater(item, vibePrompt) {
     saveWatchLater(list.slice(0, 120));
   }
 }
-function markWatched(id, rating) {
+// Any movie or series, saved for later or not; rating is 1-10 or null
+function markWatched(item, rating = null) {
   const later = loadWatchLater();
-  const found = later.find(x => String(x.id) === String(id));
-  if (!found) return;
+  const found = later.find(x => String(x.id) === String(item.id));
 
   const watched = loadWatched();
-  const entry = { ...found, rating, watchedAt: Date.now() };
+  const entry = {
+    ...normalizeItem(item),
+    vibePrompt: found?.vibePrompt || item.vibePrompt || "",
+    rating,
+    watchedAt: Date.now()
+  };
 
-  saveWatched([entry, ...watched.filter(w => String(w.id) !== String(id))]);
-  saveWatchLater(later.filter(x => String(x.id) !== String(id)));
+  saveWatched([entry, ...watched.filter(w => String(w.id) !== String(item.id))]);
+  if (found) saveWatchLater(later.filter(x => String(x.id) !== String(item.id)));
 }
 
 function renderWatchLater() {
   if (!watchLaterList) return;
   const list = loadWatchLater();
   if (!list.length) {
-    watchLaterList.innerHTML = `<div class="tiny muted">Nothing saved. Use “Watch later” on a pick.</div>`;
+    watchLaterList.innerHTML = `<div class="tiny muted">${t("later.empty")}</div>`;
     return;
   }
 
@@ -258,17 +554,17 @@ function renderWatchLater() {
     const title = escapeHtml(i.title || "Untitled");
     const year = i.release_date ? i.release_date.slice(0, 4) : "—";
     const poster = i.poster_path ? `<img class="mini-poster" src="${i.poster_path}" alt="">` : "";
-    const vibe = i.vibePrompt ? `<div class="tiny muted">Vibe: ${escapeHtml(i.vibePrompt)}</div>` : "";
+    const vibe = i.vibePrompt ? `<div class="tiny muted">${escapeHtml(t("later.vibe", { vibe: i.vibePrompt }))}</div>` : "";
     return `
-      <div class="mini-item">
+      <div class="mini-item js-detail" data-type="${i.media_type}" data-id="${i.id}">
         ${poster}
         <div style="flex:1">
           <div class="mini-title">${title}</div>
-          <div class="mini-meta">${year} • ${i.media_type}</div>
+          <div class="mini-meta">${year} • ${mediaLabel(i.media_type)}</div>
           ${vibe}
           <div class="actions-row">
-            <button class="btn-small js-watched" data-id="${i.id}" type="button">✅ Mark watched</button>
-            <button class="btn-small js-later-remove" data-id="${i.id}" type="button">✕ Remove</button>
+            <button class="btn-small js-watched" data-id="${i.id}" type="button">${t("actions.markWatched")}</button>
+            <button class="btn-small js-later-remove" data-id="${i.id}" type="button">${t("actions.remove")}</button>
           </div>
         </div>
       </div>
@@ -280,7 +576,7 @@ function renderWatched() {
   if (!watchedList) return;
   const list = loadWatched();
   if (!list.length) {
-    watchedList.innerHTML = `<div class="tiny muted">Watched list is empty.</div>`;
+    watchedList.innerHTML = `<div class="tiny muted">${t("watched.empty")}</div>`;
     return;
   }
 
@@ -288,22 +584,208 @@ function renderWatched() {
     const title = escapeHtml(i.title || "Untitled");
     const year = i.release_date ? i.release_date.slice(0, 4) : "—";
     const poster = i.poster_path ? `<img class="mini-poster" src="${i.poster_path}" alt="">` : "";
-    const vibe = i.vibePrompt ? `<div class="tiny muted">Original vibe: ${escapeHtml(i.vibePrompt)}</div>` : "";
-    const rating = Number.isFinite(i.rating) ? `<div class="mini-meta">⭐ Your rating: ${i.rating}/10</div>` : "";
+    const vibe = i.vibePrompt ? `<div class="tiny muted">${escapeHtml(t("watched.vibe", { vibe: i.vibePrompt }))}</div>` : "";
+    const rating = Number.isFinite(i.rating) ? `<div class="mini-meta">${t("watched.rating", { rating: i.rating })}</div>` : "";
     return `
-      <div class="mini-item">
+      <div class="mini-item js-detail" data-type="${i.media_type}" data-id="${i.id}">
         ${poster}
         <div style="flex:1">
           <div class="mini-title">${title}</div>
-          <div class="mini-meta">${year} • ${i.media_type}</div>
+          <div class="mini-meta">${year} • ${mediaLabel(i.media_type)}</div>
           ${rating}
           ${vibe}
+          <div class="actions-row">${moreLikeButton(i)}</div>
+        </div>
+      </div>
+    `;
+  }).join("");
+}
+
+// ===== Series progress =====
+// One entry per series: { ...normalizeItem, episodes: { [season]: [episode numbers] },
+// aired: { [season]: aired episode count }, inProduction, finished, updatedAt, checkedAt }.
+// Specials (season 0) can be ticked but never count towards the next episode.
+const seasonsCache = new Map();
+const PROGRESS_RECHECK_MS = 12 * 60 * 60 * 1000;
+
+function loadProgress() { return loadJson(LS_PROGRESS, []); }
+function saveProgress(list) { saveJson(LS_PROGRESS, list); }
+function progressFor(id) { return loadProgress().find(p => String(p.id) === String(id)) || null; }
+
+async function fetchSeasons(id) {
+  const key = String(id);
+  if (seasonsCache.has(key)) return seasonsCache.get(key);
+  const res = await fetch(`${API_BASE}/api/title/tv/${encodeURIComponent(id)}/seasons?locale=${uiLocale}`);
+  if (res.status === 404) throw new Error(t("episodes.noList"));
+  if (!res.ok) throw new Error(t("errors.server", { status: res.status }));
+  const data = await res.json();
+  seasonsCache.set(key, data);
+  return data;
+}
+
+const airedCounts = (seasons) =>
+  Object.fromEntries(seasons.seasons.filter(s => !s.special).map(s => [s.season_number, s.aired_count]));
+const watchedCount = (entry) =>
+  Object.entries(entry.episodes || {}).filter(([s]) => s !== "0").reduce((n, [, eps]) => n + eps.length, 0);
+const airedTotal = (entry) => Object.values(entry.aired || {}).reduce((n, c) => n + c, 0);
+
+// First aired episode not watched yet, in season order; null when caught up
+function nextEpisode(entry) {
+  const seasons = Object.keys(entry.aired || {}).map(Number).filter(n => n > 0).sort((a, b) => a - b);
+  for (const s of seasons) {
+    const seen = new Set(entry.episodes?.[s] || []);
+    for (let e = 1; e <= entry.aired[s]; e++) if (!seen.has(e)) return { season: s, episode: e };
+  }
+  return null;
+}
+
+// Applies fn to the series' entry (created on first use) and saves it, on top of the list unless
+// touch is false. An entry with nothing watched is dropped; finishing a series that has ended
+// moves it to Watched.
+function updateProgress(show, fn, { seasons = seasonsCache.get(String(show.id)), touch = true } = {}) {
+  const list = loadProgress();
+  const rest = list.filter(p => String(p.id) !== String(show.id));
+  const entry = list.find(p => String(p.id) === String(show.id)) || {
+    ...normalizeItem({ ...show, media_type: "tv" }),
+    vibePrompt: loadWatchLater().find(x => String(x.id) === String(show.id))?.vibePrompt || "",
+    episodes: {},
+    aired: {}
+  };
+  const wasFinished = Boolean(entry.finished);
+
+  if (seasons) {
+    entry.aired = airedCounts(seasons);
+    entry.inProduction = Boolean(seasons.in_production);
+    entry.checkedAt = Date.now();
+  }
+  fn(entry);
+  if (touch) entry.updatedAt = Date.now();
+  entry.finished = !entry.inProduction && airedTotal(entry) > 0 && !nextEpisode(entry);
+
+  if (!watchedCount(entry) && !entry.episodes?.[0]?.length) {
+    saveProgress(rest);
+    return null;
+  }
+  saveProgress(touch ? [entry, ...rest] : list.map(p => (String(p.id) === String(show.id) ? entry : p)));
+
+  // Started watching: it is no longer "later"
+  const later = loadWatchLater();
+  if (later.some(x => String(x.id) === String(show.id))) saveWatchLater(later.filter(x => String(x.id) !== String(show.id)));
+
+  if (entry.finished && !wasFinished) {
+    markWatched(entry, null);
+    toast(t("toast.finished", { title: entry.title || t("common.theSeries") }));
+  }
+  return entry;
+}
+
+function setEpisodesWatched(show, season, episodeNumbers, on) {
+  return updateProgress(show, (entry) => {
+    const eps = new Set(entry.episodes[season] || []);
+    for (const e of episodeNumbers) on ? eps.add(e) : eps.delete(e);
+    if (eps.size) entry.episodes[season] = [...eps].sort((a, b) => a - b);
+    else delete entry.episodes[season];
+  });
+}
+
+// Series being watched, for the recommend request
+function inProgressShows() {
+  return loadProgress().filter(p => !p.finished).map(normalizeItem);
+}
+
+function renderEpisodes(seasons, entry, openSeason = null) {
+  const next = entry ? nextEpisode(entry) : null;
+  const open = openSeason ?? next?.season ?? seasons.seasons.find(s => !s.special)?.season_number;
+  const list = seasons.seasons.filter(s => s.episodes.length);
+  if (!list.length) return `<div class="tiny muted">${t("episodes.empty")}</div>`;
+
+  return list.map(s => {
+    const seen = new Set(entry?.episodes?.[s.season_number] || []);
+    const aired = s.episodes.filter(e => e.aired);
+    const all = aired.length > 0 && aired.every(e => seen.has(e.episode_number));
+    const rows = s.episodes.map(e => `
+      <label class="episode ${e.aired ? "" : "muted"}">
+        <input type="checkbox" class="js-ep" data-season="${s.season_number}" data-episode="${e.episode_number}" ${seen.has(e.episode_number) ? "checked" : ""} ${e.aired ? "" : "disabled"} />
+        <span class="episode-name">E${e.episode_number} · ${escapeHtml(e.name)}</span>
+        <span class="tiny muted">${e.aired ? formatRuntime(e.runtime) : e.air_date ? escapeHtml(t("episodes.airs", { date: e.air_date })) : t("episodes.notAired")}</span>
+      </label>
+    `).join("");
+    return `
+      <details class="season" ${s.season_number === open ? "open" : ""}>
+        <summary>${escapeHtml(s.name)} <span class="tiny muted">${t("episodes.seasonWatched", { seen: [...seen].length, total: s.aired_count })}</span></summary>
+        ${aired.length ? `<button class="btn-small js-season-all" data-season="${s.season_number}" data-on="${all ? "0" : "1"}" type="button">${all ? t("episodes.unmarkSeason") : t("episodes.markSeason")}</button>` : ""}
+        ${rows}
+      </details>
+    `;
+  }).join("");
+}
+
+async function loadDetailEpisodes(show) {
+  const box = document.getElementById("detail-episodes");
+  if (!box) return;
+  try {
+    const seasons = await fetchSeasons(show.id);
+    if (String(detailItem?.id) !== String(show.id)) return;
+    // Keep aired counts current for a series already being tracked
+    const entry = progressFor(show.id);
+    if (entry && JSON.stringify(entry.aired) !== JSON.stringify(airedCounts(seasons))) {
+      updateProgress(show, () => {}, { seasons, touch: false });
+      renderContinue();
+    }
+    box.innerHTML = renderEpisodes(seasons, progressFor(show.id));
+  } catch (err) {
+    box.innerHTML = `<p class='muted'>${escapeHtml(err.message)}</p>`;
+  }
+}
+
+function renderContinue() {
+  if (!continueList) return;
+  const list = loadProgress().filter(p => !p.finished);
+  if (!list.length) {
+    continueList.innerHTML = `<div class="tiny muted">${t("continue.empty")}</div>`;
+    return;
+  }
+
+  continueList.innerHTML = list.map(p => {
+    const title = escapeHtml(p.title || "Untitled");
+    const poster = p.poster_path ? `<img class="mini-poster" src="${p.poster_path}" alt="">` : "";
+    const next = nextEpisode(p);
+    const status = next ? t("continue.next", next) : t("continue.caughtUp");
+    return `
+      <div class="mini-item js-detail" data-type="tv" data-id="${p.id}">
+        ${poster}
+        <div style="flex:1">
+          <div class="mini-title">${title}</div>
+          <div class="mini-meta">${status}</div>
+          <div class="tiny muted">${t("continue.count", { watched: watchedCount(p), total: airedTotal(p) })}</div>
+          <div class="actions-row">
+            ${next ? `<button class="btn-small js-continue-next" data-id="${p.id}" type="button">${t("continue.watchedNext", next)}</button>` : ""}
+            <button class="btn-small js-continue-remove" data-id="${p.id}" type="button">${t("continue.stop")}</button>
+          </div>
         </div>
       </div>
     `;
   }).join("");
 }
 
+// New episodes air while nobody opens the series: recheck stale entries now and then
+async function refreshProgress() {
+  const stale = loadProgress()
+    .filter(p => !p.finished && Date.now() - (p.checkedAt || 0) > PROGRESS_RECHECK_MS)
+    .slice(0, 10);
+  const profile = activeProfileId;
+  for (const p of stale) {
+    try {
+      const seasons = await fetchSeasons(p.id);
+      if (profile !== activeProfileId) return;
+      updateProgress(p, () => {}, { seasons, touch: false });
+    } catch (err) {
+      console.error(err);
+    }
+  }
+  if (stale.length) renderContinue();
+}
+
 // ===== Provider pills =====
 function renderProviderPills() {
   document.querySelectorAll(".js-provider").forEach(btn => {
@@ -314,7 +796,7 @@ function renderProviderPills() {
     if (inc) btn.classList.add("on");
     if (exc) btn.classList.add("off");
   });
-  saveJson(LS_PROVIDER_PREFS, providerPrefs);
+  if (availabilityEl) availabilityEl.value = providerPrefs.availability || "any";
 }
 const providerRow = document.getElementById("provider-row");
 if (providerRow) {
@@ -338,212 +820,1971 @@ if (providerRow) {
       providerPrefs.exclude = providerPrefs.exclude.filter(x => x.toLowerCase() !== p.toLowerCase());
     }
 
+    saveJson(LS_PROVIDER_PREFS, providerPrefs);
     renderProviderPills();
   });
 }
 
-// ===== API =====
-async function fetchRecommendations(prompt, opts = {}) {
-  const liked = loadJson(LS_LIKED, []);
-  const disliked = loadJson(LS_DISLIKED, []);
-  const watched = loadWatched(); // ✅ send watched history to backend
-  const region = getRegion();
+if (availabilityEl) {
+  availabilityEl.addEventListener("change", () => {
+    providerPrefs.availability = availabilityEl.value;
+    saveJson(LS_PROVIDER_PREFS, providerPrefs);
+  });
+}
 
-  const excludeIds = opts.excludeIds || [];
-  const refreshToken = opts.refreshToken || "";
-  const mood = Number(moodEl?.value || 3);
-  const localHour = getLocalHour();
+// ===== Language pills =====
+// Prefer or exclude original languages; "English-language only" stands in for the
+// preferred ones unless a prompt names a language itself (backend/languages.js).
+function renderLanguagePills() {
+  document.querySelectorAll(".js-language").forEach(btn => {
+    const code = btn.dataset.language;
+    btn.classList.toggle("on", !languagePrefs.englishOnly && languagePrefs.include.includes(code));
+    btn.classList.toggle("off", languagePrefs.exclude.includes(code));
+    btn.textContent = languageLabel(code);
+  });
+  if (englishOnlyEl) englishOnlyEl.checked = Boolean(languagePrefs.englishOnly);
+}
 
-  const res = await fetch(`${API_BASE}/api/recommend`, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({
-      prompt,
-      mood,
-      localHour,
-      liked,
-      disliked,
-      watched,
-      excludeIds,
-      region,
-      refreshToken,
-      providerInclude: providerPrefs.include,
-      providerExclude: providerPrefs.exclude
-    })
+function saveLanguagePrefs() {
+  saveJson(LS_LANGUAGE_PREFS, languagePrefs);
+  renderLanguagePills();
+}
+
+const languageRow = document.getElementById("language-row");
+if (languageRow) {
+  languageRow.addEventListener("click", (e) => {
+    const btn = e.target.closest(".js-language");
+    if (!btn) return;
+    const code = btn.dataset.language;
+    const [list, other] = e.shiftKey ? ["exclude", "include"] : ["include", "exclude"];
+    languagePrefs[list] = languagePrefs[list].includes(code)
+      ? languagePrefs[list].filter(x => x !== code)
+      : [...languagePrefs[list], code];
+    languagePrefs[other] = languagePrefs[other].filter(x => x !== code);
+    saveLanguagePrefs();
   });
+}
 
-  if (!res.ok) throw new Error(`Server error: ${res.status}`);
-  const data = await res.json();
+if (englishOnlyEl) {
+  englishOnlyEl.addEventListener("change", () => {
+    languagePrefs.englishOnly = englishOnlyEl.checked;
+    saveLanguagePrefs();
+  });
+}
 
-  return Array.isArray(data.results) ? data.results : [];
+// "Korean" for "ko" ("coreano" in Spanish), the browser knows the names
+function languageLabel(code) {
+  if (!code) return "";
+  try {
+    return new Intl.DisplayNames([uiLocale], { type: "language" }).of(code) || code.toUpperCase();
+  } catch {
+    return code.toUpperCase();
+  }
 }
 
-// ===== Results render =====
-function renderResults(items) {
-  if (!resultBody) return;
+// ===== Content warnings =====
+// Standing "never show me" themes; the backend adds any a prompt asks to avoid
+function renderWarningPills() {
+  document.querySelectorAll(".js-warning").forEach(btn => {
+    btn.classList.toggle("off", warningPrefs.includes(btn.dataset.warning));
+  });
+}
 
-  items = Array.from(new Map((items || []).map(x => [`${x.media_type}:${x.id}`, x])).values());
+const warningRow = document.getElementById("warning-row");
+if (warningRow) {
+  warningRow.addEventListener("click", (e) => {
+    const btn = e.target.closest(".js-warning");
+    if (!btn) return;
+    const id = btn.dataset.warning;
+    warningPrefs = warningPrefs.includes(id) ? warningPrefs.filter(x => x !== id) : [...warningPrefs, id];
+    saveJson(LS_WARNING_PREFS, warningPrefs);
+    renderWarningPills();
+  });
+}
 
-  if (!items.length) {
-    resultBody.innerHTML =
-      "<p class='muted'>No results returned. Try removing provider filters or changing the vibe.</p>";
-    return;
-  }
+// ===== Group watch =====
+// People watching with you. You always take part with your own history and services;
+// everyone else brings a name, an optional kids age, their services and their own vetoes.
+const ME = "You";
 
-  if (resultsSub) resultsSub.textContent = `Top pick + ${Math.max(0, items.length - 1)} alternatives`;
+function loadGroup() { return loadJson(LS_GROUP, { enabled: false, people: [] }); }
+function saveGroup(group) { saveJson(LS_GROUP, group); }
+function groupActive() {
+  const g = loadGroup();
+  return g.enabled && g.people.length > 0;
+}
 
-  resultBody.innerHTML = items.map((item, idx) => {
-    const title = escapeHtml(item.title || "Untitled");
-    const year = item.release_date ? item.release_date.slice(0, 4) : "—";
-    const type = item.media_type === "tv" ? "Series" : "Movie";
-    const rating = item.vote_average ? `${Number(item.vote_average).toFixed(1)}/10` : "No rating";
-    const overview = escapeHtml(item.overview || "No description available.");
-    const poster = item.poster_path ? `<img class="result-poster" src="${item.poster_path}" alt="${title} poster" />` : "";
-    const providers = (Array.isArray(item.providers) && item.providers.length)
-      ? `Watch on: ${escapeHtml(item.providers.join(", "))}`
-      : `Watch on: (not listed for GB)`;
-    const reason = item.reason ? `<div class="result-reason">Why this: ${escapeHtml(item.reason)}</div>` : "";
-    const topBadge = idx === 0 ? `<span class="badge">Top pick</span>` : `<span class="badge">Alt</span>`;
+function groupParticipants() {
+  const me = {
+    name: ME,
+    liked: loadJson(LS_LIKED, []),
+    disliked: loadJson(LS_DISLIKED, []),
+    watched: loadWatched(),
+    subscriptions: providerPrefs.include
+  };
+  // An unnamed person is numbered by the server ("Person 2" and on, you are the first)
+  const others = loadGroup().people.map(p => ({
+    name: p.name || "",
+    kidsMaxAge: p.kidsMaxAge ?? null,
+    subscriptions: p.subscriptions || [],
+    liked: p.liked || [],
+    disliked: p.disliked || []
+  }));
+  return [me, ...others];
+}
 
-    return `
-      <article class="result-item" data-idx="${idx}">
-        ${poster}
-        <div style="flex:1">
-          <div class="result-title">${title} (${year}) ${topBadge}</div>
-          <div class="result-meta">⭐ ${rating} • ${type}</div>
-          <div class="result-meta">${providers}</div>
-          ${reason}
-          <div class="result-overview">${overview}</div>
-          <div class="actions-row">
-            <button class="btn-small js-like" data-idx="${idx}" type="button">👍 Like</button>
-            <button class="btn-small js-dislike" data-idx="${idx}" type="button">👎 Dislike</button>
-            <button class="btn-small js-add" data-idx="${idx}" type="button">➕ Playlist</button>
-            <button class="btn-small js-later" data-idx="${idx}" type="button">🕒 Watch later</button>
-          </div>
+function dislikeForPerson(name, item) {
+  const group = loadGroup();
+  const person = group.people.find((p, i) => (p.name || `Person ${i + 2}`) === name);
+  if (!person) return;
+  const n = normalizeItem(item);
+  person.disliked = [n, ...(person.disliked || []).filter(d => String(d.id) !== String(n.id))].slice(0, 250);
+  saveGroup(group);
+  renderGroup();
+}
+
+function renderGroup() {
+  const group = loadGroup();
+  if (groupEnabledEl) groupEnabledEl.checked = group.enabled;
+  if (groupPanel) groupPanel.hidden = !group.enabled;
+  if (!groupPeople) return;
+
+  groupPeople.innerHTML = group.people.length
+    ? group.people.map((p, i) => `
+        <div class="group-person" data-i="${i}">
+          <input class="field js-person-name" type="text" placeholder="${t("group.name")}" value="${escapeHtml(p.name || "")}" aria-label="${t("group.name")}" />
+          <input class="field js-person-age" type="number" min="0" max="18" placeholder="${t("group.age")}" value="${p.kidsMaxAge ?? ""}" aria-label="${t("group.ageLabel")}" />
+          <input class="field js-person-subs" type="text" placeholder="${t("group.services")}" value="${escapeHtml((p.subscriptions || []).join(", "))}" aria-label="${t("group.servicesLabel")}" />
+          ${p.disliked?.length ? `<span class="tiny" title="${escapeHtml(t("group.vetoedBy", { name: p.name || t("group.thisPerson") }))}">${p.disliked.length} 👎</span>` : ""}
+          <button class="btn-small js-person-remove" type="button" title="${t("common.remove")}">✕</button>
         </div>
-      </article>
-    `;
-  }).join("");
+      `).join("")
+    : `<div class="tiny muted">${t("group.empty")}</div>`;
 }
 
-// ===== Events =====
-if (aiForm) {
-  aiForm.addEventListener("submit", async (e) => {
-    e.preventDefault();
-    const prompt = (promptEl?.value || "").trim();
-    if (!prompt) return;
+// Names and fit labels come as codes from the server, the name itself stays the key for vetoes
+const fitName = f => (f.name === ME ? t("group.you") : f.number ? t("group.person", { n: f.number }) : f.name);
+const fitLabel = f => (f.code && hasMessage(`group.fit.${f.code}`) ? t(`group.fit.${f.code}`) : f.label);
+
+// Per-person fit on a result card; a veto button for everyone except you (your 👎 is the card's Dislike)
+function renderGroupFit(item, idx) {
+  if (!Array.isArray(item.groupFit) || !item.groupFit.length) return "";
+  return `<div class="group-fit">${item.groupFit.map(f => `
+    <span class="pill small fit-chip ${f.score < 40 ? "low" : ""}" title="${escapeHtml(fitLabel(f))}${f.seen ? `, ${t("group.seen")}` : ""}">
+      ${escapeHtml(fitName(f))}: ${escapeHtml(fitLabel(f))} (${f.score})${f.seen ? " 👁" : ""}
+      ${f.name === ME ? "" : `<button class="btn-small js-person-dislike" data-idx="${idx}" data-person="${escapeHtml(f.name)}" type="button" title="${escapeHtml(t("group.doesntWant", { name: fitName(f) }))}">👎</button>`}
+    </span>`).join("")}</div>`;
+}
 
-    lastPrompt = prompt;
-    lastRefreshToken = String(Date.now());
+if (groupEnabledEl) {
+  groupEnabledEl.addEventListener("change", () => {
+    const group = loadGroup();
+    group.enabled = groupEnabledEl.checked;
+    if (group.enabled && !group.people.length) group.people.push({ name: "", kidsMaxAge: null, subscriptions: [], disliked: [] });
+    saveGroup(group);
+    renderGroup();
+  });
+}
 
-    if (resultsCard) resultsCard.hidden = false;
-    if (resultBody) resultBody.innerHTML = "<p class='muted'>Thinking…</p>";
+document.getElementById("btn-add-person")?.addEventListener("click", () => {
+  const group = loadGroup();
+  group.people.push({ name: "", kidsMaxAge: null, subscriptions: [], disliked: [] });
+  saveGroup(group);
+  renderGroup();
+});
 
-    try {
-      const items = await fetchRecommendations(prompt, { refreshToken: lastRefreshToken });
-      lastItems = items;
-      renderResults(items);
-    } catch (err) {
-      console.error(err);
-      if (resultBody) resultBody.innerHTML = "<p class='muted'>Server error. Check Render logs.</p>";
+if (groupPeople) {
+  groupPeople.addEventListener("change", (e) => {
+    const row = e.target.closest(".group-person");
+    if (!row) return;
+    const group = loadGroup();
+    const person = group.people[Number(row.dataset.i)];
+    if (!person) return;
+
+    if (e.target.classList.contains("js-person-name")) person.name = e.target.value.trim().slice(0, 40);
+    if (e.target.classList.contains("js-person-age")) {
+      const age = e.target.value === "" ? null : Number(e.target.value);
+      person.kidsMaxAge = Number.isFinite(age) && age >= 0 && age <= 18 ? Math.round(age) : null;
     }
+    if (e.target.classList.contains("js-person-subs")) {
+      person.subscriptions = e.target.value.split(",").map(x => x.trim()).filter(Boolean);
+    }
+    saveGroup(group);
   });
-}
 
-if (btnRefresh) {
-  btnRefresh.addEventListener("click", async () => {
-    if (!lastPrompt) return toast("Search first.");
-    if (resultBody) resultBody.innerHTML = "<p class='muted'>Refreshing…</p>";
-    try {
-      lastRefreshToken = String(Date.now());
-      const items = await fetchRecommendations(lastPrompt, {
-        refreshToken: lastRefreshToken,
-        excludeIds: currentExcludeIds()
-      });
-      lastItems = items;
-      renderResults(items);
-      toast("Fresh picks.");
-    } catch (e) {
-      console.error(e);
-      if (resultBody) resultBody.innerHTML = "<p class='muted'>Refresh failed.</p>";
-    }
+  groupPeople.addEventListener("click", (e) => {
+    const btn = e.target.closest(".js-person-remove");
+    if (!btn) return;
+    const group = loadGroup();
+    group.people.splice(Number(btn.closest(".group-person").dataset.i), 1);
+    if (!group.people.length) group.enabled = false;
+    saveGroup(group);
+    renderGroup();
   });
 }
 
-if (btnSurprise) {
-  btnSurprise.addEventListener("click", () => {
-    const examples = [
-      "Surprise me with something cozy and fun.",
-      "Surprise me with a feel-good classic.",
-      "Surprise me with a clever comedy.",
-      "Surprise me with an intense thriller (not too scary).",
-      "Surprise me with a chill series for late night."
-    ];
-    const base = examples[Math.floor(Math.random() * examples.length)];
-    if (promptEl) promptEl.value = base;
-    aiForm?.dispatchEvent(new Event("submit", { cancelable: true }));
-  });
+// ===== Profiles =====
+// One browser, several people: each profile keeps its own likes, lists, services and account
+// (see profileKey). A kid profile adds an age limit, the services they may use and words to keep
+// out; while one is on, every search carries it as `kidsProfile` and the backend enforces it
+// whatever is typed (backend/parental.js). Leaving a kid profile, or clearing lists on one, takes
+// the parent PIN. The profile list stays on this device: not synced and not in backups.
+const KIDS_DEFAULT_AGE = 11;
+const AVATARS = ["🙂", "😎", "🦊", "🐼", "🐸", "🦄", "🐙", "🚀", "🌵", "🎸", "🧒", "👧", "👦"];
+
+// Runs before the rest of the file is set up (activeProfileId), so nothing here may use t() or later consts
+function loadProfiles() {
+  const saved = loadJson(LS_PROFILES, null);
+  if (saved) return saved;
+  // Kid profiles from before keep their settings and start with empty lists of their own
+  const kids = loadJson(LS_KIDS, null);
+  return {
+    pinHash: kids?.pinHash || "",
+    active: kids?.active || DEFAULT_PROFILE,
+    profiles: [
+      { id: DEFAULT_PROFILE, name: "", avatar: "🙂", kids: null },
+      ...(kids?.profiles || []).map(k => ({
+        id: k.id,
+        name: k.name,
+        avatar: "🧒",
+        kids: { maxAge: k.maxAge, providers: k.providers, blockedKeywords: k.blockedKeywords }
+      }))
+    ]
+  };
+}
+function saveProfiles(data) {
+  localStorage.setItem(LS_PROFILES, JSON.stringify(data));
+  localStorage.removeItem(LS_KIDS);
+}
+function currentProfileId() {
+  const data = loadProfiles();
+  return data.profiles.some(p => p.id === data.active) ? data.active : DEFAULT_PROFILE;
+}
+function activeProfile() {
+  return loadProfiles().profiles.find(p => p.id === activeProfileId) || null;
+}
+function activeKid() {
+  const profile = activeProfile();
+  return profile?.kids ? profile : null;
+}
+function profileName(p) {
+  return p.name || t(p.kids ? "kids.unnamed" : p.id === DEFAULT_PROFILE ? "profiles.main" : "profiles.unnamed");
+}
+function kidsProfileBody() {
+  const kid = activeKid();
+  return kid ? { name: kid.name, ...kid.kids } : undefined;
 }
 
-// Results buttons
-if (resultBody) {
-  resultBody.addEventListener("click", (e) => {
-    const likeBtn = e.target.closest(".js-like");
-    const dislikeBtn = e.target.closest(".js-dislike");
-    const addBtn = e.target.closest(".js-add");
-    const laterBtn = e.target.closest(".js-later");
-    if (!likeBtn && !dislikeBtn && !addBtn && !laterBtn) return;
+// Only a hash is stored; enough to keep a child out, not a secret against anyone with devtools
+async function hashPin(pin) {
+  const buf = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(`nextwatch-pin:${pin}`));
+  return Array.from(new Uint8Array(buf), b => b.toString(16).padStart(2, "0")).join("");
+}
 
-    const idx = Number((likeBtn || dislikeBtn || addBtn || laterBtn).dataset.idx);
-    const item = lastItems[idx];
-    if (!item) return;
+// true when the typed PIN matches, or when none has been set
+async function checkPin(message) {
+  const { pinHash } = loadProfiles();
+  if (!pinHash) return true;
+  const pin = prompt(message || t("kids.enterPin"));
+  if (pin == null) return false;
+  if ((await hashPin(pin.trim())) === pinHash) return true;
+  toast(t("kids.wrongPin"));
+  return false;
+}
 
-    if (likeBtn) {
-      addToLiked(item);
-      toast(`Liked: ${item.title}`);
-      likeBtn.textContent = "✅ Liked";
-      likeBtn.disabled = true;
-      return;
-    }
+// Grown-up only actions: free on a grown-up profile, PIN while a kid profile is on
+async function parentUnlock() {
+  return !activeKid() || checkPin();
+}
 
-    if (dislikeBtn) {
-      addToDisliked(item);
-      toast(`Disliked: ${item.title}`);
-      lastItems = lastItems.filter((_, i) => i !== idx);
-      renderResults(lastItems);
-      return;
-    }
+function renderProfiles() {
+  const data = loadProfiles();
+  const locked = Boolean(activeKid());
 
-    if (addBtn) {
-      const playlists = loadPlaylists();
-      const active = getActivePlaylistName();
-      if (!playlists.length) return toast("Create a playlist first.");
-      const target = active || playlists[0].name;
-      addToPlaylist(target, item);
-      toast(`Added to "${target}"`);
-      renderPlaylists();
-      return;
-    }
+  if (profileEl) {
+    profileEl.hidden = data.profiles.length < 2;
+    profileEl.innerHTML = data.profiles
+      .map(p => `<option value="${escapeHtml(p.id)}">${escapeHtml(p.avatar)} ${escapeHtml(profileName(p))}</option>`)
+      .join("");
+    profileEl.value = activeProfileId;
+  }
+  if (profilesBody) profilesBody.hidden = locked;
+  if (profilesLock) profilesLock.hidden = !locked;
+  if (parentPinEl) parentPinEl.placeholder = t(data.pinHash ? "kids.newPinPlaceholder" : "kids.pinPlaceholder");
+  if (!profileListEl) return;
+
+  profileListEl.innerHTML = data.profiles.map((p, i) => `
+    <div class="group-person profile-row" data-i="${i}">
+      <select class="select compact js-profile-avatar" aria-label="${t("profiles.avatar")}">
+        ${AVATARS.map(a => `<option${a === p.avatar ? " selected" : ""}>${a}</option>`).join("")}
+      </select>
+      <input class="field js-profile-name" type="text" placeholder="${escapeHtml(profileName(p))}" value="${escapeHtml(p.name || "")}" aria-label="${t("group.name")}" />
+      ${p.kids ? `
+        <input class="field js-kid-age" type="number" min="0" max="17" value="${p.kids.maxAge}" title="${t("kids.maxAge")}" aria-label="${t("kids.maxAge")}" />
+        <input class="field js-kid-services" type="text" placeholder="${t("kids.services")}" value="${escapeHtml(p.kids.providers.join(", "))}" aria-label="${t("group.servicesLabel")}" />
+        <input class="field js-kid-blocked" type="text" placeholder="${t("kids.blocked")}" value="${escapeHtml(p.kids.blockedKeywords.join(", "))}" aria-label="${t("kids.blockedLabel")}" />` : ""}
+      ${p.id === DEFAULT_PROFILE || p.id === activeProfileId ? "" : `<button class="btn-small js-profile-remove" type="button" title="${t("common.remove")}">✕</button>`}
+    </div>
+  `).join("");
+}
 
-    if (laterBtn) {
-      addWatchLater(item, lastPrompt);
-      toast("Saved to Watch later.");
-      renderWatchLater();
-    }
+// Starting a kid profile is free, leaving one needs the PIN. Everything is then read from the new
+// profile's storage and the results of the old one go.
+async function switchProfile(id) {
+  const data = loadProfiles();
+  const next = data.profiles.find(p => p.id === id);
+  if (!next || next.id === activeProfileId) return renderProfiles();
+  if (activeKid() && !(await checkPin(t("kids.pinToLeave")))) return renderProfiles();
+
+  data.active = next.id;
+  saveProfiles(data);
+  activeProfileId = next.id;
+  clearTimeout(syncTimer);
+  providerPrefs = loadJson(LS_PROVIDER_PREFS, { include: [], exclude: [] });
+  languagePrefs = loadJson(LS_LANGUAGE_PREFS, { include: [], exclude: [], englishOnly: false });
+  warningPrefs = loadJson(LS_WARNING_PREFS, []);
+  resetRefinement();
+  lastItems = [];
+  if (resultsCard) resultsCard.hidden = true;
+
+  renderPlaylists();
+  renderWatchLater();
+  renderWatched();
+  renderContinue();
+  renderImportReview();
+  renderProviderPills();
+  renderLanguagePills();
+  renderWarningPills();
+  renderGroup();
+  renderProfiles();
+  renderAccount();
+  setSyncStatus("");
+  toast(t("profiles.switchedTo", { name: profileName(next) }));
+  syncNow();
+  refreshProgress();
+}
+
+function addProfile(kids) {
+  const data = loadProfiles();
+  if (kids && !data.pinHash) return toast(t("kids.setPinFirst"));
+  const used = data.profiles.map(p => p.avatar);
+  data.profiles.push({
+    id: `p-${Date.now().toString(36)}`,
+    name: "",
+    avatar: kids ? "🧒" : AVATARS.find(a => !used.includes(a)) || AVATARS[0],
+    kids: kids ? { maxAge: KIDS_DEFAULT_AGE, providers: [], blockedKeywords: [] } : null
   });
+  saveProfiles(data);
+  renderProfiles();
 }
 
-// Playlist events
-if (playlistForm) {
+if (profileEl) profileEl.addEventListener("change", () => switchProfile(profileEl.value));
+
+if (pinForm) {
+  pinForm.addEventListener("submit", async (e) => {
+    e.preventDefault();
+    const pin = parentPinEl?.value.trim() || "";
+    if (!/^\d{4,8}$/.test(pin)) return toast(t("kids.pinInvalid"));
+    if (!(await checkPin(t("kids.currentPin")))) return;
+    const data = loadProfiles();
+    data.pinHash = await hashPin(pin);
+    saveProfiles(data);
+    if (parentPinEl) parentPinEl.value = "";
+    renderProfiles();
+    toast(t("kids.pinSaved"));
+  });
+}
+
+document.getElementById("btn-add-profile")?.addEventListener("click", () => addProfile(false));
+document.getElementById("btn-add-kid")?.addEventListener("click", () => addProfile(true));
+
+if (profileListEl) {
+  profileListEl.addEventListener("change", (e) => {
+    const row = e.target.closest(".profile-row");
+    if (!row || activeKid()) return;
+    const data = loadProfiles();
+    const profile = data.profiles[Number(row.dataset.i)];
+    if (!profile) return;
+
+    if (e.target.classList.contains("js-profile-avatar")) profile.avatar = e.target.value;
+    if (e.target.classList.contains("js-profile-name")) profile.name = e.target.value.trim().slice(0, 40);
+    if (profile.kids) {
+      const kids = profile.kids;
+      if (e.target.classList.contains("js-kid-age")) {
+        const age = Number(e.target.value);
+        kids.maxAge = e.target.value !== "" && Number.isFinite(age) && age >= 0 ? Math.min(17, Math.round(age)) : KIDS_DEFAULT_AGE;
+      }
+      if (e.target.classList.contains("js-kid-services")) kids.providers = e.target.value.split(",").map(x => x.trim()).filter(Boolean);
+      if (e.target.classList.contains("js-kid-blocked")) {
+        kids.blockedKeywords = e.target.value.toLowerCase().split(",").map(x => x.trim()).filter(Boolean).slice(0, 30);
+      }
+    }
+    saveProfiles(data);
+    renderProfiles();
+  });
+
+  // A removed profile takes everything saved under it along
+  profileListEl.addEventListener("click", (e) => {
+    const btn = e.target.closest(".js-profile-remove");
+    if (!btn || activeKid()) return;
+    const data = loadProfiles();
+    const i = Number(btn.closest(".profile-row").dataset.i);
+    const profile = data.profiles[i];
+    if (!profile || profile.id === DEFAULT_PROFILE || profile.id === activeProfileId) return;
+    if (!confirm(t("profiles.confirmDelete", { name: profileName(profile) }))) return;
+    for (const key of PROFILE_KEYS) localStorage.removeItem(profileKey(key, profile.id));
+    data.profiles.splice(i, 1);
+    saveProfiles(data);
+    renderProfiles();
+  });
+}
+
+// ===== Language switcher =====
+if (localeEl) localeEl.addEventListener("change", () => setLocale(localeEl.value));
+
+// ===== Region =====
+function renderRegion() {
+  if (regionEl) regionEl.value = getRegion();
+}
+if (regionEl) {
+  regionEl.addEventListener("change", () => {
+    setRegion(regionEl.value);
+    toast(t("toast.region", { region: regionEl.value }));
+    if (sharedList) openSharedPlaylist(sharedList.id);
+  });
+}
+
+// ===== API =====
+function recommendBody(prompt, opts = {}) {
+  return {
+    prompt,
+    mood: Number(moodEl?.value || 3),
+    minutes: Number(minutesEl?.value) || null,
+    localHour: getLocalHour(),
+    liked: loadJson(LS_LIKED, []),
+    disliked: loadJson(LS_DISLIKED, []),
+    watched: loadWatched(), // ✅ send watched history to backend
+    excludeIds: opts.excludeIds || [],
+    region: getRegion(),
+    refreshToken: opts.refreshToken || "",
+    providerInclude: providerPrefs.include,
+    providerExclude: providerPrefs.exclude,
+    availability: providerPrefs.availability || "any",
+    languages: languagePrefs,
+    contentWarnings: warningPrefs,
+    locale: uiLocale,
+    inProgress: inProgressShows(),
+    participants: groupActive() ? groupParticipants() : undefined,
+    kidsProfile: kidsProfileBody(),
+    // A follow-up refines the session the last results came with
+    session: opts.session,
+    message: opts.message
+  };
+}
+
+function serverError(res) {
+  const err = new Error(t("errors.server", { status: res.status }));
+  err.status = res.status;
+  return err;
+}
+
+async function fetchRecommendations(prompt, opts = {}, handlers = {}) {
+  const res = await fetch(`${API_BASE}/api/recommend`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(recommendBody(prompt, opts))
+  });
+
+  if (!res.ok) throw serverError(res);
+  const data = await res.json();
+  handlers.onDone?.(data);
+
+  return Array.isArray(data.results) ? data.results : [];
+}
+
+// Server-Sent Events over a POST: calls handlers.onStage / onResult as the backend works and
+// onDone with the full payload, resolves with the final results. Falls back to the plain
+// endpoint if streaming is unavailable.
+async function streamRecommendations(prompt, opts = {}, handlers = {}) {
+  const res = await fetch(`${API_BASE}/api/recommend/stream`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", Accept: "text/event-stream" },
+    body: JSON.stringify(recommendBody(prompt, opts))
+  });
+
+  if (res.status === 404 || !res.body?.getReader) return fetchRecommendations(prompt, opts, handlers);
+  if (!res.ok) throw serverError(res);
+
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buf = "";
+  let final = null;
+
+  const handle = (frame) => {
+    let event = "message";
+    const data = [];
+    for (const line of frame.split("\n")) {
+      if (line.startsWith("event:")) event = line.slice(6).trim();
+      else if (line.startsWith("data:")) data.push(line.slice(5).trimStart());
+    }
+    if (!data.length) return;
+    const payload = JSON.parse(data.join("\n"));
+    if (event === "stage") handlers.onStage?.(payload);
+    else if (event === "result") handlers.onResult?.(payload.result, payload.index);
+    else if (event === "done") final = payload;
+    else if (event === "error") throw new Error(payload.error || "Server error");
+  };
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buf += decoder.decode(value, { stream: true });
+    let cut;
+    while ((cut = buf.indexOf("\n\n")) !== -1) {
+      handle(buf.slice(0, cut));
+      buf = buf.slice(cut + 2);
+    }
+  }
+  if (buf.trim()) handle(buf);
+
+  if (!final) throw new Error("Stream ended early");
+  handlers.onDone?.(final);
+  return Array.isArray(final.results) ? final.results : [];
+}
+
+// ===== Results render =====
+function renderResults(items) {
+  if (!resultBody) return;
+
+  items = Array.from(new Map((items || []).map(x => [`${x.media_type}:${x.id}`, x])).values());
+
+  if (!items.length) {
+    resultBody.innerHTML = `<p class='muted'>${t("results.empty")}</p>`;
+    return;
+  }
+
+  if (resultsSub) resultsSub.textContent = t("results.sub", { count: Math.max(0, items.length - 1) });
+
+  resultBody.innerHTML = items.map((item, idx) => renderResultCard(item, idx)).join("");
+}
+
+// ===== Match signals =====
+// Backend-checked reasons a pick matched, relaxed constraints last and marked
+const SIGNAL_ICONS = { genre: "🎭", keyword: "🔑", actor: "🎬", era: "📅", runtime: "⏱️", language: "🗣️", media: "📺", mood: "🎚️", taste: "❤️", kids: "🧒", warning: "🛡️", provider: "📡", relaxed: "⚠️" };
+
+// Signals and refine change notes carry a code and params to word here; their text is the
+// English wording, used for anything the catalogs do not know
+const hasMessage = key => key in I18N.en;
+const genreLabel = id => (hasMessage(`genre.${id}`) ? t(`genre.${id}`) : "");
+const warningLabels = ids => (ids || []).map(id => t(`warning.${id}`)).join(", ");
+
+// "1h 35m, under 2h" or "45m episodes, under 50m · 2 seasons"
+function runtimeSignalText(p) {
+  const parts = [];
+  if (p.minutes) {
+    const length = p.tv ? t("length.episodes", { length: formatRuntime(p.minutes) }) : formatRuntime(p.minutes);
+    parts.push(t(p.under ? "signal.runtime.under" : "signal.runtime.over", { length, limit: formatRuntime(p.under || p.over) }));
+  }
+  if (p.seasons) parts.push(tn("length.seasons", p.seasons));
+  return parts.join(" · ");
+}
+
+function signalText(s) {
+  const p = s.params || {};
+  switch (s.code) {
+    case "genre":
+      return p.genres.map(genreLabel).filter(Boolean).join(" + ") || s.text;
+    case "runtime":
+      return runtimeSignalText(p) || s.text;
+    case "language":
+      return t("signal.language", { language: languageLabel(p.language) });
+    case "warning.clear":
+    case "warning.unchecked":
+      return t(`signal.${s.code}`, { warnings: warningLabels(p.warnings) });
+    default:
+      return s.code && hasMessage(`signal.${s.code}`) ? t(`signal.${s.code}`, p) : s.text;
+  }
+}
+
+// Reasons from the offline ranker and more-like-this; a model's reason is already in the UI's language
+function reasonText(r) {
+  const p = r.params || {};
+  switch (r.code) {
+    case "genre": {
+      const genres = p.genres.map(genreLabel).filter(Boolean).join(" + ");
+      return genres ? t("reason.genre", { genres }) : r.text;
+    }
+    case "quality":
+      return t("reason.quality", { rating: Number(p.rating).toFixed(1) });
+    case "themes":
+      return t("reason.themes", { title: p.title, themes: p.themes.join(", ") });
+    default:
+      return r.code && hasMessage(`reason.${r.code}`) ? t(`reason.${r.code}`, p) : r.text;
+  }
+}
+
+function changeText(c) {
+  const p = c.params || {};
+  switch (c.code) {
+    case "moreGenre":
+    case "noGenre":
+      return genreLabel(p.genre) ? t(`change.${c.code}`, { genre: genreLabel(p.genre) }) : c.text;
+    case "runtimeMax":
+    case "runtimeMin":
+      return t(`change.${c.code}`, { length: formatRuntime(p.minutes) });
+    case "seasons":
+      return tn("change.seasons", p.count);
+    case "language":
+    case "noLanguage":
+      return t(`change.${c.code}`, { language: languageLabel(p.language) });
+    case "warning":
+      return t("change.warning", { warning: t(`warning.${p.warning}`) });
+    default:
+      return c.code && hasMessage(`change.${c.code}`) ? t(`change.${c.code}`, p) : c.text;
+  }
+}
+
+function renderSignals(item) {
+  if (!Array.isArray(item.signals) || !item.signals.length) return "";
+  return `<div class="pill-row signal-row">${item.signals.map(s => `
+    <span class="pill small signal ${s.kind === "relaxed" ? "relaxed" : ""}" title="${escapeHtml(s.kind)}">${SIGNAL_ICONS[s.kind] || "✓"} ${escapeHtml(signalText(s))}</span>`).join("")}</div>`;
+}
+
+// "1h 35m" for a movie, "45m episodes · 2 seasons" for a series
+function formatLength(item) {
+  if (item.media_type === "tv") {
+    const parts = [];
+    if (item.episode_runtime) parts.push(t("length.episodes", { length: formatRuntime(item.episode_runtime) }));
+    if (item.seasons) parts.push(tn("length.seasons", item.seasons));
+    return parts.join(" · ");
+  }
+  return formatRuntime(item.runtime);
+}
+
+function renderResultCard(item, idx) {
+  const title = escapeHtml(item.title || "Untitled");
+  const year = item.release_date ? item.release_date.slice(0, 4) : "—";
+  const type = mediaLabel(item.media_type);
+  const length = formatLength(item);
+  const language = languageLabel(item.original_language);
+  const rating = item.vote_average ? `${Number(item.vote_average).toFixed(1)}/10` : t("results.noRating");
+  const overview = escapeHtml(item.overview || t("results.noOverview"));
+  const poster = item.poster_path ? `<img class="result-poster" src="${item.poster_path}" alt="${escapeHtml(t("results.poster", { title: item.title || t("common.untitled") }))}" />` : "";
+  const why = Array.isArray(item.reasons) && item.reasons.length ? item.reasons.map(reasonText).join(" · ") : item.reason;
+  const reason = why ? `<div class="result-reason">${escapeHtml(t("results.why", { reason: why }))}</div>` : "";
+  const topBadge = idx === 0 ? `<span class="badge">${t("results.topPick")}</span>` : `<span class="badge">${t("results.alt")}</span>`;
+
+  return `
+    <article class="result-item js-detail" data-idx="${idx}" data-type="${item.media_type}" data-id="${item.id}">
+      ${poster}
+      <div style="flex:1">
+        <div class="result-title">${title} (${year}) ${topBadge}</div>
+        <div class="result-meta">⭐ ${rating} • ${type}${length ? ` • ${length}` : ""}${language ? ` • ${escapeHtml(language)}` : ""}${item.certification ? ` • ${escapeHtml(item.certification)}` : ""}</div>
+        <div class="result-providers">${renderProviderTiers(item.providers, getRegion())}</div>
+        ${reason}
+        ${renderSignals(item)}
+        ${renderGroupFit(item, idx)}
+        <div class="result-overview">${overview}</div>
+        <div class="actions-row">
+          <button class="btn-small js-like" data-idx="${idx}" type="button">${t("actions.like")}</button>
+          <button class="btn-small js-dislike" data-idx="${idx}" type="button">${t("actions.dislike")}</button>
+          <button class="btn-small js-add" data-idx="${idx}" type="button">${t("actions.playlist")}</button>
+          <button class="btn-small js-later" data-idx="${idx}" type="button">${t("actions.later")}</button>
+          ${moreLikeButton(item)}
+        </div>
+      </div>
+    </article>
+  `;
+}
+
+// Stage messages while the stream is running
+function stageText(ev) {
+  if (ev.stage === "intent") {
+    const type = ev.intent?.mediaType === "tv" ? "series" : ev.intent?.mediaType === "movie" ? "movies" : "titles";
+    return t("stage.intent", { type: t(`stage.${type}`) });
+  }
+  if (ev.stage === "candidates") return t("stage.candidates", { count: ev.count });
+  if (ev.stage === "picks") return t("stage.picks");
+  return t("stage.thinking");
+}
+
+// Streams cards into the results card as they are accepted, then settles on the final list
+async function runRecommendations(prompt, opts, loadingText) {
+  if (!resultBody) return [];
+  resultBody.innerHTML = `<p class='muted' id='stream-status'>${loadingText}</p><div id='stream-cards'></div>`;
+  if (resultsSub) resultsSub.textContent = "";
+  lastItems = [];
+
+  // A card disliked mid-stream re-renders the list, so look the containers up each time
+  const isDisliked = (item) => loadJson(LS_DISLIKED, []).some(d => String(d.id) === String(item.id));
+  const sameKey = (a, b) => a.media_type === b.media_type && String(a.id) === String(b.id);
+
+  const items = await streamRecommendations(prompt, opts, {
+    onStage: (ev) => {
+      const statusEl = document.getElementById("stream-status");
+      if (statusEl) statusEl.textContent = stageText(ev);
+    },
+    onResult: (item) => {
+      if (isDisliked(item)) return;
+      lastItems.push(item);
+      const cardsEl = document.getElementById("stream-cards");
+      if (cardsEl) cardsEl.insertAdjacentHTML("beforeend", renderResultCard(item, lastItems.length - 1));
+      else renderResults(lastItems);
+      if (resultsSub) resultsSub.textContent = t("results.soFar", { count: lastItems.length });
+    },
+    onDone: (payload) => {
+      lastSession = payload.session || null;
+      if (payload.refinement) addRefineMessage("reply", payload.refinement.changes.map(changeText).join(" · "));
+      if (refinePanel) refinePanel.hidden = !lastSession;
+    }
+  });
+
+  const final = items.filter(x => !isDisliked(x));
+  const unchanged = final.length === lastItems.length && final.every((x, i) => sameKey(x, lastItems[i]));
+  lastItems = final;
+  if (unchanged && final.length) {
+    document.getElementById("stream-status")?.remove();
+    if (resultsSub) resultsSub.textContent = t("results.sub", { count: Math.max(0, final.length - 1) });
+  } else {
+    renderResults(final);
+  }
+  return final;
+}
+
+// ===== Refinement chat =====
+// Follow-ups ("less scary", "only series") change the last search instead of starting over;
+// the backend keeps the intent in the session token each response carries.
+function addRefineMessage(who, text) {
+  if (!refineLog || !text) return;
+  refineLog.insertAdjacentHTML("beforeend", `<div class="refine-msg ${who}">${escapeHtml(text)}</div>`);
+  refineLog.scrollTop = refineLog.scrollHeight;
+}
+
+function resetRefinement() {
+  lastSession = null;
+  if (refineLog) refineLog.innerHTML = "";
+  if (refinePanel) refinePanel.hidden = true;
+}
+
+async function refineResults(message) {
+  if (!lastSession) return toast(t("toast.searchFirst"));
+  addRefineMessage("user", message);
+  lastRefreshToken = String(Date.now());
+  try {
+    await runRecommendations(lastPrompt, { session: lastSession, message, refreshToken: lastRefreshToken }, t("stage.refining"));
+  } catch (err) {
+    console.error(err);
+    if (err.status === 410 || err.status === 400) {
+      resetRefinement();
+      toast(t(err.status === 410 ? "refine.expired" : "refine.invalid"));
+    } else {
+      addRefineMessage("reply", t("refine.failed"));
+    }
+  }
+}
+
+// ===== More like this =====
+// Seeded from one title (backend/morelike.js); results replace the current picks
+function moreLikeButton(item) {
+  if (!item?.id || !Number.isInteger(Number(item.id))) return "";
+  const type = item.media_type === "tv" ? "tv" : "movie";
+  return `<button class="btn-small js-more-like" data-type="${type}" data-id="${item.id}" data-title="${escapeHtml(item.title || "")}" type="button">${t("actions.moreLike")}</button>`;
+}
+
+function moreLikeBody() {
+  const { liked, disliked, watched, region, locale, providerInclude, providerExclude, availability, contentWarnings, kidsProfile } = recommendBody("");
+  const ages = groupActive() ? loadGroup().people.map(p => p.kidsMaxAge).filter(a => a != null) : [];
+  return {
+    liked,
+    disliked,
+    watched: [...watched, ...inProgressShows()],
+    region,
+    locale,
+    providerInclude,
+    providerExclude,
+    availability,
+    kidsMaxAge: ages.length ? Math.min(...ages) : null,
+    contentWarnings,
+    kidsProfile
+  };
+}
+
+async function showMoreLike(mediaType, id, title) {
+  if (!resultBody || !id) return;
+  resetRefinement();
+  if (resultsCard) resultsCard.hidden = false;
+  if (resultsSub) resultsSub.textContent = "";
+  resultBody.innerHTML = `<p class='muted'>${escapeHtml(t("moreLike.finding", { title: title || t("moreLike.thisOne") }))}</p>`;
+
+  try {
+    const res = await fetch(`${API_BASE}/api/more-like/${mediaType === "tv" ? "tv" : "movie"}/${encodeURIComponent(id)}`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(moreLikeBody())
+    });
+    if (res.status === 404) throw new Error(t("detail.notFound"));
+    if (!res.ok) throw serverError(res);
+    const data = await res.json();
+
+    const disliked = loadJson(LS_DISLIKED, []);
+    lastItems = (data.results || []).filter(x => !disliked.some(d => String(d.id) === String(x.id)));
+    renderResults(lastItems);
+    if (resultsSub && lastItems.length) resultsSub.textContent = t("moreLike.sub", { title: data.seed?.title || title });
+  } catch (err) {
+    console.error(err);
+    resultBody.innerHTML = `<p class='muted'>${escapeHtml(err.message)}</p>`;
+  }
+}
+
+// ===== Title details =====
+let detailItem = null;
+
+function formatRuntime(minutes) {
+  if (!minutes) return "";
+  const h = Math.floor(minutes / 60);
+  const m = minutes % 60;
+  return h ? `${h}h${m ? ` ${m}m` : ""}` : `${m}m`;
+}
+
+async function openDetail(mediaType, id) {
+  const modal = document.getElementById("detail-modal");
+  const body = document.getElementById("detail-body");
+  if (!modal || !body || !id) return;
+
+  modal.hidden = false;
+  body.innerHTML = `<p class='muted'>${t("detail.loading")}</p>`;
+  detailItem = null;
+
+  try {
+    const res = await fetch(`${API_BASE}/api/title/${mediaType === "tv" ? "tv" : "movie"}/${encodeURIComponent(id)}?region=${getRegion()}&locale=${uiLocale}`);
+    if (res.status === 404) throw new Error(t("detail.notFound"));
+    if (!res.ok) throw new Error(t("errors.server", { status: res.status }));
+    detailItem = await res.json();
+    body.innerHTML = renderDetail(detailItem);
+    if (detailItem.media_type === "tv") loadDetailEpisodes(detailItem);
+  } catch (err) {
+    body.innerHTML = `<p class='muted'>${escapeHtml(err.message)}</p>`;
+  }
+}
+
+function renderDetail(d) {
+  const title = escapeHtml(d.title || "Untitled");
+  const year = d.release_date ? d.release_date.slice(0, 4) : "—";
+  const backdrop = d.backdrop_path ? `<img class="detail-backdrop" src="${escapeHtml(d.backdrop_path)}" alt="">` : "";
+  const poster = d.poster_path ? `<img class="result-poster" src="${escapeHtml(d.poster_path)}" alt="${escapeHtml(t("results.poster", { title: d.title || t("common.untitled") }))}">` : "";
+
+  const length = d.media_type === "tv"
+    ? [d.seasons ? tn("length.seasons", d.seasons) : "", d.episodes ? t("detail.episodeCount", { count: d.episodes }) : "", formatRuntime(d.episode_runtime) && t("detail.perEpisode", { length: formatRuntime(d.episode_runtime) })]
+    : [formatRuntime(d.runtime)];
+  const meta = [
+    d.vote_average ? `⭐ ${Number(d.vote_average).toFixed(1)}/10` : "",
+    mediaLabel(d.media_type),
+    ...length,
+    d.certification || ""
+  ].filter(Boolean).map(escapeHtml).join(" • ");
+
+  const people = d.media_type === "tv"
+    ? (d.creators?.length ? t("detail.createdBy", { names: d.creators.map(p => p.name).join(", ") }) : "")
+    : (d.directors?.length ? t("detail.directedBy", { names: d.directors.map(p => p.name).join(", ") }) : "");
+  const cast = d.cast?.length ? t("detail.starring", { names: d.cast.slice(0, 6).map(c => c.name).join(", ") }) : "";
+  const genres = (d.genres || []).map(g => g.name).join(", ");
+
+  const providerLink = d.providers?.link
+    ? `<a class="tiny" href="${escapeHtml(d.providers.link)}" target="_blank" rel="noopener">${escapeHtml(t("detail.allOptions", { region: d.region }))}</a>`
+    : "";
+
+  const trailers = (d.trailers || []).slice(0, 3)
+    .map(v => `<a class="btn-small" href="${escapeHtml(v.url)}" target="_blank" rel="noopener">▶ ${escapeHtml(v.name || v.type)}</a>`)
+    .join("");
+  const keywords = (d.keywords || []).slice(0, 12).map(k => `<span class="pill small">${escapeHtml(k.name)}</span>`).join("");
+
+  return `
+    ${backdrop}
+    <div class="detail-head">
+      ${poster}
+      <div style="flex:1">
+        <h2>${title} (${year})</h2>
+        ${d.tagline ? `<p class="detail-tagline muted">${escapeHtml(d.tagline)}</p>` : ""}
+        <div class="result-meta">${meta}</div>
+        ${genres ? `<div class="result-meta">${escapeHtml(genres)}</div>` : ""}
+        ${people ? `<div class="result-meta">${escapeHtml(people)}</div>` : ""}
+        ${cast ? `<div class="result-meta">${escapeHtml(cast)}</div>` : ""}
+        <div class="actions-row">
+          <button class="btn-small js-detail-later" type="button">${t("actions.later")}</button>
+          <button class="btn-small js-detail-add" type="button">${t("actions.playlist")}</button>
+          <button class="btn-small js-detail-watched" type="button">${t("actions.watched")}</button>
+          ${moreLikeButton(d)}
+          ${trailers}
+        </div>
+      </div>
+    </div>
+    <div class="detail-section result-overview">${escapeHtml(d.overview || t("results.noOverview"))}</div>
+    <div class="detail-section">
+      <h3>${escapeHtml(t("detail.whereToWatch", { region: d.region }))}</h3>
+      ${renderProviderTiers(d.providers, d.region)}
+      ${providerLink}
+    </div>
+    ${d.media_type === "tv" ? `<div class="detail-section"><h3>${t("detail.episodes")}</h3><div id="detail-episodes"><p class="muted">${t("detail.loadingEpisodes")}</p></div></div>` : ""}
+    ${keywords ? `<div class="detail-section"><h3>${t("detail.keywords")}</h3><div class="pill-row">${keywords}</div></div>` : ""}
+  `;
+}
+
+function closeDetail() {
+  const modal = document.getElementById("detail-modal");
+  if (modal) modal.hidden = true;
+  detailItem = null;
+}
+
+// ===== Import history =====
+// Letterboxd CSVs (diary, ratings, watched, watchlist, likes), IMDb CSVs (ratings, watchlist) and
+// Trakt JSON exports are parsed here into rows { source, title, year, mediaType, imdbId, tmdbId,
+// rating (1-10), lists, watchedAt }; the backend matches them to TMDB (backend/importer.js).
+// Rows it could not match wait in LS_IMPORT_REVIEW until a title is picked or they are skipped.
+const IMPORT_BATCH = 50;
+const IMPORT_REVIEW_MAX = 500;
+
+function loadImportReview() { return loadJson(LS_IMPORT_REVIEW, []); }
+function saveImportReview(list) { localStorage.setItem(profileKey(LS_IMPORT_REVIEW), JSON.stringify(list.slice(0, IMPORT_REVIEW_MAX))); }
+
+// RFC 4180: quoted fields may hold commas, newlines and doubled quotes
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  const src = String(text || "").replace(/^\uFEFF/, "");
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ",") { row.push(field); field = ""; }
+    else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else field += ch;
+  }
+  if (field || row.length) { row.push(field); rows.push(row); }
+  return rows.filter(r => r.some(c => c.trim()));
+}
+
+function csvRecords(text) {
+  const [header = [], ...rows] = parseCsv(text);
+  const cols = header.map(h => h.trim());
+  return { cols, records: rows.map(r => Object.fromEntries(cols.map((c, i) => [c, (r[i] || "").trim()]))) };
+}
+
+const importDate = (s) => { const t = Date.parse(s); return Number.isFinite(t) ? t : null; };
+const importYear = (s) => Number(String(s || "").slice(0, 4)) || null;
+
+function letterboxdRows(name, records) {
+  const lists = name.includes("watchlist") ? ["watchlater"] : name.includes("like") || name === "films.csv" ? ["liked"] : ["watched"];
+  return records.map(r => {
+    const stars = Number(r.Rating);
+    return {
+      source: "Letterboxd",
+      title: r.Name,
+      year: Number(r.Year) || null,
+      mediaType: "movie",
+      rating: stars > 0 ? Math.max(1, Math.round(stars * 2)) : null,
+      lists,
+      watchedAt: importDate(r["Watched Date"] || r.Date)
+    };
+  });
+}
+
+// IMDb title types, in both the old ("tvSeries") and new ("TV Series") spelling
+function imdbMediaType(type) {
+  const t = String(type || "").toLowerCase().replace(/\s+/g, "");
+  if (t === "tvepisode") return null;
+  return t === "tvseries" || t === "tvminiseries" ? "tv" : "movie";
+}
+
+function imdbRows(name, cols, records) {
+  const rated = cols.includes("Your Rating");
+  return records
+    .map(r => ({
+      source: "IMDb",
+      title: r.Title,
+      year: Number(r.Year) || importYear(r["Release Date"]),
+      mediaType: imdbMediaType(r["Title Type"]),
+      imdbId: r.Const,
+      rating: rated ? Number(r["Your Rating"]) || null : null,
+      lists: rated ? ["watched"] : ["watchlater"],
+      watchedAt: importDate(r["Date Rated"] || r.Created)
+    }))
+    // Single episodes are left out, their show is what the lists hold
+    .filter(r => r.mediaType);
+}
+
+function traktRows(name, data) {
+  const entries = Array.isArray(data) ? data : [];
+  return entries
+    .map(e => {
+      const obj = e.movie || e.show;
+      if (!obj) return null;
+      const rating = Number(e.rating) || null;
+      const later = name.includes("watchlist") || (e.listed_at && !rating && !e.plays && !e.watched_at);
+      return {
+        source: "Trakt",
+        title: obj.title,
+        year: Number(obj.year) || null,
+        mediaType: e.movie ? "movie" : "tv",
+        imdbId: obj.ids?.imdb || null,
+        tmdbId: obj.ids?.tmdb || null,
+        rating,
+        lists: later ? ["watchlater"] : ["watched"],
+        watchedAt: importDate(e.last_watched_at || e.watched_at || e.rated_at || e.listed_at)
+      };
+    })
+    .filter(Boolean);
+}
+
+// { source, rows } for one export file, throws when the format is not recognised
+function importRowsFromFile(fileName, text) {
+  const name = String(fileName || "").toLowerCase();
+  if (name.endsWith(".json") || /^\s*[[{]/.test(text)) {
+    let data;
+    try { data = JSON.parse(text); } catch { throw new Error(t("import.badJson", { file: fileName })); }
+    return { source: "Trakt", rows: traktRows(name, data) };
+  }
+  const { cols, records } = csvRecords(text);
+  if (cols.includes("Letterboxd URI")) return { source: "Letterboxd", rows: letterboxdRows(name, records) };
+  if (cols.includes("Const") && cols.includes("Title")) return { source: "IMDb", rows: imdbRows(name, cols, records) };
+  throw new Error(t("import.unknownFile", { file: fileName }));
+}
+
+// The same film from diary, ratings and watched files becomes one row
+function mergeImportRows(rows) {
+  const byKey = new Map();
+  for (const r of rows) {
+    if (!r.title && !r.imdbId && !r.tmdbId) continue;
+    const key = r.tmdbId ? `tmdb:${r.mediaType}:${r.tmdbId}` : r.imdbId ? `imdb:${r.imdbId}` : `${r.mediaType}:${String(r.title).toLowerCase()}:${r.year || ""}`;
+    const seen = byKey.get(key);
+    if (!seen) { byKey.set(key, { ...r, lists: [...r.lists] }); continue; }
+    seen.lists = Array.from(new Set([...seen.lists, ...r.lists]));
+    if ((r.watchedAt || 0) > (seen.watchedAt || 0)) {
+      seen.watchedAt = r.watchedAt;
+      if (r.rating) seen.rating = r.rating;
+    }
+    seen.rating ||= r.rating;
+    seen.imdbId ||= r.imdbId;
+    seen.tmdbId ||= r.tmdbId;
+  }
+  return Array.from(byKey.values());
+}
+
+async function matchImportRows(rows) {
+  const res = await fetch(`${API_BASE}/api/import/match`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ rows: rows.map(r => ({ title: r.title, year: r.year, mediaType: r.mediaType, imdbId: r.imdbId, tmdbId: r.tmdbId })) })
+  });
+  if (!res.ok) throw serverError(res);
+  return (await res.json()).matches || [];
+}
+
+/**
+ * Put matched rows into the lists. Nothing the user already chose is overwritten:
+ * existing watched entries only gain a missing rating, and a title already liked or
+ * disliked keeps its place. Ratings of 8+ count as likes, 4 or less as dislikes.
+ */
+function applyImported(matched) {
+  const watched = loadWatched();
+  const later = loadWatchLater();
+  const liked = loadJson(LS_LIKED, []);
+  const disliked = loadJson(LS_DISLIKED, []);
+  const has = (list, id) => list.some(x => String(x.id) === String(id));
+  const counts = { watched: 0, watchlater: 0, liked: 0, disliked: 0 };
+  const newLiked = [];
+  const newDisliked = [];
+
+  for (const { row, item } of matched) {
+    const n = normalizeItem(item);
+    const isWatched = row.lists.includes("watched") || row.lists.includes("liked") || row.rating;
+    if (isWatched) {
+      const existing = watched.find(w => String(w.id) === String(n.id));
+      const saved = later.findIndex(x => String(x.id) === String(n.id));
+      if (saved !== -1) later.splice(saved, 1);
+      if (existing) existing.rating ??= row.rating;
+      else {
+        watched.push({ ...n, vibePrompt: "", rating: row.rating, watchedAt: row.watchedAt || Date.now(), importedFrom: row.source });
+        counts.watched++;
+      }
+    } else if (row.lists.includes("watchlater") && !has(later, n.id) && !has(watched, n.id)) {
+      later.push({ ...n, vibePrompt: "", addedAt: row.watchedAt || Date.now() });
+      counts.watchlater++;
+    }
+
+    if (has(liked, n.id) || has(disliked, n.id) || has(newLiked, n.id) || has(newDisliked, n.id)) continue;
+    if (row.lists.includes("liked") || row.rating >= 8) newLiked.push({ ...n, at: row.watchedAt || 0 });
+    else if (row.rating && row.rating <= 4) newDisliked.push({ ...n, at: row.watchedAt || 0 });
+  }
+
+  // Most recent first, the user's own picks stay ahead of imported ones
+  const recent = (list) => list.sort((a, b) => b.at - a.at).map(({ at, ...x }) => x);
+  counts.liked = newLiked.length;
+  counts.disliked = newDisliked.length;
+  saveWatched(watched.sort((a, b) => (b.watchedAt || 0) - (a.watchedAt || 0)));
+  saveWatchLater(later.slice(0, 120));
+  if (newLiked.length) saveJson(LS_LIKED, [...liked, ...recent(newLiked)].slice(0, 120));
+  if (newDisliked.length) saveJson(LS_DISLIKED, [...disliked, ...recent(newDisliked)].slice(0, 250));
+  return counts;
+}
+
+function setImportStatus(text) {
+  if (importStatusEl) importStatusEl.textContent = text;
+}
+
+async function importFiles(files) {
+  const parsed = [];
+  for (const file of files) {
+    try {
+      parsed.push(importRowsFromFile(file.name, await file.text()));
+    } catch (err) {
+      toast(err.message);
+    }
+  }
+  const rows = mergeImportRows(parsed.flatMap(p => p.rows));
+  if (!rows.length) return setImportStatus(t("import.nothing"));
+
+  const matched = [];
+  const review = [];
+  let queue = rows.map(row => ({ row, tries: 0 }));
+  let done = 0;
+  while (queue.length) {
+    const batch = queue.slice(0, IMPORT_BATCH);
+    queue = queue.slice(IMPORT_BATCH);
+    setImportStatus(t("import.matching", { done, total: rows.length }));
+    let matches;
+    try {
+      matches = await matchImportRows(batch.map(b => b.row));
+    } catch (err) {
+      setImportStatus(t("import.stopped", { error: err.message, count: matched.length }));
+      break;
+    }
+    for (const m of matches) {
+      const entry = batch[m.index];
+      if (!entry) continue;
+      // Cut off by the server's deadline: one more try at the end
+      if (m.status === "failed" && entry.tries < 1) { queue.push({ ...entry, tries: 1 }); continue; }
+      done++;
+      if (m.status === "matched") matched.push({ row: entry.row, item: m.item });
+      else if (m.status !== "invalid") review.push({ row: entry.row, candidates: m.candidates || [] });
+    }
+  }
+
+  const counts = applyImported(matched);
+  saveImportReview([...review, ...loadImportReview()]);
+  renderWatched();
+  renderWatchLater();
+  renderImportReview();
+  const sources = Array.from(new Set(parsed.map(p => p.source))).join(", ");
+  setImportStatus(
+    t("import.summary", { sources, watched: counts.watched, liked: counts.liked, disliked: counts.disliked, later: counts.watchlater }) +
+    (review.length ? ` ${t("import.review", { count: review.length })}` : "")
+  );
+}
+
+function renderImportReview() {
+  if (!importReviewEl) return;
+  const list = loadImportReview();
+  if (!list.length) { importReviewEl.innerHTML = ""; return; }
+
+  importReviewEl.innerHTML = `
+    <div class="split">
+      <h3>${t("import.notMatched", { count: list.length })}</h3>
+      <button class="btn ghost" id="btn-import-skip-all" type="button">${t("import.skipAll")}</button>
+    </div>
+    ${list.slice(0, 50).map((r, idx) => {
+      const row = r.row;
+      const meta = [row.source, row.year, mediaLabel(row.mediaType), row.rating ? `${row.rating}/10` : ""].filter(Boolean).join(" • ");
+      const candidates = r.candidates.map((c, ci) => `
+        <button class="import-candidate js-import-pick" data-idx="${idx}" data-cand="${ci}" type="button" title="${t("import.useTitle")}">
+          ${c.poster_path ? `<img class="mini-poster" src="${escapeHtml(c.poster_path)}" alt="">` : ""}
+          <span>${escapeHtml(c.title)} (${c.release_date ? c.release_date.slice(0, 4) : "—"})</span>
+        </button>`).join("");
+      return `
+        <div class="import-row">
+          <div class="mini-title">${escapeHtml(row.title || row.imdbId || "Untitled")}</div>
+          <div class="mini-meta">${escapeHtml(meta)}</div>
+          <div class="import-candidates">${candidates || `<span class="tiny muted">${t("import.noClose")}</span>`}</div>
+          <form class="inline js-import-search" data-idx="${idx}">
+            <input type="text" value="${escapeHtml(row.title || "")}" aria-label="${t("import.searchTitle")}" />
+            <button class="btn-small" type="submit">${t("import.search")}</button>
+            <button class="btn-small js-import-skip" data-idx="${idx}" type="button">${t("import.skip")}</button>
+          </form>
+        </div>`;
+    }).join("")}
+    ${list.length > 50 ? `<div class="tiny muted">${t("import.first50")}</div>` : ""}
+  `;
+}
+
+function resolveImportReview(idx, item) {
+  const list = loadImportReview();
+  const entry = list[idx];
+  if (!entry) return;
+  list.splice(idx, 1);
+  saveImportReview(list);
+  if (item) {
+    applyImported([{ row: entry.row, item }]);
+    renderWatched();
+    renderWatchLater();
+    toast(t("toast.imported", { title: item.title }));
+  }
+  renderImportReview();
+}
+
+// Search again with an edited title; the results become the row's candidates
+async function searchImportReview(idx, title) {
+  const list = loadImportReview();
+  const entry = list[idx];
+  if (!entry || !title.trim()) return;
+  try {
+    const [m] = await matchImportRows([{ ...entry.row, title: title.trim(), imdbId: null, tmdbId: null }]);
+    entry.candidates = m?.status === "matched" ? [m.item] : m?.candidates || [];
+    saveImportReview(list);
+    renderImportReview();
+    if (!entry.candidates.length) toast(t("import.noTitles"));
+  } catch (err) {
+    toast(err.message);
+  }
+}
+
+document.getElementById("import-files")?.addEventListener("change", (e) => {
+  const files = Array.from(e.target.files || []);
+  e.target.value = "";
+  if (files.length) importFiles(files);
+});
+
+importReviewEl?.addEventListener("click", (e) => {
+  const pick = e.target.closest(".js-import-pick");
+  if (pick) {
+    const entry = loadImportReview()[Number(pick.dataset.idx)];
+    const item = entry?.candidates[Number(pick.dataset.cand)];
+    if (item) resolveImportReview(Number(pick.dataset.idx), item);
+    return;
+  }
+  const skip = e.target.closest(".js-import-skip");
+  if (skip) return resolveImportReview(Number(skip.dataset.idx), null);
+  if (e.target.closest("#btn-import-skip-all")) {
+    saveImportReview([]);
+    renderImportReview();
+  }
+});
+
+importReviewEl?.addEventListener("submit", (e) => {
+  const form = e.target.closest(".js-import-search");
+  if (!form) return;
+  e.preventDefault();
+  searchImportReview(Number(form.dataset.idx), form.querySelector("input")?.value || "");
+});
+
+// ===== Backup & export =====
+// One versioned JSON file holds every list and setting kept in this browser. Restoring can
+// merge into what is here (nothing local is lost) or replace it. Lists also export as CSV,
+// and watched movies as a CSV Letterboxd's importer reads.
+const BACKUP_VERSION = 1;
+const BACKUP_LISTS = { liked: LS_LIKED, disliked: LS_DISLIKED, watchlater: LS_WATCHLATER, watched: LS_WATCHED, progress: LS_PROGRESS, playlists: LS_PLAYLISTS };
+
+function buildBackup() {
+  const data = Object.fromEntries(Object.entries(BACKUP_LISTS).map(([name, key]) => [name, loadJson(key, [])]));
+  return {
+    app: "nextwatch",
+    version: BACKUP_VERSION,
+    exportedAt: new Date().toISOString(),
+    data: {
+      ...data,
+      providerPrefs: loadJson(LS_PROVIDER_PREFS, { include: [], exclude: [] }),
+      languagePrefs,
+      warningPrefs,
+      region: getRegion(),
+      group: loadGroup()
+    }
+  };
+}
+
+function downloadFile(name, text, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = name;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+const fileDate = () => new Date().toISOString().slice(0, 10);
+
+// Throws with a readable message when the file is not a backup this version can read
+function readBackup(text) {
+  let backup;
+  try { backup = JSON.parse(text); } catch { throw new Error(t("backup.invalidJson")); }
+  if (backup?.app !== "nextwatch" || !backup.data || typeof backup.data !== "object") throw new Error(t("backup.notBackup"));
+  if (!(Number(backup.version) >= 1 && Number(backup.version) <= BACKUP_VERSION)) {
+    throw new Error(t("backup.newer", { version: backup.version }));
+  }
+  return backup;
+}
+
+// Local entries win, backup entries the list does not have yet go after them
+function mergeList(local, incoming, keyOf, fill = null) {
+  const byKey = new Map(local.map(x => [keyOf(x), x]));
+  const out = [...local];
+  for (const x of incoming) {
+    const mine = byKey.get(keyOf(x));
+    if (!mine) { byKey.set(keyOf(x), x); out.push(x); }
+    else if (fill) fill(mine, x);
+  }
+  return out;
+}
+
+function mergePlaylists(local, incoming) {
+  return mergeList(local, incoming, p => String(p.name || "").toLowerCase(), (mine, theirs) => {
+    mine.items = mergeList(mine.items || [], theirs.items || [], itemKey);
+  });
+}
+
+function mergeProgress(local, incoming) {
+  return mergeList(local, incoming, itemKey, (mine, theirs) => {
+    for (const [season, eps] of Object.entries(theirs.episodes || {})) {
+      mine.episodes ||= {};
+      mine.episodes[season] = Array.from(new Set([...(mine.episodes[season] || []), ...eps])).sort((a, b) => a - b);
+    }
+  });
+}
+
+// mode: "merge" keeps everything here and adds what the backup has, "replace" makes this browser match the backup
+function restoreBackup(backup, mode) {
+  const d = backup.data;
+  const arr = (v) => (Array.isArray(v) ? v : []);
+  const ownDisliked = new Set(loadJson(LS_DISLIKED, []).map(itemKey));
+  for (const [name, key] of Object.entries(BACKUP_LISTS)) {
+    const incoming = arr(d[name]);
+    const local = loadJson(key, []);
+    let next = incoming;
+    if (mode === "merge") {
+      if (name === "playlists") next = mergePlaylists(local, incoming);
+      else if (name === "progress") next = mergeProgress(local, incoming);
+      else next = mergeList(local, incoming, itemKey, name === "watched" ? (mine, theirs) => { mine.rating ??= theirs.rating ?? null; } : null);
+    }
+    saveJson(key, next);
+  }
+
+  // Likes and dislikes never overlap: when merging a dislike made here wins, otherwise the like
+  if (mode === "merge") saveJson(LS_LIKED, loadJson(LS_LIKED, []).filter(x => !ownDisliked.has(itemKey(x))));
+  const liked = new Set(loadJson(LS_LIKED, []).map(itemKey));
+  saveJson(LS_DISLIKED, loadJson(LS_DISLIKED, []).filter(x => !liked.has(itemKey(x))));
+
+  const prefs = d.providerPrefs || { include: [], exclude: [] };
+  providerPrefs = mode === "merge"
+    ? {
+        include: Array.from(new Set([...(providerPrefs.include || []), ...arr(prefs.include)])),
+        exclude: Array.from(new Set([...(providerPrefs.exclude || []), ...arr(prefs.exclude)]))
+      }
+    : { include: arr(prefs.include), exclude: arr(prefs.exclude) };
+  saveJson(LS_PROVIDER_PREFS, providerPrefs);
+  const langs = d.languagePrefs || {};
+  languagePrefs = mode === "merge"
+    ? {
+        include: Array.from(new Set([...languagePrefs.include, ...arr(langs.include)])),
+        exclude: Array.from(new Set([...languagePrefs.exclude, ...arr(langs.exclude)])),
+        englishOnly: Boolean(languagePrefs.englishOnly || langs.englishOnly)
+      }
+    : { include: arr(langs.include), exclude: arr(langs.exclude), englishOnly: Boolean(langs.englishOnly) };
+  saveJson(LS_LANGUAGE_PREFS, languagePrefs);
+  warningPrefs = mode === "merge" ? Array.from(new Set([...warningPrefs, ...arr(d.warningPrefs)])) : arr(d.warningPrefs);
+  saveJson(LS_WARNING_PREFS, warningPrefs);
+  if (mode === "replace" && d.region) setRegion(d.region);
+  if (d.group && (mode === "replace" || !loadGroup().people.length)) saveGroup(d.group);
+
+  renderPlaylists();
+  renderWatchLater();
+  renderWatched();
+  renderContinue();
+  renderProviderPills();
+  renderLanguagePills();
+  renderWarningPills();
+  renderRegion();
+  renderGroup();
+  return Object.fromEntries(Object.entries(BACKUP_LISTS).map(([name, key]) => [name, loadJson(key, []).length]));
+}
+
+function csvCell(v) {
+  const s = v == null ? "" : String(v);
+  return /[",\n\r]/.test(s) ? `"${s.replaceAll('"', '""')}"` : s;
+}
+function toCsv(header, rows) {
+  return [header, ...rows].map(r => r.map(csvCell).join(",")).join("\n") + "\n";
+}
+const dateOf = (t) => (t ? new Date(t).toISOString().slice(0, 10) : "");
+
+// One row per title; playlists export every playlist with its name in the first column
+function listCsv(name) {
+  const header = ["Title", "Year", "Type", "TMDB ID", "Your rating", "Date", "Vibe"];
+  const row = (x, date) => [x.title, (x.release_date || "").slice(0, 4), x.media_type === "tv" ? "series" : "movie", x.id, x.rating ?? "", dateOf(date), x.vibePrompt || ""];
+  if (name === "playlists") {
+    return toCsv(["Playlist", ...header], loadPlaylists().flatMap(p => (p.items || []).map(x => [p.name, ...row(x, null)])));
+  }
+  return toCsv(header, loadJson(BACKUP_LISTS[name], []).map(x => row(x, x.watchedAt || x.addedAt || x.updatedAt)));
+}
+
+// Letterboxd only has films; its importer reads tmdbID, WatchedDate and Rating10 (1-10)
+function letterboxdCsv() {
+  const movies = loadWatched().filter(x => x.media_type !== "tv");
+  return toCsv(
+    ["tmdbID", "Title", "Year", "WatchedDate", "Rating10"],
+    movies.map(x => [x.id, x.title, (x.release_date || "").slice(0, 4), dateOf(x.watchedAt), Number.isFinite(x.rating) ? x.rating : ""])
+  );
+}
+
+document.getElementById("btn-backup")?.addEventListener("click", () => {
+  downloadFile(`nextwatch-backup-${fileDate()}.json`, JSON.stringify(buildBackup(), null, 2), "application/json");
+  toast(t("toast.backupDownloaded"));
+});
+
+document.getElementById("restore-file")?.addEventListener("change", async (e) => {
+  const file = e.target.files?.[0];
+  e.target.value = "";
+  if (!file) return;
+  try {
+    const backup = readBackup(await file.text());
+    const mode = document.getElementById("restore-mode")?.value === "replace" ? "replace" : "merge";
+    if (mode === "replace" && (!(await parentUnlock()) || !confirm(t("backup.confirmReplace")))) return;
+    const counts = restoreBackup(backup, mode);
+    toast(t("toast.restored", counts));
+  } catch (err) {
+    toast(err.message);
+  }
+});
+
+document.getElementById("btn-export-csv")?.addEventListener("click", () => {
+  const name = document.getElementById("export-list")?.value || "watched";
+  if (!BACKUP_LISTS[name]) return;
+  downloadFile(`nextwatch-${name}-${fileDate()}.csv`, listCsv(name), "text/csv");
+});
+
+document.getElementById("btn-export-letterboxd")?.addEventListener("click", () => {
+  if (!loadWatched().some(x => x.media_type !== "tv")) return toast(t("export.noMovies"));
+  downloadFile(`nextwatch-letterboxd-${fileDate()}.csv`, letterboxdCsv(), "text/csv");
+});
+
+// ===== Account + sync =====
+// Lists sync through the backend (backend/sync.js): each collection is a map of
+// key -> { v, t } with v = null for a deletion. The last synced copy is kept as a base,
+// so anything changed offline is found by diffing against it and pushed next time.
+const itemKey = (x) => `${x.media_type || "movie"}:${x.id}`;
+
+function listCollection(lsKey, keyOf, limit) {
+  return {
+    lsKeys: [lsKey],
+    read: () => Object.fromEntries(loadJson(lsKey, []).map(x => [keyOf(x), x])),
+    // Keeps this device's order, items new to it go on top (most recent change first)
+    write: (records) => {
+      const local = loadJson(lsKey, []);
+      const localKeys = new Set(local.map(keyOf));
+      const live = (k) => records[k] && records[k].v != null;
+      const kept = local.filter(x => live(keyOf(x))).map(x => records[keyOf(x)].v);
+      const fresh = Object.keys(records)
+        .filter(k => live(k) && !localKeys.has(k))
+        .sort((a, b) => records[b].t - records[a].t)
+        .map(k => records[k].v);
+      const next = [...fresh, ...kept];
+      localStorage.setItem(profileKey(lsKey), JSON.stringify(limit ? next.slice(0, limit) : next));
+    }
+  };
+}
+
+const SYNC_COLLECTIONS = {
+  liked: listCollection(LS_LIKED, itemKey, 120),
+  disliked: listCollection(LS_DISLIKED, itemKey, 250),
+  watchlater: listCollection(LS_WATCHLATER, itemKey, 120),
+  watched: listCollection(LS_WATCHED, itemKey),
+  progress: listCollection(LS_PROGRESS, itemKey),
+  playlists: listCollection(LS_PLAYLISTS, p => String(p.name || "").toLowerCase()),
+  settings: {
+    lsKeys: [LS_PROVIDER_PREFS, LS_LANGUAGE_PREFS, LS_WARNING_PREFS, LS_REGION],
+    read: () => {
+      const out = {};
+      const prefs = loadJson(LS_PROVIDER_PREFS, null);
+      const langs = loadJson(LS_LANGUAGE_PREFS, null);
+      const warnings = loadJson(LS_WARNING_PREFS, null);
+      if (prefs) out.providerPrefs = prefs;
+      if (langs) out.languagePrefs = langs;
+      if (warnings) out.warningPrefs = warnings;
+      if (localStorage.getItem(LS_REGION)) out.region = localStorage.getItem(LS_REGION);
+      return out;
+    },
+    write: (records) => {
+      const prefs = records.providerPrefs?.v;
+      if (prefs) {
+        localStorage.setItem(profileKey(LS_PROVIDER_PREFS), JSON.stringify(prefs));
+        providerPrefs = prefs;
+      }
+      const langs = records.languagePrefs?.v;
+      if (langs) {
+        localStorage.setItem(profileKey(LS_LANGUAGE_PREFS), JSON.stringify(langs));
+        languagePrefs = langs;
+      }
+      const warnings = records.warningPrefs?.v;
+      if (Array.isArray(warnings)) {
+        localStorage.setItem(profileKey(LS_WARNING_PREFS), JSON.stringify(warnings));
+        warningPrefs = warnings;
+      }
+      if (REGIONS.includes(records.region?.v)) localStorage.setItem(LS_REGION, records.region.v);
+    }
+  }
+};
+
+let syncing = false;
+let syncTimer = null;
+
+function getAuth() { return loadJson(LS_AUTH, null); }
+
+// Called by saveJson / setRegion: remember when each synced collection last changed here
+function touchSynced(lsKey) {
+  const coll = Object.keys(SYNC_COLLECTIONS).find(c => SYNC_COLLECTIONS[c].lsKeys.includes(lsKey));
+  if (!coll) return;
+  const touched = loadJson(LS_SYNC_TOUCHED, {});
+  touched[coll] = Date.now();
+  localStorage.setItem(profileKey(LS_SYNC_TOUCHED), JSON.stringify(touched));
+  scheduleSync();
+}
+
+function scheduleSync(delay = 2000) {
+  if (!getAuth()) return;
+  clearTimeout(syncTimer);
+  syncTimer = setTimeout(syncNow, delay);
+}
+
+function setSyncStatus(text) {
+  if (syncStatusEl) syncStatusEl.textContent = text;
+}
+
+async function authFetch(path, { method = "GET", body } = {}) {
+  const auth = getAuth();
+  const res = await fetch(`${API_BASE}${path}`, {
+    method,
+    headers: { "Content-Type": "application/json", ...(auth ? { Authorization: `Bearer ${auth.token}` } : {}) },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    const err = new Error(data.error || t("errors.server", { status: res.status }));
+    err.status = res.status;
+    throw err;
+  }
+  return data;
+}
+
+// Local records that differ from the last synced copy, stamped with when that collection changed
+function localChanges(base, touched) {
+  const changes = {};
+  for (const [coll, c] of Object.entries(SYNC_COLLECTIONS)) {
+    const local = c.read();
+    const prev = base[coll] || {};
+    const t = touched[coll] || 1;
+    const out = {};
+    for (const [k, v] of Object.entries(local)) {
+      if (prev[k]?.v == null || JSON.stringify(prev[k].v) !== JSON.stringify(v)) out[k] = { v, t };
+    }
+    for (const [k, rec] of Object.entries(prev)) {
+      if (rec.v != null && !(k in local)) out[k] = { v: null, t };
+    }
+    if (Object.keys(out).length) changes[coll] = out;
+  }
+  return changes;
+}
+
+// Liked on one device and disliked on another: the later change wins, the other side is removed
+// here and the removal goes out with the next sync
+function resolveLikeConflicts(base) {
+  const liked = base.liked || {};
+  const disliked = base.disliked || {};
+  const drop = { liked: new Set(), disliked: new Set() };
+  for (const [k, rec] of Object.entries(liked)) {
+    const other = disliked[k];
+    if (rec.v == null || other?.v == null) continue;
+    drop[rec.t > other.t ? "disliked" : "liked"].add(k);
+  }
+  if (drop.liked.size) saveJson(LS_LIKED, loadJson(LS_LIKED, []).filter(x => !drop.liked.has(itemKey(x))));
+  if (drop.disliked.size) saveJson(LS_DISLIKED, loadJson(LS_DISLIKED, []).filter(x => !drop.disliked.has(itemKey(x))));
+}
+
+function renderSynced() {
+  renderPlaylists();
+  renderWatchLater();
+  renderWatched();
+  renderContinue();
+  renderProviderPills();
+  renderLanguagePills();
+  renderWarningPills();
+  renderRegion();
+}
+
+async function syncNow() {
+  if (!getAuth() || syncing) return;
+  if (!navigator.onLine) return setSyncStatus(t("sync.offline"));
+
+  syncing = true;
+  let again = false;
+  const profile = activeProfileId;
+  setSyncStatus(t("sync.syncing"));
+  const state = loadJson(LS_SYNC, { rev: 0, base: {} });
+  const startedAt = Date.now();
+  const changes = localChanges(state.base, loadJson(LS_SYNC_TOUCHED, {}));
+
+  try {
+    const data = await authFetch("/api/sync", { method: "POST", body: { since: state.rev, changes } });
+    // Switched profile meanwhile: this answer belongs to the other one, sync the one now in use instead
+    if (profile !== activeProfileId) {
+      again = true;
+      return;
+    }
+
+    // Edited while the request was in flight: sync again instead of overwriting the edit
+    if (Object.values(loadJson(LS_SYNC_TOUCHED, {})).some(ms => ms > startedAt)) {
+      again = true;
+      return;
+    }
+
+    const base = data.reset ? {} : state.base;
+    for (const src of [changes, data.changes || {}]) {
+      for (const [coll, recs] of Object.entries(src)) base[coll] = { ...(base[coll] || {}), ...recs };
+    }
+    for (const [coll, c] of Object.entries(SYNC_COLLECTIONS)) {
+      if (data.reset || data.changes?.[coll]) c.write(base[coll] || {});
+    }
+    localStorage.setItem(profileKey(LS_SYNC), JSON.stringify({ rev: data.rev, base }));
+    resolveLikeConflicts(base);
+    renderSynced();
+    setSyncStatus(t("sync.synced", { time: new Date().toLocaleTimeString(uiLocale) }));
+  } catch (err) {
+    console.error(err);
+    if (err.status === 401) {
+      signOutLocally();
+      toast(t("sync.expired"));
+    } else {
+      setSyncStatus(t("sync.unreachable"));
+    }
+  } finally {
+    syncing = false;
+    if (again) scheduleSync(200);
+  }
+}
+
+function renderAccount() {
+  const auth = getAuth();
+  if (btnAccount) btnAccount.textContent = auth ? `👤 ${auth.email.split("@")[0]}` : t("header.signIn");
+  const signedIn = document.getElementById("account-signed-in");
+  const signedOut = document.getElementById("account-signed-out");
+  if (signedIn) signedIn.hidden = !auth;
+  if (signedOut) signedOut.hidden = Boolean(auth);
+  const who = document.getElementById("account-who");
+  if (who) who.textContent = auth?.email || "";
+}
+
+// A fresh sign-in starts from an empty base, so this browser's lists merge into the account
+async function completeSignIn(session) {
+  saveJson(LS_AUTH, { token: session.token, email: session.user.email });
+  localStorage.removeItem(profileKey(LS_SYNC));
+  renderAccount();
+  toast(t("toast.signedIn", { email: session.user.email }));
+  await syncNow();
+}
+
+// Lists stay in this browser after signing out
+function signOutLocally() {
+  localStorage.removeItem(profileKey(LS_AUTH));
+  localStorage.removeItem(profileKey(LS_SYNC));
+  renderAccount();
+}
+
+// Magic links come back as ?login=<token>
+async function redeemLoginLink() {
+  const params = new URLSearchParams(location.search);
+  const token = params.get("login");
+  if (!token) return false;
+
+  params.delete("login");
+  const query = params.toString();
+  history.replaceState(null, "", `${location.pathname}${query ? `?${query}` : ""}${location.hash}`);
+
+  try {
+    await completeSignIn(await authFetch("/api/auth/magic-link/verify", { method: "POST", body: { token } }));
+  } catch (err) {
+    toast(err.message);
+  }
+  return true;
+}
+
+if (btnAccount && accountModal) {
+  btnAccount.addEventListener("click", () => {
+    renderAccount();
+    accountModal.hidden = false;
+  });
+  accountModal.addEventListener("click", (e) => {
+    if (e.target === accountModal || e.target.id === "account-close") accountModal.hidden = true;
+  });
+}
+
+if (accountForm) {
+  accountForm.addEventListener("submit", async (e) => {
+    e.preventDefault();
+    const action = e.submitter?.dataset.action || "login";
+    const email = (accountEmail?.value || "").trim();
+    const password = accountPassword?.value || "";
+
+    try {
+      if (action === "link" || !password) {
+        await authFetch("/api/auth/magic-link", { method: "POST", body: { email } });
+        toast(t("toast.checkEmail"));
+        return;
+      }
+      const path = action === "register" ? "/api/auth/register" : "/api/auth/login";
+      const session = await authFetch(path, { method: "POST", body: { email, password } });
+      accountPassword.value = "";
+      if (accountModal) accountModal.hidden = true;
+      await completeSignIn(session);
+    } catch (err) {
+      toast(err.message);
+    }
+  });
+}
+
+document.getElementById("btn-sync-now")?.addEventListener("click", () => syncNow());
+document.getElementById("btn-sign-out")?.addEventListener("click", async () => {
+  try {
+    await authFetch("/api/auth/logout", { method: "POST" });
+  } catch {}
+  signOutLocally();
+  toast(t("toast.signedOut"));
+});
+
+window.addEventListener("online", () => syncNow());
+document.addEventListener("visibilitychange", () => {
+  if (document.visibilityState === "visible") syncNow();
+});
+setInterval(() => syncNow(), 60 * 1000);
+
+// ===== Events =====
+if (aiForm) {
+  aiForm.addEventListener("submit", async (e) => {
+    e.preventDefault();
+    const prompt = (promptEl?.value || "").trim();
+    if (!prompt) return;
+
+    lastPrompt = prompt;
+    lastRefreshToken = String(Date.now());
+    resetRefinement();
+
+    if (resultsCard) resultsCard.hidden = false;
+
+    try {
+      await runRecommendations(prompt, { refreshToken: lastRefreshToken }, t("stage.thinking"));
+    } catch (err) {
+      console.error(err);
+      if (resultBody) resultBody.innerHTML = `<p class='muted'>${t("results.serverError")}</p>`;
+    }
+  });
+}
+
+if (btnRefresh) {
+  btnRefresh.addEventListener("click", async () => {
+    if (!lastPrompt) return toast(t("toast.searchFirst"));
+    try {
+      const excludeIds = currentExcludeIds();
+      lastRefreshToken = String(Date.now());
+      resetRefinement();
+      await runRecommendations(lastPrompt, { refreshToken: lastRefreshToken, excludeIds }, t("stage.refreshing"));
+      toast(t("toast.freshPicks"));
+    } catch (e) {
+      console.error(e);
+      if (resultBody) resultBody.innerHTML = `<p class='muted'>${t("results.refreshFailed")}</p>`;
+    }
+  });
+}
+
+if (btnSurprise) {
+  btnSurprise.addEventListener("click", () => {
+    const examples = [
+      "Surprise me with something cozy and fun.",
+      "Surprise me with a feel-good classic.",
+      "Surprise me with a clever comedy.",
+      "Surprise me with an intense thriller (not too scary).",
+      "Surprise me with a chill series for late night."
+    ];
+    const base = examples[Math.floor(Math.random() * examples.length)];
+    if (promptEl) promptEl.value = base;
+    aiForm?.dispatchEvent(new Event("submit", { cancelable: true }));
+  });
+}
+
+// Refinement
+if (refineForm) {
+  refineForm.addEventListener("submit", (e) => {
+    e.preventDefault();
+    const message = (refineInput?.value || "").trim();
+    if (!message) return;
+    refineInput.value = "";
+    refineResults(message);
+  });
+}
+document.querySelectorAll(".js-refine-chip").forEach(btn => {
+  btn.addEventListener("click", () => refineResults(btn.dataset.text || btn.textContent.trim()));
+});
+
+// Results buttons
+if (resultBody) {
+  resultBody.addEventListener("click", (e) => {
+    const veto = e.target.closest(".js-person-dislike");
+    if (!veto) return;
+    const idx = Number(veto.dataset.idx);
+    const item = lastItems[idx];
+    if (!item) return;
+    dislikeForPerson(veto.dataset.person, item);
+    toast(t("toast.vetoed", { person: veto.dataset.person, title: item.title }));
+    lastItems = lastItems.filter((_, i) => i !== idx);
+    renderResults(lastItems);
+  });
+
+  resultBody.addEventListener("click", (e) => {
+    const likeBtn = e.target.closest(".js-like");
+    const dislikeBtn = e.target.closest(".js-dislike");
+    const addBtn = e.target.closest(".js-add");
+    const laterBtn = e.target.closest(".js-later");
+    if (!likeBtn && !dislikeBtn && !addBtn && !laterBtn) return;
+
+    const idx = Number((likeBtn || dislikeBtn || addBtn || laterBtn).dataset.idx);
+    const item = lastItems[idx];
+    if (!item) return;
+
+    if (likeBtn) {
+      addToLiked(item);
+      toast(t("toast.liked", { title: item.title }));
+      likeBtn.textContent = t("actions.liked");
+      likeBtn.disabled = true;
+      return;
+    }
+
+    if (dislikeBtn) {
+      addToDisliked(item);
+      toast(t("toast.disliked", { title: item.title }));
+      lastItems = lastItems.filter((_, i) => i !== idx);
+      renderResults(lastItems);
+      return;
+    }
+
+    if (addBtn) {
+      const playlists = loadPlaylists();
+      const active = getActivePlaylistName();
+      if (!playlists.length) return toast(t("toast.createPlaylist"));
+      const target = active || playlists[0].name;
+      addToPlaylist(target, item);
+      toast(t("toast.addedTo", { name: target }));
+      renderPlaylists();
+      return;
+    }
+
+    if (laterBtn) {
+      addWatchLater(item, lastPrompt);
+      toast(t("toast.savedLater"));
+      renderWatchLater();
+    }
+  });
+}
+
+// More like this: result cards, playlist items, watched entries and the detail panel
+document.addEventListener("click", (e) => {
+  const btn = e.target.closest(".js-more-like");
+  if (!btn) return;
+  if (btn.closest("#detail-modal")) closeDetail();
+  showMoreLike(btn.dataset.type, btn.dataset.id, btn.dataset.title);
+  resultsCard?.scrollIntoView?.({ behavior: "smooth", block: "start" });
+});
+
+// Details: clicking a card or list entry (not one of its buttons or links) opens the panel
+document.addEventListener("click", (e) => {
+  if (e.target.closest("button, a")) return;
+  const el = e.target.closest(".js-detail");
+  if (el) openDetail(el.dataset.type, el.dataset.id);
+});
+
+const detailModal = document.getElementById("detail-modal");
+if (detailModal) {
+  detailModal.addEventListener("click", (e) => {
+    if (e.target === detailModal || e.target.id === "detail-close") return closeDetail();
+    if (!detailItem) return;
+
+    if (e.target.closest(".js-detail-later")) {
+      addWatchLater(detailItem, lastPrompt);
+      renderWatchLater();
+      toast(t("toast.savedLater"));
+    } else if (e.target.closest(".js-detail-add")) {
+      const playlists = loadPlaylists();
+      if (!playlists.length) return toast(t("toast.createPlaylist"));
+      const target = getActivePlaylistName() || playlists[0].name;
+      addToPlaylist(target, detailItem);
+      renderPlaylists();
+      toast(t("toast.addedTo", { name: target }));
+    } else if (e.target.closest(".js-detail-watched")) {
+      const rating = prompt(t("rate.optional"));
+      if (rating === null) return;
+      const n = rating.trim() ? Number(rating) : null;
+      if (n !== null && (!Number.isFinite(n) || n < 1 || n > 10)) return toast(t("rate.invalid"));
+      markWatched(detailItem, n);
+      renderWatchLater();
+      renderWatched();
+      toast(t("toast.savedWatched"));
+    } else if (e.target.closest(".js-season-all")) {
+      const btn = e.target.closest(".js-season-all");
+      const season = Number(btn.dataset.season);
+      const seasons = seasonsCache.get(String(detailItem.id));
+      const aired = (seasons?.seasons.find(s => s.season_number === season)?.episodes || []).filter(ep => ep.aired);
+      setEpisodesWatched(detailItem, season, aired.map(ep => ep.episode_number), btn.dataset.on === "1");
+      renderDetailEpisodes(season);
+    }
+  });
+
+  detailModal.addEventListener("change", (e) => {
+    const box = e.target.closest(".js-ep");
+    if (!box || !detailItem) return;
+    const season = Number(box.dataset.season);
+    setEpisodesWatched(detailItem, season, [Number(box.dataset.episode)], box.checked);
+    renderDetailEpisodes(season);
+  });
+}
+
+// After a tick: redraw the open series' episodes and everything that shows progress
+function renderDetailEpisodes(openSeason) {
+  const box = document.getElementById("detail-episodes");
+  const seasons = detailItem && seasonsCache.get(String(detailItem.id));
+  if (box && seasons) box.innerHTML = renderEpisodes(seasons, progressFor(detailItem.id), openSeason);
+  renderContinue();
+  renderWatchLater();
+  renderWatched();
+}
+document.addEventListener("keydown", (e) => {
+  if (e.key === "Escape" && detailModal && !detailModal.hidden) closeDetail();
+});
+
+// Playlist events
+if (playlistForm) {
   playlistForm.addEventListener("submit", (e) => {
     e.preventDefault();
     const name = (playlistNameInput?.value || "").trim();
-    if (!name) return toast("Enter a playlist name.");
+    if (!name) return toast(t("toast.enterName"));
     ensurePlaylist(name);
     setActivePlaylistName(name);
     playlistNameInput.value = "";
     renderPlaylists();
-    toast(`Created: ${name}`);
+    toast(t("toast.created", { name }));
   });
 }
 
@@ -566,17 +2807,27 @@ if (playlistItems) {
     if (!active) return;
     removeFromPlaylist(active, id);
     renderPlaylists();
-    toast("Removed from playlist.");
+    toast(t("toast.removedFromPlaylist"));
   });
 }
 
 if (btnDeletePlaylist) {
-  btnDeletePlaylist.addEventListener("click", () => {
+  btnDeletePlaylist.addEventListener("click", async () => {
     const active = getActivePlaylistName();
-    if (!active) return toast("Select a playlist first.");
-    if (confirm(`Delete playlist "${active}"?`)) deleteActivePlaylist();
+    if (!active) return toast(t("toast.selectPlaylist"));
+    if (!(await parentUnlock())) return;
+    if (confirm(t("confirm.deletePlaylist", { name: active }))) deleteActivePlaylist();
+  });
+}
+
+if (btnSharePlaylist) {
+  btnSharePlaylist.addEventListener("click", () => {
+    if (!getActivePlaylistName()) return toast(t("toast.selectPlaylist"));
+    shareActivePlaylist();
   });
 }
+document.getElementById("btn-import-shared")?.addEventListener("click", importSharedPlaylist);
+document.getElementById("btn-close-shared")?.addEventListener("click", closeSharedPlaylist);
 
 // Watch later / watched
 if (watchLaterList) {
@@ -589,43 +2840,75 @@ if (watchLaterList) {
       const list = loadWatchLater().filter(x => String(x.id) !== String(id));
       saveWatchLater(list);
       renderWatchLater();
-      toast("Removed.");
+      toast(t("toast.removed"));
       return;
     }
 
     if (w) {
       const id = w.dataset.id;
-      const rating = prompt("Rate it out of 10 (1–10):");
+      const item = loadWatchLater().find(x => String(x.id) === String(id));
+      if (!item) return;
+      const rating = prompt(t("rate.required"));
       const n = Number(rating);
-      if (!Number.isFinite(n) || n < 1 || n > 10) return toast("Rating must be 1–10.");
-      markWatched(id, n);
+      if (!Number.isFinite(n) || n < 1 || n > 10) return toast(t("rate.invalid"));
+      markWatched(item, n);
       renderWatchLater();
       renderWatched();
-      toast("Saved to Watched.");
+      toast(t("toast.savedWatched"));
     }
   });
 }
 
+// Continue watching
+if (continueList) {
+  continueList.addEventListener("click", (e) => {
+    const next = e.target.closest(".js-continue-next");
+    const remove = e.target.closest(".js-continue-remove");
+    const entry = (next || remove) && progressFor((next || remove).dataset.id);
+    if (!entry) return;
+
+    if (remove) {
+      saveProgress(loadProgress().filter(p => String(p.id) !== String(entry.id)));
+      renderContinue();
+      toast(t("toast.stopped", { title: entry.title || t("common.theSeries") }));
+      return;
+    }
+
+    const ep = nextEpisode(entry);
+    if (!ep) return;
+    setEpisodesWatched(entry, ep.season, [ep.episode], true);
+    renderContinue();
+    renderWatched();
+    toast(t("toast.watchedEpisode", ep));
+  });
+}
+
 // Clear buttons
 if (btnClear) {
-  btnClear.addEventListener("click", () => {
-    localStorage.removeItem(LS_LIKED);
-    localStorage.removeItem(LS_DISLIKED);
-    toast("Cleared likes and dislikes.");
+  btnClear.addEventListener("click", async () => {
+    if (!(await parentUnlock())) return;
+    if (!confirm(t("confirm.clearLikes"))) return;
+    saveJson(LS_LIKED, []);
+    saveJson(LS_DISLIKED, []);
+    toast(t("toast.clearedLikes"));
   });
 }
 if (btnClearLater) {
-  btnClearLater.addEventListener("click", () => {
-    localStorage.removeItem(LS_WATCHLATER);
+  btnClearLater.addEventListener("click", async () => {
+    if (!(await parentUnlock())) return;
+    if (!confirm(t("confirm.clearLater"))) return;
+    saveJson(LS_WATCHLATER, []);
     renderWatchLater();
-    toast("Cleared Watch later.");
+    toast(t("toast.clearedLater"));
   });
 }
 if (btnClearWatched) {
-  btnClearWatched.addEventListener("click", () => {
-    localStorage.removeItem(LS_WATCHED);
+  btnClearWatched.addEventListener("click", async () => {
+    if (!(await parentUnlock())) return;
+    if (!confirm(t("confirm.clearWatched"))) return;
+    saveJson(LS_WATCHED, []);
     renderWatched();
-    toast("Cleared Watched.");
+    toast(t("toast.clearedWatched"));
   });
 }
 
@@ -658,8 +2941,21 @@ document.querySelectorAll(".js-example").forEach(btn => {
 });
 
 // Init
+applyI18n();
 renderPlaylists();
 renderWatchLater();
 renderWatched();
+renderContinue();
+renderImportReview();
 renderProviderPills();
+renderLanguagePills();
+renderWarningPills();
+renderRegion();
+renderGroup();
+renderProfiles();
+renderAccount();
 maybeShowOnboarding();
+redeemLoginLink().then(found => found || syncNow());
+const sharedParam = new URLSearchParams(location.search).get("list");
+if (sharedParam) openSharedPlaylist(sharedParam);
+refreshProgress();
@@ -0,0 +1,1766 @@
+// ===== Message catalogs =====
+// One catalog per UI locale. app.js reads them with t("key", { vars }) and index.html marks
+// static text with data-i18n / data-i18n-placeholder / data-i18n-title / data-i18n-aria-label.
+// A key missing from a catalog falls back to English. Keys ending in _one / _other are picked
+// by count (tn in app.js).
+const I18N = {
+  en: {
+    "locale.name": "English",
+    "app.title": "NextWatch.net – Pick what to watch",
+    "common.close": "Close",
+    "common.clear": "Clear",
+    "common.untitled": "Untitled",
+    "common.remove": "Remove",
+    "common.theSeries": "the series",
+    "media.movie": "Movie",
+    "media.tv": "Series",
+
+    "onboard.title": "Welcome to NextWatch ✨",
+    "onboard.text": "Type your vibe. Adjust mood. I’ll recommend picks and where to watch them.",
+    "onboard.cozy": "Snowy & cozy",
+    "onboard.kids": "Kids 6–10",
+    "onboard.date": "Date night",
+    "onboard.go": "Let’s go",
+
+    "header.subtitle": "Describe the vibe — I’ll pick what to watch and where.",
+    "header.region": "Region",
+    "header.regionTitle": "Your region: ratings and where to watch follow it",
+    "header.language": "Language",
+    "header.surprise": "🎲 Surprise me",
+    "header.signIn": "👤 Sign in",
+    "header.signInTitle": "Sign in to sync your lists across devices",
+    "region.GB": "🇬🇧 UK",
+    "region.US": "🇺🇸 US",
+    "region.DE": "🇩🇪 Germany",
+    "region.AU": "🇦🇺 Australia",
+    "region.IE": "🇮🇪 Ireland",
+    "region.FR": "🇫🇷 France",
+    "region.NL": "🇳🇱 Netherlands",
+
+    "account.signInTitle": "Sign in to sync",
+    "account.pitch": "Keep your likes, playlists and watch lists on every device. Everything still works offline and catches up later.",
+    "account.email": "Email",
+    "account.password": "Password",
+    "account.passwordHint": "(leave empty to get a sign-in link by email)",
+    "account.signIn": "Sign in",
+    "account.register": "Create account",
+    "account.link": "✉️ Email me a link",
+    "account.title": "Your account",
+    "account.signedInAs": "Signed in as",
+    "account.syncNow": "🔄 Sync now",
+    "account.signOut": "Sign out",
+    "toast.signedIn": "Signed in as {email}",
+    "toast.checkEmail": "Check your email for a sign-in link.",
+    "toast.signedOut": "Signed out. Your lists stay on this device.",
+    "sync.offline": "Offline. Changes will sync when you reconnect.",
+    "sync.syncing": "Syncing…",
+    "sync.synced": "Synced at {time}",
+    "sync.unreachable": "Could not reach the server. Will retry.",
+    "sync.expired": "Session expired. Sign in again to keep syncing.",
+
+    "search.title": "Find recommendations",
+    "search.prompt": "What’s going on?",
+    "search.promptPlaceholder": "e.g. Christmas movies, cozy vibe…",
+    "search.mood": "Mood",
+    "mood.1": "Chill",
+    "mood.2": "Light",
+    "mood.3": "Balanced",
+    "mood.4": "Hype",
+    "mood.5": "Chaos",
+    "search.minutes": "Time I have",
+    "search.minutesTitle": "Caps a movie's length or an episode's length",
+    "minutes.any": "Any length",
+    "minutes.30": "30 minutes",
+    "minutes.45": "45 minutes",
+    "minutes.60": "1 hour",
+    "minutes.90": "1½ hours",
+    "minutes.120": "2 hours",
+    "minutes.150": "2½ hours",
+    "minutes.180": "3 hours",
+    "search.providers": "Streaming filters (optional)",
+    "search.providersHint": "Click = require. Shift+Click = exclude.",
+    "search.availability": "How you want to watch",
+    "search.availabilityTitle": "Which kinds of availability count",
+    "availability.any": "Any way to watch",
+    "availability.subscription": "Subscription only",
+    "availability.subscription_or_free": "Subscription or free",
+    "search.languages": "Original language (optional)",
+    "search.languagesHint": "Click = prefer. Shift+Click = exclude.",
+    "search.englishOnly": "English-language only",
+    "search.warnings": "Never show me",
+    "search.warningsHint": "Kept out of every search, going by TMDB keywords. Say “no …” in a prompt for just that search.",
+    "warning.animal-death": "Animal deaths",
+    "warning.sexual-violence": "Sexual assault",
+    "warning.jump-scares": "Jump scares",
+    "warning.self-harm": "Suicide & self-harm",
+    "warning.gore": "Gore",
+    "warning.child-abuse": "Child abuse",
+    "warning.domestic-abuse": "Domestic abuse",
+    "warning.drugs": "Drug use",
+    "warning.sex-scenes": "Sex scenes",
+    "warning.spiders": "Spiders",
+    "search.submit": "Recommend",
+    "search.refresh": "Refresh picks",
+
+    "group.toggle": "👨‍👩‍👧 Group watch",
+    "group.toggleHint": "(picks everyone can enjoy)",
+    "group.help": "You are always included. Add who is watching with you: a kids age makes picks suitable for them, services are the streaming subscriptions they can share.",
+    "group.add": "➕ Add person",
+    "group.name": "Name",
+    "group.age": "Kid age",
+    "group.ageLabel": "Kids age (optional)",
+    "group.services": "Services, e.g. Netflix, Disney Plus",
+    "group.servicesLabel": "Streaming services",
+    "group.vetoedBy": "Titles vetoed by {name}",
+    "group.thisPerson": "this person",
+    "group.empty": "Nobody added yet.",
+    "group.seen": "already seen",
+    "group.doesntWant": "{name} doesn't want this",
+    "group.you": "You",
+    "group.person": "Person {n}",
+    "group.fit.great": "Great fit",
+    "group.fit.good": "Good fit",
+    "group.fit.mixed": "Mixed",
+    "group.fit.low": "Not their thing",
+    "group.fit.noHistory": "No history yet",
+    "group.fit.disliked": "Disliked",
+    "kids.locked": "🔒 Locked while a kid profile is on",
+    "kids.help": "Kid profiles always get picks for their age on their own services, whatever they type. Leaving a kid profile or clearing lists asks for the parent PIN.",
+    "kids.pin": "Parent PIN",
+    "kids.pinPlaceholder": "New PIN, 4–8 digits",
+    "kids.newPinPlaceholder": "Change PIN, 4–8 digits",
+    "kids.setPin": "Set PIN",
+    "kids.add": "➕ Add kid profile",
+    "kids.unnamed": "Kid",
+    "kids.maxAge": "Maximum age rating",
+    "kids.services": "Allowed services (all if empty)",
+    "kids.blocked": "Blocked words, e.g. zombie, shark",
+    "kids.blockedLabel": "Blocked words",
+    "kids.setPinFirst": "Set a parent PIN first.",
+    "kids.enterPin": "Parent PIN:",
+    "kids.currentPin": "Current parent PIN:",
+    "kids.pinToLeave": "Parent PIN to leave this kid profile:",
+    "kids.wrongPin": "Wrong PIN",
+    "kids.pinInvalid": "The PIN needs 4 to 8 digits",
+    "kids.pinSaved": "Parent PIN saved",
+    "profiles.who": "Who is watching",
+    "profiles.title": "Profiles",
+    "profiles.help": "Everyone sharing this browser gets their own likes, lists, streaming services and sign-in. Switch at the top.",
+    "profiles.add": "➕ Add profile",
+    "profiles.avatar": "Avatar",
+    "profiles.main": "Me",
+    "profiles.unnamed": "Profile",
+    "profiles.confirmDelete": "Delete the profile {name} and everything saved in it on this browser?",
+    "profiles.switchedTo": "Watching as {name}",
+    "toast.vetoed": "{person} vetoed {title}",
+
+    "tier.flatrate": "Stream",
+    "tier.free": "Free",
+    "tier.ads": "With ads",
+    "tier.rent": "Rent",
+    "tier.buy": "Buy",
+    "providers.notListed": "Not listed for {region}.",
+
+    "results.title": "Recommended picks",
+    "results.empty": "No results returned. Try removing provider filters or changing the vibe.",
+    "results.sub": "Top pick + {count} alternatives",
+    "results.soFar": "{count} so far…",
+    "results.topPick": "Top pick",
+    "results.alt": "Alt",
+    "results.noRating": "No rating",
+    "results.noOverview": "No description available.",
+    "results.poster": "{title} poster",
+    "results.why": "Why this: {reason}",
+    "results.serverError": "Server error. Check Render logs.",
+    "results.refreshFailed": "Refresh failed.",
+    "length.episodes": "{length} episodes",
+    "length.seasons_one": "1 season",
+    "length.seasons_other": "{count} seasons",
+    "actions.like": "👍 Like",
+    "actions.liked": "✅ Liked",
+    "actions.dislike": "👎 Dislike",
+    "actions.playlist": "➕ Playlist",
+    "actions.later": "🕒 Watch later",
+    "actions.watched": "✅ Watched",
+    "actions.markWatched": "✅ Mark watched",
+    "actions.remove": "✕ Remove",
+    "actions.moreLike": "🔁 More like this",
+    "stage.thinking": "Thinking…",
+    "stage.refreshing": "Refreshing…",
+    "stage.refining": "Refining…",
+    "stage.intent": "Got the vibe, searching {type}…",
+    "stage.series": "series",
+    "stage.movies": "movies",
+    "stage.titles": "titles",
+    "stage.candidates": "Looking through {count} candidates…",
+    "stage.picks": "Checking ratings and where to watch…",
+    "toast.searchFirst": "Search first.",
+    "toast.freshPicks": "Fresh picks.",
+    "toast.liked": "Liked: {title}",
+    "toast.disliked": "Disliked: {title}",
+
+    "refine.lessScary": "Less scary",
+    "refine.onlySeries": "Only series",
+    "refine.older": "Something older",
+    "refine.moreLikeTop": "More like the top pick",
+    "refine.placeholder": "Refine: “funnier”, “more like the second one”…",
+    "refine.label": "Refine these picks",
+    "refine.submit": "Refine",
+    "refine.expired": "That conversation expired. Search again to start a new one.",
+    "refine.invalid": "That conversation can’t be continued. Search again to start a new one.",
+    "refine.failed": "Could not refine that. Try again in a moment.",
+
+    "genre.16": "Animation",
+    "genre.10751": "Family",
+    "genre.35": "Comedy",
+    "genre.18": "Drama",
+    "genre.28": "Action",
+    "genre.12": "Adventure",
+    "genre.53": "Thriller",
+    "genre.80": "Crime",
+    "genre.9648": "Mystery",
+    "genre.27": "Horror",
+    "genre.10749": "Romance",
+    "genre.14": "Fantasy",
+    "genre.878": "Sci-Fi",
+    "genre.10752": "War",
+    "genre.36": "History",
+    "genre.10402": "Music",
+    "genre.99": "Documentary",
+    "genre.37": "Western",
+    "genre.10759": "Action & Adventure",
+    "genre.10762": "Kids",
+    "genre.10765": "Sci-Fi & Fantasy",
+    "genre.10768": "War & Politics",
+
+    "signal.theme": "Theme: {themes}",
+    "signal.actor": "Stars {name}",
+    "signal.era.exact": "From {year}",
+    "signal.era.between": "{year}, within {min}–{max}",
+    "signal.era.after": "{year}, after {min}",
+    "signal.era.before": "{year}, before {max}",
+    "signal.runtime.under": "{length}, under {limit}",
+    "signal.runtime.over": "{length}, over {limit}",
+    "signal.language.en": "English-language original",
+    "signal.language": "In {language}, as asked",
+    "signal.media.tv": "Series, as asked",
+    "signal.media.movie": "Movie, as asked",
+    "signal.mood.calm": "Easygoing, fits a chill mood",
+    "signal.mood.intense": "High energy, fits your mood",
+    "signal.taste": "Like {title}, which you liked",
+    "signal.kids": "Rated {cert}, OK for age {age}",
+    "signal.warning.clear": "Not in its TMDB keywords: {warnings}",
+    "signal.warning.unchecked": "Not checked, TMDB has no keywords for it: {warnings}",
+    "signal.provider": "On {providers}",
+    "signal.relaxed.popular": "Nothing matched closely, showing what’s popular",
+    "signal.relaxed.providers": "Provider filter relaxed",
+    "signal.relaxed.closest": "Closest match available",
+
+    "change.tvOnly": "Series only",
+    "change.moviesOnly": "Movies only",
+    "change.anyMedia": "Movies and series",
+    "change.moreGenre": "More {genre}",
+    "change.noGenre": "No {genre}",
+    "change.year": "From {year}",
+    "change.years": "{min}–{max}",
+    "change.since": "{year} onwards",
+    "change.upTo": "Up to {year}",
+    "change.anyYear": "Any year",
+    "change.runtimeMax": "Up to {length}",
+    "change.runtimeMin": "At least {length}",
+    "change.anyLength": "Any length",
+    "change.seasons_one": "One season",
+    "change.seasons_other": "Up to {count} seasons",
+    "change.language": "In {language}",
+    "change.noLanguage": "Nothing in {language}",
+    "change.anyLanguage": "Any language",
+    "change.warning": "Avoiding: {warning}",
+    "change.kids": "Kid friendly",
+    "change.niche": "Hidden gems",
+    "change.popular": "Better known titles",
+    "change.actor": "With {name}",
+    "change.similar": "More like {title}",
+    "change.search": "Searching for “{query}”",
+    "reason.genre": "{genres} as asked",
+    "reason.era.exact": "From {year}",
+    "reason.era.between": "From {min}–{max}",
+    "reason.era.after": "After {year}",
+    "reason.era.before": "Before {year}",
+    "reason.mood.calm": "Easygoing pick for a chill mood",
+    "reason.mood.intense": "High energy to match your mood",
+    "reason.taste.title": "Similar to {title} which you liked",
+    "reason.taste.genres": "Fits genres you usually rate highly",
+    "reason.quality": "Highly rated ({rating}/10)",
+    "reason.popular": "Popular pick close to your vibe",
+    "reason.vibe": "Matches your vibe",
+    "reason.director": "Also directed by {name}",
+    "reason.creator": "Also from {name}",
+    "reason.cast": "Also stars {name}",
+    "reason.themes": "Shares themes with {title}: {themes}",
+    "reason.fans": "Often enjoyed by fans of {title}",
+    "reason.similar": "Similar to {title}",
+    "reason.sameKind.tv": "Same kind of series as {title}",
+    "reason.sameKind.movie": "Same kind of film as {title}",
+
+    "moreLike.finding": "Finding titles like {title}…",
+    "moreLike.thisOne": "this one",
+    "moreLike.sub": "More like {title}",
+
+    "detail.label": "Title details",
+    "detail.loading": "Loading details…",
+    "detail.notFound": "No details found for this title.",
+    "detail.episodes": "Episodes",
+    "detail.episodeCount": "{count} episodes",
+    "detail.perEpisode": "{length} / ep",
+    "detail.createdBy": "Created by {names}",
+    "detail.directedBy": "Directed by {names}",
+    "detail.starring": "Starring {names}",
+    "detail.allOptions": "All options for {region} ↗",
+    "detail.whereToWatch": "Where to watch in {region}",
+    "detail.loadingEpisodes": "Loading episodes…",
+    "detail.keywords": "Keywords",
+    "errors.server": "Server error: {status}",
+
+    "playlists.title": "Playlists",
+    "playlists.share": "🔗 Share",
+    "playlists.shareTitle": "Publish a read-only link to this playlist",
+    "playlists.delete": "Delete playlist",
+    "playlists.namePlaceholder": "New playlist name…",
+    "playlists.create": "Create",
+    "playlists.select": "Select a playlist",
+    "playlists.addHint": "Add from recommendations ➕",
+    "playlists.none": "No playlists yet. Create one above.",
+    "playlists.pick": "Click a playlist chip to view it.",
+    "playlists.emptyList": "Empty playlist. Add from recommendations.",
+    "toast.playlistDeleted": "Playlist deleted.",
+    "confirm.deletePlaylist": "Delete playlist \"{name}\"?",
+    "toast.selectPlaylist": "Select a playlist first.",
+    "toast.createPlaylist": "Create a playlist first.",
+    "toast.enterName": "Enter a playlist name.",
+    "toast.created": "Created: {name}",
+    "toast.addedTo": "Added to \"{name}\"",
+    "toast.removedFromPlaylist": "Removed from playlist.",
+    "share.addFirst": "Add something to the playlist first.",
+    "share.failed": "Could not share the playlist.",
+    "share.copied": "Link copied. Anyone with it can view this playlist.",
+    "share.copyPrompt": "Copy this link:",
+    "shared.title": "Shared playlist",
+    "shared.import": "⬇️ Import to my playlists",
+    "shared.loading": "Loading shared playlist…",
+    "shared.gone": "This shared playlist no longer exists.",
+    "shared.heading": "Shared playlist: {name}",
+    "shared.sub": "{count} titles • where to watch in {region}",
+    "shared.empty": "This playlist is empty.",
+    "toast.importedPlaylist": "Imported \"{name}\"",
+
+    "continue.title": "Continue watching",
+    "continue.hint": "Next episode of each series you're watching",
+    "continue.empty": "Tick episodes in a series' details to track where you are.",
+    "continue.next": "Next: S{season} · E{episode}",
+    "continue.caughtUp": "All caught up, waiting for new episodes",
+    "continue.count": "{watched} of {total} episodes watched",
+    "continue.watchedNext": "✅ Watched S{season}E{episode}",
+    "continue.stop": "✕ Stop tracking",
+    "episodes.noList": "No episode list for this series.",
+    "episodes.empty": "No episodes listed yet.",
+    "episodes.airs": "Airs {date}",
+    "episodes.notAired": "Not aired yet",
+    "episodes.seasonWatched": "{seen}/{total} watched",
+    "episodes.unmarkSeason": "Unmark season",
+    "episodes.markSeason": "✅ Mark season watched",
+    "toast.finished": "Finished {title}. Saved to Watched.",
+    "toast.stopped": "Stopped tracking {title}.",
+    "toast.watchedEpisode": "Watched S{season}E{episode}.",
+
+    "later.title": "Watch later",
+    "later.empty": "Nothing saved. Use “Watch later” on a pick.",
+    "later.vibe": "Vibe: {vibe}",
+    "watched.title": "Watched",
+    "watched.clearLikes": "Clear likes/dislikes",
+    "watched.empty": "Watched list is empty.",
+    "watched.vibe": "Original vibe: {vibe}",
+    "watched.rating": "⭐ Your rating: {rating}/10",
+    "toast.savedLater": "Saved to Watch later.",
+    "toast.savedWatched": "Saved to Watched.",
+    "toast.removed": "Removed.",
+    "rate.optional": "Rate it out of 10 (1–10), or leave empty:",
+    "rate.required": "Rate it out of 10 (1–10):",
+    "rate.invalid": "Rating must be 1–10.",
+    "confirm.clearLikes": "Clear all likes and dislikes? Download a backup first if you may want them back.",
+    "confirm.clearLater": "Clear Watch later? Download a backup first if you may want it back.",
+    "confirm.clearWatched": "Clear Watched? Download a backup first if you may want it back.",
+    "toast.clearedLikes": "Cleared likes and dislikes.",
+    "toast.clearedLater": "Cleared Watch later.",
+    "toast.clearedWatched": "Cleared Watched.",
+
+    "import.title": "Import history",
+    "import.choose": "📥 Choose files",
+    "import.sources": "Letterboxd: diary, ratings, watched, watchlist or likes CSV. IMDb: ratings or watchlist CSV. Trakt: the JSON files of a data export.",
+    "import.privacy": "Only titles, years and ids are sent to be matched.",
+    "import.nothing": "Nothing to import in those files.",
+    "import.badJson": "{file} is not valid JSON.",
+    "import.unknownFile": "{file} doesn't look like a Letterboxd, IMDb or Trakt export.",
+    "import.matching": "Matching titles… {done} of {total}",
+    "import.stopped": "Import stopped: {error}. {count} titles were matched before that.",
+    "import.summary": "{sources}: {watched} watched, {liked} liked, {disliked} disliked, {later} for later.",
+    "import.review": "{count} need a look below.",
+    "import.notMatched": "Not matched ({count})",
+    "import.skipAll": "Skip all",
+    "import.useTitle": "Use this title",
+    "import.noClose": "No close titles found.",
+    "import.searchTitle": "Search title",
+    "import.search": "Search",
+    "import.skip": "Skip",
+    "import.first50": "Showing the first 50.",
+    "import.noTitles": "No titles found.",
+    "toast.imported": "Imported {title}",
+
+    "backup.title": "Backup & export",
+    "backup.download": "💾 Download backup",
+    "backup.help": "Everything here lives in this browser. A backup file brings it back after clearing browser data or on another device.",
+    "backup.mode": "Restore mode",
+    "backup.merge": "Merge with what is here",
+    "backup.replace": "Replace what is here",
+    "backup.restore": "Restore from file…",
+    "backup.invalidJson": "That file is not valid JSON.",
+    "backup.notBackup": "That file is not a NextWatch backup.",
+    "backup.newer": "Backup version {version} is newer than this app understands.",
+    "backup.confirmReplace": "Replace everything in this browser with the backup? Anything not in the backup is lost.",
+    "toast.backupDownloaded": "Backup downloaded.",
+    "toast.restored": "Restored: {watched} watched, {liked} liked, {playlists} playlists.",
+    "export.list": "List to export",
+    "export.csv": "Export CSV",
+    "export.letterboxd": "Letterboxd CSV",
+    "export.letterboxdTitle": "Watched movies with your ratings, for Letterboxd's importer",
+    "export.noMovies": "No watched movies to export.",
+    "list.watched": "Watched",
+    "list.liked": "Liked",
+    "list.disliked": "Disliked",
+    "list.watchlater": "Watch later",
+    "list.progress": "Continue watching",
+    "list.playlists": "Playlists",
+
+    "toast.region": "Region set to {region}. Refresh picks to update.",
+    "footer.text": "NextWatch.net prototype: your lists live in this browser, sign in to sync them across devices."
+  },
+
+  es: {
+    "locale.name": "Español",
+    "app.title": "NextWatch.net – Elige qué ver",
+    "common.close": "Cerrar",
+    "common.clear": "Vaciar",
+    "common.untitled": "Sin título",
+    "common.remove": "Quitar",
+    "common.theSeries": "la serie",
+    "media.movie": "Película",
+    "media.tv": "Serie",
+
+    "onboard.title": "Bienvenido a NextWatch ✨",
+    "onboard.text": "Describe tu plan. Ajusta el ánimo. Te recomiendo qué ver y dónde verlo.",
+    "onboard.cozy": "Nieve y manta",
+    "onboard.kids": "Niños 6–10",
+    "onboard.date": "Cita",
+    "onboard.go": "Vamos",
+
+    "header.subtitle": "Describe el ambiente: yo elijo qué ver y dónde.",
+    "header.region": "Región",
+    "header.regionTitle": "Tu región: las calificaciones y dónde ver dependen de ella",
+    "header.language": "Idioma",
+    "header.surprise": "🎲 Sorpréndeme",
+    "header.signIn": "👤 Iniciar sesión",
+    "header.signInTitle": "Inicia sesión para sincronizar tus listas entre dispositivos",
+    "region.GB": "🇬🇧 Reino Unido",
+    "region.US": "🇺🇸 EE. UU.",
+    "region.DE": "🇩🇪 Alemania",
+    "region.AU": "🇦🇺 Australia",
+    "region.IE": "🇮🇪 Irlanda",
+    "region.FR": "🇫🇷 Francia",
+    "region.NL": "🇳🇱 Países Bajos",
+
+    "account.signInTitle": "Inicia sesión para sincronizar",
+    "account.pitch": "Lleva tus me gusta, listas de reproducción y pendientes a todos tus dispositivos. Todo sigue funcionando sin conexión y se pone al día después.",
+    "account.email": "Correo electrónico",
+    "account.password": "Contraseña",
+    "account.passwordHint": "(déjala vacía para recibir un enlace de acceso por correo)",
+    "account.signIn": "Iniciar sesión",
+    "account.register": "Crear cuenta",
+    "account.link": "✉️ Envíame un enlace",
+    "account.title": "Tu cuenta",
+    "account.signedInAs": "Sesión iniciada como",
+    "account.syncNow": "🔄 Sincronizar ahora",
+    "account.signOut": "Cerrar sesión",
+    "toast.signedIn": "Sesión iniciada como {email}",
+    "toast.checkEmail": "Revisa tu correo: te hemos enviado un enlace de acceso.",
+    "toast.signedOut": "Sesión cerrada. Tus listas se quedan en este dispositivo.",
+    "sync.offline": "Sin conexión. Los cambios se sincronizarán al reconectar.",
+    "sync.syncing": "Sincronizando…",
+    "sync.synced": "Sincronizado a las {time}",
+    "sync.unreachable": "No se pudo contactar con el servidor. Se reintentará.",
+    "sync.expired": "La sesión ha caducado. Vuelve a iniciar sesión para seguir sincronizando.",
+
+    "search.title": "Buscar recomendaciones",
+    "search.prompt": "¿Qué te apetece?",
+    "search.promptPlaceholder": "p. ej. películas de Navidad, ambiente acogedor…",
+    "search.mood": "Ánimo",
+    "mood.1": "Relax",
+    "mood.2": "Ligero",
+    "mood.3": "Equilibrado",
+    "mood.4": "Emoción",
+    "mood.5": "Caos",
+    "search.minutes": "Tiempo que tengo",
+    "search.minutesTitle": "Limita la duración de una película o de un episodio",
+    "minutes.any": "Cualquier duración",
+    "minutes.30": "30 minutos",
+    "minutes.45": "45 minutos",
+    "minutes.60": "1 hora",
+    "minutes.90": "1½ horas",
+    "minutes.120": "2 horas",
+    "minutes.150": "2½ horas",
+    "minutes.180": "3 horas",
+    "search.providers": "Filtros de streaming (opcional)",
+    "search.providersHint": "Clic = exigir. Mayús+clic = excluir.",
+    "search.availability": "Cómo quieres verlo",
+    "search.availabilityTitle": "Qué tipos de disponibilidad cuentan",
+    "availability.any": "De cualquier forma",
+    "availability.subscription": "Solo suscripción",
+    "availability.subscription_or_free": "Suscripción o gratis",
+    "search.languages": "Idioma original (opcional)",
+    "search.languagesHint": "Clic = preferir. Mayús+clic = excluir.",
+    "search.englishOnly": "Solo en inglés",
+    "search.warnings": "No mostrarme nunca",
+    "search.warningsHint": "Se excluye de todas las búsquedas según las palabras clave de TMDB. Escribe “sin …” en una búsqueda solo para esa vez.",
+    "warning.animal-death": "Muertes de animales",
+    "warning.sexual-violence": "Agresión sexual",
+    "warning.jump-scares": "Sustos repentinos",
+    "warning.self-harm": "Suicidio y autolesiones",
+    "warning.gore": "Gore",
+    "warning.child-abuse": "Maltrato infantil",
+    "warning.domestic-abuse": "Violencia doméstica",
+    "warning.drugs": "Consumo de drogas",
+    "warning.sex-scenes": "Escenas de sexo",
+    "warning.spiders": "Arañas",
+    "search.submit": "Recomendar",
+    "search.refresh": "Otras sugerencias",
+
+    "group.toggle": "👨‍👩‍👧 Ver en grupo",
+    "group.toggleHint": "(algo que guste a todos)",
+    "group.help": "Tú siempre estás incluido. Añade a quien vea contigo: una edad infantil adapta las sugerencias a esa persona, los servicios son las suscripciones de streaming que puede compartir.",
+    "group.add": "➕ Añadir persona",
+    "group.name": "Nombre",
+    "group.age": "Edad (niños)",
+    "group.ageLabel": "Edad del niño (opcional)",
+    "group.services": "Servicios, p. ej. Netflix, Disney Plus",
+    "group.servicesLabel": "Servicios de streaming",
+    "group.vetoedBy": "Títulos vetados por {name}",
+    "group.thisPerson": "esta persona",
+    "group.empty": "Todavía no hay nadie.",
+    "group.seen": "ya vista",
+    "group.doesntWant": "{name} no quiere ver esto",
+    "group.you": "Tú",
+    "group.person": "Persona {n}",
+    "group.fit.great": "Encaja muy bien",
+    "group.fit.good": "Encaja bien",
+    "group.fit.mixed": "Regular",
+    "group.fit.low": "No es lo suyo",
+    "group.fit.noHistory": "Sin historial aún",
+    "group.fit.disliked": "No le gusta",
+    "kids.locked": "🔒 Bloqueado mientras hay un perfil infantil activo",
+    "kids.help": "Los perfiles infantiles siempre reciben sugerencias para su edad en sus propios servicios, escriban lo que escriban. Salir de un perfil infantil o vaciar listas pide el PIN parental.",
+    "kids.pin": "PIN parental",
+    "kids.pinPlaceholder": "PIN nuevo, 4–8 cifras",
+    "kids.newPinPlaceholder": "Cambiar PIN, 4–8 cifras",
+    "kids.setPin": "Guardar PIN",
+    "kids.add": "➕ Añadir perfil infantil",
+    "kids.unnamed": "Niño",
+    "kids.maxAge": "Calificación por edad máxima",
+    "kids.services": "Servicios permitidos (todos si está vacío)",
+    "kids.blocked": "Palabras bloqueadas, p. ej. zombi, tiburón",
+    "kids.blockedLabel": "Palabras bloqueadas",
+    "kids.setPinFirst": "Primero crea un PIN parental.",
+    "kids.enterPin": "PIN parental:",
+    "kids.currentPin": "PIN parental actual:",
+    "kids.pinToLeave": "PIN parental para salir de este perfil infantil:",
+    "kids.wrongPin": "PIN incorrecto",
+    "kids.pinInvalid": "El PIN necesita de 4 a 8 cifras",
+    "kids.pinSaved": "PIN parental guardado",
+    "profiles.who": "Quién está viendo",
+    "profiles.title": "Perfiles",
+    "profiles.help": "Cada persona que usa este navegador tiene sus propios me gusta, listas, servicios de streaming e inicio de sesión. Cambia de perfil arriba.",
+    "profiles.add": "➕ Añadir perfil",
+    "profiles.avatar": "Avatar",
+    "profiles.main": "Yo",
+    "profiles.unnamed": "Perfil",
+    "profiles.confirmDelete": "¿Eliminar el perfil {name} y todo lo guardado en él en este navegador?",
+    "profiles.switchedTo": "Viendo como {name}",
+    "toast.vetoed": "{person} ha vetado {title}",
+
+    "tier.flatrate": "Suscripción",
+    "tier.free": "Gratis",
+    "tier.ads": "Con anuncios",
+    "tier.rent": "Alquiler",
+    "tier.buy": "Compra",
+    "providers.notListed": "No disponible en {region}.",
+
+    "results.title": "Sugerencias",
+    "results.empty": "No hay resultados. Prueba a quitar filtros de streaming o a cambiar el ambiente.",
+    "results.sub": "Favorita + {count} alternativas",
+    "results.soFar": "{count} por ahora…",
+    "results.topPick": "Favorita",
+    "results.alt": "Alt.",
+    "results.noRating": "Sin nota",
+    "results.noOverview": "No hay descripción disponible.",
+    "results.poster": "Póster de {title}",
+    "results.why": "Por qué: {reason}",
+    "results.serverError": "Error del servidor. Revisa los registros de Render.",
+    "results.refreshFailed": "No se pudieron renovar las sugerencias.",
+    "length.episodes": "episodios de {length}",
+    "length.seasons_one": "1 temporada",
+    "length.seasons_other": "{count} temporadas",
+    "actions.like": "👍 Me gusta",
+    "actions.liked": "✅ Te gusta",
+    "actions.dislike": "👎 No me gusta",
+    "actions.playlist": "➕ Lista",
+    "actions.later": "🕒 Ver más tarde",
+    "actions.watched": "✅ Vista",
+    "actions.markWatched": "✅ Marcar como vista",
+    "actions.remove": "✕ Quitar",
+    "actions.moreLike": "🔁 Más como esta",
+    "stage.thinking": "Pensando…",
+    "stage.refreshing": "Buscando otras…",
+    "stage.refining": "Ajustando…",
+    "stage.intent": "Entendido, buscando {type}…",
+    "stage.series": "series",
+    "stage.movies": "películas",
+    "stage.titles": "títulos",
+    "stage.candidates": "Revisando {count} candidatos…",
+    "stage.picks": "Comprobando calificaciones y dónde verlo…",
+    "toast.searchFirst": "Busca algo primero.",
+    "toast.freshPicks": "Nuevas sugerencias.",
+    "toast.liked": "Te gusta: {title}",
+    "toast.disliked": "No te gusta: {title}",
+
+    "refine.lessScary": "Menos miedo",
+    "refine.onlySeries": "Solo series",
+    "refine.older": "Algo más antiguo",
+    "refine.moreLikeTop": "Más como la favorita",
+    "refine.placeholder": "Ajusta: «más divertida», «más como la segunda»…",
+    "refine.label": "Ajusta estas sugerencias",
+    "refine.submit": "Ajustar",
+    "refine.expired": "Esa conversación ha caducado. Vuelve a buscar para empezar otra.",
+    "refine.invalid": "Esa conversación no se puede continuar. Vuelve a buscar para empezar otra.",
+    "refine.failed": "No se pudo ajustar. Inténtalo de nuevo en un momento.",
+
+    "genre.16": "Animación",
+    "genre.10751": "Familia",
+    "genre.35": "Comedia",
+    "genre.18": "Drama",
+    "genre.28": "Acción",
+    "genre.12": "Aventura",
+    "genre.53": "Suspense",
+    "genre.80": "Crimen",
+    "genre.9648": "Misterio",
+    "genre.27": "Terror",
+    "genre.10749": "Romance",
+    "genre.14": "Fantasía",
+    "genre.878": "Ciencia ficción",
+    "genre.10752": "Bélica",
+    "genre.36": "Historia",
+    "genre.10402": "Música",
+    "genre.99": "Documental",
+    "genre.37": "Western",
+    "genre.10759": "Acción y aventura",
+    "genre.10762": "Infantil",
+    "genre.10765": "Ciencia ficción y fantasía",
+    "genre.10768": "Bélica y política",
+
+    "signal.theme": "Tema: {themes}",
+    "signal.actor": "Con {name}",
+    "signal.era.exact": "De {year}",
+    "signal.era.between": "{year}, entre {min} y {max}",
+    "signal.era.after": "{year}, después de {min}",
+    "signal.era.before": "{year}, antes de {max}",
+    "signal.runtime.under": "{length}, menos de {limit}",
+    "signal.runtime.over": "{length}, más de {limit}",
+    "signal.language.en": "Original en inglés",
+    "signal.language": "En {language}, como pediste",
+    "signal.media.tv": "Serie, como pediste",
+    "signal.media.movie": "Película, como pediste",
+    "signal.mood.calm": "Tranquila, para un ánimo relajado",
+    "signal.mood.intense": "Mucha energía, va con tu ánimo",
+    "signal.taste": "Como {title}, que te gustó",
+    "signal.kids": "Calificación {cert}, apta para {age} años",
+    "signal.warning.clear": "No está en sus palabras clave de TMDB: {warnings}",
+    "signal.warning.unchecked": "Sin comprobar, TMDB no tiene palabras clave: {warnings}",
+    "signal.provider": "En {providers}",
+    "signal.relaxed.popular": "Nada encajaba del todo, mostrando lo popular",
+    "signal.relaxed.providers": "Filtro de plataformas relajado",
+    "signal.relaxed.closest": "Lo más parecido disponible",
+
+    "change.tvOnly": "Solo series",
+    "change.moviesOnly": "Solo películas",
+    "change.anyMedia": "Películas y series",
+    "change.moreGenre": "Más {genre}",
+    "change.noGenre": "Sin {genre}",
+    "change.year": "De {year}",
+    "change.years": "{min}–{max}",
+    "change.since": "Desde {year}",
+    "change.upTo": "Hasta {year}",
+    "change.anyYear": "Cualquier año",
+    "change.runtimeMax": "Hasta {length}",
+    "change.runtimeMin": "Al menos {length}",
+    "change.anyLength": "Cualquier duración",
+    "change.seasons_one": "Una temporada",
+    "change.seasons_other": "Hasta {count} temporadas",
+    "change.language": "En {language}",
+    "change.noLanguage": "Nada en {language}",
+    "change.anyLanguage": "Cualquier idioma",
+    "change.warning": "Evitando: {warning}",
+    "change.kids": "Apto para niños",
+    "change.niche": "Joyas ocultas",
+    "change.popular": "Títulos más conocidos",
+    "change.actor": "Con {name}",
+    "change.similar": "Más como {title}",
+    "change.search": "Buscando «{query}»",
+    "reason.genre": "{genres}, como pediste",
+    "reason.era.exact": "De {year}",
+    "reason.era.between": "De {min}–{max}",
+    "reason.era.after": "Después de {year}",
+    "reason.era.before": "Antes de {year}",
+    "reason.mood.calm": "Algo tranquilo para un ánimo relajado",
+    "reason.mood.intense": "Mucha energía, como tu ánimo",
+    "reason.taste.title": "Parecida a {title}, que te gustó",
+    "reason.taste.genres": "De géneros que sueles valorar bien",
+    "reason.quality": "Muy bien valorada ({rating}/10)",
+    "reason.popular": "Una opción popular cerca de lo que buscas",
+    "reason.vibe": "Encaja con lo que buscas",
+    "reason.director": "También dirigida por {name}",
+    "reason.creator": "También de {name}",
+    "reason.cast": "También con {name}",
+    "reason.themes": "Comparte temas con {title}: {themes}",
+    "reason.fans": "Suele gustar a los fans de {title}",
+    "reason.similar": "Parecida a {title}",
+    "reason.sameKind.tv": "El mismo tipo de serie que {title}",
+    "reason.sameKind.movie": "El mismo tipo de película que {title}",
+
+    "moreLike.finding": "Buscando títulos como {title}…",
+    "moreLike.thisOne": "este",
+    "moreLike.sub": "Más como {title}",
+
+    "detail.label": "Detalles del título",
+    "detail.loading": "Cargando detalles…",
+    "detail.notFound": "No hay detalles para este título.",
+    "detail.episodes": "Episodios",
+    "detail.episodeCount": "{count} episodios",
+    "detail.perEpisode": "{length} / ep.",
+    "detail.createdBy": "Creada por {names}",
+    "detail.directedBy": "Dirigida por {names}",
+    "detail.starring": "Con {names}",
+    "detail.allOptions": "Todas las opciones en {region} ↗",
+    "detail.whereToWatch": "Dónde verla en {region}",
+    "detail.loadingEpisodes": "Cargando episodios…",
+    "detail.keywords": "Palabras clave",
+    "errors.server": "Error del servidor: {status}",
+
+    "playlists.title": "Listas",
+    "playlists.share": "🔗 Compartir",
+    "playlists.shareTitle": "Publica un enlace de solo lectura a esta lista",
+    "playlists.delete": "Eliminar lista",
+    "playlists.namePlaceholder": "Nombre de la nueva lista…",
+    "playlists.create": "Crear",
+    "playlists.select": "Elige una lista",
+    "playlists.addHint": "Añade desde las sugerencias ➕",
+    "playlists.none": "Todavía no hay listas. Crea una arriba.",
+    "playlists.pick": "Haz clic en una lista para verla.",
+    "playlists.emptyList": "Lista vacía. Añade desde las sugerencias.",
+    "toast.playlistDeleted": "Lista eliminada.",
+    "confirm.deletePlaylist": "¿Eliminar la lista «{name}»?",
+    "toast.selectPlaylist": "Elige una lista primero.",
+    "toast.createPlaylist": "Crea una lista primero.",
+    "toast.enterName": "Escribe un nombre para la lista.",
+    "toast.created": "Creada: {name}",
+    "toast.addedTo": "Añadida a «{name}»",
+    "toast.removedFromPlaylist": "Quitada de la lista.",
+    "share.addFirst": "Añade algo a la lista primero.",
+    "share.failed": "No se pudo compartir la lista.",
+    "share.copied": "Enlace copiado. Cualquiera con el enlace puede ver esta lista.",
+    "share.copyPrompt": "Copia este enlace:",
+    "shared.title": "Lista compartida",
+    "shared.import": "⬇️ Importar a mis listas",
+    "shared.loading": "Cargando lista compartida…",
+    "shared.gone": "Esta lista compartida ya no existe.",
+    "shared.heading": "Lista compartida: {name}",
+    "shared.sub": "{count} títulos • dónde verlos en {region}",
+    "shared.empty": "Esta lista está vacía.",
+    "toast.importedPlaylist": "Importada «{name}»",
+
+    "continue.title": "Seguir viendo",
+    "continue.hint": "Siguiente episodio de cada serie que estás viendo",
+    "continue.empty": "Marca episodios en los detalles de una serie para saber por dónde vas.",
+    "continue.next": "Siguiente: T{season} · E{episode}",
+    "continue.caughtUp": "Al día, esperando nuevos episodios",
+    "continue.count": "{watched} de {total} episodios vistos",
+    "continue.watchedNext": "✅ Visto T{season}E{episode}",
+    "continue.stop": "✕ Dejar de seguir",
+    "episodes.noList": "No hay lista de episodios para esta serie.",
+    "episodes.empty": "Todavía no hay episodios.",
+    "episodes.airs": "Se emite el {date}",
+    "episodes.notAired": "Aún no emitido",
+    "episodes.seasonWatched": "{seen}/{total} vistos",
+    "episodes.unmarkSeason": "Desmarcar temporada",
+    "episodes.markSeason": "✅ Marcar temporada como vista",
+    "toast.finished": "Has terminado {title}. Guardada en Vistas.",
+    "toast.stopped": "Has dejado de seguir {title}.",
+    "toast.watchedEpisode": "Visto T{season}E{episode}.",
+
+    "later.title": "Ver más tarde",
+    "later.empty": "Nada guardado. Usa «Ver más tarde» en una sugerencia.",
+    "later.vibe": "Ambiente: {vibe}",
+    "watched.title": "Vistas",
+    "watched.clearLikes": "Borrar me gusta / no me gusta",
+    "watched.empty": "La lista de vistas está vacía.",
+    "watched.vibe": "Ambiente original: {vibe}",
+    "watched.rating": "⭐ Tu nota: {rating}/10",
+    "toast.savedLater": "Guardada en Ver más tarde.",
+    "toast.savedWatched": "Guardada en Vistas.",
+    "toast.removed": "Quitada.",
+    "rate.optional": "Puntúala del 1 al 10, o déjalo vacío:",
+    "rate.required": "Puntúala del 1 al 10:",
+    "rate.invalid": "La nota debe estar entre 1 y 10.",
+    "confirm.clearLikes": "¿Borrar todos los me gusta y no me gusta? Descarga antes una copia de seguridad si puedes necesitarlos.",
+    "confirm.clearLater": "¿Vaciar Ver más tarde? Descarga antes una copia de seguridad si puedes necesitarlo.",
+    "confirm.clearWatched": "¿Vaciar Vistas? Descarga antes una copia de seguridad si puedes necesitarlo.",
+    "toast.clearedLikes": "Me gusta y no me gusta borrados.",
+    "toast.clearedLater": "Ver más tarde vaciado.",
+    "toast.clearedWatched": "Vistas vaciado.",
+
+    "import.title": "Importar historial",
+    "import.choose": "📥 Elegir archivos",
+    "import.sources": "Letterboxd: CSV de diario, valoraciones, vistas, pendientes o me gusta. IMDb: CSV de valoraciones o pendientes. Trakt: los archivos JSON de una exportación de datos.",
+    "import.privacy": "Solo se envían títulos, años e identificadores para buscarlos.",
+    "import.nothing": "No hay nada que importar en esos archivos.",
+    "import.badJson": "{file} no es JSON válido.",
+    "import.unknownFile": "{file} no parece una exportación de Letterboxd, IMDb o Trakt.",
+    "import.matching": "Buscando títulos… {done} de {total}",
+    "import.stopped": "Importación detenida: {error}. Antes se encontraron {count} títulos.",
+    "import.summary": "{sources}: {watched} vistas, {liked} me gusta, {disliked} no me gusta, {later} para más tarde.",
+    "import.review": "{count} necesitan revisión abajo.",
+    "import.notMatched": "Sin coincidencia ({count})",
+    "import.skipAll": "Omitir todas",
+    "import.useTitle": "Usar este título",
+    "import.noClose": "No hay títulos parecidos.",
+    "import.searchTitle": "Buscar título",
+    "import.search": "Buscar",
+    "import.skip": "Omitir",
+    "import.first50": "Se muestran las 50 primeras.",
+    "import.noTitles": "No se encontraron títulos.",
+    "toast.imported": "Importada: {title}",
+
+    "backup.title": "Copia de seguridad y exportación",
+    "backup.download": "💾 Descargar copia",
+    "backup.help": "Todo se guarda en este navegador. Una copia de seguridad lo recupera tras borrar los datos del navegador o en otro dispositivo.",
+    "backup.mode": "Modo de restauración",
+    "backup.merge": "Combinar con lo que hay aquí",
+    "backup.replace": "Reemplazar lo que hay aquí",
+    "backup.restore": "Restaurar desde archivo…",
+    "backup.invalidJson": "Ese archivo no es JSON válido.",
+    "backup.notBackup": "Ese archivo no es una copia de seguridad de NextWatch.",
+    "backup.newer": "La versión {version} de la copia es más reciente de lo que entiende esta app.",
+    "backup.confirmReplace": "¿Reemplazar todo lo de este navegador por la copia? Se perderá lo que no esté en la copia.",
+    "toast.backupDownloaded": "Copia descargada.",
+    "toast.restored": "Restaurado: {watched} vistas, {liked} me gusta, {playlists} listas.",
+    "export.list": "Lista para exportar",
+    "export.csv": "Exportar CSV",
+    "export.letterboxd": "CSV para Letterboxd",
+    "export.letterboxdTitle": "Películas vistas con tus notas, para el importador de Letterboxd",
+    "export.noMovies": "No hay películas vistas que exportar.",
+    "list.watched": "Vistas",
+    "list.liked": "Me gusta",
+    "list.disliked": "No me gusta",
+    "list.watchlater": "Ver más tarde",
+    "list.progress": "Seguir viendo",
+    "list.playlists": "Listas",
+
+    "toast.region": "Región cambiada a {region}. Renueva las sugerencias para actualizar.",
+    "footer.text": "Prototipo de NextWatch.net: tus listas viven en este navegador; inicia sesión para sincronizarlas entre dispositivos."
+  },
+
+  fr: {
+    "locale.name": "Français",
+    "app.title": "NextWatch.net – Choisissez quoi regarder",
+    "common.close": "Fermer",
+    "common.clear": "Vider",
+    "common.untitled": "Sans titre",
+    "common.remove": "Retirer",
+    "common.theSeries": "la série",
+    "media.movie": "Film",
+    "media.tv": "Série",
+
+    "onboard.title": "Bienvenue sur NextWatch ✨",
+    "onboard.text": "Décrivez votre envie. Réglez l’humeur. Je vous propose quoi regarder et où.",
+    "onboard.cozy": "Neige et plaid",
+    "onboard.kids": "Enfants 6–10",
+    "onboard.date": "Soirée à deux",
+    "onboard.go": "C’est parti",
+
+    "header.subtitle": "Décrivez l’ambiance, je choisis quoi regarder et où.",
+    "header.region": "Région",
+    "header.regionTitle": "Votre région : les classifications et les plateformes en dépendent",
+    "header.language": "Langue",
+    "header.surprise": "🎲 Surprenez-moi",
+    "header.signIn": "👤 Se connecter",
+    "header.signInTitle": "Connectez-vous pour synchroniser vos listes entre appareils",
+    "region.GB": "🇬🇧 Royaume-Uni",
+    "region.US": "🇺🇸 États-Unis",
+    "region.DE": "🇩🇪 Allemagne",
+    "region.AU": "🇦🇺 Australie",
+    "region.IE": "🇮🇪 Irlande",
+    "region.FR": "🇫🇷 France",
+    "region.NL": "🇳🇱 Pays-Bas",
+
+    "account.signInTitle": "Connectez-vous pour synchroniser",
+    "account.pitch": "Retrouvez vos j’aime, playlists et listes sur tous vos appareils. Tout fonctionne hors ligne et se met à jour ensuite.",
+    "account.email": "E-mail",
+    "account.password": "Mot de passe",
+    "account.passwordHint": "(laissez vide pour recevoir un lien de connexion par e-mail)",
+    "account.signIn": "Se connecter",
+    "account.register": "Créer un compte",
+    "account.link": "✉️ M’envoyer un lien",
+    "account.title": "Votre compte",
+    "account.signedInAs": "Connecté en tant que",
+    "account.syncNow": "🔄 Synchroniser",
+    "account.signOut": "Se déconnecter",
+    "toast.signedIn": "Connecté en tant que {email}",
+    "toast.checkEmail": "Consultez vos e-mails pour le lien de connexion.",
+    "toast.signedOut": "Déconnecté. Vos listes restent sur cet appareil.",
+    "sync.offline": "Hors ligne. Les changements seront synchronisés à la reconnexion.",
+    "sync.syncing": "Synchronisation…",
+    "sync.synced": "Synchronisé à {time}",
+    "sync.unreachable": "Serveur injoignable. Nouvel essai plus tard.",
+    "sync.expired": "Session expirée. Reconnectez-vous pour continuer à synchroniser.",
+
+    "search.title": "Trouver des recommandations",
+    "search.prompt": "Qu’est-ce qui vous tente ?",
+    "search.promptPlaceholder": "ex. films de Noël, ambiance cocooning…",
+    "search.mood": "Humeur",
+    "mood.1": "Calme",
+    "mood.2": "Léger",
+    "mood.3": "Équilibré",
+    "mood.4": "Énergique",
+    "mood.5": "Chaos",
+    "search.minutes": "Temps disponible",
+    "search.minutesTitle": "Limite la durée d’un film ou d’un épisode",
+    "minutes.any": "Toute durée",
+    "minutes.30": "30 minutes",
+    "minutes.45": "45 minutes",
+    "minutes.60": "1 heure",
+    "minutes.90": "1 h 30",
+    "minutes.120": "2 heures",
+    "minutes.150": "2 h 30",
+    "minutes.180": "3 heures",
+    "search.providers": "Filtres de streaming (facultatif)",
+    "search.providersHint": "Clic = exiger. Maj+clic = exclure.",
+    "search.availability": "Comment regarder",
+    "search.availabilityTitle": "Quels types de disponibilité comptent",
+    "availability.any": "Peu importe",
+    "availability.subscription": "Abonnement uniquement",
+    "availability.subscription_or_free": "Abonnement ou gratuit",
+    "search.languages": "Langue originale (facultatif)",
+    "search.languagesHint": "Clic = préférer. Maj+clic = exclure.",
+    "search.englishOnly": "En anglais uniquement",
+    "search.warnings": "Ne jamais me montrer",
+    "search.warningsHint": "Exclu de toutes les recherches, d’après les mots-clés TMDB. Écrivez « pas de … » dans une recherche pour cette fois seulement.",
+    "warning.animal-death": "Morts d’animaux",
+    "warning.sexual-violence": "Agression sexuelle",
+    "warning.jump-scares": "Jump scares",
+    "warning.self-harm": "Suicide et automutilation",
+    "warning.gore": "Gore",
+    "warning.child-abuse": "Maltraitance d’enfants",
+    "warning.domestic-abuse": "Violences conjugales",
+    "warning.drugs": "Drogues",
+    "warning.sex-scenes": "Scènes de sexe",
+    "warning.spiders": "Araignées",
+    "search.submit": "Recommander",
+    "search.refresh": "Autres suggestions",
+
+    "group.toggle": "👨‍👩‍👧 Regarder à plusieurs",
+    "group.toggleHint": "(des choix qui plaisent à tous)",
+    "group.help": "Vous êtes toujours inclus. Ajoutez ceux qui regardent avec vous : un âge d’enfant adapte les choix, les services sont les abonnements qu’ils peuvent partager.",
+    "group.add": "➕ Ajouter une personne",
+    "group.name": "Prénom",
+    "group.age": "Âge (enfant)",
+    "group.ageLabel": "Âge de l’enfant (facultatif)",
+    "group.services": "Services, ex. Netflix, Disney Plus",
+    "group.servicesLabel": "Services de streaming",
+    "group.vetoedBy": "Titres refusés par {name}",
+    "group.thisPerson": "cette personne",
+    "group.empty": "Personne pour l’instant.",
+    "group.seen": "déjà vu",
+    "group.doesntWant": "{name} ne veut pas voir ça",
+    "group.you": "Vous",
+    "group.person": "Personne {n}",
+    "group.fit.great": "Idéal",
+    "group.fit.good": "Bon choix",
+    "group.fit.mixed": "Mitigé",
+    "group.fit.low": "Pas son truc",
+    "group.fit.noHistory": "Pas encore d’historique",
+    "group.fit.disliked": "N’aime pas",
+    "kids.locked": "🔒 Verrouillé tant qu’un profil enfant est actif",
+    "kids.help": "Les profils enfants reçoivent toujours des suggestions adaptées à leur âge sur leurs propres services, quoi qu’ils tapent. Quitter un profil enfant ou vider des listes demande le code parental.",
+    "kids.pin": "Code parental",
+    "kids.pinPlaceholder": "Nouveau code, 4 à 8 chiffres",
+    "kids.newPinPlaceholder": "Changer le code, 4 à 8 chiffres",
+    "kids.setPin": "Enregistrer le code",
+    "kids.add": "➕ Ajouter un profil enfant",
+    "kids.unnamed": "Enfant",
+    "kids.maxAge": "Classification d’âge maximale",
+    "kids.services": "Services autorisés (tous si vide)",
+    "kids.blocked": "Mots bloqués, ex. zombie, requin",
+    "kids.blockedLabel": "Mots bloqués",
+    "kids.setPinFirst": "Définissez d’abord un code parental.",
+    "kids.enterPin": "Code parental :",
+    "kids.currentPin": "Code parental actuel :",
+    "kids.pinToLeave": "Code parental pour quitter ce profil enfant :",
+    "kids.wrongPin": "Code incorrect",
+    "kids.pinInvalid": "Le code doit comporter 4 à 8 chiffres",
+    "kids.pinSaved": "Code parental enregistré",
+    "profiles.who": "Qui regarde",
+    "profiles.title": "Profils",
+    "profiles.help": "Chaque personne qui utilise ce navigateur a ses propres j’aime, listes, services de streaming et connexion. Changez de profil en haut.",
+    "profiles.add": "➕ Ajouter un profil",
+    "profiles.avatar": "Avatar",
+    "profiles.main": "Moi",
+    "profiles.unnamed": "Profil",
+    "profiles.confirmDelete": "Supprimer le profil {name} et tout ce qui y est enregistré dans ce navigateur ?",
+    "profiles.switchedTo": "Profil de {name}",
+    "toast.vetoed": "{person} a refusé {title}",
+
+    "tier.flatrate": "Abonnement",
+    "tier.free": "Gratuit",
+    "tier.ads": "Avec pub",
+    "tier.rent": "Location",
+    "tier.buy": "Achat",
+    "providers.notListed": "Non disponible en {region}.",
+
+    "results.title": "Suggestions",
+    "results.empty": "Aucun résultat. Retirez des filtres de streaming ou changez d’ambiance.",
+    "results.sub": "Premier choix + {count} alternatives",
+    "results.soFar": "{count} pour l’instant…",
+    "results.topPick": "Premier choix",
+    "results.alt": "Alt.",
+    "results.noRating": "Pas de note",
+    "results.noOverview": "Aucune description disponible.",
+    "results.poster": "Affiche de {title}",
+    "results.why": "Pourquoi : {reason}",
+    "results.serverError": "Erreur serveur. Consultez les journaux Render.",
+    "results.refreshFailed": "Échec du renouvellement.",
+    "length.episodes": "épisodes de {length}",
+    "length.seasons_one": "1 saison",
+    "length.seasons_other": "{count} saisons",
+    "actions.like": "👍 J’aime",
+    "actions.liked": "✅ Aimé",
+    "actions.dislike": "👎 Je n’aime pas",
+    "actions.playlist": "➕ Playlist",
+    "actions.later": "🕒 À voir plus tard",
+    "actions.watched": "✅ Vu",
+    "actions.markWatched": "✅ Marquer comme vu",
+    "actions.remove": "✕ Retirer",
+    "actions.moreLike": "🔁 Dans le même genre",
+    "stage.thinking": "Réflexion…",
+    "stage.refreshing": "Nouvelles suggestions…",
+    "stage.refining": "Ajustement…",
+    "stage.intent": "Compris, recherche de {type}…",
+    "stage.series": "séries",
+    "stage.movies": "films",
+    "stage.titles": "titres",
+    "stage.candidates": "Examen de {count} candidats…",
+    "stage.picks": "Vérification des classifications et des plateformes…",
+    "toast.searchFirst": "Lancez d’abord une recherche.",
+    "toast.freshPicks": "Nouvelles suggestions.",
+    "toast.liked": "Aimé : {title}",
+    "toast.disliked": "Pas aimé : {title}",
+
+    "refine.lessScary": "Moins effrayant",
+    "refine.onlySeries": "Séries uniquement",
+    "refine.older": "Plus ancien",
+    "refine.moreLikeTop": "Comme le premier choix",
+    "refine.placeholder": "Ajuster : « plus drôle », « comme le deuxième »…",
+    "refine.label": "Ajuster ces suggestions",
+    "refine.submit": "Ajuster",
+    "refine.expired": "Cette conversation a expiré. Relancez une recherche.",
+    "refine.invalid": "Cette conversation ne peut pas continuer. Relancez une recherche.",
+    "refine.failed": "Impossible d’ajuster. Réessayez dans un instant.",
+
+    "genre.16": "Animation",
+    "genre.10751": "Familial",
+    "genre.35": "Comédie",
+    "genre.18": "Drame",
+    "genre.28": "Action",
+    "genre.12": "Aventure",
+    "genre.53": "Thriller",
+    "genre.80": "Crime",
+    "genre.9648": "Mystère",
+    "genre.27": "Horreur",
+    "genre.10749": "Romance",
+    "genre.14": "Fantastique",
+    "genre.878": "Science-fiction",
+    "genre.10752": "Guerre",
+    "genre.36": "Histoire",
+    "genre.10402": "Musique",
+    "genre.99": "Documentaire",
+    "genre.37": "Western",
+    "genre.10759": "Action & aventure",
+    "genre.10762": "Enfants",
+    "genre.10765": "Science-fiction & fantastique",
+    "genre.10768": "Guerre & politique",
+
+    "signal.theme": "Thème : {themes}",
+    "signal.actor": "Avec {name}",
+    "signal.era.exact": "De {year}",
+    "signal.era.between": "{year}, entre {min} et {max}",
+    "signal.era.after": "{year}, après {min}",
+    "signal.era.before": "{year}, avant {max}",
+    "signal.runtime.under": "{length}, moins de {limit}",
+    "signal.runtime.over": "{length}, plus de {limit}",
+    "signal.language.en": "Version originale anglaise",
+    "signal.language": "En {language}, comme demandé",
+    "signal.media.tv": "Série, comme demandé",
+    "signal.media.movie": "Film, comme demandé",
+    "signal.mood.calm": "Tranquille, pour une humeur détendue",
+    "signal.mood.intense": "Plein d’énergie, à votre image",
+    "signal.taste": "Comme {title}, que vous avez aimé",
+    "signal.kids": "Classé {cert}, adapté à {age} ans",
+    "signal.warning.clear": "Absent de ses mots-clés TMDB : {warnings}",
+    "signal.warning.unchecked": "Non vérifié, TMDB n’a pas de mots-clés : {warnings}",
+    "signal.provider": "Sur {providers}",
+    "signal.relaxed.popular": "Rien de très proche, voici ce qui est populaire",
+    "signal.relaxed.providers": "Filtre de plateformes assoupli",
+    "signal.relaxed.closest": "Le plus proche disponible",
+
+    "change.tvOnly": "Séries uniquement",
+    "change.moviesOnly": "Films uniquement",
+    "change.anyMedia": "Films et séries",
+    "change.moreGenre": "Plus de {genre}",
+    "change.noGenre": "Pas de {genre}",
+    "change.year": "De {year}",
+    "change.years": "{min}–{max}",
+    "change.since": "Depuis {year}",
+    "change.upTo": "Jusqu’à {year}",
+    "change.anyYear": "Toutes les années",
+    "change.runtimeMax": "Jusqu’à {length}",
+    "change.runtimeMin": "Au moins {length}",
+    "change.anyLength": "Toutes les durées",
+    "change.seasons_one": "Une saison",
+    "change.seasons_other": "Jusqu’à {count} saisons",
+    "change.language": "En {language}",
+    "change.noLanguage": "Rien en {language}",
+    "change.anyLanguage": "Toutes les langues",
+    "change.warning": "À éviter : {warning}",
+    "change.kids": "Pour les enfants",
+    "change.niche": "Pépites méconnues",
+    "change.popular": "Titres plus connus",
+    "change.actor": "Avec {name}",
+    "change.similar": "Plus comme {title}",
+    "change.search": "Recherche de « {query} »",
+    "reason.genre": "{genres}, comme demandé",
+    "reason.era.exact": "De {year}",
+    "reason.era.between": "De {min}–{max}",
+    "reason.era.after": "Après {year}",
+    "reason.era.before": "Avant {year}",
+    "reason.mood.calm": "Un choix tranquille pour une humeur détendue",
+    "reason.mood.intense": "De l’énergie à la hauteur de votre humeur",
+    "reason.taste.title": "Proche de {title}, que vous avez aimé",
+    "reason.taste.genres": "Des genres que vous notez souvent bien",
+    "reason.quality": "Très bien noté ({rating}/10)",
+    "reason.popular": "Un choix populaire proche de vos envies",
+    "reason.vibe": "Correspond à vos envies",
+    "reason.director": "Aussi réalisé par {name}",
+    "reason.creator": "Aussi de {name}",
+    "reason.cast": "Aussi avec {name}",
+    "reason.themes": "Partage des thèmes avec {title} : {themes}",
+    "reason.fans": "Souvent apprécié des fans de {title}",
+    "reason.similar": "Proche de {title}",
+    "reason.sameKind.tv": "Le même genre de série que {title}",
+    "reason.sameKind.movie": "Le même genre de film que {title}",
+
+    "moreLike.finding": "Recherche de titres comme {title}…",
+    "moreLike.thisOne": "celui-ci",
+    "moreLike.sub": "Comme {title}",
+
+    "detail.label": "Détails du titre",
+    "detail.loading": "Chargement des détails…",
+    "detail.notFound": "Aucun détail pour ce titre.",
+    "detail.episodes": "Épisodes",
+    "detail.episodeCount": "{count} épisodes",
+    "detail.perEpisode": "{length} / ép.",
+    "detail.createdBy": "Créée par {names}",
+    "detail.directedBy": "Réalisé par {names}",
+    "detail.starring": "Avec {names}",
+    "detail.allOptions": "Toutes les options en {region} ↗",
+    "detail.whereToWatch": "Où regarder en {region}",
+    "detail.loadingEpisodes": "Chargement des épisodes…",
+    "detail.keywords": "Mots-clés",
+    "errors.server": "Erreur serveur : {status}",
+
+    "playlists.title": "Playlists",
+    "playlists.share": "🔗 Partager",
+    "playlists.shareTitle": "Publier un lien en lecture seule vers cette playlist",
+    "playlists.delete": "Supprimer la playlist",
+    "playlists.namePlaceholder": "Nom de la nouvelle playlist…",
+    "playlists.create": "Créer",
+    "playlists.select": "Choisissez une playlist",
+    "playlists.addHint": "Ajoutez depuis les suggestions ➕",
+    "playlists.none": "Aucune playlist. Créez-en une ci-dessus.",
+    "playlists.pick": "Cliquez sur une playlist pour l’afficher.",
+    "playlists.emptyList": "Playlist vide. Ajoutez depuis les suggestions.",
+    "toast.playlistDeleted": "Playlist supprimée.",
+    "confirm.deletePlaylist": "Supprimer la playlist « {name} » ?",
+    "toast.selectPlaylist": "Choisissez d’abord une playlist.",
+    "toast.createPlaylist": "Créez d’abord une playlist.",
+    "toast.enterName": "Saisissez un nom de playlist.",
+    "toast.created": "Créée : {name}",
+    "toast.addedTo": "Ajouté à « {name} »",
+    "toast.removedFromPlaylist": "Retiré de la playlist.",
+    "share.addFirst": "Ajoutez d’abord quelque chose à la playlist.",
+    "share.failed": "Impossible de partager la playlist.",
+    "share.copied": "Lien copié. Toute personne qui l’a peut voir cette playlist.",
+    "share.copyPrompt": "Copiez ce lien :",
+    "shared.title": "Playlist partagée",
+    "shared.import": "⬇️ Importer dans mes playlists",
+    "shared.loading": "Chargement de la playlist partagée…",
+    "shared.gone": "Cette playlist partagée n’existe plus.",
+    "shared.heading": "Playlist partagée : {name}",
+    "shared.sub": "{count} titres • où regarder en {region}",
+    "shared.empty": "Cette playlist est vide.",
+    "toast.importedPlaylist": "« {name} » importée",
+
+    "continue.title": "Reprendre",
+    "continue.hint": "Prochain épisode de chaque série en cours",
+    "continue.empty": "Cochez des épisodes dans les détails d’une série pour suivre où vous en êtes.",
+    "continue.next": "Suivant : S{season} · É{episode}",
+    "continue.caughtUp": "À jour, en attente de nouveaux épisodes",
+    "continue.count": "{watched} épisodes vus sur {total}",
+    "continue.watchedNext": "✅ Vu S{season}É{episode}",
+    "continue.stop": "✕ Arrêter le suivi",
+    "episodes.noList": "Pas de liste d’épisodes pour cette série.",
+    "episodes.empty": "Aucun épisode pour l’instant.",
+    "episodes.airs": "Diffusion le {date}",
+    "episodes.notAired": "Pas encore diffusé",
+    "episodes.seasonWatched": "{seen}/{total} vus",
+    "episodes.unmarkSeason": "Décocher la saison",
+    "episodes.markSeason": "✅ Marquer la saison comme vue",
+    "toast.finished": "{title} terminé. Ajouté à Vus.",
+    "toast.stopped": "Suivi de {title} arrêté.",
+    "toast.watchedEpisode": "Vu S{season}É{episode}.",
+
+    "later.title": "À voir plus tard",
+    "later.empty": "Rien d’enregistré. Utilisez « À voir plus tard » sur une suggestion.",
+    "later.vibe": "Ambiance : {vibe}",
+    "watched.title": "Vus",
+    "watched.clearLikes": "Effacer j’aime / je n’aime pas",
+    "watched.empty": "La liste des vus est vide.",
+    "watched.vibe": "Ambiance d’origine : {vibe}",
+    "watched.rating": "⭐ Votre note : {rating}/10",
+    "toast.savedLater": "Ajouté à À voir plus tard.",
+    "toast.savedWatched": "Ajouté à Vus.",
+    "toast.removed": "Retiré.",
+    "rate.optional": "Notez sur 10 (1–10), ou laissez vide :",
+    "rate.required": "Notez sur 10 (1–10) :",
+    "rate.invalid": "La note doit être entre 1 et 10.",
+    "confirm.clearLikes": "Effacer tous les j’aime et je n’aime pas ? Téléchargez d’abord une sauvegarde si vous pourriez en avoir besoin.",
+    "confirm.clearLater": "Vider À voir plus tard ? Téléchargez d’abord une sauvegarde si vous pourriez en avoir besoin.",
+    "confirm.clearWatched": "Vider Vus ? Téléchargez d’abord une sauvegarde si vous pourriez en avoir besoin.",
+    "toast.clearedLikes": "J’aime et je n’aime pas effacés.",
+    "toast.clearedLater": "À voir plus tard vidé.",
+    "toast.clearedWatched": "Vus vidé.",
+
+    "import.title": "Importer un historique",
+    "import.choose": "📥 Choisir des fichiers",
+    "import.sources": "Letterboxd : CSV du journal, des notes, des vus, de la watchlist ou des j’aime. IMDb : CSV des notes ou de la watchlist. Trakt : les fichiers JSON d’un export de données.",
+    "import.privacy": "Seuls les titres, années et identifiants sont envoyés pour la correspondance.",
+    "import.nothing": "Rien à importer dans ces fichiers.",
+    "import.badJson": "{file} n’est pas un JSON valide.",
+    "import.unknownFile": "{file} ne ressemble pas à un export Letterboxd, IMDb ou Trakt.",
+    "import.matching": "Recherche des titres… {done} sur {total}",
+    "import.stopped": "Import interrompu : {error}. {count} titres avaient été trouvés.",
+    "import.summary": "{sources} : {watched} vus, {liked} aimés, {disliked} pas aimés, {later} à voir plus tard.",
+    "import.review": "{count} à vérifier ci-dessous.",
+    "import.notMatched": "Sans correspondance ({count})",
+    "import.skipAll": "Tout ignorer",
+    "import.useTitle": "Utiliser ce titre",
+    "import.noClose": "Aucun titre proche.",
+    "import.searchTitle": "Rechercher un titre",
+    "import.search": "Rechercher",
+    "import.skip": "Ignorer",
+    "import.first50": "Affichage des 50 premiers.",
+    "import.noTitles": "Aucun titre trouvé.",
+    "toast.imported": "Importé : {title}",
+
+    "backup.title": "Sauvegarde et export",
+    "backup.download": "💾 Télécharger une sauvegarde",
+    "backup.help": "Tout est stocké dans ce navigateur. Une sauvegarde le restaure après un effacement des données ou sur un autre appareil.",
+    "backup.mode": "Mode de restauration",
+    "backup.merge": "Fusionner avec l’existant",
+    "backup.replace": "Remplacer l’existant",
+    "backup.restore": "Restaurer depuis un fichier…",
+    "backup.invalidJson": "Ce fichier n’est pas un JSON valide.",
+    "backup.notBackup": "Ce fichier n’est pas une sauvegarde NextWatch.",
+    "backup.newer": "La version {version} de la sauvegarde est plus récente que cette application.",
+    "backup.confirmReplace": "Remplacer tout le contenu de ce navigateur par la sauvegarde ? Ce qui n’y figure pas sera perdu.",
+    "toast.backupDownloaded": "Sauvegarde téléchargée.",
+    "toast.restored": "Restauré : {watched} vus, {liked} aimés, {playlists} playlists.",
+    "export.list": "Liste à exporter",
+    "export.csv": "Exporter en CSV",
+    "export.letterboxd": "CSV Letterboxd",
+    "export.letterboxdTitle": "Films vus avec vos notes, pour l’import Letterboxd",
+    "export.noMovies": "Aucun film vu à exporter.",
+    "list.watched": "Vus",
+    "list.liked": "Aimés",
+    "list.disliked": "Pas aimés",
+    "list.watchlater": "À voir plus tard",
+    "list.progress": "Reprendre",
+    "list.playlists": "Playlists",
+
+    "toast.region": "Région : {region}. Renouvelez les suggestions pour mettre à jour.",
+    "footer.text": "Prototype NextWatch.net : vos listes restent dans ce navigateur, connectez-vous pour les synchroniser entre appareils."
+  },
+
+  de: {
+    "locale.name": "Deutsch",
+    "app.title": "NextWatch.net – Was schauen wir heute?",
+    "common.close": "Schließen",
+    "common.clear": "Leeren",
+    "common.untitled": "Ohne Titel",
+    "common.remove": "Entfernen",
+    "common.theSeries": "die Serie",
+    "media.movie": "Film",
+    "media.tv": "Serie",
+
+    "onboard.title": "Willkommen bei NextWatch ✨",
+    "onboard.text": "Beschreib deine Stimmung, stell den Regler ein – ich schlage vor, was du wo schauen kannst.",
+    "onboard.cozy": "Schnee & gemütlich",
+    "onboard.kids": "Kinder 6–10",
+    "onboard.date": "Date-Abend",
+    "onboard.go": "Los geht’s",
+
+    "header.subtitle": "Beschreib die Stimmung – ich suche aus, was du wo schauen kannst.",
+    "header.region": "Region",
+    "header.regionTitle": "Deine Region: Altersfreigaben und Anbieter richten sich danach",
+    "header.language": "Sprache",
+    "header.surprise": "🎲 Überrasch mich",
+    "header.signIn": "👤 Anmelden",
+    "header.signInTitle": "Melde dich an, um deine Listen geräteübergreifend zu synchronisieren",
+    "region.GB": "🇬🇧 Großbritannien",
+    "region.US": "🇺🇸 USA",
+    "region.DE": "🇩🇪 Deutschland",
+    "region.AU": "🇦🇺 Australien",
+    "region.IE": "🇮🇪 Irland",
+    "region.FR": "🇫🇷 Frankreich",
+    "region.NL": "🇳🇱 Niederlande",
+
+    "account.signInTitle": "Anmelden zum Synchronisieren",
+    "account.pitch": "Likes, Playlists und Merklisten auf jedem Gerät. Alles funktioniert auch offline und holt später auf.",
+    "account.email": "E-Mail",
+    "account.password": "Passwort",
+    "account.passwordHint": "(leer lassen, um einen Anmeldelink per E-Mail zu bekommen)",
+    "account.signIn": "Anmelden",
+    "account.register": "Konto erstellen",
+    "account.link": "✉️ Link per E-Mail",
+    "account.title": "Dein Konto",
+    "account.signedInAs": "Angemeldet als",
+    "account.syncNow": "🔄 Jetzt synchronisieren",
+    "account.signOut": "Abmelden",
+    "toast.signedIn": "Angemeldet als {email}",
+    "toast.checkEmail": "Schau in dein Postfach, der Anmeldelink ist unterwegs.",
+    "toast.signedOut": "Abgemeldet. Deine Listen bleiben auf diesem Gerät.",
+    "sync.offline": "Offline. Änderungen werden synchronisiert, sobald du wieder online bist.",
+    "sync.syncing": "Synchronisiere…",
+    "sync.synced": "Synchronisiert um {time}",
+    "sync.unreachable": "Server nicht erreichbar. Neuer Versuch folgt.",
+    "sync.expired": "Sitzung abgelaufen. Melde dich erneut an, um weiter zu synchronisieren.",
+
+    "search.title": "Empfehlungen finden",
+    "search.prompt": "Worauf hast du Lust?",
+    "search.promptPlaceholder": "z. B. Weihnachtsfilme, gemütliche Stimmung…",
+    "search.mood": "Stimmung",
+    "mood.1": "Entspannt",
+    "mood.2": "Leicht",
+    "mood.3": "Ausgewogen",
+    "mood.4": "Aufgedreht",
+    "mood.5": "Chaos",
+    "search.minutes": "Meine Zeit",
+    "search.minutesTitle": "Begrenzt die Länge eines Films oder einer Folge",
+    "minutes.any": "Beliebige Länge",
+    "minutes.30": "30 Minuten",
+    "minutes.45": "45 Minuten",
+    "minutes.60": "1 Stunde",
+    "minutes.90": "1½ Stunden",
+    "minutes.120": "2 Stunden",
+    "minutes.150": "2½ Stunden",
+    "minutes.180": "3 Stunden",
+    "search.providers": "Streaming-Filter (optional)",
+    "search.providersHint": "Klick = erforderlich. Umschalt+Klick = ausschließen.",
+    "search.availability": "Wie du schauen willst",
+    "search.availabilityTitle": "Welche Verfügbarkeit zählt",
+    "availability.any": "Egal wie",
+    "availability.subscription": "Nur im Abo",
+    "availability.subscription_or_free": "Abo oder kostenlos",
+    "search.languages": "Originalsprache (optional)",
+    "search.languagesHint": "Klick = bevorzugen. Umschalt+Klick = ausschließen.",
+    "search.englishOnly": "Nur englischsprachig",
+    "search.warnings": "Nie zeigen",
+    "search.warningsHint": "Aus jeder Suche ausgeschlossen, anhand der TMDB-Schlagwörter. Schreib „kein …“ in eine Suche für nur diese eine.",
+    "warning.animal-death": "Tode von Tieren",
+    "warning.sexual-violence": "Sexuelle Gewalt",
+    "warning.jump-scares": "Jump-Scares",
+    "warning.self-harm": "Suizid & Selbstverletzung",
+    "warning.gore": "Gore",
+    "warning.child-abuse": "Kindesmissbrauch",
+    "warning.domestic-abuse": "Häusliche Gewalt",
+    "warning.drugs": "Drogenkonsum",
+    "warning.sex-scenes": "Sexszenen",
+    "warning.spiders": "Spinnen",
+    "search.submit": "Empfehlen",
+    "search.refresh": "Neue Vorschläge",
+
+    "group.toggle": "👨‍👩‍👧 Gemeinsam schauen",
+    "group.toggleHint": "(Vorschläge, die allen gefallen)",
+    "group.help": "Du bist immer dabei. Füge hinzu, wer mitschaut: Ein Kinderalter passt die Vorschläge an, Dienste sind die Streaming-Abos, die geteilt werden können.",
+    "group.add": "➕ Person hinzufügen",
+    "group.name": "Name",
+    "group.age": "Kindesalter",
+    "group.ageLabel": "Alter des Kindes (optional)",
+    "group.services": "Dienste, z. B. Netflix, Disney Plus",
+    "group.servicesLabel": "Streamingdienste",
+    "group.vetoedBy": "Von {name} abgelehnte Titel",
+    "group.thisPerson": "dieser Person",
+    "group.empty": "Noch niemand hinzugefügt.",
+    "group.seen": "schon gesehen",
+    "group.doesntWant": "{name} will das nicht sehen",
+    "group.you": "Du",
+    "group.person": "Person {n}",
+    "group.fit.great": "Passt super",
+    "group.fit.good": "Passt gut",
+    "group.fit.mixed": "Gemischt",
+    "group.fit.low": "Nicht ihr Ding",
+    "group.fit.noHistory": "Noch kein Verlauf",
+    "group.fit.disliked": "Mag das nicht",
+    "kids.locked": "🔒 Gesperrt, solange ein Kinderprofil aktiv ist",
+    "kids.help": "Kinderprofile bekommen immer Vorschläge für ihr Alter auf ihren eigenen Diensten, egal was sie eingeben. Ein Kinderprofil verlassen oder Listen leeren verlangt die Eltern-PIN.",
+    "kids.pin": "Eltern-PIN",
+    "kids.pinPlaceholder": "Neue PIN, 4–8 Ziffern",
+    "kids.newPinPlaceholder": "PIN ändern, 4–8 Ziffern",
+    "kids.setPin": "PIN speichern",
+    "kids.add": "➕ Kinderprofil hinzufügen",
+    "kids.unnamed": "Kind",
+    "kids.maxAge": "Höchste Altersfreigabe",
+    "kids.services": "Erlaubte Dienste (leer = alle)",
+    "kids.blocked": "Gesperrte Wörter, z. B. Zombie, Hai",
+    "kids.blockedLabel": "Gesperrte Wörter",
+    "kids.setPinFirst": "Lege zuerst eine Eltern-PIN fest.",
+    "kids.enterPin": "Eltern-PIN:",
+    "kids.currentPin": "Aktuelle Eltern-PIN:",
+    "kids.pinToLeave": "Eltern-PIN, um dieses Kinderprofil zu verlassen:",
+    "kids.wrongPin": "Falsche PIN",
+    "kids.pinInvalid": "Die PIN braucht 4 bis 8 Ziffern",
+    "kids.pinSaved": "Eltern-PIN gespeichert",
+    "profiles.who": "Wer schaut zu",
+    "profiles.title": "Profile",
+    "profiles.help": "Jede Person an diesem Browser hat eigene Likes, Listen, Streamingdienste und Anmeldung. Oben wechseln.",
+    "profiles.add": "➕ Profil hinzufügen",
+    "profiles.avatar": "Avatar",
+    "profiles.main": "Ich",
+    "profiles.unnamed": "Profil",
+    "profiles.confirmDelete": "Das Profil {name} und alles, was darin in diesem Browser gespeichert ist, löschen?",
+    "profiles.switchedTo": "Du schaust als {name}",
+    "toast.vetoed": "{person} hat {title} abgelehnt",
+
+    "tier.flatrate": "Abo",
+    "tier.free": "Kostenlos",
+    "tier.ads": "Mit Werbung",
+    "tier.rent": "Leihen",
+    "tier.buy": "Kaufen",
+    "providers.notListed": "In {region} nicht verfügbar.",
+
+    "results.title": "Vorschläge",
+    "results.empty": "Keine Ergebnisse. Entferne Streaming-Filter oder ändere die Stimmung.",
+    "results.sub": "Top-Tipp + {count} Alternativen",
+    "results.soFar": "{count} bisher…",
+    "results.topPick": "Top-Tipp",
+    "results.alt": "Alt.",
+    "results.noRating": "Keine Bewertung",
+    "results.noOverview": "Keine Beschreibung verfügbar.",
+    "results.poster": "Poster von {title}",
+    "results.why": "Warum: {reason}",
+    "results.serverError": "Serverfehler. Prüfe die Render-Logs.",
+    "results.refreshFailed": "Neue Vorschläge fehlgeschlagen.",
+    "length.episodes": "Folgen à {length}",
+    "length.seasons_one": "1 Staffel",
+    "length.seasons_other": "{count} Staffeln",
+    "actions.like": "👍 Gefällt mir",
+    "actions.liked": "✅ Gefällt dir",
+    "actions.dislike": "👎 Gefällt mir nicht",
+    "actions.playlist": "➕ Playlist",
+    "actions.later": "🕒 Später ansehen",
+    "actions.watched": "✅ Gesehen",
+    "actions.markWatched": "✅ Als gesehen markieren",
+    "actions.remove": "✕ Entfernen",
+    "actions.moreLike": "🔁 Mehr davon",
+    "stage.thinking": "Denke nach…",
+    "stage.refreshing": "Suche neue Vorschläge…",
+    "stage.refining": "Passe an…",
+    "stage.intent": "Verstanden, suche {type}…",
+    "stage.series": "Serien",
+    "stage.movies": "Filme",
+    "stage.titles": "Titel",
+    "stage.candidates": "Prüfe {count} Kandidaten…",
+    "stage.picks": "Prüfe Altersfreigaben und Anbieter…",
+    "toast.searchFirst": "Bitte zuerst suchen.",
+    "toast.freshPicks": "Neue Vorschläge.",
+    "toast.liked": "Gefällt dir: {title}",
+    "toast.disliked": "Gefällt dir nicht: {title}",
+
+    "refine.lessScary": "Weniger gruselig",
+    "refine.onlySeries": "Nur Serien",
+    "refine.older": "Etwas Älteres",
+    "refine.moreLikeTop": "Mehr wie der Top-Tipp",
+    "refine.placeholder": "Anpassen: „lustiger“, „mehr wie der zweite“…",
+    "refine.label": "Diese Vorschläge anpassen",
+    "refine.submit": "Anpassen",
+    "refine.expired": "Dieses Gespräch ist abgelaufen. Starte eine neue Suche.",
+    "refine.invalid": "Dieses Gespräch lässt sich nicht fortsetzen. Starte eine neue Suche.",
+    "refine.failed": "Anpassen hat nicht geklappt. Versuch es gleich noch einmal.",
+
+    "genre.16": "Animation",
+    "genre.10751": "Familie",
+    "genre.35": "Komödie",
+    "genre.18": "Drama",
+    "genre.28": "Action",
+    "genre.12": "Abenteuer",
+    "genre.53": "Thriller",
+    "genre.80": "Krimi",
+    "genre.9648": "Mystery",
+    "genre.27": "Horror",
+    "genre.10749": "Liebesfilm",
+    "genre.14": "Fantasy",
+    "genre.878": "Science-Fiction",
+    "genre.10752": "Kriegsfilm",
+    "genre.36": "Historie",
+    "genre.10402": "Musik",
+    "genre.99": "Dokumentarfilm",
+    "genre.37": "Western",
+    "genre.10759": "Action & Abenteuer",
+    "genre.10762": "Kinder",
+    "genre.10765": "Sci-Fi & Fantasy",
+    "genre.10768": "Krieg & Politik",
+
+    "signal.theme": "Thema: {themes}",
+    "signal.actor": "Mit {name}",
+    "signal.era.exact": "Aus {year}",
+    "signal.era.between": "{year}, zwischen {min} und {max}",
+    "signal.era.after": "{year}, nach {min}",
+    "signal.era.before": "{year}, vor {max}",
+    "signal.runtime.under": "{length}, unter {limit}",
+    "signal.runtime.over": "{length}, über {limit}",
+    "signal.language.en": "Englischsprachiges Original",
+    "signal.language": "Auf {language}, wie gewünscht",
+    "signal.media.tv": "Serie, wie gewünscht",
+    "signal.media.movie": "Film, wie gewünscht",
+    "signal.mood.calm": "Entspannt, passt zur ruhigen Stimmung",
+    "signal.mood.intense": "Viel Energie, passt zu deiner Stimmung",
+    "signal.taste": "Wie {title}, das dir gefallen hat",
+    "signal.kids": "Freigabe {cert}, okay ab {age}",
+    "signal.warning.clear": "Nicht in den TMDB-Schlagwörtern: {warnings}",
+    "signal.warning.unchecked": "Nicht geprüft, TMDB hat keine Schlagwörter: {warnings}",
+    "signal.provider": "Auf {providers}",
+    "signal.relaxed.popular": "Nichts passte genau, hier ist Beliebtes",
+    "signal.relaxed.providers": "Anbieterfilter gelockert",
+    "signal.relaxed.closest": "Das Nächstbeste",
+
+    "change.tvOnly": "Nur Serien",
+    "change.moviesOnly": "Nur Filme",
+    "change.anyMedia": "Filme und Serien",
+    "change.moreGenre": "Mehr {genre}",
+    "change.noGenre": "Kein {genre}",
+    "change.year": "Aus {year}",
+    "change.years": "{min}–{max}",
+    "change.since": "Ab {year}",
+    "change.upTo": "Bis {year}",
+    "change.anyYear": "Jedes Jahr",
+    "change.runtimeMax": "Bis {length}",
+    "change.runtimeMin": "Mindestens {length}",
+    "change.anyLength": "Jede Länge",
+    "change.seasons_one": "Eine Staffel",
+    "change.seasons_other": "Bis zu {count} Staffeln",
+    "change.language": "Auf {language}",
+    "change.noLanguage": "Nichts auf {language}",
+    "change.anyLanguage": "Jede Sprache",
+    "change.warning": "Ohne: {warning}",
+    "change.kids": "Kindgerecht",
+    "change.niche": "Geheimtipps",
+    "change.popular": "Bekanntere Titel",
+    "change.actor": "Mit {name}",
+    "change.similar": "Mehr wie {title}",
+    "change.search": "Suche nach „{query}“",
+    "reason.genre": "{genres} wie gewünscht",
+    "reason.era.exact": "Aus {year}",
+    "reason.era.between": "Aus {min}–{max}",
+    "reason.era.after": "Nach {year}",
+    "reason.era.before": "Vor {year}",
+    "reason.mood.calm": "Entspannt, passend zur ruhigen Stimmung",
+    "reason.mood.intense": "Viel Energie, passend zu deiner Stimmung",
+    "reason.taste.title": "Ähnlich wie {title}, das dir gefallen hat",
+    "reason.taste.genres": "Genres, die du meist gut bewertest",
+    "reason.quality": "Sehr gut bewertet ({rating}/10)",
+    "reason.popular": "Beliebter Tipp nah an deiner Stimmung",
+    "reason.vibe": "Passt zu deiner Stimmung",
+    "reason.director": "Auch von {name} inszeniert",
+    "reason.creator": "Auch von {name}",
+    "reason.cast": "Auch mit {name}",
+    "reason.themes": "Teilt Themen mit {title}: {themes}",
+    "reason.fans": "Gefällt oft Fans von {title}",
+    "reason.similar": "Ähnlich wie {title}",
+    "reason.sameKind.tv": "Die gleiche Art Serie wie {title}",
+    "reason.sameKind.movie": "Die gleiche Art Film wie {title}",
+
+    "moreLike.finding": "Suche Titel wie {title}…",
+    "moreLike.thisOne": "diesen",
+    "moreLike.sub": "Mehr wie {title}",
+
+    "detail.label": "Titeldetails",
+    "detail.loading": "Lade Details…",
+    "detail.notFound": "Keine Details zu diesem Titel gefunden.",
+    "detail.episodes": "Folgen",
+    "detail.episodeCount": "{count} Folgen",
+    "detail.perEpisode": "{length} / Folge",
+    "detail.createdBy": "Erfunden von {names}",
+    "detail.directedBy": "Regie: {names}",
+    "detail.starring": "Mit {names}",
+    "detail.allOptions": "Alle Angebote in {region} ↗",
+    "detail.whereToWatch": "Wo in {region} schauen",
+    "detail.loadingEpisodes": "Lade Folgen…",
+    "detail.keywords": "Schlagwörter",
+    "errors.server": "Serverfehler: {status}",
+
+    "playlists.title": "Playlists",
+    "playlists.share": "🔗 Teilen",
+    "playlists.shareTitle": "Einen schreibgeschützten Link zu dieser Playlist veröffentlichen",
+    "playlists.delete": "Playlist löschen",
+    "playlists.namePlaceholder": "Name der neuen Playlist…",
+    "playlists.create": "Erstellen",
+    "playlists.select": "Playlist auswählen",
+    "playlists.addHint": "Aus den Vorschlägen hinzufügen ➕",
+    "playlists.none": "Noch keine Playlists. Erstelle oben eine.",
+    "playlists.pick": "Klicke auf eine Playlist, um sie anzuzeigen.",
+    "playlists.emptyList": "Leere Playlist. Füge etwas aus den Vorschlägen hinzu.",
+    "toast.playlistDeleted": "Playlist gelöscht.",
+    "confirm.deletePlaylist": "Playlist „{name}“ löschen?",
+    "toast.selectPlaylist": "Wähle zuerst eine Playlist.",
+    "toast.createPlaylist": "Erstelle zuerst eine Playlist.",
+    "toast.enterName": "Gib einen Namen für die Playlist ein.",
+    "toast.created": "Erstellt: {name}",
+    "toast.addedTo": "Zu „{name}“ hinzugefügt",
+    "toast.removedFromPlaylist": "Aus der Playlist entfernt.",
+    "share.addFirst": "Füge der Playlist zuerst etwas hinzu.",
+    "share.failed": "Playlist konnte nicht geteilt werden.",
+    "share.copied": "Link kopiert. Jeder mit dem Link kann diese Playlist sehen.",
+    "share.copyPrompt": "Diesen Link kopieren:",
+    "shared.title": "Geteilte Playlist",
+    "shared.import": "⬇️ In meine Playlists übernehmen",
+    "shared.loading": "Lade geteilte Playlist…",
+    "shared.gone": "Diese geteilte Playlist gibt es nicht mehr.",
+    "shared.heading": "Geteilte Playlist: {name}",
+    "shared.sub": "{count} Titel • Anbieter in {region}",
+    "shared.empty": "Diese Playlist ist leer.",
+    "toast.importedPlaylist": "„{name}“ übernommen",
+
+    "continue.title": "Weiterschauen",
+    "continue.hint": "Nächste Folge jeder Serie, die du gerade schaust",
+    "continue.empty": "Hake Folgen in den Seriendetails ab, um deinen Stand zu verfolgen.",
+    "continue.next": "Weiter: S{season} · F{episode}",
+    "continue.caughtUp": "Alles gesehen, warte auf neue Folgen",
+    "continue.count": "{watched} von {total} Folgen gesehen",
+    "continue.watchedNext": "✅ S{season}F{episode} gesehen",
+    "continue.stop": "✕ Nicht mehr verfolgen",
+    "episodes.noList": "Keine Folgenliste für diese Serie.",
+    "episodes.empty": "Noch keine Folgen gelistet.",
+    "episodes.airs": "Läuft am {date}",
+    "episodes.notAired": "Noch nicht ausgestrahlt",
+    "episodes.seasonWatched": "{seen}/{total} gesehen",
+    "episodes.unmarkSeason": "Staffel zurücksetzen",
+    "episodes.markSeason": "✅ Staffel als gesehen markieren",
+    "toast.finished": "{title} fertig geschaut. Unter Gesehen gespeichert.",
+    "toast.stopped": "{title} wird nicht mehr verfolgt.",
+    "toast.watchedEpisode": "S{season}F{episode} gesehen.",
+
+    "later.title": "Später ansehen",
+    "later.empty": "Nichts gespeichert. Nutze „Später ansehen“ bei einem Vorschlag.",
+    "later.vibe": "Stimmung: {vibe}",
+    "watched.title": "Gesehen",
+    "watched.clearLikes": "Likes/Dislikes löschen",
+    "watched.empty": "Die Gesehen-Liste ist leer.",
+    "watched.vibe": "Ursprüngliche Stimmung: {vibe}",
+    "watched.rating": "⭐ Deine Bewertung: {rating}/10",
+    "toast.savedLater": "Unter Später ansehen gespeichert.",
+    "toast.savedWatched": "Unter Gesehen gespeichert.",
+    "toast.removed": "Entfernt.",
+    "rate.optional": "Bewerte von 1 bis 10, oder lass es leer:",
+    "rate.required": "Bewerte von 1 bis 10:",
+    "rate.invalid": "Die Bewertung muss zwischen 1 und 10 liegen.",
+    "confirm.clearLikes": "Alle Likes und Dislikes löschen? Lade vorher ein Backup herunter, falls du sie noch brauchst.",
+    "confirm.clearLater": "Später ansehen leeren? Lade vorher ein Backup herunter, falls du es noch brauchst.",
+    "confirm.clearWatched": "Gesehen leeren? Lade vorher ein Backup herunter, falls du es noch brauchst.",
+    "toast.clearedLikes": "Likes und Dislikes gelöscht.",
+    "toast.clearedLater": "Später ansehen geleert.",
+    "toast.clearedWatched": "Gesehen geleert.",
+
+    "import.title": "Verlauf importieren",
+    "import.choose": "📥 Dateien wählen",
+    "import.sources": "Letterboxd: Tagebuch-, Bewertungs-, Gesehen-, Watchlist- oder Likes-CSV. IMDb: Bewertungs- oder Watchlist-CSV. Trakt: die JSON-Dateien eines Datenexports.",
+    "import.privacy": "Zum Abgleich werden nur Titel, Jahre und IDs gesendet.",
+    "import.nothing": "In diesen Dateien gibt es nichts zu importieren.",
+    "import.badJson": "{file} ist kein gültiges JSON.",
+    "import.unknownFile": "{file} sieht nicht nach einem Letterboxd-, IMDb- oder Trakt-Export aus.",
+    "import.matching": "Gleiche Titel ab… {done} von {total}",
+    "import.stopped": "Import abgebrochen: {error}. {count} Titel wurden bis dahin gefunden.",
+    "import.summary": "{sources}: {watched} gesehen, {liked} gemocht, {disliked} nicht gemocht, {later} für später.",
+    "import.review": "{count} müssen unten geprüft werden.",
+    "import.notMatched": "Nicht zugeordnet ({count})",
+    "import.skipAll": "Alle überspringen",
+    "import.useTitle": "Diesen Titel verwenden",
+    "import.noClose": "Keine ähnlichen Titel gefunden.",
+    "import.searchTitle": "Titel suchen",
+    "import.search": "Suchen",
+    "import.skip": "Überspringen",
+    "import.first50": "Die ersten 50 werden angezeigt.",
+    "import.noTitles": "Keine Titel gefunden.",
+    "toast.imported": "Importiert: {title}",
+
+    "backup.title": "Backup & Export",
+    "backup.download": "💾 Backup herunterladen",
+    "backup.help": "Alles hier liegt in diesem Browser. Ein Backup holt es nach dem Löschen der Browserdaten oder auf einem anderen Gerät zurück.",
+    "backup.mode": "Wiederherstellungsmodus",
+    "backup.merge": "Mit Vorhandenem zusammenführen",
+    "backup.replace": "Vorhandenes ersetzen",
+    "backup.restore": "Aus Datei wiederherstellen…",
+    "backup.invalidJson": "Diese Datei ist kein gültiges JSON.",
+    "backup.notBackup": "Diese Datei ist kein NextWatch-Backup.",
+    "backup.newer": "Backup-Version {version} ist neuer, als diese App versteht.",
+    "backup.confirmReplace": "Alles in diesem Browser durch das Backup ersetzen? Was nicht im Backup ist, geht verloren.",
+    "toast.backupDownloaded": "Backup heruntergeladen.",
+    "toast.restored": "Wiederhergestellt: {watched} gesehen, {liked} gemocht, {playlists} Playlists.",
+    "export.list": "Zu exportierende Liste",
+    "export.csv": "Als CSV exportieren",
+    "export.letterboxd": "Letterboxd-CSV",
+    "export.letterboxdTitle": "Gesehene Filme mit deinen Bewertungen, für den Letterboxd-Import",
+    "export.noMovies": "Keine gesehenen Filme zum Exportieren.",
+    "list.watched": "Gesehen",
+    "list.liked": "Gemocht",
+    "list.disliked": "Nicht gemocht",
+    "list.watchlater": "Später ansehen",
+    "list.progress": "Weiterschauen",
+    "list.playlists": "Playlists",
+
+    "toast.region": "Region auf {region} gesetzt. Hol dir neue Vorschläge zum Aktualisieren.",
+    "footer.text": "NextWatch.net-Prototyp: Deine Listen liegen in diesem Browser, melde dich an, um sie zwischen Geräten zu synchronisieren."
+  }
+};